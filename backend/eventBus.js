@@ -0,0 +1,186 @@
+/**
+ * Event Bus Module
+ *
+ * In-process publish/subscribe for domain events, pushed to browsers over
+ * Server-Sent Events (GET /api/v1/events/stream). The logger keeps the audit
+ * trail; events only tell open screens (Dashboard, Roster, Master Schedule)
+ * that something changed so they can refetch.
+ *
+ * Topics are dotted names (see EVENT_TOPICS). Stream clients may pass a
+ * topic filter: 'instance' or 'instance.*' matches every instance.* topic,
+ * 'staff.swapped' matches exactly, no filter matches everything.
+ *
+ * Recent events are kept in memory so a reconnecting EventSource (which
+ * sends Last-Event-ID) catches up on what it missed.
+ */
+
+// Known domain events
+const EVENT_TOPICS = [
+  'instance.changed',     // loom instance created / updated / removed / rethreaded
+  'card.retimed',         // dashboard cards rewritten with new times
+  'staff.assigned',       // staff put on / taken off a placeholder
+  'staff.swapped',        // two placeholders exchanged staff
+  'attendance.recorded',  // participant attendance / check-in / check-out / cancellation
+  'timesheet.recorded'    // staff timesheet clocked, edited, submitted or reviewed
+];
+
+const HISTORY_LIMIT = 200;
+const HEARTBEAT_MS = 25000;
+
+// Module state
+let nextId = 1;
+const history = [];
+const clients = new Map(); // res → topic filters (null = everything)
+const listeners = new Set();
+let heartbeat = null;
+
+/**
+ * Parse a topic filter ('instance,staff.swapped' or an array)
+ * @returns {string[]|null} null when everything should match
+ */
+function parseTopics(topics) {
+  if (!topics) return null;
+  const list = (Array.isArray(topics) ? topics : String(topics).split(','))
+    .map((t) => t.trim())
+    .filter(Boolean);
+  return list.length > 0 && !list.includes('*') ? list : null;
+}
+
+/**
+ * Whether a topic passes a filter
+ * @returns {boolean}
+ */
+function topicMatches(filters, topic) {
+  if (!filters) return true;
+  return filters.some((f) => {
+    const prefix = f.endsWith('.*') ? f.slice(0, -2) : f;
+    return topic === prefix || topic.startsWith(`${prefix}.`);
+  });
+}
+
+function send(res, event) {
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  // Comment lines keep proxies from closing idle streams
+  heartbeat = setInterval(() => {
+    clients.forEach((_filters, res) => {
+      try {
+        res.write(': ping\n\n');
+      } catch (error) {
+        removeClient(res);
+      }
+    });
+  }, HEARTBEAT_MS);
+  if (heartbeat.unref) heartbeat.unref();
+}
+
+/**
+ * Register an SSE client
+ * @param {Object} res - Express response object
+ * @param {Object} [options]
+ * @param {string|string[]} [options.topics] - topic filter
+ * @param {string|number} [options.lastEventId] - replay events after this id
+ */
+function addClient(res, { topics, lastEventId } = {}) {
+  const filters = parseTopics(topics);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`event: connected\ndata: ${JSON.stringify({ connected: true, topics: filters })}\n\n`);
+
+  const since = Number(lastEventId);
+  if (Number.isFinite(since) && since > 0) {
+    history
+      .filter((e) => e.id > since && topicMatches(filters, e.topic))
+      .forEach((e) => send(res, e));
+  }
+
+  clients.set(res, filters);
+  startHeartbeat();
+  res.on('close', () => {
+    removeClient(res);
+  });
+}
+
+/**
+ * Remove an SSE client
+ * @param {Object} res - Express response object
+ */
+function removeClient(res) {
+  clients.delete(res);
+  if (clients.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+}
+
+/**
+ * Publish a domain event to stream clients and in-process subscribers
+ * @param {string} topic - e.g. 'instance.changed'
+ * @param {Object} [data] - small payload (ids, dates); clients refetch details
+ * @returns {Object} the event { id, topic, ts, data }
+ */
+function publish(topic, data = {}) {
+  if (!EVENT_TOPICS.includes(topic)) {
+    console.warn(`[EVENTS] Publishing unregistered topic '${topic}'`);
+  }
+  const event = { id: nextId++, topic, ts: new Date().toISOString(), data };
+  history.push(event);
+  if (history.length > HISTORY_LIMIT) history.shift();
+
+  clients.forEach((filters, res) => {
+    if (!topicMatches(filters, topic)) return;
+    try {
+      send(res, event);
+    } catch (error) {
+      console.error('Error sending to event stream client:', error);
+      removeClient(res);
+    }
+  });
+  listeners.forEach((fn) => {
+    try {
+      fn(event);
+    } catch (error) {
+      console.error('Event listener failed:', error);
+    }
+  });
+  return event;
+}
+
+/**
+ * Subscribe in-process
+ * @param {Function} fn - (event) => void
+ * @returns {Function} unsubscribe
+ */
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Connected clients and recent history size (for /events/status)
+ * @returns {Object}
+ */
+function getStatus() {
+  return {
+    clients: clients.size,
+    topics: EVENT_TOPICS,
+    last_event_id: nextId - 1,
+    buffered: history.length
+  };
+}
+
+module.exports = {
+  EVENT_TOPICS,
+  publish,
+  subscribe,
+  addClient,
+  removeClient,
+  topicMatches,
+  getStatus
+};
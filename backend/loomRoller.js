@@ -0,0 +1,309 @@
+/**
+ * Loom Roller Module
+ *
+ * Nightly job that keeps the loom window full without anyone having to
+ * finalize a template. Each run:
+ *   1. Weaves the newly exposed dates at the end of the window (syncRethread)
+ *   2. Generates billing for those dates (generateBilling)
+ *   3. Archives finished past days into the history ribbon
+ *   4. Logs a summary to system_logs
+ *
+ * Scheduling lives in server.js (node-cron); this module only holds the
+ * run logic and status so the /loom/roller endpoints can report on it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { syncRethread, loadWindowDays } = require('./routes/util_syncRethread');
+const { generateBilling } = require('./routes/util_generateBilling');
+const { CANCELLED_STATUSES, NO_SHOW_STATUSES } = require('./routes/util_attendanceBilling');
+const { formatDateInTZ, addDaysYmdTZ, getTomorrow } = require('./routes/util_helpers');
+
+// Settings key remembering the last date the roller has woven up to
+const WINDOW_END_KEY = 'loom_roller_window_end';
+// Upper bound of instances archived in a single run
+const ARCHIVE_BATCH = 500;
+
+// Module state
+let pool = null;
+let task = null;
+const status = {
+  schedule: null,
+  timezone: null,
+  running: false,
+  lastRun: null
+};
+
+/**
+ * Initialize the roller with a database pool
+ * @param {Object} options - Configuration options
+ * @param {Object} options.pool - PostgreSQL connection pool
+ */
+function init({ pool: pgPool }) {
+  pool = pgPool;
+}
+
+/**
+ * Remember the cron task so status can report the next run
+ * @param {Object} cronTask - node-cron ScheduledTask
+ * @param {Object} info - { schedule, timezone }
+ */
+function attachTask(cronTask, { schedule, timezone }) {
+  task = cronTask;
+  status.schedule = schedule;
+  status.timezone = timezone;
+}
+
+async function readWindowEnd() {
+  const { rows } = await pool.query(
+    'SELECT value FROM settings WHERE key = $1',
+    [WINDOW_END_KEY]
+  );
+  const value = rows[0]?.value;
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null;
+}
+
+/**
+ * How an archived day went, from the rows loaded for it
+ *   cancelled – the instance was cancelled, or nobody on it turned up
+ *   partial   – some participants missed it, or nobody was rostered
+ *   completed – otherwise
+ * @returns {string} history_ribbon_shifts.completion_status
+ */
+function completionStatus(inst, participants, staff) {
+  if (inst.cancelled_at) return 'cancelled';
+  const missed = participants.filter((p) =>
+    CANCELLED_STATUSES.includes(p.attendance_status) || NO_SHOW_STATUSES.includes(p.attendance_status)
+  ).length;
+  if (participants.length > 0 && missed === participants.length) return 'cancelled';
+  if (missed > 0 || staff.length === 0) return 'partial';
+  return 'completed';
+}
+
+async function writeWindowEnd(ymd) {
+  await pool.query(
+    `INSERT INTO settings (key, value, description)
+     VALUES ($1, $2, 'Last date woven by the nightly loom roller')
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+    [WINDOW_END_KEY, ymd]
+  );
+}
+
+/**
+ * Snapshot finished past instances into history_ribbon_* tables.
+ * Loom instances stay in place – attendance, billing and timesheets
+ * still reference them – but each day is only archived once.
+ * @param {string} today - 'YYYY-MM-DD' in Australia/Sydney
+ * @returns {Promise<Object>} { instancesArchived }
+ */
+async function archivePastDays(today) {
+  const summary = { instancesArchived: 0 };
+
+  const { rows: instances } = await pool.query(`
+    SELECT li.id, li.instance_date, li.start_time, li.end_time, li.cancelled_at,
+           rp.name AS program_name, rp.description AS program_description,
+           v.name AS venue_name, v.address AS venue_address
+      FROM loom_instances li
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+      LEFT JOIN venues v ON v.id = li.venue_id
+     WHERE li.instance_date < $1
+       AND NOT EXISTS (
+         SELECT 1 FROM history_ribbon_shifts h WHERE h.original_loom_id = li.id
+       )
+     ORDER BY li.instance_date
+     LIMIT $2
+  `, [today, ARCHIVE_BATCH]);
+
+  for (const inst of instances) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: participants } = await client.query(`
+        SELECT rpp.participant_id,
+               p.first_name || ' ' || p.last_name AS participant_name,
+               COALESCE(a.status, 'expected') AS attendance_status,
+               a.notes
+          FROM loom_instances li
+          JOIN rules_program_participants rpp ON rpp.rule_id = li.source_rule_id
+          JOIN participants p ON p.id = rpp.participant_id
+          LEFT JOIN loom_participant_attendance a
+                 ON a.loom_instance_id = li.id AND a.participant_id = rpp.participant_id
+         WHERE li.id = $1
+      `, [inst.id]);
+
+      const { rows: staff } = await client.query(`
+        SELECT lsa.staff_id, lsa.role, lsa.notes,
+               s.first_name || ' ' || s.last_name AS staff_name
+          FROM loom_staff_assignments lsa
+          JOIN staff s ON s.id = lsa.staff_id
+         WHERE lsa.loom_instance_id = $1
+      `, [inst.id]);
+
+      const { rows: vehicleRows } = await client.query(
+        'SELECT COUNT(*)::int AS n FROM loom_vehicle_assignments WHERE loom_instance_id = $1',
+        [inst.id]
+      );
+
+      const historyId = uuidv4();
+      await client.query(`
+        INSERT INTO history_ribbon_shifts (
+          id, original_loom_id, program_name, program_description,
+          instance_date, start_time, end_time, venue_name, venue_address,
+          participant_count, staff_count, vehicle_count, completion_status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [
+        historyId,
+        inst.id,
+        inst.program_name,
+        inst.program_description || null,
+        inst.instance_date,
+        inst.start_time,
+        inst.end_time,
+        inst.venue_name || 'Unassigned',
+        inst.venue_address || null,
+        participants.length,
+        staff.length,
+        vehicleRows[0].n,
+        completionStatus(inst, participants, staff)
+      ]);
+
+      for (const p of participants) {
+        await client.query(`
+          INSERT INTO history_ribbon_participants (
+            id, history_shift_id, participant_id, participant_name,
+            attendance_status, notes
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+        `, [uuidv4(), historyId, p.participant_id, p.participant_name, p.attendance_status, p.notes || null]);
+      }
+
+      // Rostered hours – timesheets may refine these later
+      const hours = await client.query(
+        `SELECT ROUND((EXTRACT(EPOCH FROM ($1::time - $2::time)) / 3600)::numeric, 2) AS h`,
+        [inst.end_time, inst.start_time]
+      );
+      for (const s of staff) {
+        await client.query(`
+          INSERT INTO history_ribbon_staff (
+            id, history_shift_id, staff_id, staff_name, role, hours_worked, notes
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [uuidv4(), historyId, s.staff_id, s.staff_name, s.role, hours.rows[0].h || 0, s.notes || null]);
+      }
+
+      await client.query('COMMIT');
+      summary.instancesArchived++;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`[ROLLER] Failed archiving instance ${inst.id}:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Roll the loom window forward once
+ * @param {Object} [options]
+ * @param {string} [options.trigger='schedule'] - 'schedule' | 'manual'
+ * @param {boolean} [options.full=false] - re-weave the whole window, not just new dates
+ * @returns {Promise<Object>} run record (also kept as status.lastRun)
+ */
+async function runRoller(options = {}) {
+  if (!pool) {
+    throw new Error('Loom roller not initialized with database pool');
+  }
+  if (status.running) {
+    throw new Error('Loom roller is already running');
+  }
+
+  const { trigger = 'schedule', full = false } = options;
+  const run = {
+    id: uuidv4(),
+    trigger,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    range: null,
+    rethread: null,
+    billing: null,
+    archive: null,
+    error: null
+  };
+  status.running = true;
+
+  try {
+    const today = formatDateInTZ(new Date());
+    const tomorrow = getTomorrow();
+    const windowDays = await loadWindowDays(pool);
+    const windowEnd = addDaysYmdTZ(tomorrow, windowDays - 1);
+
+    // Only the dates that have appeared since the last run (unless forced)
+    const lastEnd = full ? null : await readWindowEnd();
+    const dateFrom = lastEnd && lastEnd >= tomorrow ? addDaysYmdTZ(lastEnd, 1) : tomorrow;
+
+    if (dateFrom <= windowEnd) {
+      run.range = { dateFrom, dateTo: windowEnd, windowDays };
+      run.rethread = await syncRethread({ dateFrom, dateTo: windowEnd }, pool);
+      run.billing = await generateBilling({ dateFrom, dateTo: windowEnd }, pool);
+      await writeWindowEnd(windowEnd);
+    } else {
+      run.range = { dateFrom: null, dateTo: windowEnd, windowDays };
+    }
+
+    try {
+      run.archive = await archivePastDays(today);
+    } catch (archiveErr) {
+      console.error('[ROLLER] Archive step failed:', archiveErr.message);
+      run.archive = { instancesArchived: 0, error: archiveErr.message };
+    }
+  } catch (err) {
+    console.error('[ROLLER] Loom roll failed:', err);
+    run.error = err.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    status.running = false;
+    status.lastRun = run;
+  }
+
+  await logger.logEvent({
+    severity: run.error ? 'ERROR' : 'INFO',
+    category: 'OPERATIONAL',
+    message: run.error
+      ? `Loom roller failed: ${run.error}`
+      : `Loom window rolled (${run.trigger})`,
+    details: run,
+    entity: 'loom_roller',
+    actor: run.trigger === 'manual' ? 'user' : 'system'
+  });
+
+  return run;
+}
+
+/**
+ * Current roller status for the API
+ * @returns {Object}
+ */
+function getStatus() {
+  let nextRun = null;
+  try {
+    nextRun = task && task.getNextRun ? task.getNextRun() : null;
+  } catch (_) {
+    nextRun = null;
+  }
+  return {
+    enabled: !!task,
+    schedule: status.schedule,
+    timezone: status.timezone,
+    running: status.running,
+    nextRun: nextRun ? nextRun.toISOString() : null,
+    lastRun: status.lastRun
+  };
+}
+
+module.exports = {
+  init,
+  attachTask,
+  runRoller,
+  getStatus
+};
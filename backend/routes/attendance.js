@@ -0,0 +1,72 @@
+/**
+ * Attendance Routes
+ *
+ * Check-in / check-out from dashboard time-slot cards (see util_attendance):
+ * - GET /attendance/cards/:cardId - Participants on a card with their check-in / check-out
+ * - POST /attendance/cards/:cardId - Record an action (picked_up / arrived / dropped_off / check_in / check_out / absent)
+ * - GET /attendance/incidents - Participant incidents (date / status / participant_id / instance_id)
+ *
+ * Recording updates the participant's day attendance, regenerates billing for
+ * the instance and opens an incident for an absence with no cancellation.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getCardAttendance, recordCardAttendance, listIncidents } = require('./util_attendance');
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+};
+
+// GET /attendance/cards/:cardId - Participants on a card
+router.get('/cards/:cardId', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const data = await getCardAttendance(req.params.cardId, pool);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch card attendance');
+  }
+});
+
+// POST /attendance/cards/:cardId - Record check-in / check-out / absence
+router.post('/cards/:cardId', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { participant_id, action, time, recorded_by, notes } = req.body || {};
+    const result = await recordCardAttendance({
+      cardId: req.params.cardId,
+      participantId: participant_id,
+      action,
+      time,
+      recordedBy: recorded_by,
+      notes
+    }, pool);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Failed to record attendance');
+  }
+});
+
+// GET /attendance/incidents - List participant incidents
+router.get('/incidents', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { date, status, participant_id, instance_id } = req.query;
+    const rows = await listIncidents({
+      date,
+      status,
+      participantId: participant_id,
+      instanceId: instance_id
+    }, pool);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch incidents');
+  }
+});
+
+module.exports = router;
@@ -98,28 +98,30 @@ router.post('/exception', async (req, res) => {
         }
       }
       
-      // Call syncRethread for just this date
-      const summary = await syncRethread({
-        dateFrom: exception_date,
-        dateTo: exception_date,
-        futureOnly: false
-      }, pool);
-      
       await client.query('COMMIT');
-      
-      res.json({
-        success: true,
-        data: {
-          id: exceptionId,
-          summary
-        }
-      });
     } catch (err) {
       await client.query('ROLLBACK');
       throw err;
     } finally {
       client.release();
     }
+    
+    // Rethread just this date once the exception is committed –
+    // syncRethread uses its own connections so it must see the new row
+    const summary = await syncRethread({
+      ruleId: program_id,
+      dateFrom: exception_date,
+      dateTo: exception_date,
+      futureOnly: false
+    }, pool);
+    
+    res.json({
+      success: true,
+      data: {
+        id: exceptionId,
+        summary
+      }
+    });
   } catch (err) {
     console.error('Error creating calendar exception:', err);
     res.status(500).json({
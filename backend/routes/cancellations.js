@@ -0,0 +1,192 @@
+/**
+ * Participant Cancellation API Routes
+ *
+ * NDIS short-notice cancellation rules (see util_cancellations):
+ * - GET /cancellations - List cancellations
+ * - POST /cancellations - Record a cancellation (dry_run to preview the decision)
+ * - GET /cancellations/:id - One cancellation with its CANC billing lines
+ * - POST /cancellations/:id/withdraw - Withdraw a cancellation
+ */
+
+const express = require('express');
+const router = express.Router();
+const uuid = require('uuid');
+const {
+  assessCancellation,
+  describeDecision,
+  recordCancellation,
+  withdrawCancellation,
+  listCancellations
+} = require('./util_cancellations');
+
+const logFinancial = async (pool, message, details) => {
+  try {
+    await pool.query(
+      `INSERT INTO system_logs (id, severity, category, message, details)
+       VALUES ($1, 'INFO', 'FINANCIAL', $2, $3)`,
+      [uuid.v4(), message, details]
+    );
+  } catch (logError) {
+    console.error('Failed to log to system_logs:', logError);
+  }
+};
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.cancellationId && { cancellation_id: error.cancellationId })
+    });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message
+  });
+};
+
+// GET /cancellations - List cancellations
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { loom_instance_id, participant_id, start_date, end_date, status } = req.query;
+
+    const rows = await listCancellations({
+      instanceId: loom_instance_id,
+      participantId: participant_id,
+      dateFrom: start_date,
+      dateTo: end_date,
+      status
+    }, pool);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch cancellations');
+  }
+});
+
+// POST /cancellations - Record a cancellation (dry_run to preview the decision)
+router.post('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const {
+      loom_instance_id,
+      participant_id,
+      notified_at,
+      reason_code,
+      reason,
+      cancelled_by,
+      cancelled_by_type,
+      dry_run
+    } = req.body || {};
+
+    const options = {
+      instanceId: loom_instance_id,
+      participantId: participant_id,
+      notifiedAt: notified_at,
+      reasonCode: reason_code || undefined,
+      reason: reason || null,
+      cancelledBy: cancelled_by,
+      cancelledByType: cancelled_by_type || undefined
+    };
+
+    if (dry_run) {
+      const a = await assessCancellation(options, pool);
+      return res.json({
+        success: true,
+        data: {
+          loom_instance_id: a.instance.id,
+          participant_id: a.participant.id,
+          service_date: a.instance.instance_ymd,
+          notified_at: a.notifiedAt,
+          notice_clear_days: a.noticeClearDays,
+          notice_hours: a.noticeHours,
+          short_notice: a.shortNotice,
+          billable: a.billable,
+          charge_percent: a.chargePercent,
+          policy: a.policy
+        },
+        message: describeDecision(a)
+      });
+    }
+
+    const { cancellation, billing } = await recordCancellation(options, pool);
+    await logFinancial(pool, `Participant cancellation recorded (${cancellation.billable ? 'billable' : 'not billable'})`, {
+      cancellation_id: cancellation.id,
+      loom_instance_id: cancellation.loom_instance_id,
+      participant_id: cancellation.participant_id,
+      notice_clear_days: cancellation.notice_clear_days,
+      charge_percent: cancellation.charge_percent,
+      cancellation_lines: billing.cancellationLines
+    });
+
+    const [full] = await listCancellations({ id: cancellation.id }, pool);
+    res.status(201).json({
+      success: true,
+      data: { ...full, billing },
+      message: `Cancellation recorded – ${cancellation.billable ? 'billable short-notice cancellation' : 'not billable'}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record cancellation');
+  }
+});
+
+// GET /cancellations/:id - One cancellation with its CANC billing lines
+router.get('/:id', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const [cancellation] = await listCancellations({ id: req.params.id }, pool);
+
+    if (!cancellation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cancellation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cancellation
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch cancellation');
+  }
+});
+
+// POST /cancellations/:id/withdraw - Withdraw a cancellation
+router.post('/:id/withdraw', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { reason, withdrawn_by } = req.body || {};
+
+    const { cancellation, billing } = await withdrawCancellation(
+      req.params.id,
+      { reason, withdrawnBy: withdrawn_by },
+      pool
+    );
+    await logFinancial(pool, 'Participant cancellation withdrawn', {
+      cancellation_id: cancellation.id,
+      loom_instance_id: cancellation.loom_instance_id,
+      participant_id: cancellation.participant_id,
+      reason: reason || null,
+      lines_removed: billing.linesRemoved,
+      lines_reversed: billing.linesReversed
+    });
+
+    const [full] = await listCancellations({ id: cancellation.id }, pool);
+    res.json({
+      success: true,
+      data: { ...full, billing }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to withdraw cancellation');
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,9 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { generateBilling } = require('./util_generateBilling');
+const { getBudgetAlerts } = require('./util_planBudget');
+const eventBus = require('../eventBus');
 
 // Database connection
 const pool = new Pool({
@@ -128,6 +131,7 @@ router.get('/cards', async (req, res, next) => {
        JOIN loom_instances li
          ON e.loom_instance_id = li.id
        WHERE li.instance_date = $1
+         AND li.cancelled_at IS NULL
        ORDER BY e.display_time_start ASC, e.card_order ASC`,
       [date]
     );
@@ -375,6 +379,20 @@ router.patch('/time-slots/:id', async (req, res, next) => {
       
       await client.query('COMMIT');
       
+      // Attendance drives billing – regenerate/reverse this instance's lines
+      if (participantAttendance && participantAttendance.length > 0) {
+        try {
+          await generateBilling({ instanceId: loomInstanceId }, pool);
+        } catch (billingErr) {
+          console.error('Billing reconcile after attendance update failed:', billingErr.message);
+        }
+        eventBus.publish('attendance.recorded', {
+          loom_instance_id: loomInstanceId,
+          time_slot_id: id,
+          participants: participantAttendance.length
+        });
+      }
+      
       res.json({
         success: true,
         message: 'Time slot updated successfully',
@@ -564,4 +582,24 @@ router.get('/alerts', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/dashboard/budget-alerts
+ * @desc    Participants whose NDIS plan is overspent or forecast to run out
+ *          before ndis_plan_end
+ * @access  Public
+ */
+router.get('/budget-alerts', async (req, res, next) => {
+  try {
+    const alerts = await getBudgetAlerts({ asOf: req.query.date }, pool);
+
+    res.json({
+      success: true,
+      data: alerts,
+      count: alerts.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
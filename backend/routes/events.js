@@ -0,0 +1,26 @@
+/**
+ * Event Stream Routes
+ *
+ * Domain events for live screens (see eventBus):
+ * - GET /events/stream - SSE stream (?topics=instance,staff.swapped filters; Last-Event-ID replays)
+ * - GET /events/status - Connected clients, known topics, last event id
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventBus = require('../eventBus');
+
+// GET /events/stream - SSE stream of domain events
+router.get('/stream', (req, res) => {
+  eventBus.addClient(res, {
+    topics: req.query.topics,
+    lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+  });
+});
+
+// GET /events/status - Stream status
+router.get('/status', (req, res) => {
+  res.json({ success: true, data: eventBus.getStatus() });
+});
+
+module.exports = router;
@@ -7,10 +7,26 @@
  * - GET /finance/rates - Get billing rates with filters
  * - POST /finance/rates - Create new billing rate
  * - PATCH /finance/rates/:id - Update billing rate
- * - POST /finance/rates/import - Import rates from CSV
+ * - GET /finance/rates/:id/versions - Price-guide versions of a rate's code
+ * - POST /finance/rates/:id/versions - Add a version effective from a date
+ * - POST /finance/rates/import - Import rates from CSV (overwrite or new version)
+ * - POST /finance/rates/catalogue - Import the NDIS Support Catalogue (dry-run diff, then commit)
  * - POST /finance/export - Export billing data
+ * - POST /finance/export/proda - Build a PRODA bulk payment request CSV
+ * - GET /finance/export/proda/batches - List PRODA export batches
+ * - GET /finance/export/proda/batches/:id/csv - Download a batch's CSV again
+ * - GET /finance/payroll/cost - SCHADS wage cost per staff member for a pay period
+ * - GET /finance/export/payroll/layouts - Payroll file layouts (Xero, MYOB, KeyPay)
+ * - POST /finance/export/payroll - Build a payroll import file (dryRun previews)
+ * - GET /finance/export/payroll/batches - List payroll export batches
+ * - GET /finance/export/payroll/batches/:id/csv - Download a payroll file again
  * - POST /finance/billing - Create billing entry
  * - POST /finance/billing/bulk - Create multiple billing entries
+ * - PUT /finance/billing/:id - Edit a draft/ready billing entry
+ * - DELETE /finance/billing/:id - Delete a draft/ready billing entry
+ * - POST /finance/billing/transition - Move billing lines through the lifecycle
+ * - POST /finance/billing/:id/correct - Reverse and replace a locked line
+ * - GET /finance/billing/:id/audit - Lifecycle audit trail for a line
  */
 
 const express = require('express');
@@ -20,6 +36,31 @@ const fs = require('fs');
 const path = require('path');
 // Utility to generate billing lines from rule staging
 const { generateBilling } = require('../routes/util_generateBilling');
+// NDIA bulk payment request file builder
+const { exportProdaBatch } = require('./util_proda');
+// Billing line lifecycle (draft → ready → exported/claimed → paid/rejected)
+const {
+  BILLING_STATUSES,
+  EDITABLE_STATUSES,
+  recordCreated,
+  recordAudit,
+  transitionLines,
+  correctLine,
+  getAuditTrail
+} = require('./util_billingLifecycle');
+// Effective-dated billing rate versions (price guide changes)
+const {
+  RATE_FIELDS,
+  inForceSql,
+  listRateVersions,
+  createRateVersion
+} = require('./util_rateVersions');
+// NDIS Support Catalogue importer (price caps per state, claim flags)
+const { importCatalogue } = require('./util_ndisCatalogue');
+// SCHADS award pay engine (shift penalties, overtime, broken shifts)
+const { calculatePay } = require('./util_schadsPay');
+// Payroll import files (pluggable column layouts per payroll system)
+const { PAYROLL_LAYOUTS, exportPayroll } = require('./util_payrollExport');
 
 // Helper functions for numeric handling and rounding
 const toNumber = (v) => { const n = parseFloat(v); return Number.isFinite(n) ? n : 0; };
@@ -223,6 +264,13 @@ router.get('/billing', async (req, res) => {
         pd.unit_price,
         pd.total_amount,
         pd.status,
+        pd.program_id,
+        pd.reverses_id,
+        pd.replaces_id,
+        pd.corrected_by_id,
+        pd.claim_type,
+        pd.ratio_label,
+        pd.pricing_basis,
         p.first_name || ' ' || p.last_name AS participant_name,
         p.plan_management_type AS management,
         rp.name AS program_name
@@ -399,11 +447,12 @@ router.post('/billing', async (req, res) => {
         quantityNum,
         totalAmount,
         'FRE', // GST-free
-        'pending',
+        'draft',
         date,
         null // No history shift for manual entries
       ]
     );
+    await recordCreated(pool, [billingId], 'draft', { source: 'manual' });
     
     // Log the creation
     await pool.query(
@@ -579,7 +628,7 @@ router.post('/billing/bulk', async (req, res) => {
             quantityNum,
             totalAmount,
             'FRE', // GST-free
-            'pending',
+            'draft',
             date,
             null // No history shift for manual entries
           ]
@@ -590,6 +639,8 @@ router.post('/billing/bulk', async (req, res) => {
       }
     }
     
+    await recordCreated(pool, insertedIds, 'draft', { source: 'bulk' });
+    
     // Log the bulk creation
     await pool.query(
       `INSERT INTO system_logs (
@@ -632,6 +683,264 @@ router.post('/billing/bulk', async (req, res) => {
   }
 });
 
+// Lifecycle errors carry an HTTP status; the lock trigger raises check_violation
+const sendLifecycleError = (res, error, fallback) => {
+  if (error.status || error.code === '23514') {
+    return res.status(error.status || 409).json({
+      success: false,
+      error: error.message,
+      ...(error.lines && { lines: error.lines })
+    });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message
+  });
+};
+
+// ---------------------------------------------------------------------------
+// PUT /finance/billing/:id - Edit a draft/ready billing entry
+// ---------------------------------------------------------------------------
+router.put('/billing/:id', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const client = await pool.connect();
+  try {
+    const { participant_id, program_id, date, hours, quantity = 1, rate_code, unit_price } = req.body || {};
+
+    if (!participant_id || !date || !rate_code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'participant_id, date, and rate_code are required'
+      });
+    }
+
+    await client.query('BEGIN');
+    const existing = await client.query(
+      'SELECT id, status FROM payment_diamonds WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+    if (existing.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Billing entry not found' });
+    }
+    const { status } = existing.rows[0];
+    if (!EDITABLE_STATUSES.includes(status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Billing entry is ${status} and locked; submit a correction instead`
+      });
+    }
+
+    const hoursNum = toNumber(hours);
+    const quantityNum = toNumber(quantity);
+    const unitPriceNum = toNumber(unit_price);
+    const result = await client.query(`
+      UPDATE payment_diamonds
+         SET participant_id = $2,
+             program_id = $3,
+             invoice_date = $4,
+             hours = $5,
+             quantity = $6,
+             support_item_number = $7,
+             unit_price = $8,
+             total_amount = $9
+       WHERE id = $1
+       RETURNING *
+    `, [
+      req.params.id,
+      participant_id,
+      program_id || null,
+      date,
+      hoursNum,
+      quantityNum,
+      rate_code,
+      unitPriceNum,
+      round2(unitPriceNum * hoursNum * quantityNum)
+    ]);
+    await recordAudit(client, [{ id: req.params.id, action: 'edited', from: status, to: status }], { source: 'manual' });
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendLifecycleError(res, error, 'Failed to update billing entry');
+  } finally {
+    client.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /finance/billing/:id - Delete a draft/ready billing entry
+// ---------------------------------------------------------------------------
+router.delete('/billing/:id', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(
+      'SELECT id, status, support_item_number, total_amount FROM payment_diamonds WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+    if (existing.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Billing entry not found' });
+    }
+    const line = existing.rows[0];
+    if (!EDITABLE_STATUSES.includes(line.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Billing entry is ${line.status} and cannot be deleted; submit a correction instead`
+      });
+    }
+
+    // Status guard as well as the check above – a locked line is never deleted
+    await client.query(
+      'DELETE FROM payment_diamonds WHERE id = $1 AND status = ANY($2::text[])',
+      [req.params.id, EDITABLE_STATUSES]
+    );
+    await recordAudit(client, [{ id: line.id, action: 'deleted', from: line.status }], { source: 'manual' });
+    await client.query('COMMIT');
+
+    res.json({ success: true, data: { id: line.id } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendLifecycleError(res, error, 'Failed to delete billing entry');
+  } finally {
+    client.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /finance/billing/transition - Move billing lines through the lifecycle
+// ---------------------------------------------------------------------------
+router.post('/billing/transition', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { ids, status, reason } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid ids array'
+      });
+    }
+    if (!BILLING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of ${BILLING_STATUSES.join(', ')}`
+      });
+    }
+
+    const updated = await transitionLines(pool, ids, status, { reason, source: 'manual' });
+
+    try {
+      await pool.query(
+        `INSERT INTO system_logs (id, severity, category, message, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          uuid.v4(),
+          'INFO',
+          'FINANCIAL',
+          `${updated.length} billing line(s) marked ${status}`,
+          { ids: updated.map(l => l.id), status, reason: reason || null }
+        ]
+      );
+    } catch (logError) {
+      console.error('Failed to log to system_logs:', logError);
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+      count: updated.length
+    });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to update billing status');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /finance/billing/:id/correct - Reverse and replace a locked line
+// ---------------------------------------------------------------------------
+router.post('/billing/:id/correct', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { reason, date, rate_code, hours, quantity, unit_price, gst_code } = req.body || {};
+
+    const result = await correctLine(
+      pool,
+      req.params.id,
+      {
+        invoice_date: date,
+        support_item_number: rate_code,
+        hours,
+        quantity,
+        unit_price,
+        gst_code
+      },
+      { reason, source: 'manual' }
+    );
+
+    try {
+      await pool.query(
+        `INSERT INTO system_logs (id, severity, category, message, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          uuid.v4(),
+          'INFO',
+          'FINANCIAL',
+          `Billing line corrected: ${result.original.support_item_number}`,
+          {
+            billing_id: result.original.id,
+            reversal_id: result.reversal ? result.reversal.id : null,
+            replacement_id: result.replacement.id,
+            reason
+          }
+        ]
+      );
+    } catch (logError) {
+      console.error('Failed to log to system_logs:', logError);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to correct billing entry');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /finance/billing/:id/audit - Lifecycle audit trail for a line
+// ---------------------------------------------------------------------------
+router.get('/billing/:id/audit', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const trail = await getAuditTrail(pool, req.params.id);
+    res.json({
+      success: true,
+      data: trail
+    });
+  } catch (error) {
+    console.error('Error fetching billing audit trail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch billing audit trail',
+      message: error.message
+    });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // GET /finance/billing-codes - Thin list of active billing codes (Wizard v2)
 // ---------------------------------------------------------------------------
@@ -646,8 +955,9 @@ router.get('/billing-codes', async (req, res) => {
              ratio_1_1, ratio_1_2, ratio_1_3, ratio_1_4, ratio_1_5,
              single_rate,
              active, updated_at
-        FROM billing_rates
+        FROM billing_rates br
        WHERE active = true
+         AND ${inForceSql('br', 'CURRENT_DATE')}
     ORDER BY code ASC`);
 
     // Flatten to variant list for wizard (one entry per ratio column that has a >0 value)
@@ -697,7 +1007,9 @@ router.get('/rates', async (req, res) => {
     const {
       code,
       active_only = 'false',
-      updated_since
+      updated_since,
+      as_of,
+      all_versions = 'false'
     } = req.query;
 
     const clauses = [];
@@ -715,15 +1027,28 @@ router.get('/rates', async (req, res) => {
       clauses.push(`updated_at >= $${idx++}`);
       params.push(updated_since);
     }
+    // One version per code – the one in force on as_of (default today)
+    if (all_versions !== 'true') {
+      if (as_of) {
+        clauses.push(inForceSql('billing_rates', `$${idx++}::date`));
+        params.push(as_of);
+      } else {
+        clauses.push(inForceSql('billing_rates', 'CURRENT_DATE'));
+      }
+    }
 
     let sql = `
       SELECT id, code, description, active, base_rate,
              ratio_1_1, ratio_1_2, ratio_1_3, ratio_1_4, ratio_1_5, single_rate,
+             to_char(effective_from, 'YYYY-MM-DD') AS effective_from,
+             to_char(effective_to, 'YYYY-MM-DD') AS effective_to,
+             unit, price_caps, quote_required, short_notice_cancellation, ttp_eligible,
+             public_holiday_code,
              ${hasCol('updated_at') ? 'updated_at' : 'created_at AS updated_at'}
       FROM billing_rates`;
 
     if (clauses.length) sql += ' WHERE ' + clauses.join(' AND ');
-    sql += ' ORDER BY code ASC';
+    sql += ' ORDER BY code ASC, effective_from DESC NULLS LAST';
 
     const { rows } = await pool.query(sql, params);
 
@@ -744,7 +1069,15 @@ router.get('/rates', async (req, res) => {
         updated_at: r.updated_at,
         base_rate: parseFloat(r.base_rate),
         ratios,
-        single_rate: r.single_rate
+        single_rate: r.single_rate,
+        effective_from: r.effective_from,
+        effective_to: r.effective_to,
+        unit: r.unit,
+        price_caps: r.price_caps,
+        quote_required: r.quote_required,
+        short_notice_cancellation: r.short_notice_cancellation,
+        ttp_eligible: r.ttp_eligible,
+        public_holiday_code: r.public_holiday_code
       };
     });
 
@@ -775,6 +1108,10 @@ router.get('/rates/:id', async (req, res) => {
     const sql = `
       SELECT id, code, description, active, base_rate,
              ratio_1_1, ratio_1_2, ratio_1_3, ratio_1_4, ratio_1_5, single_rate,
+             to_char(effective_from, 'YYYY-MM-DD') AS effective_from,
+             to_char(effective_to, 'YYYY-MM-DD') AS effective_to,
+             unit, price_caps, quote_required, short_notice_cancellation, ttp_eligible,
+             public_holiday_code,
              ${hasCol('updated_at') ? 'updated_at' : 'created_at AS updated_at'}
         FROM billing_rates
        WHERE id = $1
@@ -808,7 +1145,15 @@ router.get('/rates/:id', async (req, res) => {
       updated_at: r.updated_at,
       base_rate: parseFloat(r.base_rate),
       ratios,
-      single_rate: r.single_rate
+      single_rate: r.single_rate,
+      effective_from: r.effective_from,
+      effective_to: r.effective_to,
+      unit: r.unit,
+      price_caps: r.price_caps,
+      quote_required: r.quote_required,
+      short_notice_cancellation: r.short_notice_cancellation,
+      ttp_eligible: r.ttp_eligible,
+      public_holiday_code: r.public_holiday_code
     };
 
     return res.json({ success: true, data: payload });
@@ -910,7 +1255,7 @@ router.patch('/rates/:id', async (req, res) => {
 
     const allowed = ['description', 'active', 'base_rate',
                      'ratio_1_1', 'ratio_1_2', 'ratio_1_3', 'ratio_1_4',
-                     'ratio_1_5', 'single_rate'];
+                     'ratio_1_5', 'single_rate', 'public_holiday_code'];
     const updates = [];
     const values = [];
     let idx = 1;
@@ -943,6 +1288,71 @@ router.patch('/rates/:id', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /finance/rates/:id/versions - Price-guide versions of a rate's code
+// ---------------------------------------------------------------------------
+router.get('/rates/:id/versions', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    await auditBillingRatesSchema(pool);
+
+    const { rows } = await pool.query('SELECT code FROM billing_rates WHERE id = $1', [req.params.id]);
+    if (!rows.length) {
+      return res.status(404).json({ success: false, error: 'Rate not found' });
+    }
+
+    const versions = await listRateVersions(pool, rows[0].code);
+    res.json({ success: true, data: versions, count: versions.length });
+  } catch (err) {
+    console.error('[FINANCE] Error fetching rate versions:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch rate versions', message: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /finance/rates/:id/versions - Add a version effective from a date
+// (closes the version in force the day before; unspecified fields carry over)
+// ---------------------------------------------------------------------------
+router.post('/rates/:id/versions', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const client = await pool.connect();
+  try {
+    await auditBillingRatesSchema(pool);
+    const { effective_from } = req.body || {};
+
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT code FROM billing_rates WHERE id = $1', [req.params.id]);
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Rate not found' });
+    }
+
+    const payload = {};
+    RATE_FIELDS.forEach((f) => {
+      if (req.body[f] !== undefined) payload[f] = req.body[f];
+    });
+    const { version, closed } = await createRateVersion(client, rows[0].code, payload, effective_from);
+    await client.query('COMMIT');
+
+    await pool.query(`INSERT INTO system_logs (id,severity,category,message,details)
+                     VALUES ($1,'INFO','FINANCIAL',$2,$3)`, [
+      uuid.v4(),
+      `Billing rate version added: ${version.code} from ${effective_from}`,
+      { id: version.id, closed_id: closed ? closed.id : null }
+    ]);
+    res.status(201).json({ success: true, data: version, closed });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('[FINANCE] Error adding rate version:', err);
+    res.status(500).json({ success: false, error: 'Failed to add rate version', message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
 // ---------------------------------------------------------------------------
 // DELETE /finance/rates/:id - Remove billing rate
 // ---------------------------------------------------------------------------
@@ -1053,13 +1463,19 @@ router.delete('/rates/:id', async (req, res) => {
 
 // ---------------------------------------------------------------------------
 // POST /finance/rates/import - CSV import with dry-run
+//   mode=overwrite (default) updates the version in force today in place
+//   mode=version adds a new version from effective_from (query/body or an
+//   effective_from CSV column) and closes the previous one
 // ---------------------------------------------------------------------------
 router.post('/rates/import', async (req, res) => {
+  let client = null;
   try {
     const pool = req.app.locals.pool;
     await auditBillingRatesSchema(pool);
 
     const dryRun = (req.query.dryRun ?? 'true') !== 'false';
+    const mode = (req.query.mode || req.body.mode || 'overwrite') === 'version' ? 'version' : 'overwrite';
+    const defaultFrom = req.query.effective_from || req.body.effective_from || null;
     let csvText = req.body.csvText;
     const filePath = req.body.filePath;
     if (!csvText && filePath) {
@@ -1105,9 +1521,21 @@ router.post('/rates/import', async (req, res) => {
     const idxR15 = mapIdx(['ratio15','r15','ratio_1_5']);
     const idxSingle = mapIdx(['single_rate','singlerate','single','is_single','issingle']);
     const idxActive = mapIdx(['active','isactive']);
+    const idxFrom = mapIdx(['effectivefrom','startdate','from']);
+
+    if (mode === 'version' && !defaultFrom && idxFrom === -1) {
+      return res.status(400).json({
+        success: false,
+        error: 'effective_from (or an effective_from column) is required in version mode'
+      });
+    }
 
     const preview = [];
-    let createCnt=0, updateCnt=0, skipCnt=0;
+    let createCnt=0, updateCnt=0, versionCnt=0, skipCnt=0;
+
+    // Version mode commits the whole price guide or nothing
+    const db = mode === 'version' && !dryRun ? (client = await pool.connect()) : pool;
+    if (client) await client.query('BEGIN');
 
     for (let lineIdx = 1; lineIdx < lines.length; lineIdx++) {
       const cols = parseLine(lines[lineIdx]);
@@ -1117,7 +1545,12 @@ router.post('/rates/import', async (req, res) => {
         skipCnt++; preview.push({ line: lineIdx+1, action:'skip', reason:'missing code/description' });
         continue;
       }
-      const existing = await pool.query('SELECT id FROM billing_rates WHERE code = $1', [code]);
+      // Version in force today (or the latest) is the one overwritten
+      const existing = await db.query(`
+        SELECT id FROM billing_rates br
+         WHERE code = $1
+         ORDER BY (${inForceSql('br', 'CURRENT_DATE')}) DESC, effective_from DESC NULLS LAST
+         LIMIT 1`, [code]);
       const payload = {
         description,
         active: idxActive===-1?true: (cols[idxActive].toLowerCase().startsWith('t')),
@@ -1131,6 +1564,29 @@ router.post('/rates/import', async (req, res) => {
           ? false 
           : /^(t|true|y|yes|1)$/i.test((cols[idxSingle]||'').trim())
       };
+      if (mode === 'version') {
+        const effectiveFrom = (idxFrom !== -1 && cols[idxFrom]?.trim()) || defaultFrom;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom || '')) {
+          skipCnt++; preview.push({ line: lineIdx+1, action:'skip', reason:'missing/invalid effective_from' });
+          continue;
+        }
+        const clash = await db.query(
+          'SELECT 1 FROM billing_rates WHERE code = $1 AND effective_from = $2::date',
+          [code, effectiveFrom]
+        );
+        if (clash.rowCount) {
+          skipCnt++; preview.push({ line: lineIdx+1, action:'skip', reason:`version from ${effectiveFrom} already exists` });
+          continue;
+        }
+        const action = existing.rowCount ? 'version' : 'create';
+        if (dryRun) {
+          preview.push({ line: lineIdx+1, action, effective_from: effectiveFrom, payload });
+          continue;
+        }
+        await createRateVersion(db, code, payload, effectiveFrom);
+        if (action === 'version') versionCnt++; else createCnt++;
+        continue;
+      }
       if (dryRun) {
         preview.push({ line: lineIdx+1, action: existing.rowCount? 'update':'create', payload });
         continue;
@@ -1140,7 +1596,7 @@ router.post('/rates/import', async (req, res) => {
         const setParts=[]; const vals=[]; let k=1;
         Object.entries(payload).forEach(([c,v])=>{ setParts.push(`${c}=$${k++}`); vals.push(v); });
         vals.push(existing.rows[0].id);
-        await pool.query(`UPDATE billing_rates SET ${setParts.join(', ')} WHERE id=$${k}`, vals);
+        await db.query(`UPDATE billing_rates SET ${setParts.join(', ')} WHERE id=$${k}`, vals);
         updateCnt++;
       } else {
         await pool.query(`INSERT INTO billing_rates
@@ -1155,23 +1611,73 @@ router.post('/rates/import', async (req, res) => {
       }
     }
 
+    if (client) await client.query('COMMIT');
+
     if (!dryRun) {
       await pool.query(`INSERT INTO system_logs (id,severity,category,message)
                        VALUES ($1,'INFO','FINANCIAL',$2)`, [
-        uuid.v4(), `Billing rate import committed: +${createCnt}/~${updateCnt}`
+        uuid.v4(),
+        mode === 'version'
+          ? `Billing rate versions imported: +${createCnt} new/${versionCnt} versioned`
+          : `Billing rate import committed: +${createCnt}/~${updateCnt}`
       ]);
     }
 
     res.json({
       success:true,
       dryRun,
+      mode,
       detectedHeaders: headerTokens,
-      summary: { create: createCnt, update: updateCnt, skip: skipCnt },
+      summary: { create: createCnt, update: updateCnt, version: versionCnt, skip: skipCnt },
       rows: preview
     });
   } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
     console.error('Error importing billing rates:', err);
     res.json({ success:true, dryRun:true, error:'importFailed', rows:[] });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /finance/rates/catalogue - NDIS Support Catalogue import
+//   body: { rows (sheet rows, header first) | csvText, state, effective_from }
+//   dryRun=true (default) returns the diff against the current catalogue;
+//   dryRun=false applies it in one transaction
+// ---------------------------------------------------------------------------
+router.post('/rates/catalogue', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    await auditBillingRatesSchema(pool);
+
+    const dryRun = (req.query.dryRun ?? 'true') !== 'false';
+    const { rows, csvText, state, effective_from } = req.body || {};
+    const result = await importCatalogue({
+      rows,
+      csvText,
+      state,
+      effectiveFrom: effective_from,
+      dryRun
+    }, pool);
+
+    if (!dryRun) {
+      const { summary } = result;
+      await pool.query(`INSERT INTO system_logs (id,severity,category,message,details)
+                       VALUES ($1,'INFO','FINANCIAL',$2,$3)`, [
+        uuid.v4(),
+        `NDIS Support Catalogue imported (${result.state}): +${summary.create} new/${summary.version} versioned/~${summary.update} updated`,
+        { state: result.state, summary }
+      ]);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('[FINANCE] Error importing NDIS catalogue:', err);
+    res.status(500).json({ success: false, error: 'Failed to import NDIS catalogue', message: err.message });
   }
 });
 
@@ -1317,6 +1823,286 @@ router.post('/export', async (req, res) => {
   }
 });
 
+// POST /finance/export/proda - Build the NDIA bulk payment request CSV
+router.post('/export/proda', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { start_date, end_date, dryRun = false } = req.body || {};
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'start_date and end_date are required'
+      });
+    }
+    
+    const result = await exportProdaBatch(
+      { dateFrom: start_date, dateTo: end_date, dryRun: dryRun === true },
+      pool
+    );
+    
+    if (!result.dryRun && result.exportedCount > 0) {
+      try {
+        await pool.query(
+          `INSERT INTO system_logs (id, severity, category, message, details)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            uuid.v4(),
+            result.rejected.length > 0 ? 'WARN' : 'INFO',
+            'FINANCIAL',
+            `PRODA bulk payment request exported (${result.exportedCount} lines, ${result.rejected.length} rejected)`,
+            {
+              batch_id: result.batchId,
+              file_name: result.fileName,
+              start_date,
+              end_date,
+              total_amount: result.totalAmount,
+              rejected: result.rejected
+            }
+          ]
+        );
+      } catch (logError) {
+        console.error('Failed to log to system_logs:', logError);
+      }
+    }
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.exportedCount} line(s) ready for PRODA, ${result.rejected.length} rejected`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error exporting PRODA bulk file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export PRODA bulk file',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/export/proda/batches - List PRODA export batches
+router.get('/export/proda/batches', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const result = await pool.query(`
+      SELECT id, date_from, date_to, line_count, total_amount, file_name,
+             jsonb_array_length(rejected) AS rejected_count, created_at
+        FROM proda_export_batches
+       ORDER BY created_at DESC
+       LIMIT 100
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows.map(r => ({ ...r, total_amount: toNumber(r.total_amount) }))
+    });
+  } catch (error) {
+    console.error('Error fetching PRODA batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch PRODA batches',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/export/proda/batches/:id/csv - Download a batch's CSV again
+router.get('/export/proda/batches/:id/csv', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const result = await pool.query(
+      'SELECT file_name, csv FROM proda_export_batches WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    const { file_name, csv } = result.rows[0];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${file_name}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error downloading PRODA batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download PRODA batch',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/export/payroll/layouts - Payroll file layouts available
+router.get('/export/payroll/layouts', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PAYROLL_LAYOUTS).map(([key, layout]) => ({
+      key,
+      label: layout.label,
+      columns: Object.keys(layout.columns)
+    }))
+  });
+});
+
+// POST /finance/export/payroll - Build a payroll import file for a pay period
+router.post('/export/payroll', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const {
+      start_date,
+      end_date,
+      layout = 'xero',
+      approved_only = true,
+      staff_id,
+      dryRun = false
+    } = req.body || {};
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'start_date and end_date are required'
+      });
+    }
+
+    const result = await exportPayroll({
+      dateFrom: start_date,
+      dateTo: end_date,
+      layout,
+      approvedOnly: approved_only !== false,
+      staffId: staff_id,
+      dryRun: dryRun === true
+    }, pool);
+
+    if (!result.dryRun && result.lineCount > 0) {
+      try {
+        await pool.query(
+          `INSERT INTO system_logs (id, severity, category, message, details)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            uuid.v4(),
+            'INFO',
+            'FINANCIAL',
+            `Payroll exported (${result.layout}, ${result.employees.length} employees, $${result.totalAmount.toFixed(2)})`,
+            {
+              batch_id: result.batchId,
+              file_name: result.fileName,
+              layout: result.layout,
+              start_date,
+              end_date,
+              employee_count: result.employees.length,
+              line_count: result.lineCount,
+              total_amount: result.totalAmount,
+              held_back_count: result.heldBack.length
+            }
+          ]
+        );
+      } catch (logError) {
+        console.error('Failed to log to system_logs:', logError);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.dryRun
+        ? `Preview: ${result.lineCount} payroll lines for ${result.employees.length} employees`
+        : `Exported ${result.lineCount} payroll lines for ${result.employees.length} employees`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error exporting payroll:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export payroll',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/export/payroll/batches - List payroll export batches
+router.get('/export/payroll/batches', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const result = await pool.query(`
+      SELECT id, date_from, date_to, layout, employee_count, line_count, total_amount, file_name,
+             jsonb_array_length(held_back) AS held_back_count, created_at
+        FROM payroll_export_batches
+       ORDER BY created_at DESC
+       LIMIT 100
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows.map(r => ({ ...r, total_amount: toNumber(r.total_amount) }))
+    });
+  } catch (error) {
+    console.error('Error fetching payroll batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payroll batches',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/export/payroll/batches/:id/csv - Download a payroll file again
+router.get('/export/payroll/batches/:id/csv', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const result = await pool.query(
+      'SELECT file_name, csv FROM payroll_export_batches WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    const { file_name, csv } = result.rows[0];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${file_name}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error downloading payroll batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download payroll batch',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/payroll/cost - SCHADS wage cost of rostered shifts for a pay period
+router.get('/payroll/cost', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { start, end, staff_id } = req.query;
+    const pay = await calculatePay({ dateFrom: start, dateTo: end, staffId: staff_id }, pool);
+    res.json({ success: true, data: pay.staff, period: pay.period, totals: pay.totals });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('[FINANCE] Error calculating payroll cost:', err);
+    res.status(500).json({ success: false, error: 'Failed to calculate payroll cost', message: err.message });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // POST /finance/generate-from-rules - Bulk generate diamonds from rule staging
 // ---------------------------------------------------------------------------
@@ -1325,12 +2111,12 @@ router.post('/generate-from-rules', async (req, res) => {
   try {
     await ensurePaymentDiamondsColumns(pool);
 
-    const { ruleId, dateFrom, dateTo } = req.body || {};
+    const { ruleId, instanceId, dateFrom, dateTo } = req.body || {};
     let df = dateFrom;
     let dt = dateTo;
 
     // If dates not supplied compute tomorrow → loom_window_days
-    if (!df || !dt) {
+    if (!instanceId && (!df || !dt)) {
       const { loom_window_days } = await loadSettings(pool);
       const fmt = (d) => d.toISOString().split('T')[0];
       const tomorrow = new Date();
@@ -1342,7 +2128,7 @@ router.post('/generate-from-rules', async (req, res) => {
     }
 
     const summary = await generateBilling(
-      { ruleId, dateFrom: df, dateTo: dt },
+      { ruleId, instanceId, dateFrom: df, dateTo: dt },
       pool
     );
 
@@ -1353,7 +2139,7 @@ router.post('/generate-from-rules', async (req, res) => {
       [
         uuid.v4(),
         'Generated billing from rules',
-        { ruleId: ruleId || null, dateFrom: df, dateTo: dt, ...summary },
+        { ruleId: ruleId || null, instanceId: instanceId || null, dateFrom: df, dateTo: dt, ...summary },
       ]
     );
 
@@ -0,0 +1,156 @@
+/**
+ * Public Holiday API Routes
+ *
+ * Per-state public holiday calendar (see util_publicHolidays):
+ * - GET /holidays - List holidays (year / start_date / end_date / state)
+ * - POST /holidays - Add a holiday by hand
+ * - DELETE /holidays/:id - Remove a holiday
+ * - POST /holidays/import - Import an ICS calendar (dryRun=true previews)
+ *
+ * Adding or removing a holiday inside the loom window re-weaves that date
+ * (rules set to skip holidays) and regenerates its billing (holiday items).
+ */
+
+const express = require('express');
+const router = express.Router();
+const uuid = require('uuid');
+const {
+  listHolidays,
+  createHoliday,
+  deleteHoliday,
+  importIcs,
+  loadHolidayState,
+  NATIONAL
+} = require('./util_publicHolidays');
+const { syncRethread, loadWindowDays } = require('./util_syncRethread');
+const { generateBilling } = require('./util_generateBilling');
+const { formatDateInTZ, addDaysYmdTZ } = require('./util_helpers');
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+};
+
+const logHoliday = async (pool, message, details) => {
+  try {
+    await pool.query(
+      `INSERT INTO system_logs (id, severity, category, message, details)
+       VALUES ($1, 'INFO', 'OPERATIONAL', $2, $3)`,
+      [uuid.v4(), message, details]
+    );
+  } catch (logError) {
+    console.error('Failed to log to system_logs:', logError);
+  }
+};
+
+/**
+ * Re-weave and re-bill the observed holiday dates still in the loom window
+ * @returns {Promise<Object>} { dates, instancesCancelled, billingLinesCreated }
+ */
+async function applyToLoom(pool, holidays) {
+  const state = await loadHolidayState(pool);
+  const today = formatDateInTZ(new Date());
+  const windowEnd = addDaysYmdTZ(today, (await loadWindowDays(pool)) - 1);
+  const dates = [...new Set(holidays
+    .filter((h) => h.state === state || h.state === NATIONAL)
+    .map((h) => h.date)
+    .filter((d) => d >= today && d <= windowEnd))].sort();
+
+  const result = { dates, instancesCancelled: 0, billingLinesCreated: 0 };
+  for (const date of dates) {
+    try {
+      const woven = await syncRethread({ dateFrom: date, dateTo: date }, pool);
+      result.instancesCancelled += woven.instancesCancelled || 0;
+      const billed = await generateBilling({ dateFrom: date, dateTo: date }, pool);
+      result.billingLinesCreated += billed.linesCreated || 0;
+    } catch (err) {
+      console.error(`Re-weaving holiday ${date} failed:`, err.message);
+    }
+  }
+  return result;
+}
+
+// GET /holidays - List holidays
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { year, start_date, end_date, state } = req.query;
+    const rows = await listHolidays({
+      year,
+      dateFrom: start_date,
+      dateTo: end_date,
+      state
+    }, pool);
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      observed_state: await loadHolidayState(pool)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch public holidays');
+  }
+});
+
+// POST /holidays - Add a holiday by hand
+router.post('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { date, name, state } = req.body || {};
+    const holiday = await createHoliday({ date, name, state }, pool);
+    const loom = await applyToLoom(pool, [holiday]);
+    await logHoliday(pool, `Public holiday added: ${holiday.name} ${holiday.date} (${holiday.state})`, {
+      holiday_id: holiday.id,
+      loom
+    });
+    res.status(201).json({ success: true, data: holiday, loom });
+  } catch (error) {
+    sendError(res, error, 'Failed to add public holiday');
+  }
+});
+
+// DELETE /holidays/:id - Remove a holiday
+router.delete('/:id', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const holiday = await deleteHoliday(req.params.id, pool);
+    const loom = await applyToLoom(pool, [holiday]);
+    await logHoliday(pool, `Public holiday removed: ${holiday.name} ${holiday.date} (${holiday.state})`, {
+      holiday_id: holiday.id,
+      loom
+    });
+    res.json({ success: true, data: holiday, loom });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove public holiday');
+  }
+});
+
+// POST /holidays/import - Import an ICS calendar (dryRun=true previews)
+router.post('/import', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const dryRun = (req.query.dryRun ?? 'true') !== 'false';
+    const { icsText, state } = req.body || {};
+    if (!icsText) {
+      return res.status(400).json({ success: false, error: 'icsText is required' });
+    }
+
+    const result = await importIcs({ icsText, state, dryRun }, pool);
+    if (!dryRun) {
+      const changed = result.rows.filter((r) => r.action !== 'unchanged');
+      result.loom = await applyToLoom(pool, changed);
+      await logHoliday(pool, `Public holidays imported: +${result.summary.create}/~${result.summary.update}`, {
+        summary: result.summary,
+        loom: result.loom
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to import public holidays');
+  }
+});
+
+module.exports = router;
@@ -19,7 +19,14 @@ const venueRoutes = require('./venues');
 const loomRoutes = require('./loom');
 const intentionRoutes = require('./intentions');
 const financeRoutes = require('./finance');
-const rosterRoutes = require('./roster');      // NEW – roster read endpoints
+const invoiceRoutes = require('./invoices');
+const cancellationRoutes = require('./cancellations');
+const holidayRoutes = require('./holidays');
+const timesheetRoutes = require('./timesheets');
+const openShiftRoutes = require('./open-shifts');
+const eventRoutes = require('./events');
+const attendanceRoutes = require('./attendance');
+const rosterRoutes = require('./roster');      // NEW – roster read / change endpoints
 const settingsRoutes = require('./settings');
 const systemRoutes = require('./system');
 const changesRoutes = require('./changes');
@@ -37,7 +44,14 @@ router.use('/vehicles', vehicleRoutes);
 router.use('/venues', venueRoutes);
 router.use('/loom', loomRoutes);
 router.use('/intentions', intentionRoutes);
+router.use('/finance/invoices', invoiceRoutes);
 router.use('/finance', financeRoutes);
+router.use('/cancellations', cancellationRoutes);
+router.use('/holidays', holidayRoutes);
+router.use('/timesheets', timesheetRoutes);
+router.use('/open-shifts', openShiftRoutes);
+router.use('/events', eventRoutes);
+router.use('/attendance', attendanceRoutes);
 router.use('/roster', rosterRoutes);          // NEW – mount roster routes
 router.use('/settings', settingsRoutes);
 router.use('/system', systemRoutes);
@@ -64,6 +78,12 @@ router.get('/', (req, res) => {
       '/loom',
       '/intentions',
       '/finance',
+      '/cancellations',
+      '/holidays',
+      '/timesheets',
+      '/open-shifts',
+      '/events',
+      '/attendance',
       '/activities',
       '/changes',
       '/settings',
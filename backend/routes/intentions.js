@@ -8,11 +8,16 @@
  * - PUT /intentions/:id - Update intention
  * - DELETE /intentions/:id - Delete intention
  * - POST /intentions/process - Process pending intentions
+ *     CREATE / CANCEL / MODIFY_PROGRAM are applied to the Wall (permanent)
+ *     or to a single date via rules_program_exceptions (temporary)
  */
 
 const express = require('express');
 const router = express.Router();
 const uuid = require('uuid');
+const { syncRethread } = require('./util_syncRethread');
+const { reconcileInstances } = require('./util_generateBilling');
+const { processIntention, isPermanent } = require('./util_intentions');
 
 // GET /intentions - List all intentions
 router.get('/', async (req, res) => {
@@ -419,32 +424,22 @@ router.post('/process', async (req, res) => {
         details: []
       };
       
+      // Rethreads run after COMMIT so syncRethread sees the new rows
+      const rethreadJobs = [];
+      // Instances cancelled outright – billing reconciled after COMMIT
+      const cancelledInstances = [];
+      
       for (const intention of pendingIntentions) {
+        // Savepoint per intention – one failure must not abort the batch
+        await client.query('SAVEPOINT intention_step');
         try {
           // Process based on intent type
           switch (intention.intent_type) {
             case 'CREATE_PROGRAM':
-              // Implementation would create a program based on intention metadata
-              // For now, just mark as processed
-              await client.query(
-                `UPDATE intentions 
-                 SET status = 'processed', processed_at = NOW() 
-                 WHERE id = $1`,
-                [intention.id]
-              );
-              
-              results.processed++;
-              results.details.push({
-                id: intention.id,
-                intent_type: intention.intent_type,
-                status: 'processed',
-                message: 'Program created successfully'
-              });
-              break;
-              
             case 'CANCEL_PROGRAM':
-              // Implementation would cancel a program or instance
-              // For now, just mark as processed
+            case 'MODIFY_PROGRAM': {
+              // Real changes to the Wall / Calendar / Loom
+              const outcome = await processIntention(intention, client);
               await client.query(
                 `UPDATE intentions 
                  SET status = 'processed', processed_at = NOW() 
@@ -452,33 +447,19 @@ router.post('/process', async (req, res) => {
                 [intention.id]
               );
               
+              rethreadJobs.push(...outcome.rethread);
+              cancelledInstances.push(...(outcome.cancelledInstances || []));
               results.processed++;
               results.details.push({
                 id: intention.id,
                 intent_type: intention.intent_type,
+                timing: isPermanent(intention) ? 'permanent' : 'temporary',
+                program_id: outcome.programId,
                 status: 'processed',
-                message: 'Program cancelled successfully'
-              });
-              break;
-              
-            case 'MODIFY_PROGRAM':
-              // Implementation would modify a program or instance
-              // For now, just mark as processed
-              await client.query(
-                `UPDATE intentions 
-                 SET status = 'processed', processed_at = NOW() 
-                 WHERE id = $1`,
-                [intention.id]
-              );
-              
-              results.processed++;
-              results.details.push({
-                id: intention.id,
-                intent_type: intention.intent_type,
-                status: 'processed',
-                message: 'Program modified successfully'
+                message: outcome.message
               });
               break;
+            }
               
             case 'STAFF_CHANGE':
               // Implementation would handle staff changes
@@ -554,11 +535,14 @@ router.post('/process', async (req, res) => {
                 message: 'Unknown intent type'
               });
           }
+          await client.query('RELEASE SAVEPOINT intention_step');
         } catch (intentError) {
-          // Mark intention as failed
+          // Undo partial work, then record the failure reason on the intention
+          await client.query('ROLLBACK TO SAVEPOINT intention_step');
           await client.query(
             `UPDATE intentions 
-             SET status = 'failed', metadata = jsonb_set(metadata, '{error}', $2::jsonb) 
+             SET status = 'failed',
+                 metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{error}', $2::jsonb) 
              WHERE id = $1`,
             [intention.id, JSON.stringify(intentError.message)]
           );
@@ -575,6 +559,28 @@ router.post('/process', async (req, res) => {
       
       await client.query('COMMIT');
       
+      // Re-weave affected dates now that the Wall/Calendar changes are visible
+      results.rethread = {
+        datesProcessed: 0,
+        instancesUpserted: 0,
+        cardsWritten: 0,
+        exceptionsApplied: 0,
+        instancesCancelled: 0
+      };
+      for (const job of rethreadJobs) {
+        try {
+          const summary = await syncRethread(job, pool);
+          Object.keys(results.rethread).forEach((k) => {
+            results.rethread[k] += summary[k] || 0;
+          });
+        } catch (rethreadError) {
+          console.error('Error rethreading after intention:', rethreadError);
+        }
+      }
+      if (cancelledInstances.length > 0) {
+        results.billing = await reconcileInstances(cancelledInstances, pool);
+      }
+      
       // Log to system_logs
       try {
         await pool.query(
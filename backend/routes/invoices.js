@@ -0,0 +1,261 @@
+/**
+ * Invoice API Routes
+ *
+ * Invoices for plan-managed, self-managed and self-funded participants
+ * (agency-managed lines go to PRODA instead):
+ * - GET /finance/invoices - List invoices
+ * - POST /finance/invoices/generate - Create draft invoices for a period
+ * - GET /finance/invoices/:id - Invoice with line items
+ * - GET /finance/invoices/:id/html - Render invoice as HTML
+ * - GET /finance/invoices/:id/pdf - Render invoice as PDF
+ * - PATCH /finance/invoices/:id/status - Issue, mark paid or void
+ */
+
+const express = require('express');
+const router = express.Router();
+const uuid = require('uuid');
+const {
+  INVOICE_STATUSES,
+  generateInvoices,
+  getInvoice,
+  transitionInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('./util_invoices');
+
+const toNumber = (v) => { const n = parseFloat(v); return Number.isFinite(n) ? n : 0; };
+
+// Numeric columns come back from pg as strings
+const formatInvoice = (inv) => ({
+  ...inv,
+  subtotal: toNumber(inv.subtotal),
+  gst_total: toNumber(inv.gst_total),
+  total: toNumber(inv.total)
+});
+
+const logFinancial = async (pool, message, details) => {
+  try {
+    await pool.query(
+      `INSERT INTO system_logs (id, severity, category, message, details)
+       VALUES ($1, 'INFO', 'FINANCIAL', $2, $3)`,
+      [uuid.v4(), message, details]
+    );
+  } catch (logError) {
+    console.error('Failed to log to system_logs:', logError);
+  }
+};
+
+// GET /finance/invoices - List invoices
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { status, participant_id, start_date, end_date } = req.query;
+
+    const where = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      where.push(`i.status = $${params.length}`);
+    }
+    if (participant_id) {
+      params.push(participant_id);
+      where.push(`i.participant_id = $${params.length}`);
+    }
+    if (start_date && end_date) {
+      params.push(start_date, end_date);
+      where.push(`i.period_start <= $${params.length} AND i.period_end >= $${params.length - 1}`);
+    }
+
+    const result = await pool.query(`
+      SELECT i.id, i.invoice_number, i.participant_id, i.period_start, i.period_end,
+             i.status, i.subtotal, i.gst_total, i.total, i.bill_to,
+             i.issued_at, i.due_date, i.paid_at, i.voided_at, i.created_at,
+             i.participant_snapshot->>'name' AS participant_name,
+             i.participant_snapshot->>'plan_management_type' AS management,
+             (SELECT COUNT(*)::int FROM invoice_lines il WHERE il.invoice_id = i.id) AS line_count
+        FROM invoices i
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY i.created_at DESC, i.invoice_number DESC
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatInvoice),
+      count: result.rowCount
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices',
+      message: error.message
+    });
+  }
+});
+
+// POST /finance/invoices/generate - Create draft invoices for a period
+router.post('/generate', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { start_date, end_date, participant_id } = req.body || {};
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'start_date and end_date are required'
+      });
+    }
+
+    const summary = await generateInvoices(
+      { periodStart: start_date, periodEnd: end_date, participantId: participant_id },
+      pool
+    );
+
+    if (summary.invoicesCreated > 0) {
+      await logFinancial(pool, `Generated ${summary.invoicesCreated} draft invoice(s)`, {
+        start_date,
+        end_date,
+        participant_id: participant_id || null,
+        lines: summary.linesInvoiced,
+        invoice_numbers: summary.invoices.map(i => i.invoice_number)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `${summary.invoicesCreated} invoice(s) created from ${summary.linesInvoiced} billing line(s)`
+    });
+  } catch (error) {
+    console.error('Error generating invoices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoices',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/invoices/:id - Invoice with line items
+router.get('/:id', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const invoice = await getInvoice(pool, req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatInvoice(invoice)
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/invoices/:id/html - Render invoice as HTML
+router.get('/:id/html', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const invoice = await getInvoice(pool, req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    console.error('Error rendering invoice HTML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render invoice',
+      message: error.message
+    });
+  }
+});
+
+// GET /finance/invoices/:id/pdf - Render invoice as PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const invoice = await getInvoice(pool, req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    const pdf = renderInvoicePdf(invoice);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.invoice_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering invoice PDF:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render invoice',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /finance/invoices/:id/status - Issue, mark paid or void
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { status, reason, paid_at } = req.body || {};
+
+    if (!INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of ${INVOICE_STATUSES.join(', ')}`
+      });
+    }
+
+    const invoice = await transitionInvoice(pool, req.params.id, status, { reason, paidAt: paid_at });
+    await logFinancial(pool, `Invoice ${invoice.invoice_number} marked ${status}`, {
+      invoice_id: invoice.id,
+      status,
+      reason: reason || null,
+      total: toNumber(invoice.total)
+    });
+
+    res.json({
+      success: true,
+      data: formatInvoice(invoice)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error updating invoice status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update invoice status',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
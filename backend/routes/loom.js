@@ -6,12 +6,19 @@
  * - POST /loom/instances - Create instance
  * - PUT /loom/instances/:id - Update instance
  * - DELETE /loom/instances/:id - Delete instance
+ * - GET /loom/instances/:id/routes - Stored vehicle routes for an instance
+ * - POST /loom/instances/:id/routes - Rebuild vehicle routes for an instance
  * - POST /loom/generate - Generate instances from programs
  * - GET /loom/window - Get loom window settings
+ * - GET /loom/roller/status - Nightly window roller status
+ * - POST /loom/roller/run - Trigger the window roller manually
  */
 
 const express = require('express');
 const router = express.Router();
+const loomRoller = require('../loomRoller');
+const { buildRoutes, getRoutes } = require('./util_routes');
+const eventBus = require('../eventBus');
 
 /* ------------------------------------------------------------------
    Time-zone helpers – Australia/Sydney (avoids UTC drift)
@@ -130,6 +137,7 @@ router.get('/instances', async (req, res) => {
       JOIN rules_programs rp ON li.source_rule_id = rp.id
       LEFT JOIN venues v       ON rp.venue_id = v.id
       WHERE li.instance_date BETWEEN $1 AND $2
+        AND li.cancelled_at IS NULL
       ORDER BY li.instance_date ASC, li.start_time ASC
     `;
     
@@ -264,6 +272,7 @@ router.post('/instances', async (req, res) => {
       // Generate time slots based on instance type
       // This is a placeholder - implement actual time slot generation logic
       // based on your application's requirements
+      eventBus.publish('instance.changed', { action: 'created', instance_id: instanceId, date: result.rows[0].date });
     }
     
     res.status(201).json({
@@ -369,6 +378,7 @@ router.put('/instances/:id', async (req, res) => {
     
     // If the time has changed, we might need to update time slots
     // This would be implemented based on your application logic
+    eventBus.publish('instance.changed', { action: 'updated', instance_id: id, date: result.rows[0].date });
     
     res.json({
       success: true,
@@ -414,6 +424,7 @@ router.delete('/instances/:id', async (req, res) => {
       const result = await client.query('DELETE FROM loom_instances WHERE id = $1 RETURNING id', [id]);
       
       await client.query('COMMIT');
+      eventBus.publish('instance.changed', { action: 'deleted', instance_id: id });
       
       res.json({
         success: true,
@@ -623,4 +634,127 @@ router.get('/window/settings', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/loom/instances/:id/routes
+ * @desc    Ordered pickup/dropoff stops with ETAs for each vehicle run
+ * @access  Public
+ */
+router.get('/instances/:id/routes', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const routes = await getRoutes(pool, req.params.id);
+    
+    res.json({
+      success: true,
+      data: routes
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle routes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vehicle routes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/loom/instances/:id/routes
+ * @desc    Rebuild vehicle routes for an instance
+ * @access  Public
+ * @body    provider - optional 'haversine' | 'google' override
+ */
+router.post('/instances/:id/routes', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { provider } = req.body || {};
+    
+    if (provider && !['haversine', 'google'].includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid provider',
+        message: "provider must be 'haversine' or 'google'"
+      });
+    }
+    
+    const summary = await buildRoutes({ instanceId: req.params.id, provider }, pool);
+    if (summary.instancesScanned === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instance not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        stored: await getRoutes(pool, req.params.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error building vehicle routes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build vehicle routes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/loom/roller/status
+ * @desc    Nightly loom window roller – schedule, next run and last run summary
+ * @access  Public
+ */
+router.get('/roller/status', (req, res) => {
+  res.json({
+    success: true,
+    data: loomRoller.getStatus()
+  });
+});
+
+/**
+ * @route   POST /api/v1/loom/roller/run
+ * @desc    Run the loom window roller now
+ * @access  Public
+ * @body    full - re-weave the whole window instead of only newly exposed dates
+ */
+router.post('/roller/run', async (req, res) => {
+  try {
+    if (loomRoller.getStatus().running) {
+      return res.status(409).json({
+        success: false,
+        error: 'Loom roller is already running'
+      });
+    }
+    
+    const run = await loomRoller.runRoller({
+      trigger: 'manual',
+      full: req.body?.full === true
+    });
+    
+    if (run.error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Loom roller run failed',
+        message: run.error,
+        data: run
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error running loom roller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run loom roller',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
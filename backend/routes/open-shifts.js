@@ -0,0 +1,88 @@
+/**
+ * Open Shift Routes
+ *
+ * Unfilled staff placeholders offered to eligible staff (see util_openShifts):
+ * - GET /open-shifts - List offers (staff_id / instance_id / status / start_date / end_date)
+ * - POST /open-shifts/broadcast - Offer unfilled placeholders in a date range
+ * - POST /open-shifts/:id/accept - Accept an offer (first eligible acceptance is assigned)
+ * - POST /open-shifts/:id/decline - Decline an offer
+ *
+ * Offers are delivered through the notifier_transport setting (console / file).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { broadcastOpenShifts, respondToOffer, listOffers } = require('./util_openShifts');
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+};
+
+// GET /open-shifts - List offers
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { staff_id, instance_id, status, start_date, end_date } = req.query;
+    const rows = await listOffers({
+      staffId: staff_id,
+      instanceId: instance_id,
+      status,
+      dateFrom: start_date,
+      dateTo: end_date
+    }, pool);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch open shift offers');
+  }
+});
+
+// POST /open-shifts/broadcast - Offer unfilled placeholders to eligible staff
+router.post('/broadcast', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { start_date, end_date, instance_id, rule_id } = req.body || {};
+    if (!start_date || !end_date) {
+      return res.status(400).json({ success: false, error: 'start_date and end_date are required' });
+    }
+    const summary = await broadcastOpenShifts({
+      dateFrom: start_date,
+      dateTo: end_date,
+      instanceId: instance_id,
+      ruleId: rule_id
+    }, pool);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to broadcast open shifts');
+  }
+});
+
+// Staff response – shared by accept and decline
+const respondHandler = (action) => async (req, res) => {
+  try {
+    const { staff_id, note } = req.body || {};
+    const result = await respondToOffer(req.params.id, { action, staffId: staff_id, note }, req.app.locals.pool);
+    if (action === 'accept' && !result.assigned) {
+      return res.status(409).json({
+        success: false,
+        error: 'You are no longer eligible for this shift',
+        warnings: result.warnings,
+        data: result
+      });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, `Failed to ${action} open shift`);
+  }
+};
+
+// POST /open-shifts/:id/accept - Accept an offer
+router.post('/:id/accept', respondHandler('accept'));
+
+// POST /open-shifts/:id/decline - Decline an offer
+router.post('/:id/decline', respondHandler('decline'));
+
+module.exports = router;
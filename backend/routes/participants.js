@@ -7,6 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { getPlanBudgets } = require('./util_planBudget');
 
 // Database connection
 const pool = new Pool({
@@ -677,6 +678,35 @@ router.post('/:id/enrollments', async (req, res, next) => {
   }
 });
 
+/**
+ * ---------------------------------------------------------------------------
+ * GET /api/v1/participants/:id/budget
+ * ---------------------------------------------------------------------------
+ * NDIS plan budget position: spend against ndis_plan_budget for the plan
+ * period, projected spend from the loom window and a run-out forecast.
+ * Query: as_of (YYYY-MM-DD, default today)
+ */
+router.get('/:id/budget', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const [budget] = await getPlanBudgets({ participantId: id, asOf: req.query.as_of }, pool);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Participant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * ---------------------------------------------------------------------------
  * POST /api/v1/participants/:id/goals
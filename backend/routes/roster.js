@@ -3,17 +3,61 @@
  * 
  * Endpoints for roster management:
  * - GET /api/v1/roster/day - Get roster for a specific day
+ * - GET /api/v1/roster/range - Roster for a date range with a staff × date pivot
+ * - POST /api/v1/roster/shifts/assign - Put a staff member on an instance placeholder (one date)
+ * - POST /api/v1/roster/shifts/swap - Swap the staff on two placeholders (same date)
+ * - POST /api/v1/roster/shifts/unassign - Clear an instance placeholder (one date)
+ * - POST /api/v1/roster/auto-assign - Fill auto staff placeholders for a date range (unfilled ones are offered as open shifts)
+ * - POST /api/v1/roster/auto-assign-vehicles - Fill auto vehicle placeholders for a date range
  */
 
 const express = require('express');
 const router = express.Router();
+const { autoAssignStaff } = require('./util_assignStaff');
+const { autoAssignVehicles } = require('./util_assignVehicles');
+const { loadRoster, buildRosterRange } = require('./util_roster');
+const { assignShift, swapShifts, unassignShift } = require('./util_rosterChanges');
+const { broadcastOpenShifts } = require('./util_openShifts');
+const logger = require('../logger');
+const eventBus = require('../eventBus');
+
+// Conflicts block the change until it is resent with force: true
+const sendChange = (res, result) => {
+  if (!result.saved) {
+    return res.status(409).json({
+      success: false,
+      error: 'Roster change has conflicts',
+      warnings: result.warnings,
+      data: result
+    });
+  }
+  return res.json({ success: true, data: result, warnings: result.warnings || [] });
+};
+
+const sendChangeError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+};
+
+const logChange = (message, result, actor) => logger.logEvent({
+  severity: result.warnings && result.warnings.length > 0 ? 'WARN' : 'INFO',
+  category: 'OPERATIONAL',
+  message,
+  details: result,
+  entity: 'staff_assignment',
+  entity_id: result.instance_id || (result.from && result.from.instance_id) || null,
+  actor: actor || null
+});
 
 /**
  * @route   GET /api/v1/roster/day
  * @desc    Get roster for a specific day with instances and staff directory
  * @access  Public
  * @query   date - Date in YYYY-MM-DD format
- * @returns { date, instances, staff_directory }
+ * @returns { date, public_holiday, instances, shifts, staff_directory }
  */
 router.get('/day', async (req, res) => {
   try {
@@ -29,206 +73,251 @@ router.get('/day', async (req, res) => {
       });
     }
     
-    // Fetch settings for staff and vehicle calculations
-    const settingsResult = await pool.query(`
-      SELECT key, value FROM settings
-      WHERE key IN ('staff_threshold_per_wpu', 'default_bus_capacity')
-    `);
+    const roster = await loadRoster({ dateFrom: date, dateTo: date }, pool);
     
-    // Extract settings with fallbacks
-    const settings = {};
-    settingsResult.rows.forEach(row => {
-      settings[row.key] = row.value;
+    // Return the complete roster data
+    res.json({
+      success: true,
+      data: {
+        date,
+        public_holiday: roster.public_holidays[date] || null,
+        instances: roster.instances,
+        shifts: roster.shifts,
+        staff_directory: roster.staff_directory
+      }
     });
-    
-    // Use fallbacks if settings not found
-    const staffThreshold = Number(settings.staff_threshold_per_wpu) || 5;
-    const busCapacity = Number(settings.default_bus_capacity) || 10;
-    
-    // --------------------------------------------------------------
-    // 1. Fetch all loom instances for the day with extra fields
-    // --------------------------------------------------------------
-    const instancesResult = await pool.query(
-      `SELECT 
-         li.id            AS instance_id,
-         li.source_rule_id,
-         li.start_time,
-         li.end_time,
-         rp.name          AS program_name,
-         v.name           AS venue_name
-       FROM loom_instances li
-       JOIN rules_programs rp ON li.source_rule_id = rp.id
-       LEFT JOIN venues v      ON rp.venue_id      = v.id
-      WHERE li.instance_date = $1`,
-      [date]
-    );
-
-    const instancesRaw = instancesResult.rows;
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching roster day:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roster day',
+      message: error.message
+    });
+  }
+});
 
-    // Guard: quick exit when no instances
-    if (instancesRaw.length === 0) {
-      const staffResult = await pool.query(
-        `SELECT id, first_name, last_name, active
-           FROM staff
-          ORDER BY last_name, first_name`
-      );
-      return res.json({
-        success: true,
-        data: {
-          date,
-          instances: [],
-          shifts: [],
-          staff_directory: staffResult.rows,
-        },
+/**
+ * @route   GET /api/v1/roster/range
+ * @desc    Roster for a date range in one payload, with a staff × date pivot
+ * @access  Public
+ * @query   start, end - Dates in YYYY-MM-DD format (at most 62 days)
+ * @returns { dates, public_holidays, instances, shifts, placeholders, staff_directory, staff_view, gaps }
+ */
+router.get('/range', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { start, end } = req.query;
+    
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'start and end parameters are required (YYYY-MM-DD format)'
       });
     }
+    
+    const roster = await buildRosterRange({ dateFrom: start, dateTo: end }, pool);
+    
+    res.json({
+      success: true,
+      data: { start, end, ...roster }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching roster range:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roster range',
+      message: error.message
+    });
+  }
+});
 
-    // --------------------------------------------------------------
-    // 2. Bulk-fetch placeholders for all rule_ids in this date
-    // --------------------------------------------------------------
-    const ruleIds = [
-      ...new Set(instancesRaw.map((r) => r.source_rule_id)),
-    ];
-    const phRes = await pool.query(
-      `SELECT id,
-              rule_id,
-              slot_index,
-              mode,
-              staff_id
-         FROM rules_program_staff_placeholders
-        WHERE rule_id = ANY($1::uuid[])
-        ORDER BY slot_index ASC`,
-      [ruleIds]
-    );
-    const placeholders = phRes.rows;
-
-    // Collect staff_ids to name-map later
-    const staffIdsSet = new Set(
-      placeholders.filter((p) => p.staff_id).map((p) => p.staff_id)
-    );
+/**
+ * @route   POST /api/v1/roster/shifts/assign
+ * @desc    Put a staff member on one instance's placeholder (replaces whoever holds it)
+ * @access  Public
+ * @body    { instance_id, placeholder_id, staff_id, force?, changed_by? }
+ * @returns { saved, warnings, ... } – 409 with warnings when conflicts block the change
+ */
+router.post('/shifts/assign', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { instance_id, placeholder_id, staff_id, force, changed_by } = req.body || {};
+    
+    const result = await assignShift({
+      instanceId: instance_id,
+      placeholderId: placeholder_id,
+      staffId: staff_id,
+      force: force === true,
+      changedBy: changed_by
+    }, pool);
+    
+    if (result.saved) {
+      await logChange(`Roster: staff assigned to ${result.program_name} on ${result.date}`, result, changed_by);
+      eventBus.publish('staff.assigned', {
+        action: 'assigned',
+        instance_id: result.instance_id,
+        placeholder_id: result.placeholder_id,
+        date: result.date,
+        staff_id: result.staff_id,
+        previous_staff_id: result.previous_staff_id
+      });
+    }
+    sendChange(res, result);
+  } catch (error) {
+    sendChangeError(res, error, 'Failed to assign shift');
+  }
+});
 
-    // --------------------------------------------------------------
-    // 3. Bulk staff name lookup for any referenced staff
-    // --------------------------------------------------------------
-    let staffNameMap = {};
-    if (staffIdsSet.size) {
-      const staffIdsArr = [...staffIdsSet];
-      const sRes = await pool.query(
-        `SELECT id,
-                first_name,
-                last_name
-           FROM staff
-          WHERE id = ANY($1::uuid[])`,
-        [staffIdsArr]
-      );
-      staffNameMap = sRes.rows.reduce((map, s) => {
-        map[s.id] = `${s.first_name || ''} ${s.last_name || ''}`.trim();
-        return map;
-      }, {});
+/**
+ * @route   POST /api/v1/roster/shifts/swap
+ * @desc    Swap the staff on two placeholders on the same date (an empty side makes it a move)
+ * @access  Public
+ * @body    { from: { instance_id, placeholder_id }, to: { instance_id, placeholder_id }, force?, changed_by? }
+ * @returns { saved, warnings, date, from, to } – 409 with warnings when conflicts block the change
+ */
+router.post('/shifts/swap', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { from = {}, to = {}, force, changed_by } = req.body || {};
+    
+    const result = await swapShifts({
+      from: { instanceId: from.instance_id, placeholderId: from.placeholder_id },
+      to: { instanceId: to.instance_id, placeholderId: to.placeholder_id },
+      force: force === true,
+      changedBy: changed_by
+    }, pool);
+    
+    if (result.saved) {
+      await logChange(`Roster: staff swapped between ${result.from.program_name} and ${result.to.program_name} on ${result.date}`, result, changed_by);
+      eventBus.publish('staff.swapped', { date: result.date, from: result.from, to: result.to });
     }
+    sendChange(res, result);
+  } catch (error) {
+    sendChangeError(res, error, 'Failed to swap shifts');
+  }
+});
 
-    // --------------------------------------------------------------
-    // 4. Build instances array (with requirements) and shifts array
-    // --------------------------------------------------------------
-    const shifts = [];
-    const instances = [];
+/**
+ * @route   POST /api/v1/roster/shifts/unassign
+ * @desc    Clear the staff member from one instance's placeholder (the solver leaves it empty)
+ * @access  Public
+ * @body    { instance_id, placeholder_id, changed_by? }
+ * @returns { saved, instance_id, placeholder_id, date, previous_staff_id }
+ */
+router.post('/shifts/unassign', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { instance_id, placeholder_id, changed_by } = req.body || {};
+    
+    const result = await unassignShift({
+      instanceId: instance_id,
+      placeholderId: placeholder_id,
+      changedBy: changed_by
+    }, pool);
+    
+    await logChange(`Roster: staff removed from ${result.program_name} on ${result.date}`, result, changed_by);
+    eventBus.publish('staff.assigned', {
+      action: 'unassigned',
+      instance_id: result.instance_id,
+      placeholder_id: result.placeholder_id,
+      date: result.date,
+      staff_id: null,
+      previous_staff_id: result.previous_staff_id
+    });
+    sendChange(res, result);
+  } catch (error) {
+    sendChangeError(res, error, 'Failed to unassign shift');
+  }
+});
 
-    for (const inst of instancesRaw) {
+/**
+ * @route   POST /api/v1/roster/auto-assign
+ * @desc    Run the staff solver over a date range (fills auto placeholders)
+ * @access  Public
+ * @body    { dateFrom, dateTo, ruleId?, broadcast? }
+ * @returns Solver summary with each pick and its explanation, plus open_shift_offers
+ *          when unfilled placeholders were offered (broadcast: false skips this)
+ */
+router.post('/auto-assign', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { dateFrom, dateTo, ruleId, broadcast } = req.body || {};
+    
+    if (!dateFrom || !dateTo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'dateFrom and dateTo are required (YYYY-MM-DD format)'
+      });
+    }
+    
+    const summary = await autoAssignStaff({ dateFrom, dateTo, ruleId }, pool);
+    if (summary.autoAssigned > 0 || summary.manualWritten > 0) {
+      eventBus.publish('staff.assigned', { action: 'auto', dateFrom, dateTo, ruleId: ruleId || null });
+    }
+    
+    // Whatever the solver could not fill goes out as open shifts
+    if (summary.unfilledCount > 0 && broadcast !== false) {
       try {
-        // participant count for requirements
-        const pcRes = await pool.query(
-          `SELECT COUNT(*)::int AS cnt
-             FROM rules_program_participants
-            WHERE rule_id = $1`,
-          [inst.source_rule_id]
-        );
-        const participantCount = pcRes.rows[0]?.cnt || 0;
-        const staffRequired = Math.ceil(participantCount / staffThreshold);
-        const vehiclesRequired = Math.ceil(participantCount / busCapacity);
-
-        instances.push({
-          instance_id: inst.instance_id,
-          program_name: inst.program_name,
-          staff_required: staffRequired,
-          vehicles_required: vehiclesRequired,
-          start_time: inst.start_time,
-          end_time: inst.end_time,
-          venue_name: inst.venue_name,
-        });
-
-        // Filter placeholders for this rule
-        const phForRule = placeholders.filter(
-          (p) => p.rule_id === inst.source_rule_id
-        );
-
-        if (phForRule.length > 0) {
-          phForRule.forEach((p, idx) => {
-            const status =
-              p.mode === 'manual' && p.staff_id
-                ? 'assigned'
-                : p.mode === 'open' || (p.mode === 'manual' && !p.staff_id)
-                ? 'open'
-                : 'auto';
-            shifts.push({
-              shift_id: p.id || `${inst.instance_id}-${idx}`,
-              instance_id: inst.instance_id,
-              rule_id: inst.source_rule_id,
-              program_name: inst.program_name,
-              venue_name: inst.venue_name,
-              start_time: inst.start_time,
-              end_time: inst.end_time,
-              status,
-              staff_id: p.staff_id || null,
-              staff_name: p.staff_id ? staffNameMap[p.staff_id] || null : null,
-            });
-          });
-        } else {
-          // No placeholders – synthesise auto shifts
-          for (let i = 0; i < staffRequired; i++) {
-            shifts.push({
-              shift_id: `${inst.instance_id}-auto-${i}`,
-              instance_id: inst.instance_id,
-              rule_id: inst.source_rule_id,
-              program_name: inst.program_name,
-              venue_name: inst.venue_name,
-              start_time: inst.start_time,
-              end_time: inst.end_time,
-              status: 'auto',
-              staff_id: null,
-              staff_name: null,
-            });
-          }
-        }
-      } catch (innerErr) {
-        console.error(
-          `Roster processing error for instance ${inst.instance_id}:`,
-          innerErr.message
-        );
+        summary.open_shift_offers = await broadcastOpenShifts({ dateFrom, dateTo, ruleId }, pool);
+      } catch (broadcastError) {
+        console.error('Error broadcasting open shifts:', broadcastError);
+        summary.open_shift_offers = { error: broadcastError.message };
       }
     }
     
-    // Fetch staff directory
-    const staffResult = await pool.query(`
-      SELECT id, first_name, last_name, active
-      FROM staff
-      ORDER BY last_name, first_name
-    `);
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error auto-assigning staff:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to auto-assign staff',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/roster/auto-assign-vehicles
+ * @desc    Run the vehicle allocator over a date range (fills auto placeholders)
+ * @access  Public
+ * @body    { dateFrom, dateTo, ruleId? }
+ * @returns Allocator summary with each pick and any seat shortfalls
+ */
+router.post('/auto-assign-vehicles', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { dateFrom, dateTo, ruleId } = req.body || {};
+    
+    if (!dateFrom || !dateTo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'dateFrom and dateTo are required (YYYY-MM-DD format)'
+      });
+    }
+    
+    const summary = await autoAssignVehicles({ dateFrom, dateTo, ruleId }, pool);
     
-    // Return the complete roster data
     res.json({
       success: true,
-      data: {
-        date,
-        instances,
-        shifts,                    // include built shift objects
-        staff_directory: staffResult.rows
-      }
+      data: summary
     });
   } catch (error) {
-    console.error('Error fetching roster day:', error);
+    console.error('Error auto-assigning vehicles:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch roster day',
+      error: 'Failed to auto-assign vehicles',
       message: error.message
     });
   }
@@ -3,6 +3,8 @@
  * 
  * Endpoints for system settings management:
  * - GET /settings - Get all settings
+ * - GET /settings/org - Organisation defaults and details
+ * - PUT /settings/org - Update organisation defaults and details
  * - GET /settings/:key - Get specific setting
  * - PUT /settings/:key - Update setting
  * - DELETE /settings/:key - Delete setting
@@ -13,6 +15,7 @@ const express = require('express');
 const router = express.Router();
 const uuid = require('uuid');
 const logger = require('../logger');
+const { ORG_DETAIL_DEFAULTS, loadOrgDetails } = require('./util_orgDetails');
 
 // GET /settings - Get all settings
 router.get('/', async (req, res) => {
@@ -46,7 +49,9 @@ router.get('/', async (req, res) => {
  * ---------------------------------------------------------------------------
  * Returns organisation-level operational defaults. If a key is missing (or its
  * value cannot be parsed as a number) the hard-coded fallback is used.
- * Shape: { loom_window_fortnights, loom_window_days, staff_threshold_per_wpu, ... }
+ * Organisation details (name, ABN, address, bank, invoice prefix…) are merged in
+ * as text from util_orgDetails.
+ * Shape: { loom_window_fortnights, loom_window_days, staff_threshold_per_wpu, org_name, abn, ... }
  */
 router.get('/org', async (req, res) => {
   try {
@@ -89,6 +94,8 @@ router.get('/org', async (req, res) => {
       data.loom_window_fortnights = Math.max(1, Math.round(data.loom_window_days / 14));
     }
 
+    Object.assign(data, await loadOrgDetails(pool));
+
     return res.json({ success: true, data });
   } catch (error) {
     console.error('Error fetching org settings:', error);
@@ -142,8 +149,10 @@ router.get('/:key', async (req, res) => {
  * ---------------------------------------------------------------------------
  * Upsert organisation-level numeric settings. Accepts JSON body with any of:
  *   { loom_window_fortnights, loom_window_days, staff_threshold_per_wpu, ... }
- * All values must be finite positive numbers. Each key is stored individually
- * in the settings table. On success returns the full org map (merged with defaults).
+ * Numeric values must be finite positive numbers; organisation detail keys
+ * (org_name, abn, org_address, …) are stored as trimmed text. Each key is stored
+ * individually in the settings table. On success returns the full org map
+ * (merged with defaults).
  */
 router.put('/org', async (req, res) => {
   try {
@@ -171,6 +180,10 @@ router.put('/org', async (req, res) => {
     // Filter & validate numeric inputs
     const updates = {};
     for (const k of payloadKeys) {
+      if (ORG_DETAIL_DEFAULTS[k] !== undefined) {
+        updates[k] = String(req.body[k] ?? '').trim();
+        continue;
+      }
       if (!allowedKeys.includes(k)) continue; // ignore unknown keys
       const num = Number(req.body[k]);
       if (!Number.isFinite(num) || num <= 0) {
@@ -241,6 +254,8 @@ router.put('/org', async (req, res) => {
       data.loom_window_fortnights = Math.max(1, Math.round(data.loom_window_days / 14));
     }
 
+    Object.assign(data, await loadOrgDetails(pool));
+
     return res.json({ success: true, data });
   } catch (error) {
     console.error('Error updating org settings:', error);
@@ -7,6 +7,8 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { calculatePay, costShift } = require('./util_schadsPay');
+const { loadStaffShifts } = require('./util_staffShifts');
 
 // Database connection
 const pool = new Pool({
@@ -272,18 +274,13 @@ router.get('/:id/utilization', async (req, res, next) => {
       end   = sun.toISOString().substring(0,10);
     }
 
-    // hours worked in window
-    const hoursSql = `
-      SELECT
-        COALESCE(SUM(EXTRACT(EPOCH FROM (ls.end_time - ls.start_time)))/3600.0,0) AS hours
-      FROM tgl_loom_staff_shifts ls
-      JOIN tgl_loom_instances li ON li.id = ls.loom_instance_id
-      WHERE ls.staff_id=$1
-        AND li.instance_date BETWEEN $2 AND $3
-        AND ls.status IN ('planned','confirmed','completed')
-    `;
-    const hoursRes = await pool.query(hoursSql, [id, start, end]);
-    const hours = parseFloat(hoursRes.rows[0].hours || 0);
+    // hours worked in window (approved timesheets replace rostered times)
+    const shifts = await loadStaffShifts(pool, { dateFrom: start, dateTo: end, staffId: id, useTimesheets: true });
+    const hours = shifts.reduce((sum, s) => sum + s.hours, 0);
+    const rosteredHours = shifts.reduce((sum, s) => sum + s.rostered_hours, 0);
+    const timesheetHours = shifts
+      .filter((s) => s.timesheet_id)
+      .reduce((sum, s) => sum + s.hours, 0);
 
     // contracted hours
     const staffRes = await pool.query('SELECT contracted_hours FROM staff WHERE id = $1', [id]);
@@ -292,7 +289,15 @@ router.get('/:id/utilization', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { hours, contracted_hours: contracted, utilization, start, end }
+      data: {
+        hours,
+        rostered_hours: rosteredHours,
+        timesheet_hours: timesheetHours,
+        contracted_hours: contracted,
+        utilization,
+        start,
+        end
+      }
     });
   } catch (err) { next(err); }
 });
@@ -327,6 +332,42 @@ router.get('/utilization/summary', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+/**
+ * ---------------------------------------------------------------------------
+ * SCHADS pay – shift and pay-period cost (see util_schadsPay)
+ * ---------------------------------------------------------------------------
+ */
+
+// Pay errors carry a status (bad dates, unknown staff / shift)
+function payError(res, err, next) {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  return next(err);
+}
+
+router.get('/:id/pay', async (req, res, next) => {
+  try {
+    let { start, end } = req.query;
+    if (!start || !end) {
+      const mon = mondayOf(new Date());
+      const sun = new Date(mon);
+      sun.setDate(mon.getDate() + 6);
+      start = mon.toISOString().substring(0, 10);
+      end = sun.toISOString().substring(0, 10);
+    }
+    const pay = await calculatePay({ dateFrom: start, dateTo: end, staffId: req.params.id }, pool);
+    res.json({ success: true, data: pay.staff[0], period: pay.period });
+  } catch (err) { payError(res, err, next); }
+});
+
+router.get('/:id/shifts/:instanceId/cost', async (req, res, next) => {
+  try {
+    const shift = await costShift({ staffId: req.params.id, loomInstanceId: req.params.instanceId }, pool);
+    res.json({ success: true, data: shift });
+  } catch (err) { payError(res, err, next); }
+});
+
 /**
  * @route   DELETE /api/v1/staff/:id
  * @desc    Delete a staff member
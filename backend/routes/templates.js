@@ -14,6 +14,10 @@ const logger = require('../logger');
 const { syncRethread } = require('../routes/util_syncRethread');
 // Import billing generator utility
 const { generateBilling } = require('../routes/util_generateBilling');
+// Billing rate version in force on a date
+const { inForceSql } = require('../routes/util_rateVersions');
+// Whether a rule runs or skips on public holidays
+const { HOLIDAY_BEHAVIOURS } = require('../routes/util_publicHolidays');
 
 /* ------------------------------------------------------------------
    Time-zone helpers – Australia/Sydney (avoids UTC date drift)
@@ -217,9 +221,17 @@ router.patch('/rules/:id', async (req, res) => {
     'venue_id',
     'auto_assign_staff',
     'auto_assign_vehicles',
+    'holiday_behaviour',
     'active'
   ];
   
+  if (req.body.holiday_behaviour !== undefined && !HOLIDAY_BEHAVIOURS.includes(req.body.holiday_behaviour)) {
+    return res.status(400).json({
+      success: false,
+      error: `holiday_behaviour must be one of ${HOLIDAY_BEHAVIOURS.join(', ')}`
+    });
+  }
+  
   // Filter request body to only include allowed fields
   const updates = {};
   let hasUpdates = false;
@@ -948,12 +960,12 @@ router.post('/rules/:id/participants/:rppId/billing', async (req, res) => {
         // Get unit price from the appropriate column
         unitPrice = parseFloat(rateCheck.rows[0][col] || 0) || 0;
       } else {
-        // Fallback: lookup by code string (most-recent first)
+        // Fallback: lookup by code string (version in force today, then most-recent)
         const codeLookup = await client.query(
           `SELECT id, base_rate
-             FROM billing_rates
+             FROM billing_rates br
             WHERE code = $1
-            ORDER BY updated_at DESC NULLS LAST
+            ORDER BY (${inForceSql('br', 'CURRENT_DATE')}) DESC, updated_at DESC NULLS LAST
             LIMIT 1`,
           [codePart]
         );
@@ -1075,7 +1087,7 @@ router.get('/rules/:id/staff-placeholders', async (req, res) => {
     }
 
     const result = await pool.query(
-      `SELECT id, rule_id, slot_index, mode, staff_id, created_at
+      `SELECT id, rule_id, slot_index, mode, staff_id, min_schads_level, created_at
          FROM rules_program_staff_placeholders
         WHERE rule_id = $1
         ORDER BY created_at ASC`,
@@ -1092,7 +1104,12 @@ router.get('/rules/:id/staff-placeholders', async (req, res) => {
 router.post('/rules/:id/staff-placeholders', async (req, res) => {
   const pool = req.app.locals.pool;
   const { id } = req.params;
-  const { mode = 'auto', staff_id = null, slot_index = 0 } = req.body || {};
+  const {
+    mode = 'auto',
+    staff_id = null,
+    slot_index = 0,
+    min_schads_level = null
+  } = req.body || {};
 
   try {
     if (!(await ruleExists(pool, id))) {
@@ -1111,10 +1128,17 @@ router.post('/rules/:id/staff-placeholders', async (req, res) => {
 
     const result = await pool.query(
       `INSERT INTO rules_program_staff_placeholders
-        (id, rule_id, slot_index, mode, staff_id)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, rule_id, slot_index, mode, staff_id, created_at`,
-      [uuidv4(), id, slot_index, mode, mode === 'manual' ? staff_id : null]
+        (id, rule_id, slot_index, mode, staff_id, min_schads_level)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, rule_id, slot_index, mode, staff_id, min_schads_level, created_at`,
+      [
+        uuidv4(),
+        id,
+        slot_index,
+        mode,
+        mode === 'manual' ? staff_id : null,
+        min_schads_level
+      ]
     );
     res.status(201).json({ success: true, data: result.rows[0] });
   } catch (err) {
@@ -1127,7 +1151,7 @@ router.post('/rules/:id/staff-placeholders', async (req, res) => {
 router.patch('/rules/:id/staff-placeholders/:phId', async (req, res) => {
   const pool = req.app.locals.pool;
   const { id, phId } = req.params;
-  const { mode, staff_id } = req.body || {};
+  const { mode, staff_id, min_schads_level } = req.body || {};
 
   try {
     if (!(await ruleExists(pool, id))) {
@@ -1169,6 +1193,10 @@ router.patch('/rules/:id/staff-placeholders/:phId', async (req, res) => {
       updates.push(`staff_id = $${pIdx++}`);
       values.push(staff_id);
     }
+    if (min_schads_level !== undefined) {
+      updates.push(`min_schads_level = $${pIdx++}`);
+      values.push(min_schads_level);
+    }
 
     if (updates.length === 0) {
       return res
@@ -1180,7 +1208,7 @@ router.patch('/rules/:id/staff-placeholders/:phId', async (req, res) => {
       `UPDATE rules_program_staff_placeholders
           SET ${updates.join(', ')}
         WHERE id = $1 AND rule_id = $2
-        RETURNING id, rule_id, slot_index, mode, staff_id, created_at`,
+        RETURNING id, rule_id, slot_index, mode, staff_id, min_schads_level, created_at`,
       values
     );
 
@@ -1533,6 +1561,77 @@ router.get('/rules/:id/requirements', async (req, res) => {
   }
 });
 
+// POST /templates/rules/:id/preview - Dry-run rethread showing what an edit/finalize would change
+router.post('/rules/:id/preview', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const { id } = req.params;
+  const { changes = {}, dateFrom: bodyFrom, dateTo: bodyTo } = req.body || {};
+  
+  if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+    return res.status(400).json({
+      success: false,
+      error: 'changes must be an object of rule fields'
+    });
+  }
+  
+  try {
+    const ruleCheck = await pool.query(
+      `SELECT id, anchor_date FROM rules_programs WHERE id = $1`,
+      [id]
+    );
+    
+    if (ruleCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+    
+    // Same window as finalize unless the caller narrows it
+    const settings = await loadSettings(pool);
+    const windowDays = settings.loom_window_days > 0 ? settings.loom_window_days : 56;
+    const anchor = changes.anchor_date || ruleCheck.rows[0].anchor_date;
+    let startDateObj = anchor ? new Date(anchor) : null;
+    if (!startDateObj || isNaN(startDateObj.getTime())) {
+      startDateObj = new Date();
+      startDateObj.setDate(startDateObj.getDate() + 1);
+    }
+    const dateFrom = bodyFrom || fmtYmdTZ(startDateObj);
+    const end = new Date(startDateObj);
+    end.setDate(end.getDate() + windowDays - 1);
+    const dateTo = bodyTo || fmtYmdTZ(end);
+    
+    // Previews assume the rule is (or will be) active unless told otherwise
+    const summary = await syncRethread(
+      {
+        ruleId: id,
+        windowDays,
+        dateFrom,
+        dateTo,
+        dryRun: true,
+        ruleChanges: { active: true, ...changes }
+      },
+      pool
+    );
+    
+    res.json({
+      success: true,
+      data: {
+        dateFrom,
+        dateTo,
+        totals: summary.totals,
+        diffs: summary.diffs
+      }
+    });
+  } catch (err) {
+    console.error('Error previewing rule changes:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview rule changes'
+    });
+  }
+});
+
 // POST /templates/rules/:id/finalize - Finalize a rule and trigger syncRethread
 router.post('/rules/:id/finalize', async (req, res) => {
   const pool = req.app.locals.pool;
@@ -1839,9 +1938,11 @@ router.delete('/rules/:id', async (req, res) => {
       // ignore if table missing
     }
 
-    // 9. Delete generated billing diamonds
+    // 9. Delete generated billing diamonds still in draft/ready
+    //    (exported/claimed lines are locked finance records and stay)
     await client.query(
-      `DELETE FROM payment_diamonds WHERE program_id = $1`,
+      `DELETE FROM payment_diamonds
+        WHERE program_id = $1 AND status IN ('draft', 'ready')`,
       [id]
     );
 
@@ -0,0 +1,208 @@
+/**
+ * Timesheet API Routes
+ *
+ * Actual times worked against rostered shifts (see util_timesheets):
+ * - GET /timesheets - List timesheets with roster variance (staff_id / start_date / end_date / status)
+ * - GET /timesheets/:id - One timesheet
+ * - POST /timesheets/clock-in - Clock in to a rostered shift (time defaults to now)
+ * - POST /timesheets - Enter a timesheet by hand (actual start/end, breaks)
+ * - POST /timesheets/:id/clock-out - Clock out (closes a running break)
+ * - POST /timesheets/:id/breaks/start - Start an unpaid break
+ * - POST /timesheets/:id/breaks/end - End the running break
+ * - PATCH /timesheets/:id - Correct times / breaks / notes before approval
+ * - POST /timesheets/:id/submit - Submit for supervisor approval
+ * - POST /timesheets/:id/approve - Supervisor approval
+ * - POST /timesheets/:id/reject - Supervisor rejection (reason required)
+ *
+ * Approved timesheets replace rostered times in SCHADS pay and utilisation.
+ */
+
+const express = require('express');
+const router = express.Router();
+const uuid = require('uuid');
+const {
+  createTimesheet,
+  clockOut,
+  recordBreak,
+  updateTimesheet,
+  submitTimesheet,
+  reviewTimesheet,
+  listTimesheets,
+  getTimesheet
+} = require('./util_timesheets');
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback, message: error.message });
+};
+
+const logTimesheet = async (pool, message, details) => {
+  try {
+    await pool.query(
+      `INSERT INTO system_logs (id, severity, category, message, details)
+       VALUES ($1, 'INFO', 'OPERATIONAL', $2, $3)`,
+      [uuid.v4(), message, details]
+    );
+  } catch (logError) {
+    console.error('Failed to log to system_logs:', logError);
+  }
+};
+
+// GET /timesheets - List timesheets
+router.get('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { staff_id, loom_instance_id, start_date, end_date, status } = req.query;
+    const rows = await listTimesheets({
+      staffId: staff_id,
+      loomInstanceId: loom_instance_id,
+      dateFrom: start_date,
+      dateTo: end_date,
+      status
+    }, pool);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch timesheets');
+  }
+});
+
+// POST /timesheets/clock-in - Clock in to a rostered shift
+router.post('/clock-in', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { staff_id, loom_instance_id, time, notes } = req.body || {};
+    const timesheet = await createTimesheet({
+      staffId: staff_id,
+      loomInstanceId: loom_instance_id,
+      actualStart: time,
+      notes
+    }, pool);
+    res.status(201).json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to clock in');
+  }
+});
+
+// POST /timesheets - Enter a timesheet by hand
+router.post('/', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const {
+      staff_id,
+      loom_instance_id,
+      actual_start,
+      actual_end,
+      actual_end_next_day,
+      breaks,
+      break_minutes,
+      notes
+    } = req.body || {};
+    if (!actual_start) {
+      return res.status(400).json({ success: false, error: 'actual_start is required' });
+    }
+    const timesheet = await createTimesheet({
+      staffId: staff_id,
+      loomInstanceId: loom_instance_id,
+      actualStart: actual_start,
+      actualEnd: actual_end,
+      actualEndNextDay: actual_end_next_day,
+      breaks,
+      breakMinutes: break_minutes,
+      notes
+    }, pool);
+    res.status(201).json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to create timesheet');
+  }
+});
+
+// GET /timesheets/:id - One timesheet
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getTimesheet(req.params.id, req.app.locals.pool) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch timesheet');
+  }
+});
+
+// PATCH /timesheets/:id - Correct before approval
+router.patch('/:id', async (req, res) => {
+  try {
+    const timesheet = await updateTimesheet(req.params.id, req.body || {}, req.app.locals.pool);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to update timesheet');
+  }
+});
+
+// POST /timesheets/:id/clock-out - Clock out
+router.post('/:id/clock-out', async (req, res) => {
+  try {
+    const timesheet = await clockOut(req.params.id, {
+      time: req.body?.time,
+      nextDay: req.body?.next_day
+    }, req.app.locals.pool);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to clock out');
+  }
+});
+
+// POST /timesheets/:id/breaks/start|end - Record an unpaid break
+router.post('/:id/breaks/:action', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!['start', 'end'].includes(action)) {
+      return res.status(404).json({ success: false, error: 'Unknown break action' });
+    }
+    const timesheet = await recordBreak(id, action, { time: req.body?.time }, req.app.locals.pool);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to record break');
+  }
+});
+
+// POST /timesheets/:id/submit - Submit for approval
+router.post('/:id/submit', async (req, res) => {
+  try {
+    const timesheet = await submitTimesheet(req.params.id, req.app.locals.pool);
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to submit timesheet');
+  }
+});
+
+// Supervisor review – shared by approve and reject
+const reviewHandler = (decision) => async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { reviewed_by, reason } = req.body || {};
+    const timesheet = await reviewTimesheet(req.params.id, {
+      action: decision,
+      reviewedBy: reviewed_by,
+      reason
+    }, pool);
+    const variance = timesheet.variance_minutes;
+    await logTimesheet(pool, `Timesheet ${timesheet.status}: ${timesheet.shift_date} (${timesheet.worked_minutes} min worked, ${variance >= 0 ? '+' : ''}${variance} min vs roster)`, {
+      timesheet_id: timesheet.id,
+      staff_id: timesheet.staff_id,
+      loom_instance_id: timesheet.loom_instance_id,
+      reviewed_by,
+      reason: reason || null
+    });
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    sendError(res, error, 'Failed to review timesheet');
+  }
+};
+
+// POST /timesheets/:id/approve - Supervisor approval
+router.post('/:id/approve', reviewHandler('approve'));
+
+// POST /timesheets/:id/reject - Supervisor rejection
+router.post('/:id/reject', reviewHandler('reject'));
+
+module.exports = router;
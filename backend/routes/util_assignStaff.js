@@ -0,0 +1,373 @@
+/**
+ * Staff Auto-Assignment Utility
+ *
+ * Fills staff placeholders on loom_instances:
+ *   - mode 'manual' → the chosen staff member is written straight through
+ *   - mode 'auto'   → a solver picks the best available staff member
+ *   - mode 'open'   → left alone (offered to staff instead)
+ *
+ * Auto picks respect staff_unavailabilities, contracted_hours (per Mon–Sun
+ * week), existing shifts in loom_staff_assignments / tgl_loom_staff_shifts
+ * and the placeholder's minimum SCHADS level. Nobody is double-booked.
+ * Every pick stores an explanation in loom_staff_assignments.assignment_reason.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+const {
+  loadStaffShifts,
+  shiftHours,
+  timesOverlap
+} = require('./util_staffShifts');
+const { TZ, addDaysYmdTZ, mondayOfYmd, round2, fullName } = require('./util_helpers');
+
+/**
+ * Check one staff member against one placeholder on one instance
+ * @returns {Object} { ok, reason?, weekHours, shiftHours, level }
+ */
+function evaluateCandidate(staff, inst, placeholder, ctx) {
+  const level = staff.schads_level != null ? Number(staff.schads_level) : null;
+  const hours = shiftHours(inst.start_time, inst.end_time);
+  const week = mondayOfYmd(inst.date);
+  const weekHours = ctx.weekHours.get(`${staff.id}|${week}`) || 0;
+  const result = { ok: false, level, weekHours, shiftHours: hours };
+
+  const minLevel = placeholder.min_schads_level != null ? Number(placeholder.min_schads_level) : null;
+  if (minLevel != null && (level == null || level < minLevel)) {
+    return { ...result, reason: 'level' };
+  }
+
+  const blocked = (ctx.unavailability.get(staff.id) || []).some(
+    (u) => u.start < inst.ends_epoch && inst.starts_epoch < u.end
+  );
+  if (blocked) return { ...result, reason: 'unavailable' };
+
+  const clash = (ctx.shiftsByStaffDate.get(`${staff.id}|${inst.date}`) || []).some(
+    (s) => s.loom_instance_id === inst.id ||
+      timesOverlap(s.start_time, s.end_time, inst.start_time, inst.end_time)
+  );
+  if (clash) return { ...result, reason: 'double_booked' };
+
+  const contracted = staff.contracted_hours != null ? Number(staff.contracted_hours) : null;
+  if (contracted != null && contracted > 0 && weekHours + hours > contracted) {
+    return { ...result, reason: 'over_hours' };
+  }
+
+  return { ...result, ok: true, contracted };
+}
+
+// Record a new commitment so later picks in the same run see it
+function commit(ctx, staffId, inst) {
+  const key = `${staffId}|${inst.date}`;
+  if (!ctx.shiftsByStaffDate.has(key)) ctx.shiftsByStaffDate.set(key, []);
+  ctx.shiftsByStaffDate.get(key).push({
+    loom_instance_id: inst.id,
+    start_time: inst.start_time,
+    end_time: inst.end_time
+  });
+  const weekKey = `${staffId}|${mondayOfYmd(inst.date)}`;
+  ctx.weekHours.set(
+    weekKey,
+    (ctx.weekHours.get(weekKey) || 0) + shiftHours(inst.start_time, inst.end_time)
+  );
+}
+
+/**
+ * Active staff with their unavailability and existing commitments, for
+ * evaluateCandidate across a date range
+ * @param {Pool|Client} db
+ * @param {Object} options - { dateFrom, dateTo }
+ * @returns {Promise<Object>} { staff, shifts, unavailability, shiftsByStaffDate, weekHours }
+ */
+async function loadCandidateContext(db, { dateFrom, dateTo }) {
+  const { rows: staff } = await db.query(`
+    SELECT id, first_name, last_name, contracted_hours, schads_level
+      FROM staff
+     WHERE active = true AND status = 'active'
+  `);
+
+  const { rows: unavail } = await db.query(`
+    SELECT staff_id,
+           EXTRACT(EPOCH FROM start_time) AS s,
+           EXTRACT(EPOCH FROM end_time) AS e
+      FROM staff_unavailabilities
+     WHERE end_time >= $1::date
+       AND start_time < ($2::date + 1)
+  `, [dateFrom, dateTo]);
+
+  // Existing commitments across whole weeks so contracted-hours caps are accurate
+  const shifts = await loadStaffShifts(db, {
+    dateFrom: mondayOfYmd(dateFrom),
+    dateTo: addDaysYmdTZ(mondayOfYmd(dateTo), 6)
+  });
+
+  const ctx = {
+    staff,
+    shifts,
+    unavailability: new Map(),
+    shiftsByStaffDate: new Map(),
+    weekHours: new Map()
+  };
+  unavail.forEach((u) => {
+    if (!ctx.unavailability.has(u.staff_id)) ctx.unavailability.set(u.staff_id, []);
+    ctx.unavailability.get(u.staff_id).push({ start: Number(u.s), end: Number(u.e) });
+  });
+  shifts.forEach((s) => {
+    const key = `${s.staff_id}|${s.date}`;
+    if (!ctx.shiftsByStaffDate.has(key)) ctx.shiftsByStaffDate.set(key, []);
+    ctx.shiftsByStaffDate.get(key).push(s);
+    const weekKey = `${s.staff_id}|${mondayOfYmd(s.date)}`;
+    ctx.weekHours.set(weekKey, (ctx.weekHours.get(weekKey) || 0) + s.hours);
+  });
+  return ctx;
+}
+
+/**
+ * Pick the best staff member for an auto placeholder
+ * @returns {Object} { staff, explanation } or { staff: null, explanation }
+ */
+function pickStaff(inst, placeholder, isLead, ctx) {
+  const rejected = { level: 0, unavailable: 0, double_booked: 0, over_hours: 0 };
+  const eligible = [];
+
+  for (const staff of ctx.staff) {
+    const ev = evaluateCandidate(staff, inst, placeholder, ctx);
+    if (ev.ok) eligible.push({ staff, ev });
+    else rejected[ev.reason]++;
+  }
+
+  if (eligible.length === 0) {
+    return {
+      staff: null,
+      explanation: { considered: ctx.staff.length, rejected }
+    };
+  }
+
+  // Utilisation of contract this week; casuals (no contract) go after contracted staff
+  const utilisation = ({ ev }) =>
+    ev.contracted ? (ev.weekHours + ev.shiftHours) / ev.contracted : Infinity;
+
+  eligible.sort((a, b) => {
+    const ua = utilisation(a);
+    const ub = utilisation(b);
+    if (ua !== ub) return ua - ub;
+    // Leads favour seniority; support favours the lowest adequate level
+    const la = a.ev.level ?? 0;
+    const lb = b.ev.level ?? 0;
+    if (la !== lb) return isLead ? lb - la : la - lb;
+    return fullName(a.staff).localeCompare(fullName(b.staff));
+  });
+
+  const best = eligible[0];
+  const reasons = [
+    'No unavailability overlapping the shift',
+    'No overlapping shift that day'
+  ];
+  if (best.ev.contracted) {
+    reasons.push(
+      `Week hours ${round2(best.ev.weekHours)} + ${round2(best.ev.shiftHours)} within contracted ${best.ev.contracted}`
+    );
+  } else {
+    reasons.push('No contracted-hours cap (casual)');
+  }
+  if (placeholder.min_schads_level != null) {
+    reasons.push(`SCHADS level ${best.ev.level} meets minimum ${placeholder.min_schads_level}`);
+  }
+  reasons.push(
+    isLead
+      ? `Lowest utilisation among ${eligible.length} eligible, seniority preferred for lead`
+      : `Lowest utilisation among ${eligible.length} eligible`
+  );
+
+  return {
+    staff: best.staff,
+    explanation: {
+      mode: 'auto',
+      role: isLead ? 'lead' : 'support',
+      reasons,
+      utilisation: Number.isFinite(utilisation(best)) ? round2(utilisation(best)) : null,
+      schads_level: best.ev.level,
+      considered: ctx.staff.length,
+      eligible: eligible.length,
+      rejected,
+      runner_up: eligible[1] ? { staff_id: eligible[1].staff.id, name: fullName(eligible[1].staff) } : null,
+      decided_at: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Fill staff placeholders for loom instances in a date range
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {string} [options.ruleId] - limit to one rule
+ * @param {Pool} pool - pg Pool instance
+ * @returns {Promise<Object>} summary with assignments[] and unfilled[]
+ */
+async function autoAssignStaff(options = {}, pool) {
+  if (!pool) {
+    throw new Error('autoAssignStaff requires a database pool');
+  }
+  const { dateFrom, dateTo, ruleId } = options;
+  if (!dateFrom || !dateTo) {
+    throw new Error('dateFrom and dateTo are required');
+  }
+
+  const summary = {
+    instancesScanned: 0,
+    manualWritten: 0,
+    autoAssigned: 0,
+    unfilledCount: 0,
+    assignments: [],
+    unfilled: []
+  };
+
+  const params = [dateFrom, dateTo];
+  let ruleFilter = '';
+  if (ruleId) {
+    ruleFilter = 'AND li.source_rule_id = $3';
+    params.push(ruleId);
+  }
+  const { rows: instances } = await pool.query(`
+    SELECT li.id,
+           li.source_rule_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time,
+           EXTRACT(EPOCH FROM ((li.instance_date + li.start_time) AT TIME ZONE '${TZ}')) AS starts_epoch,
+           EXTRACT(EPOCH FROM ((li.instance_date + li.end_time) AT TIME ZONE '${TZ}')) AS ends_epoch,
+           rp.name AS program_name,
+           COALESCE(rp.auto_assign_staff, true) AS auto_assign_staff
+      FROM loom_instances li
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+     WHERE li.instance_date BETWEEN $1 AND $2
+       AND li.cancelled_at IS NULL
+       ${ruleFilter}
+     ORDER BY li.instance_date, li.start_time
+  `, params);
+  if (instances.length === 0) return summary;
+  instances.forEach((i) => {
+    i.starts_epoch = Number(i.starts_epoch);
+    i.ends_epoch = Number(i.ends_epoch);
+  });
+
+  const ruleIds = [...new Set(instances.map((i) => i.source_rule_id))];
+  const { rows: placeholders } = await pool.query(`
+    SELECT id, rule_id, slot_index, mode, staff_id, min_schads_level
+      FROM rules_program_staff_placeholders
+     WHERE rule_id = ANY($1::uuid[])
+     ORDER BY slot_index ASC, created_at ASC
+  `, [ruleIds]);
+  if (placeholders.length === 0) return summary;
+
+  const ctx = await loadCandidateContext(pool, { dateFrom, dateTo });
+  const { staff, shifts } = ctx;
+  const filledPlaceholders = new Set(); // `${instanceId}|${placeholderId}`
+  const onInstance = new Set(); // `${instanceId}|${staffId}`
+  shifts.forEach((s) => {
+    if (s.source === 'loom') {
+      onInstance.add(`${s.loom_instance_id}|${s.staff_id}`);
+      if (s.placeholder_id) filledPlaceholders.add(`${s.loom_instance_id}|${s.placeholder_id}`);
+    }
+  });
+  // Slots cleared by hand on the roster stay empty
+  const { rows: holds } = await pool.query(
+    'SELECT loom_instance_id, placeholder_id FROM loom_staff_slot_holds WHERE loom_instance_id = ANY($1::uuid[])',
+    [instances.map((i) => i.id)]
+  );
+  holds.forEach((h) => filledPlaceholders.add(`${h.loom_instance_id}|${h.placeholder_id}`));
+
+  const staffById = new Map(staff.map((s) => [s.id, s]));
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const writeAssignment = async (inst, staffId, placeholder, role, reason) => {
+      await client.query(`
+        INSERT INTO loom_staff_assignments (
+          id, loom_instance_id, staff_id, role, placeholder_id, assignment_reason
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (loom_instance_id, staff_id) DO NOTHING
+      `, [uuidv4(), inst.id, staffId, role, placeholder.id, JSON.stringify(reason)]);
+      commit(ctx, staffId, inst);
+      onInstance.add(`${inst.id}|${staffId}`);
+      filledPlaceholders.add(`${inst.id}|${placeholder.id}`);
+    };
+
+    for (const inst of instances) {
+      summary.instancesScanned++;
+      const phForRule = placeholders.filter((p) => p.rule_id === inst.source_rule_id);
+      const leadPlaceholderId = phForRule[0]?.id;
+
+      // Manual picks first so auto picks see them as commitments
+      for (const ph of phForRule.filter((p) => p.mode === 'manual' && p.staff_id)) {
+        if (filledPlaceholders.has(`${inst.id}|${ph.id}`)) continue;
+        if (onInstance.has(`${inst.id}|${ph.staff_id}`)) continue;
+        await writeAssignment(inst, ph.staff_id, ph, ph.id === leadPlaceholderId ? 'lead' : 'support', {
+          mode: 'manual',
+          reasons: ['Named on the program template'],
+          decided_at: new Date().toISOString()
+        });
+        summary.manualWritten++;
+      }
+
+      if (!inst.auto_assign_staff) continue;
+
+      for (const ph of phForRule.filter((p) => p.mode === 'auto')) {
+        if (filledPlaceholders.has(`${inst.id}|${ph.id}`)) continue;
+        const isLead = ph.id === leadPlaceholderId;
+        const { staff: chosen, explanation } = pickStaff(inst, ph, isLead, ctx);
+
+        if (!chosen) {
+          summary.unfilledCount++;
+          summary.unfilled.push({
+            instance_id: inst.id,
+            date: inst.date,
+            program_name: inst.program_name,
+            placeholder_id: ph.id,
+            explanation
+          });
+          continue;
+        }
+
+        await writeAssignment(inst, chosen.id, ph, isLead ? 'lead' : 'support', explanation);
+        summary.autoAssigned++;
+        summary.assignments.push({
+          instance_id: inst.id,
+          date: inst.date,
+          program_name: inst.program_name,
+          placeholder_id: ph.id,
+          staff_id: chosen.id,
+          staff_name: fullName(staffById.get(chosen.id) || chosen),
+          explanation
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (summary.unfilledCount > 0) {
+    await logger.logEvent({
+      severity: 'WARN',
+      category: 'RESOURCE',
+      message: `${summary.unfilledCount} staff placeholder(s) could not be auto-filled`,
+      details: { dateFrom, dateTo, ruleId: ruleId || null, unfilled: summary.unfilled },
+      entity: 'staff_assignment'
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  autoAssignStaff,
+  loadCandidateContext,
+  evaluateCandidate
+};
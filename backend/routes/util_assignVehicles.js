@@ -0,0 +1,396 @@
+/**
+ * Vehicle Auto-Assignment Utility
+ *
+ * Fills vehicle placeholders on loom_instances:
+ *   - mode 'manual' → the chosen vehicle is written straight through
+ *   - mode 'auto'   → the allocator picks a fleet vehicle
+ *   - mode 'pc'     → participant's own car; those participants need no seat
+ *
+ * Auto picks skip vehicles with an overlapping vehicle_blackouts entry or an
+ * overlapping run on another instance that day, and keep going until the
+ * seats on the instance (capacity_participants / capacity_staff) cover its
+ * participants and staff. When that cannot be done a CONSTRAINT log is raised.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+const { timesOverlap } = require('./util_staffShifts');
+const { TZ } = require('./util_helpers');
+
+// Vehicles without a capacity split fall back to total capacity / one staff seat
+function seatsOf(vehicle) {
+  const pax = Number(vehicle.capacity_participants) || Number(vehicle.capacity) || 0;
+  const staff = Number(vehicle.capacity_staff) || 1;
+  return { pax, staff };
+}
+
+/**
+ * Pick the best vehicle for one auto placeholder
+ * If a single vehicle can cover what is still needed, take the smallest one
+ * that does; otherwise take the biggest so the remaining gap shrinks fastest.
+ * @returns {Object} { vehicle, explanation } or { vehicle: null, explanation }
+ */
+function pickVehicle(inst, need, ctx) {
+  const rejected = { blackout: 0, overlapping_run: 0, already_on_instance: 0 };
+  const eligible = [];
+
+  for (const vehicle of ctx.vehicles) {
+    if (ctx.onInstance.has(`${inst.id}|${vehicle.id}`)) {
+      rejected.already_on_instance++;
+      continue;
+    }
+    const blackedOut = (ctx.blackouts.get(vehicle.id) || []).some(
+      (b) => b.start < inst.ends_epoch && inst.starts_epoch < b.end
+    );
+    if (blackedOut) {
+      rejected.blackout++;
+      continue;
+    }
+    const clash = (ctx.runsByVehicleDate.get(`${vehicle.id}|${inst.date}`) || []).some(
+      (r) => timesOverlap(r.start_time, r.end_time, inst.start_time, inst.end_time)
+    );
+    if (clash) {
+      rejected.overlapping_run++;
+      continue;
+    }
+    eligible.push({ vehicle, seats: seatsOf(vehicle) });
+  }
+
+  if (eligible.length === 0) {
+    return {
+      vehicle: null,
+      explanation: { considered: ctx.vehicles.length, rejected }
+    };
+  }
+
+  const covers = eligible.filter((e) => e.seats.pax >= need.pax && e.seats.staff >= need.staff);
+  let best;
+  if (covers.length > 0) {
+    covers.sort((a, b) =>
+      (a.seats.pax - b.seats.pax) ||
+      (a.seats.staff - b.seats.staff) ||
+      a.vehicle.name.localeCompare(b.vehicle.name)
+    );
+    best = covers[0];
+  } else {
+    eligible.sort((a, b) =>
+      (b.seats.pax - a.seats.pax) ||
+      (b.seats.staff - a.seats.staff) ||
+      a.vehicle.name.localeCompare(b.vehicle.name)
+    );
+    best = eligible[0];
+  }
+
+  const reasons = [
+    'No blackout overlapping the run',
+    'No overlapping run that day',
+    covers.length > 0
+      ? `Smallest of ${covers.length} vehicle(s) covering ${need.pax} participant / ${need.staff} staff seat(s)`
+      : `Largest of ${eligible.length} eligible; no single vehicle covers ${need.pax} participant / ${need.staff} staff seat(s)`
+  ];
+
+  return {
+    vehicle: best.vehicle,
+    explanation: {
+      mode: 'auto',
+      reasons,
+      seats: best.seats,
+      need: { ...need },
+      considered: ctx.vehicles.length,
+      eligible: eligible.length,
+      rejected,
+      decided_at: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Fill vehicle placeholders for loom instances in a date range
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {string} [options.ruleId] - limit to one rule
+ * @param {Pool} pool - pg Pool instance
+ * @returns {Promise<Object>} summary with assignments[] and shortfalls[]
+ */
+async function autoAssignVehicles(options = {}, pool) {
+  if (!pool) {
+    throw new Error('autoAssignVehicles requires a database pool');
+  }
+  const { dateFrom, dateTo, ruleId } = options;
+  if (!dateFrom || !dateTo) {
+    throw new Error('dateFrom and dateTo are required');
+  }
+
+  const summary = {
+    instancesScanned: 0,
+    manualWritten: 0,
+    autoAssigned: 0,
+    shortfallCount: 0,
+    assignments: [],
+    shortfalls: []
+  };
+
+  const params = [dateFrom, dateTo];
+  let ruleFilter = '';
+  if (ruleId) {
+    ruleFilter = 'AND li.source_rule_id = $3';
+    params.push(ruleId);
+  }
+  const { rows: instances } = await pool.query(`
+    SELECT li.id,
+           li.source_rule_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time,
+           EXTRACT(EPOCH FROM ((li.instance_date + li.start_time) AT TIME ZONE '${TZ}')) AS starts_epoch,
+           EXTRACT(EPOCH FROM ((li.instance_date + li.end_time) AT TIME ZONE '${TZ}')) AS ends_epoch,
+           rp.name AS program_name,
+           COALESCE(rp.auto_assign_vehicles, true) AS auto_assign_vehicles
+      FROM loom_instances li
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+     WHERE li.instance_date BETWEEN $1 AND $2
+       AND li.cancelled_at IS NULL
+       ${ruleFilter}
+     ORDER BY li.instance_date, li.start_time
+  `, params);
+  if (instances.length === 0) return summary;
+  instances.forEach((i) => {
+    i.starts_epoch = Number(i.starts_epoch);
+    i.ends_epoch = Number(i.ends_epoch);
+  });
+
+  const ruleIds = [...new Set(instances.map((i) => i.source_rule_id))];
+  const { rows: placeholders } = await pool.query(`
+    SELECT id, rule_id, slot_index, mode, vehicle_id,
+           COALESCE(pc_participant_ids, '{}'::uuid[]) AS pc_participant_ids
+      FROM rules_program_vehicle_placeholders
+     WHERE rule_id = ANY($1::uuid[])
+     ORDER BY slot_index ASC, created_at ASC
+  `, [ruleIds]);
+  if (placeholders.length === 0) return summary;
+
+  const { rows: participantRows } = await pool.query(`
+    SELECT rule_id, participant_id
+      FROM rules_program_participants
+     WHERE rule_id = ANY($1::uuid[])
+  `, [ruleIds]);
+
+  const { rows: staffPlaceholderRows } = await pool.query(`
+    SELECT rule_id, COUNT(*)::int AS n
+      FROM rules_program_staff_placeholders
+     WHERE rule_id = ANY($1::uuid[])
+     GROUP BY rule_id
+  `, [ruleIds]);
+
+  const instanceIds = instances.map((i) => i.id);
+  const { rows: staffRows } = await pool.query(`
+    SELECT loom_instance_id, COUNT(*)::int AS n
+      FROM loom_staff_assignments
+     WHERE loom_instance_id = ANY($1::uuid[])
+     GROUP BY loom_instance_id
+  `, [instanceIds]);
+
+  const { rows: vehicles } = await pool.query(`
+    SELECT id, name, registration, capacity, capacity_participants, capacity_staff
+      FROM vehicles
+     WHERE active = true AND status = 'active'
+  `);
+  const vehicleById = new Map(vehicles.map((v) => [v.id, v]));
+
+  const { rows: blackouts } = await pool.query(`
+    SELECT vehicle_id,
+           EXTRACT(EPOCH FROM start_time) AS s,
+           EXTRACT(EPOCH FROM end_time) AS e
+      FROM vehicle_blackouts
+     WHERE end_time >= $1::date
+       AND start_time < ($2::date + 1)
+  `, [dateFrom, dateTo]);
+
+  // Every vehicle run already committed in the range, modern and legacy
+  const { rows: runs } = await pool.query(`
+    SELECT lva.vehicle_id,
+           lva.loom_instance_id,
+           lva.placeholder_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time
+      FROM loom_vehicle_assignments lva
+      JOIN loom_instances li ON li.id = lva.loom_instance_id
+     WHERE li.instance_date BETWEEN $1 AND $2
+       AND li.cancelled_at IS NULL
+  `, [dateFrom, dateTo]);
+  try {
+    const { rows: legacyRuns } = await pool.query(`
+      SELECT vr.vehicle_id,
+             to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+             vr.start_time,
+             vr.end_time
+        FROM tgl_loom_vehicle_runs vr
+        JOIN tgl_loom_instances li ON li.id = vr.loom_instance_id
+       WHERE li.instance_date BETWEEN $1 AND $2
+    `, [dateFrom, dateTo]);
+    legacyRuns.forEach((r) => runs.push({ ...r, loom_instance_id: null, placeholder_id: null }));
+  } catch (err) {
+    console.warn('[VEHICLES] Legacy vehicle runs unavailable:', err.message);
+  }
+
+  const participantsByRule = new Map();
+  participantRows.forEach((r) => {
+    if (!participantsByRule.has(r.rule_id)) participantsByRule.set(r.rule_id, new Set());
+    participantsByRule.get(r.rule_id).add(r.participant_id);
+  });
+  const staffPlaceholdersByRule = new Map(staffPlaceholderRows.map((r) => [r.rule_id, r.n]));
+  const staffByInstance = new Map(staffRows.map((r) => [r.loom_instance_id, r.n]));
+
+  const ctx = {
+    vehicles,
+    blackouts: new Map(),
+    runsByVehicleDate: new Map(),
+    onInstance: new Set() // `${instanceId}|${vehicleId}`
+  };
+  blackouts.forEach((b) => {
+    if (!ctx.blackouts.has(b.vehicle_id)) ctx.blackouts.set(b.vehicle_id, []);
+    ctx.blackouts.get(b.vehicle_id).push({ start: Number(b.s), end: Number(b.e) });
+  });
+  const addRun = (run) => {
+    const key = `${run.vehicle_id}|${run.date}`;
+    if (!ctx.runsByVehicleDate.has(key)) ctx.runsByVehicleDate.set(key, []);
+    ctx.runsByVehicleDate.get(key).push(run);
+  };
+  const filledPlaceholders = new Set(); // `${instanceId}|${placeholderId}`
+  const seatsByInstance = new Map(); // instanceId → { pax, staff }
+  runs.forEach((r) => {
+    if (r.loom_instance_id) {
+      ctx.onInstance.add(`${r.loom_instance_id}|${r.vehicle_id}`);
+      if (r.placeholder_id) filledPlaceholders.add(`${r.loom_instance_id}|${r.placeholder_id}`);
+      const v = vehicleById.get(r.vehicle_id);
+      if (v) {
+        const seats = seatsByInstance.get(r.loom_instance_id) || { pax: 0, staff: 0 };
+        const add = seatsOf(v);
+        seatsByInstance.set(r.loom_instance_id, { pax: seats.pax + add.pax, staff: seats.staff + add.staff });
+      }
+    }
+    addRun(r);
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const writeAssignment = async (inst, vehicleId, placeholder, reason) => {
+      const result = await client.query(`
+        INSERT INTO loom_vehicle_assignments (
+          id, loom_instance_id, vehicle_id, placeholder_id, assignment_reason
+        ) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (loom_instance_id, vehicle_id) DO NOTHING
+      `, [uuidv4(), inst.id, vehicleId, placeholder.id, JSON.stringify(reason)]);
+      ctx.onInstance.add(`${inst.id}|${vehicleId}`);
+      filledPlaceholders.add(`${inst.id}|${placeholder.id}`);
+      addRun({ vehicle_id: vehicleId, date: inst.date, start_time: inst.start_time, end_time: inst.end_time });
+      const v = vehicleById.get(vehicleId);
+      if (v && result.rowCount > 0) {
+        const seats = seatsByInstance.get(inst.id) || { pax: 0, staff: 0 };
+        const add = seatsOf(v);
+        seatsByInstance.set(inst.id, { pax: seats.pax + add.pax, staff: seats.staff + add.staff });
+      }
+      return result.rowCount > 0;
+    };
+
+    for (const inst of instances) {
+      summary.instancesScanned++;
+      const phForRule = placeholders.filter((p) => p.rule_id === inst.source_rule_id);
+      if (phForRule.length === 0) continue;
+
+      // Manual picks first so auto picks see them as runs and seats
+      for (const ph of phForRule.filter((p) => p.mode === 'manual' && p.vehicle_id)) {
+        if (filledPlaceholders.has(`${inst.id}|${ph.id}`)) continue;
+        if (ctx.onInstance.has(`${inst.id}|${ph.vehicle_id}`)) continue;
+        const written = await writeAssignment(inst, ph.vehicle_id, ph, {
+          mode: 'manual',
+          reasons: ['Named on the program template'],
+          decided_at: new Date().toISOString()
+        });
+        if (written) summary.manualWritten++;
+      }
+
+      if (!inst.auto_assign_vehicles) continue;
+      const autoPlaceholders = phForRule.filter(
+        (p) => p.mode === 'auto' && !filledPlaceholders.has(`${inst.id}|${p.id}`)
+      );
+      if (autoPlaceholders.length === 0) continue;
+
+      // Participants travelling in their own car don't need a seat
+      const ownCar = new Set(
+        phForRule.filter((p) => p.mode === 'pc').flatMap((p) => p.pc_participant_ids || [])
+      );
+      const riders = [...(participantsByRule.get(inst.source_rule_id) || [])]
+        .filter((id) => !ownCar.has(id)).length;
+      const staffCount = Math.max(
+        staffByInstance.get(inst.id) || 0,
+        staffPlaceholdersByRule.get(inst.source_rule_id) || 0
+      );
+
+      let unplaced = null;
+      for (const ph of autoPlaceholders) {
+        const seats = seatsByInstance.get(inst.id) || { pax: 0, staff: 0 };
+        const need = {
+          pax: Math.max(0, riders - seats.pax),
+          staff: Math.max(0, staffCount - seats.staff)
+        };
+        const { vehicle, explanation } = pickVehicle(inst, need, ctx);
+        if (!vehicle) {
+          unplaced = { placeholder_id: ph.id, explanation };
+          break;
+        }
+        await writeAssignment(inst, vehicle.id, ph, explanation);
+        summary.autoAssigned++;
+        summary.assignments.push({
+          instance_id: inst.id,
+          date: inst.date,
+          program_name: inst.program_name,
+          placeholder_id: ph.id,
+          vehicle_id: vehicle.id,
+          vehicle_name: vehicle.name,
+          explanation
+        });
+      }
+
+      const seats = seatsByInstance.get(inst.id) || { pax: 0, staff: 0 };
+      if (unplaced || seats.pax < riders || seats.staff < staffCount) {
+        summary.shortfallCount++;
+        summary.shortfalls.push({
+          instance_id: inst.id,
+          date: inst.date,
+          program_name: inst.program_name,
+          required: { participants: riders, staff: staffCount },
+          seats: { participants: seats.pax, staff: seats.staff },
+          unfilled_placeholder: unplaced
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (summary.shortfallCount > 0) {
+    await logger.logEvent({
+      severity: 'WARN',
+      category: 'CONSTRAINT',
+      message: `${summary.shortfallCount} instance(s) without enough vehicle seats for participants and staff`,
+      details: { dateFrom, dateTo, ruleId: ruleId || null, shortfalls: summary.shortfalls },
+      entity: 'vehicle_assignment'
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  autoAssignVehicles
+};
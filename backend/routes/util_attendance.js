@@ -0,0 +1,363 @@
+/**
+ * Card Attendance Utility
+ *
+ * Per-participant check-in / check-out on the dashboard's pickup, activity
+ * and dropoff cards (event_card_map on loom_instances). Rows live in
+ * loom_card_attendance, keyed by instance + card type + card order so they
+ * survive rethreads (which rewrite card ids).
+ *
+ * Each recording also rolls up into loom_participant_attendance – the row
+ * billing reads (see util_attendanceBilling) – from all of the instance's
+ * cards, not just the one pressed:
+ *   - checked in / out on any card → 'attended'
+ *   - absent on every card recorded → 'absent' (a recorded cancellation is kept)
+ * and billing for the instance is regenerated afterwards. An absence with
+ * no cancellation on record opens an 'unplanned_absence' incident in
+ * participant_incidents; a later check-in resolves it. Checking in a
+ * participant with an active cancellation withdraws the cancellation first
+ * (util_cancellations), so no CANC line is claimed for a day they attended.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+const eventBus = require('../eventBus');
+const { generateBilling } = require('./util_generateBilling');
+const { withdrawCancellation } = require('./util_cancellations');
+const { TZ, fullName, httpError } = require('./util_helpers');
+
+// Dashboard action → what it records (cardTypes limits where it applies)
+const ATTENDANCE_ACTIONS = {
+  picked_up: { cardTypes: ['pickup'], field: 'checked_in_at' },
+  arrived: { cardTypes: ['activity', 'event'], field: 'checked_in_at' },
+  dropped_off: { cardTypes: ['dropoff'], field: 'checked_out_at' },
+  check_in: { field: 'checked_in_at' },
+  check_out: { field: 'checked_out_at' },
+  absent: { absent: true }
+};
+
+const INCIDENT_STATUSES = ['open', 'resolved'];
+
+async function loadCard(db, cardId) {
+  const { rows } = await db.query(`
+    SELECT e.id,
+           e.loom_instance_id,
+           LOWER(e.card_type) AS card_type,
+           COALESCE(e.card_order, 0) AS card_order,
+           e.display_title,
+           e.display_time_start,
+           e.display_time_end,
+           li.source_rule_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           rp.name AS program_name
+      FROM event_card_map e
+      JOIN loom_instances li ON li.id = e.loom_instance_id
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+     WHERE e.id = $1 AND li.cancelled_at IS NULL
+  `, [cardId]);
+  if (!rows[0]) throw httpError('Card not found', 404);
+  return rows[0];
+}
+
+/**
+ * Participants on a card with their check-in / check-out and day attendance
+ * @param {string} cardId - event_card_map id
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { card, actions[], participants[] }
+ */
+async function getCardAttendance(cardId, pool) {
+  if (!pool) {
+    throw new Error('getCardAttendance requires a database pool');
+  }
+  const card = await loadCard(pool, cardId);
+  const { rows } = await pool.query(`
+    SELECT p.id AS participant_id,
+           p.first_name,
+           p.last_name,
+           a.status AS attendance_status,
+           ca.status AS card_status,
+           ca.checked_in_at,
+           ca.checked_out_at,
+           ca.recorded_by,
+           ca.notes,
+           EXISTS (
+             SELECT 1 FROM participant_incidents i
+              WHERE i.loom_instance_id = $1 AND i.participant_id = p.id AND i.status = 'open'
+           ) AS has_open_incident
+      FROM rules_program_participants rpp
+      JOIN participants p ON p.id = rpp.participant_id
+      LEFT JOIN loom_participant_attendance a
+             ON a.loom_instance_id = $1 AND a.participant_id = p.id
+      LEFT JOIN loom_card_attendance ca
+             ON ca.loom_instance_id = $1 AND ca.card_type = $3
+            AND ca.card_order = $4 AND ca.participant_id = p.id
+     WHERE rpp.rule_id = $2
+     ORDER BY p.last_name, p.first_name
+  `, [card.loom_instance_id, card.source_rule_id, card.card_type, card.card_order]);
+
+  return {
+    card,
+    actions: Object.keys(ATTENDANCE_ACTIONS).filter((a) => {
+      const types = ATTENDANCE_ACTIONS[a].cardTypes;
+      return !types || types.includes(card.card_type);
+    }),
+    participants: rows.map((r) => ({ ...r, name: fullName(r) }))
+  };
+}
+
+/**
+ * Record one participant's attendance on a card
+ * @param {Object} options
+ * @param {string} options.cardId - event_card_map id
+ * @param {string} options.participantId
+ * @param {string} options.action - key of ATTENDANCE_ACTIONS
+ * @param {string} [options.time] - 'HH:MM' on the instance date or an ISO timestamp (default now)
+ * @param {string} [options.recordedBy]
+ * @param {string} [options.notes]
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { card_attendance, attendance_status, incident, withdrawn_cancellation, billing }
+ */
+async function recordCardAttendance(options = {}, pool) {
+  if (!pool) {
+    throw new Error('recordCardAttendance requires a database pool');
+  }
+  const { cardId, participantId, action, time, recordedBy, notes } = options;
+  const rule = ATTENDANCE_ACTIONS[action];
+  if (!rule) {
+    throw httpError(`action must be one of ${Object.keys(ATTENDANCE_ACTIONS).join(', ')}`, 400);
+  }
+  if (!participantId) throw httpError('participant_id is required', 400);
+
+  const card = await loadCard(pool, cardId);
+  if (rule.cardTypes && !rule.cardTypes.includes(card.card_type)) {
+    throw httpError(`'${action}' applies to ${rule.cardTypes.join(' / ')} cards, not ${card.card_type}`, 400);
+  }
+
+  const { rows: onProgram } = await pool.query(`
+    SELECT p.id, p.first_name, p.last_name
+      FROM rules_program_participants rpp
+      JOIN participants p ON p.id = rpp.participant_id
+     WHERE rpp.rule_id = $1 AND rpp.participant_id = $2
+  `, [card.source_rule_id, participantId]);
+  if (!onProgram[0]) throw httpError('Participant is not on this program', 404);
+  const name = fullName(onProgram[0]);
+
+  // They turned up after all – withdraw the cancellation before recording attendance
+  let withdrawnCancellation = null;
+  if (!rule.absent) {
+    const { rows: cancellations } = await pool.query(`
+      SELECT id FROM participant_cancellations
+       WHERE loom_instance_id = $1 AND participant_id = $2 AND status = 'active'
+    `, [card.loom_instance_id, participantId]);
+    if (cancellations[0]) {
+      ({ cancellation: withdrawnCancellation } = await withdrawCancellation(cancellations[0].id, {
+        reason: `${name} ${action.replace('_', ' ')} on ${card.card_type} card`,
+        withdrawnBy: recordedBy
+      }, pool));
+    }
+  }
+
+  const client = await pool.connect();
+  let cardRow;
+  let attendanceStatus;
+  let incident = null;
+  try {
+    await client.query('BEGIN');
+
+    // 'HH:MM' is on the service day in Sydney; anything else is a timestamp
+    const { rows: [{ at }] } = /^\d{1,2}:\d{2}(:\d{2})?$/.test(String(time || ''))
+      ? await client.query(`SELECT (($1::date + $2::time) AT TIME ZONE '${TZ}') AS at`, [card.date, time])
+      : await client.query('SELECT COALESCE($1::timestamptz, now()) AS at', [time || null]);
+
+    const { rows: cardRows } = rule.absent
+      ? await client.query(`
+          INSERT INTO loom_card_attendance (
+            id, loom_instance_id, card_type, card_order, participant_id, status, recorded_by, notes
+          ) VALUES ($1, $2, $3, $4, $5, 'absent', $6, $7)
+          ON CONFLICT (loom_instance_id, card_type, card_order, participant_id) DO UPDATE
+            SET status = 'absent',
+                checked_in_at = NULL,
+                checked_out_at = NULL,
+                recorded_by = EXCLUDED.recorded_by,
+                notes = COALESCE(EXCLUDED.notes, loom_card_attendance.notes),
+                updated_at = now()
+          RETURNING *
+        `, [uuidv4(), card.loom_instance_id, card.card_type, card.card_order, participantId, recordedBy || null, notes || null])
+      : await client.query(`
+          INSERT INTO loom_card_attendance (
+            id, loom_instance_id, card_type, card_order, participant_id, status, ${rule.field}, recorded_by, notes
+          ) VALUES ($1, $2, $3, $4, $5, 'present', $6, $7, $8)
+          ON CONFLICT (loom_instance_id, card_type, card_order, participant_id) DO UPDATE
+            SET status = 'present',
+                ${rule.field} = EXCLUDED.${rule.field},
+                recorded_by = EXCLUDED.recorded_by,
+                notes = COALESCE(EXCLUDED.notes, loom_card_attendance.notes),
+                updated_at = now()
+          RETURNING *
+        `, [uuidv4(), card.loom_instance_id, card.card_type, card.card_order, participantId, at, recordedBy || null, notes || null]);
+    cardRow = cardRows[0];
+
+    // Day attendance (billing source) – present on any card means they attended;
+    // a recorded cancellation stands over an absence
+    const { rows: current } = await client.query(`
+      SELECT status FROM loom_participant_attendance
+       WHERE loom_instance_id = $1 AND participant_id = $2
+       FOR UPDATE
+    `, [card.loom_instance_id, participantId]);
+    const previousStatus = current[0] ? current[0].status : null;
+    const { rows: [{ present }] } = await client.query(`
+      SELECT COALESCE(bool_or(status = 'present'), false) AS present
+        FROM loom_card_attendance
+       WHERE loom_instance_id = $1 AND participant_id = $2
+    `, [card.loom_instance_id, participantId]);
+    attendanceStatus = present
+      ? 'attended'
+      : (previousStatus === 'cancelled' ? 'cancelled' : 'absent');
+    if (attendanceStatus !== previousStatus) {
+      await client.query(`
+        INSERT INTO loom_participant_attendance (
+          id, loom_instance_id, participant_id, source_rule_id, status,
+          is_overridden, override_source, override_reason
+        ) VALUES ($1, $2, $3, $4, $5, true, 'attendance', $6)
+        ON CONFLICT (loom_instance_id, participant_id) DO UPDATE
+          SET status = EXCLUDED.status,
+              is_overridden = true,
+              override_source = 'attendance',
+              override_reason = EXCLUDED.override_reason,
+              updated_at = now()
+      `, [
+        uuidv4(), card.loom_instance_id, participantId, card.source_rule_id, attendanceStatus,
+        `${action} on ${card.card_type} card`
+      ]);
+    }
+
+    if (attendanceStatus === 'absent') {
+      const { rows: open } = await client.query(`
+        SELECT * FROM participant_incidents
+         WHERE loom_instance_id = $1 AND participant_id = $2
+           AND incident_type = 'unplanned_absence' AND status = 'open'
+      `, [card.loom_instance_id, participantId]);
+      if (open[0]) {
+        incident = open[0];
+      } else {
+        const { rows: created } = await client.query(`
+          INSERT INTO participant_incidents (
+            id, participant_id, loom_instance_id, incident_type, description, recorded_by
+          ) VALUES ($1, $2, $3, 'unplanned_absence', $4, $5)
+          RETURNING *
+        `, [
+          uuidv4(),
+          participantId,
+          card.loom_instance_id,
+          `${name} absent from ${card.program_name} on ${card.date} (${card.card_type}) with no cancellation on record` +
+            (notes ? `. ${notes}` : ''),
+          recordedBy || null
+        ]);
+        incident = created[0];
+      }
+    } else if (attendanceStatus === 'attended') {
+      const { rows: resolved } = await client.query(`
+        UPDATE participant_incidents
+           SET status = 'resolved', resolved_at = now()
+         WHERE loom_instance_id = $1 AND participant_id = $2
+           AND incident_type = 'unplanned_absence' AND status = 'open'
+        RETURNING *
+      `, [card.loom_instance_id, participantId]);
+      incident = resolved[0] || null;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Attendance drives billing – regenerate/reverse this instance's lines
+  let billing = null;
+  try {
+    billing = await generateBilling({ instanceId: card.loom_instance_id }, pool);
+  } catch (billingErr) {
+    console.error('Billing reconcile after card attendance failed:', billingErr.message);
+    billing = { error: billingErr.message };
+  }
+
+  await logger.logEvent({
+    severity: attendanceStatus === 'absent' ? 'WARN' : 'INFO',
+    category: 'OPERATIONAL',
+    message: `Attendance: ${name} ${action.replace('_', ' ')} – ${card.program_name} ${card.card_type} on ${card.date}`,
+    details: {
+      card_id: card.id,
+      action,
+      card_attendance: cardRow,
+      attendance_status: attendanceStatus,
+      incident_id: incident ? incident.id : null,
+      withdrawn_cancellation_id: withdrawnCancellation ? withdrawnCancellation.id : null
+    },
+    entity: 'participant',
+    entity_id: participantId,
+    actor: recordedBy || null
+  });
+  eventBus.publish('attendance.recorded', {
+    loom_instance_id: card.loom_instance_id,
+    card_id: card.id,
+    card_type: card.card_type,
+    participant_id: participantId,
+    action,
+    attendance_status: attendanceStatus,
+    date: card.date
+  });
+
+  return {
+    card_attendance: cardRow,
+    attendance_status: attendanceStatus,
+    incident,
+    withdrawn_cancellation: withdrawnCancellation,
+    billing
+  };
+}
+
+/**
+ * List participant incidents
+ * @param {Object} options - { date, status, participantId, instanceId }
+ * @param {Pool} pool
+ * @returns {Promise<Array>}
+ */
+async function listIncidents(options = {}, pool) {
+  if (!pool) {
+    throw new Error('listIncidents requires a database pool');
+  }
+  const { date, status, participantId, instanceId } = options;
+  if (status && !INCIDENT_STATUSES.includes(status)) {
+    throw httpError(`status must be one of ${INCIDENT_STATUSES.join(', ')}`, 400);
+  }
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+  if (date) add('li.instance_date = ?', date);
+  if (status) add('i.status = ?', status);
+  if (participantId) add('i.participant_id = ?', participantId);
+  if (instanceId) add('i.loom_instance_id = ?', instanceId);
+
+  const { rows } = await pool.query(`
+    SELECT i.*,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           p.first_name || ' ' || p.last_name AS participant_name
+      FROM participant_incidents i
+      LEFT JOIN loom_instances li ON li.id = i.loom_instance_id
+      LEFT JOIN participants p ON p.id = i.participant_id
+     ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY i.created_at DESC
+  `, params);
+  return rows;
+}
+
+module.exports = {
+  ATTENDANCE_ACTIONS,
+  getCardAttendance,
+  recordCardAttendance,
+  listIncidents
+};
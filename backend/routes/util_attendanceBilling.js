@@ -0,0 +1,90 @@
+/**
+ * Attendance Billing Utility
+ *
+ * Decides whether a participant's place on a loom instance is billable from
+ * their loom_participant_attendance row:
+ *   - attended / confirmed → bill the rule's billing lines
+ *   - no record yet → bill while the day is today or ahead (as planned);
+ *     nothing for a past day, where only recorded attendance is claimed
+ *   - absent or cancelled with enough notice → nothing to bill
+ *   - absent or cancelled at short notice, or a no-show → bill as an NDIS
+ *     short-notice cancellation (claim type CANC) at the configured rate
+ *
+ * generateBilling applies this per instance and reconciles existing lines,
+ * so re-running it after attendance changes regenerates or reverses them.
+ */
+
+const { formatDateInTZ, daysBetween } = require('./util_helpers');
+
+// Statuses where notice decides between no charge and a cancellation charge
+const CANCELLED_STATUSES = ['absent', 'cancelled'];
+// Never notified – always a short-notice cancellation
+const NO_SHOW_STATUSES = ['no_show', 'noshow'];
+
+// NDIA claim type / default cancellation reason (NSDO = "no show – other")
+const CANCELLATION_CLAIM_TYPE = 'CANC';
+const DEFAULT_CANCELLATION_REASON = 'NSDO';
+
+const POLICY_DEFAULTS = {
+  noticeDays: 7, // clear days of notice below which a cancellation is chargeable
+  chargePercent: 100 // % of the agreed price claimable for a short-notice cancellation
+};
+
+/**
+ * Load the short-notice cancellation policy from settings
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>} { noticeDays, chargePercent }
+ */
+async function loadCancellationPolicy(db) {
+  const { rows } = await db.query(`
+    SELECT key, value FROM settings
+     WHERE key IN ('short_notice_cancellation_days', 'short_notice_cancellation_percent')
+  `);
+  const kv = {};
+  rows.forEach((r) => { kv[r.key] = Number(r.value); });
+  const days = kv.short_notice_cancellation_days;
+  const percent = kv.short_notice_cancellation_percent;
+  return {
+    noticeDays: Number.isFinite(days) && days >= 0 ? days : POLICY_DEFAULTS.noticeDays,
+    chargePercent: Number.isFinite(percent) && percent >= 0 && percent <= 100 ? percent : POLICY_DEFAULTS.chargePercent
+  };
+}
+
+/**
+ * Classify one participant's attendance for billing
+ * @param {Object|null} attendance - { status, notice_at } (null when not recorded)
+ * @param {string} instanceDate - 'YYYY-MM-DD'
+ * @param {Object} policy - from loadCancellationPolicy
+ * @returns {Object} { outcome: 'bill' | 'cancellation' | 'none', clearDays, unrecorded? }
+ */
+function classifyAttendance(attendance, instanceDate, policy) {
+  // Day has passed with nothing recorded → no evidence the support was delivered
+  if (!attendance && instanceDate < formatDateInTZ(new Date())) {
+    return { outcome: 'none', clearDays: null, unrecorded: true };
+  }
+  const status = String(attendance?.status || 'expected').trim().toLowerCase();
+  if (NO_SHOW_STATUSES.includes(status)) {
+    return { outcome: 'cancellation', clearDays: 0 };
+  }
+  if (!CANCELLED_STATUSES.includes(status)) {
+    // attended / confirmed / expected – and anything unrecognised – bills as delivered
+    return { outcome: 'bill', clearDays: null };
+  }
+
+  // Clear days = full days between the day notice was given and the service day
+  const noticeYmd = attendance.notice_at ? formatDateInTZ(new Date(attendance.notice_at)) : instanceDate;
+  const clearDays = Math.max(0, daysBetween(noticeYmd, instanceDate) - 1);
+  return {
+    outcome: clearDays < policy.noticeDays ? 'cancellation' : 'none',
+    clearDays
+  };
+}
+
+module.exports = {
+  CANCELLED_STATUSES,
+  NO_SHOW_STATUSES,
+  CANCELLATION_CLAIM_TYPE,
+  DEFAULT_CANCELLATION_REASON,
+  loadCancellationPolicy,
+  classifyAttendance
+};
@@ -0,0 +1,289 @@
+/**
+ * Billing Line Lifecycle Utility
+ *
+ * Every payment_diamonds line moves through one workflow:
+ *
+ *   draft → ready → exported (PRODA bulk file) → paid | rejected
+ *             │  └→ claimed  (issued invoice)   → paid | rejected
+ *             └→ draft
+ *
+ * Lines in draft/ready may be edited or deleted. Once a line is exported or
+ * claimed it is locked (a trigger in server.js enforces this): a correction
+ * creates a reversal line (negated amounts) plus a draft replacement line.
+ * Every status change is written to payment_diamond_audit.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { round2, toNumber, httpError } = require('./util_helpers');
+
+const BILLING_STATUSES = ['draft', 'ready', 'exported', 'claimed', 'paid', 'rejected'];
+const EDITABLE_STATUSES = ['draft', 'ready'];
+const LOCKED_STATUSES = ['exported', 'claimed', 'paid', 'rejected'];
+const TRANSITIONS = {
+  draft: ['ready'],
+  ready: ['draft', 'exported', 'claimed'],
+  exported: ['paid', 'rejected'],
+  claimed: ['paid', 'rejected'],
+  paid: [],
+  rejected: []
+};
+// Fields a correction may change on the replacement line
+const CORRECTABLE_FIELDS = ['support_item_number', 'unit_price', 'hours', 'quantity', 'gst_code', 'invoice_date'];
+
+/**
+ * Append audit rows for a set of lines
+ * @param {Pool|Client} db
+ * @param {Array<Object>} entries - { id, from, to, action }
+ * @param {Object} [context] - { reason, source, details }
+ */
+async function recordAudit(db, entries, context = {}) {
+  for (const e of entries) {
+    await db.query(`
+      INSERT INTO payment_diamond_audit (
+        id, payment_diamond_id, action, from_status, to_status, reason, source, details
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      uuidv4(),
+      e.id,
+      e.action || 'transition',
+      e.from || null,
+      e.to || null,
+      context.reason || null,
+      context.source || null,
+      JSON.stringify(context.details || {})
+    ]);
+  }
+}
+
+/**
+ * Audit newly inserted lines
+ * @param {Pool|Client} db
+ * @param {string[]} ids
+ * @param {string} status - status the lines were created with
+ * @param {Object} [context] - { reason, source, details }
+ */
+async function recordCreated(db, ids, status, context = {}) {
+  await recordAudit(db, ids.map((id) => ({ id, action: 'created', to: status })), context);
+}
+
+/**
+ * Move lines to a new status inside the caller's transaction.
+ * Every line must allow the transition or nothing is changed.
+ * @param {Client} db - client with an open transaction
+ * @param {string[]} ids - payment_diamonds ids
+ * @param {string} status - target status
+ * @param {Object} [context] - { reason, source, details }
+ * @returns {Promise<Object[]>} updated lines
+ */
+async function applyTransition(db, ids, status, context = {}) {
+  if (!BILLING_STATUSES.includes(status)) {
+    throw httpError(`Invalid billing status ${status}`, 400);
+  }
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) return [];
+
+  const { rows } = await db.query(
+    'SELECT id, status FROM payment_diamonds WHERE id = ANY($1::uuid[]) FOR UPDATE',
+    [unique]
+  );
+  if (rows.length !== unique.length) {
+    throw httpError('One or more billing lines not found', 404);
+  }
+  const blocked = rows.filter((r) => !(TRANSITIONS[r.status] || []).includes(status));
+  if (blocked.length > 0) {
+    const err = httpError(
+      `Cannot move ${blocked.length} line(s) to ${status} (currently ${[...new Set(blocked.map((r) => r.status))].join(', ')})`,
+      409
+    );
+    err.lines = blocked.map((r) => ({ id: r.id, status: r.status }));
+    throw err;
+  }
+
+  const { rows: updated } = await db.query(`
+    UPDATE payment_diamonds
+       SET status = $2
+     WHERE id = ANY($1::uuid[])
+     RETURNING *
+  `, [unique, status]);
+
+  await recordAudit(db, rows.map((r) => ({ id: r.id, from: r.status, to: status })), context);
+  return updated;
+}
+
+/**
+ * Move lines to a new status in their own transaction
+ * @param {Pool} pool
+ * @param {string[]} ids
+ * @param {string} status
+ * @param {Object} [context] - { reason, source, details }
+ * @returns {Promise<Object[]>} updated lines
+ */
+async function transitionLines(pool, ids, status, context = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const updated = await applyTransition(client, ids, status, context);
+    await client.query('COMMIT');
+    return updated;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Insert a line derived from `original` (reversal or replacement)
+async function insertDerivedLine(db, original, line) {
+  const { rows } = await db.query(`
+    INSERT INTO payment_diamonds (
+      id, participant_id, program_id, history_shift_id, loom_instance_id,
+      support_item_number, unit_price, hours, quantity, total_amount, gst_code,
+      status, invoice_date, claim_type, cancellation_reason, ratio_label, pricing_basis,
+      reverses_id, replaces_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+    RETURNING *
+  `, [
+    uuidv4(), original.participant_id, original.program_id, original.history_shift_id,
+    original.loom_instance_id, line.support_item_number, line.unit_price, line.hours,
+    line.quantity, line.total_amount, line.gst_code, line.status, line.invoice_date,
+    original.claim_type || null, original.cancellation_reason || null,
+    original.ratio_label || null, original.pricing_basis || null,
+    line.reverses_id || null, line.replaces_id || null
+  ]);
+  return rows[0];
+}
+
+/**
+ * Reverse a locked line with a negated 'ready' line (no replacement)
+ * @param {Pool|Client} db
+ * @param {Object} original - full payment_diamonds row
+ * @param {Object} [context] - { reason, source, details }
+ * @returns {Promise<Object>} the reversal line
+ */
+async function reverseLine(db, original, context = {}) {
+  const reversal = await insertDerivedLine(db, original, {
+    support_item_number: original.support_item_number,
+    unit_price: original.unit_price,
+    hours: original.hours === null ? null : -toNumber(original.hours),
+    quantity: -toNumber(original.quantity),
+    total_amount: -toNumber(original.total_amount),
+    gst_code: original.gst_code,
+    status: 'ready',
+    invoice_date: original.invoice_date,
+    reverses_id: original.id
+  });
+  await recordAudit(db, [
+    { id: original.id, action: 'reversed', from: original.status, to: original.status },
+    { id: reversal.id, action: 'created', to: reversal.status }
+  ], { ...context, details: { ...(context.details || {}), original_id: original.id, reversal_id: reversal.id } });
+  return reversal;
+}
+
+/**
+ * Correct a locked line: reverse it (unless it was rejected and so never
+ * paid) and create a draft replacement carrying the requested changes.
+ * @param {Pool} pool
+ * @param {string} id - line being corrected
+ * @param {Object} changes - any of CORRECTABLE_FIELDS
+ * @param {Object} context - { reason (required), source }
+ * @returns {Promise<Object>} { original, reversal, replacement }
+ */
+async function correctLine(pool, id, changes = {}, context = {}) {
+  if (!context.reason) {
+    throw httpError('A reason is required to correct a billing line', 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM payment_diamonds WHERE id = $1 FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      throw httpError('Billing line not found', 404);
+    }
+    const original = rows[0];
+    if (EDITABLE_STATUSES.includes(original.status)) {
+      throw httpError(`Line is still ${original.status}; edit it directly instead of correcting`, 409);
+    }
+    if (original.corrected_by_id) {
+      throw httpError('Line has already been corrected', 409);
+    }
+    if (original.reverses_id) {
+      throw httpError('Reversal lines cannot be corrected', 409);
+    }
+    const { rowCount: reversed } = await client.query(
+      'SELECT 1 FROM payment_diamonds WHERE reverses_id = $1',
+      [original.id]
+    );
+    if (reversed > 0) {
+      throw httpError('Line has already been reversed', 409);
+    }
+
+    const ctx = { reason: context.reason, source: context.source || 'correction', details: { original_id: original.id } };
+    const reversal = original.status !== 'rejected' ? await reverseLine(client, original, ctx) : null;
+
+    const merged = { ...original };
+    CORRECTABLE_FIELDS.forEach((f) => {
+      if (changes[f] !== undefined && changes[f] !== null && changes[f] !== '') merged[f] = changes[f];
+    });
+    const unitPrice = toNumber(merged.unit_price);
+    const hours = merged.hours === null ? null : toNumber(merged.hours);
+    const quantity = toNumber(merged.quantity) || 1;
+    const replacement = await insertDerivedLine(client, original, {
+      support_item_number: merged.support_item_number,
+      unit_price: unitPrice,
+      hours,
+      quantity,
+      total_amount: round2(unitPrice * (hours === null ? 1 : hours) * quantity),
+      gst_code: merged.gst_code,
+      status: 'draft',
+      invoice_date: merged.invoice_date,
+      replaces_id: original.id
+    });
+
+    await client.query(
+      'UPDATE payment_diamonds SET corrected_by_id = $2 WHERE id = $1',
+      [original.id, replacement.id]
+    );
+
+    await recordAudit(client, [
+      { id: original.id, action: 'corrected', from: original.status, to: original.status },
+      { id: replacement.id, action: 'created', to: replacement.status }
+    ], ctx);
+
+    await client.query('COMMIT');
+    return { original: { ...original, corrected_by_id: replacement.id }, reversal, replacement };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Audit trail for one line (oldest first)
+ * @returns {Promise<Object[]>}
+ */
+async function getAuditTrail(db, id) {
+  const { rows } = await db.query(`
+    SELECT id, action, from_status, to_status, reason, source, details, created_at
+      FROM payment_diamond_audit
+     WHERE payment_diamond_id = $1
+     ORDER BY created_at ASC
+  `, [id]);
+  return rows;
+}
+
+module.exports = {
+  BILLING_STATUSES,
+  EDITABLE_STATUSES,
+  LOCKED_STATUSES,
+  recordCreated,
+  recordAudit,
+  applyTransition,
+  transitionLines,
+  reverseLine,
+  correctLine,
+  getAuditTrail
+};
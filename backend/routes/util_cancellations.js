@@ -0,0 +1,394 @@
+/**
+ * Participant Cancellation Utility
+ *
+ * Records a participant cancelling their place on one loom instance and
+ * decides whether it is claimable as an NDIS short-notice cancellation:
+ *   - cancelled by the provider → never billable
+ *   - fewer clear days' notice than short_notice_cancellation_days → billable
+ *     at short_notice_cancellation_percent of the agreed price (claim CANC)
+ *   - otherwise → not billable
+ *
+ * Recording a cancellation marks the attendance row cancelled, stores the
+ * decision in participant_cancellations, writes a change_log entry and a
+ * (processed) PARTICIPANT_CANCELLATION intention, then re-runs
+ * generateBilling for the instance so the CANC line appears – or the
+ * delivered-service lines are retired. Withdrawing reverses all of that.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const eventBus = require('../eventBus');
+const {
+  DEFAULT_CANCELLATION_REASON,
+  loadCancellationPolicy,
+  classifyAttendance
+} = require('./util_attendanceBilling');
+const { generateBilling } = require('./util_generateBilling');
+const { formatDateInTZ, httpError } = require('./util_helpers');
+
+// NDIA cancellation reasons (no show due to health / family / transport / other)
+const CANCELLATION_REASON_CODES = ['NSDH', 'NSDF', 'NSDT', 'NSDO'];
+const CANCELLED_BY_TYPES = ['participant', 'family', 'support_coordinator', 'staff', 'provider'];
+const CANCELLATION_INTENT_TYPE = 'PARTICIPANT_CANCELLATION';
+
+// Instance with its start time as a Sydney timestamp
+async function loadInstance(db, instanceId) {
+  const { rows } = await db.query(`
+    SELECT li.id, li.source_rule_id, li.instance_date,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS instance_ymd,
+           (li.instance_date + li.start_time) AT TIME ZONE 'Australia/Sydney' AS starts_at,
+           li.cancelled_at,
+           rp.name AS program_name
+      FROM loom_instances li
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+     WHERE li.id = $1
+  `, [instanceId]);
+  return rows[0] || null;
+}
+
+/**
+ * Validate a cancellation request and work out whether it is billable.
+ * Nothing is written.
+ * @param {Object} options
+ * @param {string} options.instanceId - loom instance
+ * @param {string} options.participantId
+ * @param {string|Date} [options.notifiedAt] - when notice was received (default now)
+ * @param {string} [options.reasonCode] - NSDH | NSDF | NSDT | NSDO (default NSDO)
+ * @param {string} [options.reason] - free-text reason
+ * @param {string} options.cancelledBy - who gave notice
+ * @param {string} [options.cancelledByType] - one of CANCELLED_BY_TYPES (default participant)
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>} assessment (instance, participant, notice, decision)
+ */
+async function assessCancellation(options = {}, db) {
+  if (!db) {
+    throw new Error('assessCancellation requires a database pool');
+  }
+  const {
+    instanceId,
+    participantId,
+    notifiedAt,
+    reasonCode = DEFAULT_CANCELLATION_REASON,
+    reason = null,
+    cancelledBy,
+    cancelledByType = 'participant'
+  } = options;
+
+  if (!instanceId || !participantId) {
+    throw httpError('loom_instance_id and participant_id are required', 400);
+  }
+  if (!cancelledBy || !String(cancelledBy).trim()) {
+    throw httpError('cancelled_by is required', 400);
+  }
+  if (!CANCELLED_BY_TYPES.includes(cancelledByType)) {
+    throw httpError(`cancelled_by_type must be one of ${CANCELLED_BY_TYPES.join(', ')}`, 400);
+  }
+  if (!CANCELLATION_REASON_CODES.includes(reasonCode)) {
+    throw httpError(`reason_code must be one of ${CANCELLATION_REASON_CODES.join(', ')}`, 400);
+  }
+  const noticeAt = notifiedAt ? new Date(notifiedAt) : new Date();
+  if (Number.isNaN(noticeAt.getTime())) {
+    throw httpError('notified_at is not a valid date/time', 400);
+  }
+
+  const instance = await loadInstance(db, instanceId);
+  if (!instance) {
+    throw httpError('Loom instance not found', 404);
+  }
+  if (instance.cancelled_at) {
+    throw httpError('The program is cancelled on this date', 409);
+  }
+
+  const { rows: participants } = await db.query(`
+    SELECT p.id, p.first_name || ' ' || p.last_name AS participant_name
+      FROM participants p
+     WHERE p.id = $1
+       AND (EXISTS (SELECT 1 FROM rules_program_participants rpp
+                     WHERE rpp.rule_id = $2 AND rpp.participant_id = p.id)
+            OR EXISTS (SELECT 1 FROM loom_participant_attendance a
+                        WHERE a.loom_instance_id = $3 AND a.participant_id = p.id))
+  `, [participantId, instance.source_rule_id, instance.id]);
+  if (participants.length === 0) {
+    throw httpError('Participant is not booked on this instance', 404);
+  }
+
+  const { rows: existing } = await db.query(`
+    SELECT id FROM participant_cancellations
+     WHERE loom_instance_id = $1 AND participant_id = $2 AND status = 'active'
+  `, [instance.id, participantId]);
+  if (existing.length > 0) {
+    const err = httpError('Participant has already cancelled this instance', 409);
+    err.cancellationId = existing[0].id;
+    throw err;
+  }
+
+  const policy = await loadCancellationPolicy(db);
+  const { outcome, clearDays } = classifyAttendance(
+    { status: 'cancelled', notice_at: noticeAt },
+    instance.instance_ymd,
+    policy
+  );
+  const shortNotice = outcome === 'cancellation';
+  const billable = shortNotice && cancelledByType !== 'provider';
+  const noticeHours = Math.round((new Date(instance.starts_at) - noticeAt) / 36000) / 100;
+
+  return {
+    instance,
+    participant: participants[0],
+    notifiedAt: noticeAt,
+    noticeClearDays: clearDays,
+    noticeHours,
+    shortNotice,
+    billable,
+    chargePercent: billable ? policy.chargePercent : 0,
+    reasonCode,
+    reason,
+    cancelledBy: String(cancelledBy).trim(),
+    cancelledByType,
+    policy
+  };
+}
+
+// Human-readable decision used in change_log / intention metadata
+function describeDecision(a) {
+  const notice = `${a.noticeClearDays} clear day(s) notice`;
+  if (a.billable) return `${notice}, short notice – billable at ${a.chargePercent}%`;
+  if (a.shortNotice) return `${notice}, short notice but cancelled by provider – not billable`;
+  return `${notice} – not billable`;
+}
+
+// Tell open screens the participant's attendance changed
+const publishAttendance = (cancellation, action, attendanceStatus) => eventBus.publish('attendance.recorded', {
+  loom_instance_id: cancellation.loom_instance_id,
+  participant_id: cancellation.participant_id,
+  cancellation_id: cancellation.id,
+  action,
+  attendance_status: attendanceStatus,
+  date: cancellation.service_date
+});
+
+/**
+ * Record a participant cancellation and regenerate the instance's billing
+ * @param {Object} options - see assessCancellation
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { cancellation, billing }
+ */
+async function recordCancellation(options = {}, pool) {
+  if (!pool) {
+    throw new Error('recordCancellation requires a database pool');
+  }
+
+  const client = await pool.connect();
+  let cancellation;
+  try {
+    await client.query('BEGIN');
+    const a = await assessCancellation(options, client);
+    const { instance, participant } = a;
+    const id = uuidv4();
+    const changeLogId = uuidv4();
+    const decision = describeDecision(a);
+
+    await client.query(`
+      INSERT INTO loom_participant_attendance (
+        id, loom_instance_id, participant_id, source_rule_id, status,
+        is_overridden, override_source, override_reason
+      ) VALUES ($1, $2, $3, $4, 'cancelled', true, 'cancellation', $5)
+      ON CONFLICT (loom_instance_id, participant_id) DO UPDATE
+        SET status = 'cancelled',
+            is_overridden = true,
+            override_source = 'cancellation',
+            override_reason = EXCLUDED.override_reason,
+            updated_at = now()
+    `, [uuidv4(), instance.id, participant.id, instance.source_rule_id, a.reason || a.reasonCode]);
+
+    await client.query(`
+      INSERT INTO change_log (id, change_type, description, participant_id, billing_impact, billing_status)
+      VALUES ($1, 'participant_cancellation', $2, $3, $4, $5)
+    `, [
+      changeLogId,
+      `Cancellation by ${a.cancelledBy} on ${formatDateInTZ(a.notifiedAt)} for ${instance.program_name} ` +
+        `(${instance.instance_ymd}). Details: ${decision}. Reason: ${a.reason || a.reasonCode}`,
+      participant.id,
+      a.billable,
+      a.billable ? 'pending' : 'NA'
+    ]);
+
+    const { rows: intentions } = await client.query(`
+      INSERT INTO intentions (
+        intent_type, target_program_id, target_date, timing, metadata, status, processed_at
+      ) VALUES ($1, $2, $3, 'temporary', $4, 'processed', now())
+      RETURNING id
+    `, [
+      CANCELLATION_INTENT_TYPE,
+      instance.source_rule_id,
+      instance.instance_ymd,
+      {
+        cancellation_id: id,
+        loom_instance_id: instance.id,
+        participant_id: participant.id,
+        billable: a.billable,
+        charge_percent: a.chargePercent,
+        notice_clear_days: a.noticeClearDays,
+        reason_code: a.reasonCode
+      }
+    ]);
+
+    const { rows } = await client.query(`
+      INSERT INTO participant_cancellations (
+        id, loom_instance_id, participant_id, program_id, service_date,
+        notified_at, notice_clear_days, notice_hours, reason_code, reason,
+        cancelled_by, cancelled_by_type, billable, charge_percent, policy,
+        change_log_id, intention_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `, [
+      id, instance.id, participant.id, instance.source_rule_id, instance.instance_ymd,
+      a.notifiedAt, a.noticeClearDays, a.noticeHours, a.reasonCode, a.reason,
+      a.cancelledBy, a.cancelledByType, a.billable, a.chargePercent, a.policy,
+      changeLogId, intentions[0].id
+    ]);
+
+    await client.query('COMMIT');
+    cancellation = {
+      ...rows[0],
+      service_date: instance.instance_ymd,
+      participant_name: participant.participant_name,
+      program_name: instance.program_name
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Emits the CANC line, or retires the delivered-service lines
+  const billing = await generateBilling({ instanceId: cancellation.loom_instance_id }, pool);
+  publishAttendance(cancellation, 'cancelled', 'cancelled');
+  return { cancellation, billing };
+}
+
+/**
+ * Withdraw a cancellation (the participant is attending after all) and
+ * regenerate the instance's billing
+ * @param {string} id - participant_cancellations id
+ * @param {Object} [context] - { reason, withdrawnBy }
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { cancellation, billing }
+ */
+async function withdrawCancellation(id, context = {}, pool) {
+  if (!pool) {
+    throw new Error('withdrawCancellation requires a database pool');
+  }
+
+  const client = await pool.connect();
+  let cancellation;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT pc.*, to_char(pc.service_date, 'YYYY-MM-DD') AS service_ymd
+         FROM participant_cancellations pc
+        WHERE pc.id = $1
+        FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw httpError('Cancellation not found', 404);
+    }
+    if (rows[0].status !== 'active') {
+      throw httpError('Cancellation has already been withdrawn', 409);
+    }
+
+    const { rows: updated } = await client.query(`
+      UPDATE participant_cancellations
+         SET status = 'withdrawn', withdrawn_at = now(), withdrawn_reason = $2
+       WHERE id = $1
+       RETURNING *
+    `, [id, context.reason || null]);
+    cancellation = { ...updated[0], service_date: rows[0].service_ymd };
+
+    await client.query(`
+      UPDATE loom_participant_attendance
+         SET status = 'confirmed',
+             override_source = 'cancellation_withdrawn',
+             override_reason = $3,
+             updated_at = now()
+       WHERE loom_instance_id = $1 AND participant_id = $2
+    `, [cancellation.loom_instance_id, cancellation.participant_id, context.reason || null]);
+
+    const by = context.withdrawnBy ? ` by ${context.withdrawnBy}` : '';
+    await client.query(`
+      INSERT INTO change_log (id, change_type, description, participant_id, billing_impact, billing_status)
+      VALUES ($1, 'participant_cancellation_withdrawn', $2, $3, $4, $5)
+    `, [
+      uuidv4(),
+      `Cancellation withdrawn${by} for ${cancellation.service_date}.` +
+        (context.reason ? ` Reason: ${context.reason}` : ''),
+      cancellation.participant_id,
+      cancellation.billable,
+      cancellation.billable ? 'pending' : 'NA'
+    ]);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const billing = await generateBilling({ instanceId: cancellation.loom_instance_id }, pool);
+  publishAttendance(cancellation, 'cancellation_withdrawn', 'confirmed');
+  return { cancellation, billing };
+}
+
+/**
+ * List cancellations
+ * @param {Object} [filters] - { instanceId, participantId, dateFrom, dateTo, status }
+ * @param {Pool|Client} db
+ * @returns {Promise<Object[]>}
+ */
+async function listCancellations(filters = {}, db) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+  if (filters.id) add('pc.id = ?', filters.id);
+  if (filters.instanceId) add('pc.loom_instance_id = ?', filters.instanceId);
+  if (filters.participantId) add('pc.participant_id = ?', filters.participantId);
+  if (filters.dateFrom) add('pc.service_date >= ?', filters.dateFrom);
+  if (filters.dateTo) add('pc.service_date <= ?', filters.dateTo);
+  if (filters.status) add('pc.status = ?', filters.status);
+
+  const { rows } = await db.query(`
+    SELECT pc.*,
+           to_char(pc.service_date, 'YYYY-MM-DD') AS service_date,
+           p.first_name || ' ' || p.last_name AS participant_name,
+           rp.name AS program_name,
+           (SELECT COALESCE(json_agg(json_build_object(
+                     'id', pd.id, 'status', pd.status, 'support_item_number', pd.support_item_number,
+                     'total_amount', pd.total_amount) ORDER BY pd.created_at), '[]'::json)
+              FROM payment_diamonds pd
+             WHERE pd.loom_instance_id = pc.loom_instance_id
+               AND pd.participant_id = pc.participant_id
+               AND pd.claim_type = 'CANC') AS billing_lines
+      FROM participant_cancellations pc
+      LEFT JOIN participants p ON p.id = pc.participant_id
+      LEFT JOIN rules_programs rp ON rp.id = pc.program_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY pc.service_date DESC, pc.created_at DESC
+  `, params);
+  return rows;
+}
+
+module.exports = {
+  CANCELLATION_REASON_CODES,
+  CANCELLED_BY_TYPES,
+  CANCELLATION_INTENT_TYPE,
+  assessCancellation,
+  describeDecision,
+  recordCancellation,
+  withdrawCancellation,
+  listCancellations
+};
@@ -0,0 +1,122 @@
+/**
+ * Distance Provider Utility
+ *
+ * Pluggable travel distance/time source for route building. Every provider
+ * exposes the same shape:
+ *
+ *   { name, matrix(points) → Promise<{ km: number[][], minutes: number[][] }> }
+ *
+ * where points are [{ lat, lng }] and the matrices are indexed [from][to].
+ *
+ *   - 'haversine' (default) – offline great-circle distance scaled by a road
+ *                             factor, driven at an average speed
+ *   - 'google'              – Google Distance Matrix; needs GOOGLE_MAPS_API_KEY
+ *
+ * The provider is chosen by the `route_distance_provider` setting. Google
+ * falls back to haversine when the key is missing or a request fails.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+// Straight-line → street distance fudge for suburban driving
+const ROAD_FACTOR = 1.3;
+const DEFAULT_SPEED_KMH = 40;
+// Distance Matrix limit: origins × destinations per request
+const GOOGLE_MAX_ELEMENTS = 100;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points in km
+ * @returns {number}
+ */
+function haversineKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function createHaversineProvider({ speedKmh = DEFAULT_SPEED_KMH } = {}) {
+  return {
+    name: 'haversine',
+    async matrix(points) {
+      const km = points.map((a) => points.map((b) => haversineKm(a, b) * ROAD_FACTOR));
+      const minutes = km.map((row) => row.map((d) => (d / speedKmh) * 60));
+      return { km, minutes };
+    }
+  };
+}
+
+function createGoogleProvider({ apiKey, speedKmh = DEFAULT_SPEED_KMH } = {}) {
+  const fallback = createHaversineProvider({ speedKmh });
+  if (!apiKey) return fallback;
+
+  return {
+    name: 'google',
+    async matrix(points) {
+      try {
+        // Loaded lazily so the offline default never needs the SDK
+        const { Client } = require('@googlemaps/google-maps-services-js');
+        const client = new Client({});
+        const n = points.length;
+        const km = points.map(() => new Array(n).fill(0));
+        const minutes = points.map(() => new Array(n).fill(0));
+        const destinations = points.map((p) => ({ lat: p.lat, lng: p.lng }));
+        const rowsPerRequest = Math.max(1, Math.floor(GOOGLE_MAX_ELEMENTS / n));
+
+        for (let start = 0; start < n; start += rowsPerRequest) {
+          const origins = destinations.slice(start, start + rowsPerRequest);
+          const response = await client.distancematrix({
+            params: { origins, destinations, key: apiKey, units: 'metric' },
+            timeout: 10000
+          });
+          response.data.rows.forEach((row, i) => {
+            row.elements.forEach((el, j) => {
+              if (el.status !== 'OK') {
+                throw new Error(`Distance Matrix element status ${el.status}`);
+              }
+              km[start + i][j] = el.distance.value / 1000;
+              minutes[start + i][j] = el.duration.value / 60;
+            });
+          });
+        }
+        return { km, minutes };
+      } catch (err) {
+        console.warn('[ROUTES] Google Distance Matrix failed, using haversine:', err.message);
+        const result = await fallback.matrix(points);
+        return { ...result, fallback: true };
+      }
+    }
+  };
+}
+
+/**
+ * Resolve the configured distance provider
+ * @param {Pool|Client} db - pg Pool or client (reads settings)
+ * @param {string} [override] - 'haversine' | 'google' (skips the setting)
+ * @returns {Promise<Object>} provider
+ */
+async function getDistanceProvider(db, override) {
+  const { rows } = await db.query(`
+    SELECT key, value FROM settings
+     WHERE key IN ('route_distance_provider', 'route_average_speed_kmh')
+  `);
+  const settings = {};
+  rows.forEach((r) => { settings[r.key] = r.value; });
+
+  const speedKmh = Number(settings.route_average_speed_kmh) || DEFAULT_SPEED_KMH;
+  const name = (override || settings.route_distance_provider || 'haversine').toLowerCase();
+
+  if (name === 'google') {
+    return createGoogleProvider({ apiKey: process.env.GOOGLE_MAPS_API_KEY, speedKmh });
+  }
+  return createHaversineProvider({ speedKmh });
+}
+
+module.exports = {
+  getDistanceProvider,
+  createHaversineProvider,
+  createGoogleProvider,
+  haversineKm
+};
@@ -3,9 +3,45 @@
  * 
  * Generates payment_diamonds entries from rules_program_participants and their
  * associated billing lines in rules_program_participant_billing.
+ * 
+ * Billing follows attendance (see util_attendanceBilling): each run works out
+ * the lines every instance should carry and reconciles what already exists –
+ * new lines are added as drafts, draft/ready lines that no longer apply are
+ * deleted and locked ones are reversed. Re-running after attendance changes
+ * therefore regenerates or reverses the affected lines; a cancelled instance
+ * (loom_instances.cancelled_at) carries no lines at all. Where a cancellation
+ * was recorded through util_cancellations its stored decision (billable,
+ * charge percent, NDIA reason) is used instead of re-deriving it.
+ *
+ * Prices come from the billing_rates version in force on the instance date
+ * (see util_rateVersions) at the ratio delivered on the day (see
+ * util_ratioPricing); the version, ratio and how it was worked out are
+ * stored on each line. On a public holiday the item's public-holiday
+ * variant is billed instead (see util_publicHolidays).
  */
 
 const { v4: uuidv4 } = require('uuid');
+const {
+  EDITABLE_STATUSES,
+  recordCreated,
+  recordAudit,
+  reverseLine
+} = require('./util_billingLifecycle');
+const {
+  CANCELLATION_CLAIM_TYPE,
+  DEFAULT_CANCELLATION_REASON,
+  loadCancellationPolicy,
+  classifyAttendance
+} = require('./util_attendanceBilling');
+const { resolveDeliveredRatio, priceAtRatio } = require('./util_ratioPricing');
+const { inForceSql, resolveHolidayRate } = require('./util_rateVersions');
+const { getHolidayMap } = require('./util_publicHolidays');
+const { round2 } = require('./util_helpers');
+
+const RECONCILE_CONTEXT = {
+  reason: 'Attendance or rule changed since the line was generated',
+  source: 'generateBilling'
+};
 
 /**
  * Ensure payment_diamonds has required columns (idempotent)
@@ -33,10 +69,216 @@ const ensurePaymentDiamondsColumns = async (pool) => {
   }
 };
 
+// Lines that still count for an instance: not reversals, not reversed, not rejected
+const LIVE_LINE_FILTER = `
+  pd.reverses_id IS NULL
+  AND pd.status <> 'rejected'
+  AND NOT EXISTS (SELECT 1 FROM payment_diamonds r WHERE r.reverses_id = pd.id)
+`;
+
+const lineKey = (code, hours, unitPrice, claimType) =>
+  `${code}|${round2(Number(hours) || 0)}|${round2(Number(unitPrice) || 0)}|${claimType || ''}`;
+
+/**
+ * Take a generated line off the books: delete it while it is still
+ * draft/ready, otherwise reverse it (locked lines are never edited)
+ * @param {Client} client - inside the caller's transaction
+ * @returns {Promise<string>} 'removed' | 'reversed'
+ */
+async function retireLine(client, line) {
+  if (EDITABLE_STATUSES.includes(line.status)) {
+    await client.query('DELETE FROM payment_diamonds WHERE id = $1', [line.id]);
+    await recordAudit(client, [{ id: line.id, action: 'deleted', from: line.status }], RECONCILE_CONTEXT);
+    return 'removed';
+  }
+  await reverseLine(client, line, RECONCILE_CONTEXT);
+  return 'reversed';
+}
+
+// Run fn(client) in a transaction; counters it adds reach summary only on commit
+async function inTransaction(pool, summary, fn) {
+  const counts = { linesSkipped: 0, linesCreated: 0, cancellationLines: 0, linesRemoved: 0, linesReversed: 0 };
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await fn(client, counts);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  Object.entries(counts).forEach(([key, n]) => { summary[key] += n; });
+}
+
+/**
+ * Bring one instance's lines in line with what it should carry. Runs in
+ * one transaction with the instance locked, so two reconciles of the same
+ * instance (attendance clicks close together) run one after the other and
+ * the second sees the first's lines.
+ * @param {Object} pool
+ * @param {Object} instance - loom instance row
+ * @param {Map<string, Object[]>} desiredByParticipant - participant → desired lines
+ * @param {Set<string>} unresolved - participants to leave untouched
+ * @param {Object} summary - counters to update
+ */
+async function reconcileInstance(pool, instance, desiredByParticipant, unresolved, summary) {
+  await inTransaction(pool, summary, async (client, counts) => {
+    await client.query('SELECT id FROM loom_instances WHERE id = $1 FOR UPDATE', [instance.id]);
+    await reconcileLines(client, instance, desiredByParticipant, unresolved, counts);
+  });
+}
+
+// Add, keep and retire one instance's lines (inside reconcileInstance's transaction)
+async function reconcileLines(client, instance, desiredByParticipant, unresolved, summary) {
+  const { rows: existing } = await client.query(`
+    SELECT pd.*
+      FROM payment_diamonds pd
+     WHERE pd.loom_instance_id = $1
+       AND ${LIVE_LINE_FILTER}
+  `, [instance.id]);
+
+  const existingByParticipant = new Map();
+  existing.forEach((line) => {
+    if (!existingByParticipant.has(line.participant_id)) existingByParticipant.set(line.participant_id, []);
+    existingByParticipant.get(line.participant_id).push(line);
+  });
+
+  const participantIds = new Set([...desiredByParticipant.keys(), ...existingByParticipant.keys()]);
+  for (const participantId of participantIds) {
+    if (unresolved.has(participantId)) continue;
+    const current = existingByParticipant.get(participantId) || [];
+    // A manual correction owns this participant's billing for the day
+    if (current.some((l) => l.replaces_id)) {
+      summary.linesSkipped += current.length;
+      continue;
+    }
+
+    const unmatched = [...current];
+    for (const want of desiredByParticipant.get(participantId) || []) {
+      const key = lineKey(want.billingCode, want.hours, want.unitPrice, want.claimType);
+      const idx = unmatched.findIndex(
+        (l) => lineKey(l.support_item_number, l.hours, l.unit_price, l.claim_type) === key
+      );
+      if (idx !== -1) {
+        // Identical line already exists – keep its pricing basis current while editable
+        const [match] = unmatched.splice(idx, 1);
+        if (EDITABLE_STATUSES.includes(match.status) && match.ratio_label !== want.ratioLabel) {
+          await client.query(
+            'UPDATE payment_diamonds SET ratio_label = $2, pricing_basis = $3 WHERE id = $1',
+            [match.id, want.ratioLabel, want.pricingBasis]
+          );
+        }
+        summary.linesSkipped++;
+        continue;
+      }
+
+      // Insert payment diamond (as draft until reviewed)
+      const lineId = uuidv4();
+      const quantity = 1; // Default quantity
+      const totalAmount = round2(want.unitPrice * want.hours * quantity);
+      await client.query(`
+        INSERT INTO payment_diamonds (
+          id,
+          participant_id,
+          program_id,
+          loom_instance_id,
+          support_item_number,
+          unit_price,
+          hours,
+          quantity,
+          total_amount,
+          gst_code,
+          status,
+          invoice_date,
+          claim_type,
+          cancellation_reason,
+          ratio_label,
+          pricing_basis,
+          history_shift_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      `, [
+        lineId,
+        participantId,
+        instance.source_rule_id,
+        instance.id,
+        want.billingCode,
+        want.unitPrice,
+        want.hours,
+        quantity,
+        totalAmount,
+        'FRE', // GST-free
+        'draft',
+        instance.instance_date,
+        want.claimType,
+        want.cancellationReason,
+        want.ratioLabel,
+        want.pricingBasis,
+        null // No history shift for generated entries
+      ]);
+      await recordCreated(client, [lineId], 'draft', {
+        source: 'generateBilling',
+        details: { loom_instance_id: instance.id, claim_type: want.claimType, pricing: want.pricingBasis }
+      });
+      summary.linesCreated++;
+      if (want.claimType) summary.cancellationLines++;
+    }
+
+    for (const line of unmatched) {
+      const result = await retireLine(client, line);
+      if (result === 'removed') summary.linesRemoved++;
+      else summary.linesReversed++;
+    }
+  }
+}
+
+/**
+ * Retire generated lines whose loom instance no longer exists
+ * (the instance or whole program was deleted after billing ran)
+ */
+async function removeOrphanedLines(pool, { ruleId, dateFrom, dateTo }, summary) {
+  const params = [dateFrom, dateTo];
+  let ruleFilter = '';
+  if (ruleId) {
+    params.push(ruleId);
+    ruleFilter = 'AND pd.program_id = $3';
+  }
+  const { rows: orphans } = await pool.query(`
+    SELECT pd.*
+      FROM payment_diamonds pd
+     WHERE pd.loom_instance_id IS NOT NULL
+       AND pd.invoice_date BETWEEN $1 AND $2
+       ${ruleFilter}
+       AND pd.replaces_id IS NULL
+       AND ${LIVE_LINE_FILTER}
+       AND NOT EXISTS (SELECT 1 FROM loom_instances li WHERE li.id = pd.loom_instance_id)
+  `, params);
+
+  for (const line of orphans) {
+    try {
+      await inTransaction(pool, summary, async (client, counts) => {
+        // Re-read under lock – a concurrent run may have retired it already
+        const { rows } = await client.query(`
+          SELECT pd.* FROM payment_diamonds pd WHERE pd.id = $1 AND ${LIVE_LINE_FILTER} FOR UPDATE
+        `, [line.id]);
+        if (!rows[0]) return;
+        const result = await retireLine(client, rows[0]);
+        if (result === 'removed') counts.linesRemoved++;
+        else counts.linesReversed++;
+      });
+    } catch (err) {
+      console.error(`[BILLING] Error retiring orphaned line ${line.id}:`, err.message);
+      summary.errors++;
+    }
+  }
+}
+
 /**
  * Generate billing entries from rules and participants
  * @param {Object} options - Generation options
  * @param {string} [options.ruleId] - Optional specific rule ID to process
+ * @param {string} [options.instanceId] - Reconcile a single loom instance (dates not needed)
  * @param {string} options.dateFrom - Start date in YYYY-MM-DD format
  * @param {string} options.dateTo - End date in YYYY-MM-DD format
  * @param {Object} pool - Database connection pool
@@ -49,9 +291,9 @@ async function generateBilling(options = {}, pool) {
   }
 
   // Extract and validate options
-  const { ruleId, dateFrom, dateTo } = options;
+  const { ruleId, instanceId, dateFrom, dateTo } = options;
   
-  if (!dateFrom || !dateTo) {
+  if (!instanceId && (!dateFrom || !dateTo)) {
     throw new Error('dateFrom and dateTo are required');
   }
 
@@ -60,6 +302,12 @@ async function generateBilling(options = {}, pool) {
     instancesScanned: 0,
     linesCreated: 0,
     linesSkipped: 0,
+    linesRemoved: 0,
+    linesReversed: 0,
+    cancellationLines: 0,
+    attendanceExcluded: 0,
+    attendanceUnrecorded: 0,
+    linesNeedingReview: 0,
     errors: 0
   };
 
@@ -67,22 +315,28 @@ async function generateBilling(options = {}, pool) {
     // Ensure payment_diamonds has required columns
     await ensurePaymentDiamondsColumns(pool);
     
-    // Build query to get loom instances in date range
+    const policy = await loadCancellationPolicy(pool);
+    
+    // Build query to get loom instances in date range (or the one instance)
     let instanceQuery = `
       SELECT 
         li.id, 
         li.source_rule_id, 
         li.instance_date,
+        to_char(li.instance_date, 'YYYY-MM-DD') AS instance_ymd,
+        li.cancelled_at,
         rp.name as program_name
       FROM loom_instances li
       JOIN rules_programs rp ON li.source_rule_id = rp.id
-      WHERE li.instance_date BETWEEN $1 AND $2
     `;
     
-    const queryParams = [dateFrom, dateTo];
+    const queryParams = instanceId ? [instanceId] : [dateFrom, dateTo];
+    instanceQuery += instanceId
+      ? ` WHERE li.id = $1`
+      : ` WHERE li.instance_date BETWEEN $1 AND $2`;
     
     // Add rule filter if provided
-    if (ruleId) {
+    if (ruleId && !instanceId) {
       instanceQuery += ` AND li.source_rule_id = $3`;
       queryParams.push(ruleId);
     }
@@ -94,27 +348,94 @@ async function generateBilling(options = {}, pool) {
     const instancesResult = await pool.query(instanceQuery, queryParams);
     const instances = instancesResult.rows;
     
+    // Public holidays across the instances (holiday variants are billed on them)
+    let holidays = new Map();
+    if (instances.length > 0) {
+      try {
+        holidays = await getHolidayMap(
+          pool,
+          instances[0].instance_ymd,
+          instances[instances.length - 1].instance_ymd
+        );
+      } catch (holidayErr) {
+        console.log('[BILLING] Note: public holidays unavailable:', holidayErr.message);
+      }
+    }
+    
     // Process each instance
     for (const instance of instances) {
       summary.instancesScanned++;
       
       try {
-        // Get all participants linked to this rule
+        // Cancelled instance → nothing should be claimed; retire what was generated
+        if (instance.cancelled_at) {
+          await reconcileInstance(pool, instance, new Map(), new Set(), summary);
+          continue;
+        }
+        
+        // Get all participants linked to this rule, with their attendance
         const participantsResult = await pool.query(`
           SELECT 
             rpp.id as rpp_id, 
             rpp.participant_id,
             p.first_name || ' ' || p.last_name AS participant_name,
-            p.plan_management_type
+            p.plan_management_type,
+            a.status AS attendance_status,
+            COALESCE(pc.notified_at, a.updated_at) AS notice_at,
+            pc.billable AS cancellation_billable,
+            pc.charge_percent AS cancellation_percent,
+            pc.reason_code AS cancellation_reason
           FROM rules_program_participants rpp
           JOIN participants p ON rpp.participant_id = p.id
+          LEFT JOIN loom_participant_attendance a
+                 ON a.loom_instance_id = $2 AND a.participant_id = rpp.participant_id
+          LEFT JOIN participant_cancellations pc
+                 ON pc.loom_instance_id = $2 AND pc.participant_id = rpp.participant_id
+                AND pc.status = 'active'
           WHERE rpp.rule_id = $1
-        `, [instance.source_rule_id]);
+        `, [instance.source_rule_id, instance.id]);
         
         const participants = participantsResult.rows;
+        // Lines this instance should carry, per participant
+        const desiredByParticipant = new Map();
+        // Participants whose lines could not be resolved – leave their existing lines alone
+        const unresolved = new Set();
         
         // For each participant, get their billing lines
-        for (const participant of participants) {
+        // Classify everyone first – the delivered ratio depends on who attended
+        const classified = participants.map((participant) => {
+          const attendance = participant.attendance_status
+            ? { status: participant.attendance_status, notice_at: participant.notice_at }
+            : null;
+          const classification = classifyAttendance(attendance, instance.instance_ymd, policy);
+          let { outcome } = classification;
+          if (classification.unrecorded) summary.attendanceUnrecorded++;
+          // A recorded cancellation has already settled billability (notice, who cancelled)
+          const recorded = participant.cancellation_billable !== null && outcome !== 'bill';
+          if (recorded) {
+            outcome = participant.cancellation_billable ? 'cancellation' : 'none';
+          }
+          const chargePercent = recorded
+            ? parseFloat(participant.cancellation_percent)
+            : policy.chargePercent;
+          return { participant, outcome, chargePercent };
+        });
+        const delivered = await resolveDeliveredRatio(
+          pool,
+          instance.id,
+          classified.filter((c) => c.outcome === 'bill').length
+        );
+        
+        for (const { participant, outcome, chargePercent } of classified) {
+          const desired = [];
+          desiredByParticipant.set(participant.participant_id, desired);
+          
+          // Absent / cancelled with enough notice → nothing to bill
+          if (outcome === 'none') {
+            summary.attendanceExcluded++;
+            continue;
+          }
+          
           // Check for billing lines in the newer schema first
           const billingResult = await pool.query(`
             SELECT 
@@ -123,12 +444,33 @@ async function generateBilling(options = {}, pool) {
               rppb.hours,
               rppb.ratio_label,
               rppb.unit_price,
+              br.id as rate_id,
               br.code as billing_code,
-              br.description as billing_description
+              br.description as billing_description,
+              br.base_rate,
+              br.ratio_1_1,
+              br.ratio_1_2,
+              br.ratio_1_3,
+              br.ratio_1_4,
+              br.ratio_1_5,
+              br.single_rate,
+              br.short_notice_cancellation,
+              br.public_holiday_code,
+              to_char(br.effective_from, 'YYYY-MM-DD') as rate_effective_from
             FROM rules_program_participant_billing rppb
-            LEFT JOIN billing_rates br ON rppb.billing_code_id = br.id
+            LEFT JOIN billing_rates linked ON rppb.billing_code_id = linked.id
+            -- Version of the linked code in force on the day (else the linked row)
+            LEFT JOIN LATERAL (
+              SELECT v.*
+                FROM billing_rates v
+               WHERE v.id = linked.id
+                  OR (v.code = linked.code AND ${inForceSql('v', '$2::date')})
+               ORDER BY (v.code = linked.code AND ${inForceSql('v', '$2::date')}) DESC,
+                        v.effective_from DESC NULLS LAST
+               LIMIT 1
+            ) br ON true
             WHERE rppb.rule_participant_id = $1
-          `, [participant.rpp_id]);
+          `, [participant.rpp_id, instance.instance_ymd]);
           
           // If no results, try legacy schema with rpp_id
           let billingLines = billingResult.rows;
@@ -152,7 +494,7 @@ async function generateBilling(options = {}, pool) {
             }
           }
           
-          // Process each billing line
+          // Resolve each billing line to a code and unit price
           for (const line of billingLines) {
             try {
               // Get or resolve billing code and unit price
@@ -184,73 +526,84 @@ async function generateBilling(options = {}, pool) {
                 continue;
               }
               
-              // Check if identical line already exists
-              const existingCheck = await pool.query(`
-                SELECT id FROM payment_diamonds 
-                WHERE participant_id = $1
-                AND program_id = $2
-                AND invoice_date = $3
-                AND support_item_number = $4
-                AND hours = $5
-                AND unit_price = $6
-              `, [
-                participant.participant_id,
-                instance.source_rule_id,
-                instance.instance_date,
-                billingCode,
-                line.hours,
-                unitPrice
-              ]);
+              // Public holiday → bill the item's holiday variant when there is one
+              let rate = line;
+              let holidayVariantOf = null;
+              const holiday = holidays.get(instance.instance_ymd) || null;
+              if (holiday && line.rate_id) {
+                const variant = await resolveHolidayRate(pool, {
+                  code: line.billing_code,
+                  description: line.billing_description,
+                  public_holiday_code: line.public_holiday_code
+                }, instance.instance_ymd);
+                if (variant) {
+                  holidayVariantOf = billingCode;
+                  billingCode = variant.code;
+                  rate = { ...variant, rate_id: variant.id, rate_effective_from: variant.effective_from_ymd };
+                }
+              }
               
-              if (existingCheck.rows.length > 0) {
+              // Short-notice cancellations claim the same item at the policy rate
+              const cancellation = outcome === 'cancellation';
+              // …unless the Support Catalogue says the item can't be claimed for one
+              if (cancellation && rate.short_notice_cancellation === false) {
                 summary.linesSkipped++;
                 continue;
               }
               
-              // Calculate total amount
-              const hours = parseFloat(line.hours) || 0;
-              const quantity = 1; // Default quantity
-              const totalAmount = Math.round((unitPrice * hours * quantity) * 100) / 100;
+              // Price at the delivered ratio (cancellations keep the planned one)
+              const plannedRatio = line.ratio_label || null;
+              const ratioUsed = cancellation ? plannedRatio : delivered.label || plannedRatio;
+              let ratioLabel = ratioUsed;
+              let rateColumn = null;
+              let needsReview = false;
+              if (rate.rate_id) {
+                const priced = priceAtRatio(rate, ratioUsed);
+                // No price at this ratio → flag it rather than claim a smaller group's rate
+                needsReview = priced.needsReview;
+                if (priced.unitPrice > 0) {
+                  unitPrice = priced.unitPrice;
+                  ratioLabel = priced.ratioLabel;
+                  rateColumn = priced.rateColumn;
+                }
+              }
+              if (needsReview) summary.linesNeedingReview++;
               
-              // Insert payment diamond
-              await pool.query(`
-                INSERT INTO payment_diamonds (
-                  id,
-                  participant_id,
-                  program_id,
-                  support_item_number,
-                  unit_price,
-                  hours,
-                  quantity,
-                  total_amount,
-                  gst_code,
-                  status,
-                  invoice_date,
-                  history_shift_id
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-              `, [
-                uuidv4(),
-                participant.participant_id,
-                instance.source_rule_id,
+              desired.push({
                 billingCode,
-                unitPrice,
-                hours,
-                quantity,
-                totalAmount,
-                'FRE', // GST-free
-                'pending',
-                instance.instance_date,
-                null // No history shift for generated entries
-              ]);
-              
-              summary.linesCreated++;
-              
+                unitPrice: cancellation
+                  ? Math.round(unitPrice * chargePercent) / 100
+                  : unitPrice,
+                hours: parseFloat(line.hours) || 0,
+                claimType: cancellation ? CANCELLATION_CLAIM_TYPE : null,
+                cancellationReason: cancellation
+                  ? participant.cancellation_reason || DEFAULT_CANCELLATION_REASON
+                  : null,
+                ratioLabel,
+                pricingBasis: {
+                  planned_ratio: plannedRatio,
+                  delivered_ratio: delivered.label,
+                  participants_attending: delivered.participants,
+                  staff_rostered: delivered.staff,
+                  ratio_source: cancellation || !delivered.label ? 'planned' : 'delivered',
+                  single_rate: !!rate.single_rate,
+                  rate_column: rateColumn,
+                  needs_review: needsReview,
+                  rate_id: rate.rate_id || null,
+                  rate_effective_from: rate.rate_effective_from || null,
+                  public_holiday: holiday ? holiday.name : null,
+                  holiday_variant_of: holidayVariantOf
+                }
+              });
             } catch (lineErr) {
               console.error('[BILLING] Error processing billing line:', lineErr.message);
+              unresolved.add(participant.participant_id);
               summary.errors++;
             }
           }
         }
+        
+        await reconcileInstance(pool, instance, desiredByParticipant, unresolved, summary);
       } catch (instanceErr) {
         console.error(`[BILLING] Error processing instance ${instance.id}:`, instanceErr.message);
         summary.errors++;
@@ -258,8 +611,13 @@ async function generateBilling(options = {}, pool) {
       }
     }
     
+    // Lines whose instance has since been removed (rule or date cancelled)
+    if (!instanceId) {
+      await removeOrphanedLines(pool, { ruleId, dateFrom, dateTo }, summary);
+    }
+    
     // Log generation summary
-    console.log(`[BILLING] Generated ${summary.linesCreated} billing lines from ${summary.instancesScanned} instances (${summary.linesSkipped} skipped, ${summary.errors} errors)`);
+    console.log(`[BILLING] Generated ${summary.linesCreated} billing lines from ${summary.instancesScanned} instances (${summary.linesSkipped} skipped, ${summary.linesRemoved} removed, ${summary.linesReversed} reversed, ${summary.errors} errors)`);
     
     return summary;
   } catch (err) {
@@ -268,7 +626,33 @@ async function generateBilling(options = {}, pool) {
   }
 }
 
+/**
+ * Reconcile billing for specific instances (e.g. just cancelled or
+ * reinstated by a rethread). One failure does not stop the rest.
+ * @param {string[]} instanceIds
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Object>} { instances, linesCreated, linesRemoved, linesReversed, errors }
+ */
+async function reconcileInstances(instanceIds, pool) {
+  const totals = { instances: 0, linesCreated: 0, linesRemoved: 0, linesReversed: 0, errors: 0 };
+  for (const instanceId of instanceIds) {
+    try {
+      const summary = await generateBilling({ instanceId }, pool);
+      totals.instances++;
+      totals.linesCreated += summary.linesCreated;
+      totals.linesRemoved += summary.linesRemoved;
+      totals.linesReversed += summary.linesReversed;
+      totals.errors += summary.errors;
+    } catch (err) {
+      console.error(`[BILLING] Error reconciling instance ${instanceId}:`, err.message);
+      totals.errors++;
+    }
+  }
+  return totals;
+}
+
 module.exports = {
   generateBilling,
+  reconcileInstances,
   ensurePaymentDiamondsColumns
 };
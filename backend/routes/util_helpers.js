@@ -0,0 +1,142 @@
+/**
+ * Shared Helpers
+ *
+ * Small helpers the util_* modules have in common: calendar dates in
+ * Australia/Sydney ('YYYY-MM-DD' strings), money rounding, HTTP-status
+ * errors for the routes' sendError and CSV cells. No database access here,
+ * so any module can require it without pulling in another util.
+ */
+
+/* ------------------------------------------------------------------------ */
+/*  Time-zone helpers – Australia/Sydney                                    */
+/* ------------------------------------------------------------------------ */
+const TZ = 'Australia/Sydney';
+
+// Format Date → 'YYYY-MM-DD' in target TZ using ISO-like en-CA
+function formatDateInTZ(date) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: TZ,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+// Parse 'YYYY-MM-DD' → { y,m,d }
+function parseYmd(ymd) {
+  const [y, m, d] = ymd.split('-').map((n) => parseInt(n, 10));
+  return { y, m, d };
+}
+
+// Add days to a ymd string, return ymd string in TZ
+function addDaysYmdTZ(ymd, days) {
+  const { y, m, d } = parseYmd(ymd);
+  // Use Date.UTC noon to avoid DST edge
+  const dt = new Date(Date.UTC(y, m - 1, d, 12));
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return formatDateInTZ(dt);
+}
+
+// Day of week in TZ (1=Mon … 7=Sun)
+const DOW_MAP = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+function dayOfWeekInTZ(ymd) {
+  const { y, m, d } = parseYmd(ymd);
+  const dt = new Date(Date.UTC(y, m - 1, d, 12));
+  const short = new Intl.DateTimeFormat('en-US', {
+    timeZone: TZ,
+    weekday: 'short',
+  }).format(dt);
+  return DOW_MAP[short];
+}
+
+/**
+ * Helper function to get tomorrow's date in YYYY-MM-DD format
+ * @returns {string} Tomorrow's date in YYYY-MM-DD format
+ */
+function getTomorrow() {
+  const todayYmd = formatDateInTZ(new Date());
+  return addDaysYmdTZ(todayYmd, 1);
+}
+
+/**
+ * Generate date range array from start to end dates
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {string[]} - Array of dates in YYYY-MM-DD format
+ */
+function generateDateRange(startDate, endDate) {
+  const dates = [];
+  let currentYmd = startDate;
+  while (currentYmd <= endDate) {
+    dates.push(currentYmd);
+    currentYmd = addDaysYmdTZ(currentYmd, 1);
+  }
+  return dates;
+}
+
+// Monday of the Mon–Sun week containing a date
+function mondayOfYmd(ymd) {
+  return addDaysYmdTZ(ymd, 1 - dayOfWeekInTZ(ymd));
+}
+
+// Whole days from one 'YYYY-MM-DD' to another
+function daysBetween(startYmd, endYmd) {
+  const from = parseYmd(startYmd);
+  const to = parseYmd(endYmd);
+  return Math.round((Date.UTC(to.y, to.m - 1, to.d) - Date.UTC(from.y, from.m - 1, from.d)) / 86400000);
+}
+
+const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || ''));
+
+// pg date / string → 'YYYY-MM-DD'
+function toYmd(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, '0');
+    const d = String(value.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/* ------------------------------------------------------------------------ */
+/*  Values                                                                  */
+/* ------------------------------------------------------------------------ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const toNumber = (v) => { const n = parseFloat(v); return Number.isFinite(n) ? n : 0; };
+const fullName = (p) => `${p.first_name || ''} ${p.last_name || ''}`.trim();
+
+// Error carrying the HTTP status a route should answer with
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Quote a CSV cell when it holds a comma, quote or line break
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+module.exports = {
+  TZ,
+  formatDateInTZ,
+  parseYmd,
+  addDaysYmdTZ,
+  dayOfWeekInTZ,
+  getTomorrow,
+  generateDateRange,
+  mondayOfYmd,
+  daysBetween,
+  isYmd,
+  toYmd,
+  round2,
+  toNumber,
+  fullName,
+  httpError,
+  csvCell
+};
@@ -0,0 +1,342 @@
+/**
+ * Intentions Engine Utility
+ *
+ * Turns Calendar intentions into concrete changes on the Wall and the Loom.
+ *   - PERMANENT intentions update the Wall (rules_programs and friends)
+ *     and re-weave the loom window from the effective date.
+ *   - TEMPORARY intentions touch a SINGLE DATE only, via
+ *     rules_program_exceptions, then rethread that date.
+ *
+ * Each handler runs inside the caller's transaction and returns the
+ * rethread jobs to run once that transaction has committed (syncRethread
+ * uses its own connections and must see the committed rows), plus any
+ * instances it cancelled so their billing can be reconciled then too.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { cancelInstances, loadWindowDays } = require('./util_syncRethread');
+const { formatDateInTZ, addDaysYmdTZ, dayOfWeekInTZ, getTomorrow } = require('./util_helpers');
+
+// Rule fields an intention may set on rules_programs
+const PROGRAM_FIELDS = [
+  'name',
+  'description',
+  'anchor_date',
+  'recurrence_pattern',
+  'program_type',
+  'day_of_week',
+  'week_in_cycle',
+  'start_time',
+  'end_time',
+  'venue_id',
+  'auto_assign_staff',
+  'auto_assign_vehicles'
+];
+
+// Changing any of these moves the rule to different dates
+const RECURRENCE_FIELDS = ['anchor_date', 'recurrence_pattern', 'day_of_week', 'week_in_cycle'];
+
+// Normalise a pg date / string to 'YYYY-MM-DD'
+function toYmd(value) {
+  if (!value) return null;
+  if (value instanceof Date) return formatDateInTZ(value);
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Decide whether an intention is permanent (Wall) or temporary (single date).
+ * timing wins; then metadata.permanent; otherwise dated intentions are temporary.
+ */
+function isPermanent(intention) {
+  const timing = (intention.timing || '').toString().toLowerCase();
+  if (timing === 'permanent') return true;
+  if (timing === 'temporary') return false;
+  const md = intention.metadata || {};
+  if (typeof md.permanent === 'boolean') return md.permanent;
+  return !intention.target_date;
+}
+
+// Pick allowed rule fields out of intention metadata (metadata.changes preferred)
+function pickProgramFields(md) {
+  const source = md.changes && typeof md.changes === 'object' ? md.changes : md;
+  const picked = {};
+  PROGRAM_FIELDS.forEach((f) => {
+    if (source[f] !== undefined) picked[f] = source[f];
+  });
+  return picked;
+}
+
+// Effective date for permanent changes – never earlier than tomorrow
+function effectiveFrom(intention) {
+  const tomorrow = getTomorrow();
+  const target = toYmd(intention.target_date);
+  return target && target > tomorrow ? target : tomorrow;
+}
+
+async function requireProgram(client, programId) {
+  if (!programId) throw new Error('target_program_id is required');
+  const { rows } = await client.query('SELECT * FROM rules_programs WHERE id = $1', [programId]);
+  if (rows.length === 0) throw new Error(`Program ${programId} not found`);
+  return rows[0];
+}
+
+function requireTargetDate(intention) {
+  const date = toYmd(intention.target_date);
+  if (!date) throw new Error('target_date is required for a temporary intention');
+  return date;
+}
+
+// Upsert the single-date exception for a program (one per program/date)
+async function upsertException(client, programId, date, ex) {
+  await client.query(`
+    INSERT INTO rules_program_exceptions (
+      id, program_id, exception_date, exception_type,
+      start_time, end_time, venue_id, reason, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (program_id, exception_date)
+    DO UPDATE SET
+      exception_type = EXCLUDED.exception_type,
+      start_time = EXCLUDED.start_time,
+      end_time = EXCLUDED.end_time,
+      venue_id = EXCLUDED.venue_id,
+      reason = EXCLUDED.reason,
+      metadata = EXCLUDED.metadata
+  `, [
+    uuidv4(),
+    programId,
+    date,
+    ex.exception_type,
+    ex.start_time || null,
+    ex.end_time || null,
+    ex.venue_id || null,
+    ex.reason || null,
+    ex.metadata ? JSON.stringify(ex.metadata) : null
+  ]);
+}
+
+/* ------------------------------------------------------------------------ */
+/*  Handlers                                                                */
+/* ------------------------------------------------------------------------ */
+
+async function createProgram(client, intention, windowDays) {
+  const md = intention.metadata || {};
+  const fields = pickProgramFields(md);
+  const permanent = isPermanent(intention);
+
+  if (!fields.name) throw new Error('metadata.name is required to create a program');
+  if (!fields.start_time || !fields.end_time) {
+    throw new Error('metadata.start_time and metadata.end_time are required');
+  }
+
+  if (!permanent) {
+    // Temporary → a one-off rule that only weaves on target_date
+    const date = requireTargetDate(intention);
+    fields.recurrence_pattern = 'one_off';
+    fields.anchor_date = date;
+    fields.day_of_week = dayOfWeekInTZ(date);
+  } else {
+    const anchor = toYmd(fields.anchor_date) || toYmd(intention.target_date);
+    if (anchor && !fields.anchor_date) fields.anchor_date = anchor;
+    if (!fields.day_of_week) {
+      if (!anchor) throw new Error('metadata.day_of_week or an anchor/target date is required');
+      fields.day_of_week = dayOfWeekInTZ(anchor);
+    }
+    if (!fields.recurrence_pattern) fields.recurrence_pattern = 'weekly';
+  }
+
+  const id = uuidv4();
+  const columns = ['id', 'active', ...Object.keys(fields)];
+  const values = [id, true, ...Object.values(fields)];
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+  await client.query(
+    `INSERT INTO rules_programs (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+    values
+  );
+
+  // Optional slots – inserted in the order supplied
+  const slots = Array.isArray(md.slots) ? md.slots : [];
+  let seq = 0;
+  for (const slot of slots) {
+    if (!slot.start_time || !slot.end_time || !slot.slot_type) {
+      throw new Error('Each slot needs slot_type, start_time and end_time');
+    }
+    await client.query(`
+      INSERT INTO rules_program_slots
+      (id, rule_id, seq, slot_type, start_time, end_time, route_run_number, label)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      uuidv4(),
+      id,
+      ++seq,
+      slot.slot_type,
+      slot.start_time,
+      slot.end_time,
+      slot.route_run_number || null,
+      slot.label || null
+    ]);
+  }
+
+  // Optional participants
+  const participantIds = Array.isArray(md.participant_ids) ? md.participant_ids : [];
+  for (const participantId of participantIds) {
+    await client.query(`
+      INSERT INTO rules_program_participants (id, rule_id, participant_id)
+      VALUES ($1, $2, $3)
+    `, [uuidv4(), id, participantId]);
+  }
+
+  // Link the intention to the program it created
+  await client.query(
+    'UPDATE intentions SET target_program_id = $2 WHERE id = $1',
+    [intention.id, id]
+  );
+
+  const dateFrom = permanent
+    ? (() => {
+        const anchor = toYmd(fields.anchor_date);
+        const tomorrow = getTomorrow();
+        return anchor && anchor > tomorrow ? anchor : tomorrow;
+      })()
+    : fields.anchor_date;
+  const dateTo = permanent ? addDaysYmdTZ(dateFrom, windowDays - 1) : dateFrom;
+
+  return {
+    message: permanent
+      ? `Program "${fields.name}" created on the Wall`
+      : `One-off program "${fields.name}" created for ${dateFrom}`,
+    programId: id,
+    rethread: [{ ruleId: id, dateFrom, dateTo, futureOnly: permanent }]
+  };
+}
+
+async function cancelProgram(client, intention) {
+  const md = intention.metadata || {};
+  const program = await requireProgram(client, intention.target_program_id);
+
+  if (!isPermanent(intention)) {
+    const date = requireTargetDate(intention);
+    await upsertException(client, program.id, date, {
+      exception_type: 'cancelled',
+      reason: md.reason || 'Cancelled via intention',
+      metadata: { intention_id: intention.id }
+    });
+    return {
+      message: `Program "${program.name}" cancelled for ${date}`,
+      programId: program.id,
+      rethread: [{ ruleId: program.id, dateFrom: date, dateTo: date, futureOnly: false }]
+    };
+  }
+
+  // Permanent → retire the rule and cancel its future instances
+  const from = effectiveFrom(intention);
+  await client.query('UPDATE rules_programs SET active = false WHERE id = $1', [program.id]);
+  const cancelled = await cancelInstances(client, {
+    ruleId: program.id,
+    dateFrom: from,
+    reason: md.reason || 'Program retired via intention'
+  });
+
+  return {
+    message: `Program "${program.name}" retired from ${from} (${cancelled.length} instances cancelled)`,
+    programId: program.id,
+    rethread: [],
+    cancelledInstances: cancelled
+  };
+}
+
+async function modifyProgram(client, intention, windowDays) {
+  const md = intention.metadata || {};
+  const program = await requireProgram(client, intention.target_program_id);
+  const fields = pickProgramFields(md);
+
+  if (!isPermanent(intention)) {
+    const date = requireTargetDate(intention);
+    // Anything beyond time/venue (e.g. staff/vehicle swaps) rides in metadata
+    const {
+      start_time,
+      end_time,
+      venue_id,
+      reason,
+      changes,
+      permanent,
+      ...rest
+    } = md;
+    await upsertException(client, program.id, date, {
+      exception_type: md.exception_type || 'modified',
+      start_time: fields.start_time || start_time,
+      end_time: fields.end_time || end_time,
+      venue_id: fields.venue_id || venue_id,
+      reason: reason || 'Modified via intention',
+      metadata: { ...rest, intention_id: intention.id }
+    });
+    return {
+      message: `Program "${program.name}" modified for ${date}`,
+      programId: program.id,
+      rethread: [{ ruleId: program.id, dateFrom: date, dateTo: date, futureOnly: false }]
+    };
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new Error('No program fields supplied to modify');
+  }
+
+  const setClauses = Object.keys(fields).map((k, i) => `${k} = $${i + 2}`);
+  await client.query(
+    `UPDATE rules_programs SET ${setClauses.join(', ')} WHERE id = $1`,
+    [program.id, ...Object.values(fields)]
+  );
+
+  // Recurrence moved → cancel future instances so old dates don't linger
+  // (the rethread below reinstates the dates the rule still weaves)
+  const from = effectiveFrom(intention);
+  let cancelled = [];
+  if (RECURRENCE_FIELDS.some((f) => fields[f] !== undefined)) {
+    cancelled = await cancelInstances(client, {
+      ruleId: program.id,
+      dateFrom: from,
+      reason: 'Program schedule changed'
+    });
+  }
+
+  return {
+    message: `Program "${program.name}" updated on the Wall from ${from}`,
+    programId: program.id,
+    rethread: [{
+      ruleId: program.id,
+      dateFrom: from,
+      dateTo: addDaysYmdTZ(from, windowDays - 1),
+      futureOnly: true
+    }],
+    cancelledInstances: cancelled
+  };
+}
+
+/**
+ * Process a single intention inside the caller's transaction.
+ * Throws with a human-readable reason when the intention cannot be applied.
+ * @param {Object} intention - intentions row
+ * @param {Client} client - pg client with an open transaction
+ * @returns {Promise<Object>} { message, programId, rethread[], cancelledInstances[]? }
+ */
+async function processIntention(intention, client) {
+  if (!client) {
+    throw new Error('processIntention requires a database client');
+  }
+  const windowDays = await loadWindowDays(client);
+
+  switch (intention.intent_type) {
+    case 'CREATE_PROGRAM':
+      return createProgram(client, intention, windowDays);
+    case 'CANCEL_PROGRAM':
+      return cancelProgram(client, intention);
+    case 'MODIFY_PROGRAM':
+      return modifyProgram(client, intention, windowDays);
+    default:
+      throw new Error(`Unsupported intent type ${intention.intent_type}`);
+  }
+}
+
+module.exports = {
+  isPermanent,
+  processIntention
+};
@@ -0,0 +1,578 @@
+/**
+ * Invoicing Utility
+ *
+ * Groups payment_diamonds for plan-managed, self-managed and self-funded
+ * participants into numbered invoices (one per participant per period),
+ * tracks their status and renders them as HTML or PDF.
+ *
+ *   draft → issued → paid
+ *     └───────┴────→ void
+ *
+ * Only billing lines marked ready are invoiced. Issuing moves them to
+ * 'claimed' and payment to 'paid' (see util_billingLifecycle). Voiding a
+ * draft releases its lines for re-invoicing; voiding an issued invoice
+ * rejects them, so they are re-billed through a correction.
+ *
+ * Organisation details come from settings via util_orgDetails and are
+ * snapshotted onto each invoice so reprints match what was sent.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { loadOrgDetails } = require('./util_orgDetails');
+const { applyTransition } = require('./util_billingLifecycle');
+const { round2, toNumber, toYmd, httpError } = require('./util_helpers');
+
+const INVOICED_MANAGEMENT_TYPES = ['plan_managed', 'self_managed', 'self_funded'];
+const INVOICE_STATUSES = ['draft', 'issued', 'paid', 'void'];
+const TRANSITIONS = {
+  draft: ['issued', 'void'],
+  issued: ['paid', 'void'],
+  paid: [],
+  void: []
+};
+// gst_code values that attract 10% GST (everything else is GST-free)
+const TAXABLE_GST_CODES = ['GST', 'P1'];
+const GST_RATE = 0.1;
+
+// 'YYYY-MM-DD' → 'DD/MM/YYYY'
+function auDate(value) {
+  const ymd = toYmd(value);
+  if (!ymd) return '';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+const money = (n) => `$${toNumber(n).toFixed(2)}`;
+
+// Who the invoice is addressed to, by management type
+function billTo(p) {
+  if (p.plan_management_type === 'plan_managed') {
+    return {
+      name: p.plan_manager_name || 'Plan Manager',
+      email: p.invoices_email || p.plan_manager_email || null,
+      phone: p.plan_manager_phone || null,
+      on_behalf_of: p.participant_name
+    };
+  }
+  return {
+    name: p.guardian_name || p.participant_name,
+    email: p.invoices_email || p.email || null,
+    phone: p.phone || null,
+    on_behalf_of: p.guardian_name ? p.participant_name : null
+  };
+}
+
+/**
+ * Create draft invoices for un-invoiced billing lines in a period
+ * @param {Object} options
+ * @param {string} options.periodStart - 'YYYY-MM-DD'
+ * @param {string} options.periodEnd - 'YYYY-MM-DD'
+ * @param {string} [options.participantId] - limit to one participant
+ * @param {Pool} pool - pg Pool instance
+ * @returns {Promise<Object>} { invoicesCreated, linesInvoiced, invoices[] }
+ */
+async function generateInvoices(options = {}, pool) {
+  if (!pool) {
+    throw new Error('generateInvoices requires a database pool');
+  }
+  const { periodStart, periodEnd, participantId } = options;
+  if (!periodStart || !periodEnd) {
+    throw new Error('periodStart and periodEnd are required');
+  }
+
+  const summary = { invoicesCreated: 0, linesInvoiced: 0, invoices: [] };
+
+  const params = [periodStart, periodEnd, INVOICED_MANAGEMENT_TYPES];
+  let participantFilter = '';
+  if (participantId) {
+    params.push(participantId);
+    participantFilter = 'AND p.id = $4';
+  }
+  const { rows: lines } = await pool.query(`
+    SELECT pd.id,
+           pd.participant_id,
+           COALESCE(pd.invoice_date, pd.created_at::date) AS service_date,
+           pd.support_item_number,
+           pd.unit_price,
+           pd.quantity,
+           pd.hours,
+           pd.total_amount,
+           pd.gst_code,
+           COALESCE(br.description, rp.name, pd.support_item_number)
+             || CASE WHEN pd.claim_type = 'CANC' THEN ' (short notice cancellation)' ELSE '' END AS description,
+           p.first_name || ' ' || p.last_name AS participant_name,
+           p.ndis_number,
+           p.plan_management_type::text AS plan_management_type,
+           p.plan_manager_name, p.plan_manager_email, p.plan_manager_phone,
+           p.guardian_name, p.email, p.phone, p.invoices_email,
+           p.address, p.suburb, p.state, p.postcode
+      FROM payment_diamonds pd
+      JOIN participants p ON p.id = pd.participant_id
+      LEFT JOIN rules_programs rp ON rp.id = pd.program_id
+      LEFT JOIN LATERAL (
+        SELECT description FROM billing_rates WHERE code = pd.support_item_number LIMIT 1
+      ) br ON true
+     WHERE COALESCE(pd.invoice_date, pd.created_at::date) BETWEEN $1 AND $2
+       AND pd.status = 'ready'
+       AND p.plan_management_type::text = ANY($3)
+       ${participantFilter}
+       AND NOT EXISTS (
+         SELECT 1 FROM invoice_lines il
+           JOIN invoices i ON i.id = il.invoice_id
+          WHERE il.payment_diamond_id = pd.id AND i.status <> 'void'
+       )
+     ORDER BY participant_name, service_date
+  `, params);
+  if (lines.length === 0) return summary;
+
+  const org = await loadOrgDetails(pool);
+  const byParticipant = new Map();
+  lines.forEach((l) => {
+    if (!byParticipant.has(l.participant_id)) byParticipant.set(l.participant_id, []);
+    byParticipant.get(l.participant_id).push(l);
+  });
+
+  for (const [pid, group] of byParticipant) {
+    const p = group[0];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: seq } = await client.query("SELECT nextval('invoice_number_seq') AS n");
+      const invoiceNumber = `${org.invoice_prefix}${String(seq[0].n).padStart(6, '0')}`;
+      const invoiceId = uuidv4();
+
+      const computed = group.map((l) => {
+        const hours = toNumber(l.hours);
+        const quantity = hours > 0 ? hours : toNumber(l.quantity);
+        const lineTotal = round2(toNumber(l.total_amount));
+        const taxable = TAXABLE_GST_CODES.includes(String(l.gst_code || '').toUpperCase());
+        return { ...l, quantity, lineTotal, gstAmount: taxable ? round2(lineTotal * GST_RATE) : 0 };
+      });
+      const subtotal = round2(computed.reduce((s, l) => s + l.lineTotal, 0));
+      const gstTotal = round2(computed.reduce((s, l) => s + l.gstAmount, 0));
+
+      await client.query(`
+        INSERT INTO invoices (
+          id, invoice_number, participant_id, period_start, period_end, status,
+          subtotal, gst_total, total, bill_to, participant_snapshot, org_snapshot
+        ) VALUES ($1, $2, $3, $4, $5, 'draft', $6, $7, $8, $9, $10, $11)
+      `, [
+        invoiceId,
+        invoiceNumber,
+        pid,
+        periodStart,
+        periodEnd,
+        subtotal,
+        gstTotal,
+        round2(subtotal + gstTotal),
+        JSON.stringify(billTo(p)),
+        JSON.stringify({
+          name: p.participant_name,
+          ndis_number: p.ndis_number,
+          plan_management_type: p.plan_management_type,
+          address: [p.address, p.suburb, p.state, p.postcode].filter(Boolean).join(', ')
+        }),
+        JSON.stringify(org)
+      ]);
+
+      for (const l of computed) {
+        await client.query(`
+          INSERT INTO invoice_lines (
+            id, invoice_id, payment_diamond_id, service_date, support_item_number,
+            description, quantity, unit_price, gst_code, gst_amount, line_total
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          uuidv4(), invoiceId, l.id, l.service_date, l.support_item_number,
+          l.description, l.quantity, toNumber(l.unit_price), l.gst_code, l.gstAmount, l.lineTotal
+        ]);
+      }
+
+      await client.query(
+        'UPDATE payment_diamonds SET invoice_number = $1 WHERE id = ANY($2::uuid[])',
+        [invoiceNumber, group.map((l) => l.id)]
+      );
+
+      await client.query('COMMIT');
+      summary.invoicesCreated++;
+      summary.linesInvoiced += group.length;
+      summary.invoices.push({
+        id: invoiceId,
+        invoice_number: invoiceNumber,
+        participant_id: pid,
+        participant_name: p.participant_name,
+        lines: group.length,
+        total: round2(subtotal + gstTotal)
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Load an invoice with its lines
+ * @returns {Promise<Object|null>}
+ */
+async function getInvoice(db, id) {
+  const { rows } = await db.query('SELECT * FROM invoices WHERE id = $1', [id]);
+  if (rows.length === 0) return null;
+  const { rows: lines } = await db.query(`
+    SELECT id, payment_diamond_id, service_date, support_item_number, description,
+           quantity, unit_price, gst_code, gst_amount, line_total
+      FROM invoice_lines
+     WHERE invoice_id = $1
+     ORDER BY service_date, support_item_number
+  `, [id]);
+  return { ...rows[0], lines };
+}
+
+/**
+ * Move an invoice to a new status
+ * @param {Pool} pool
+ * @param {string} id - invoice id
+ * @param {string} status - target status
+ * @param {Object} [options] - { reason, paidAt }
+ * @returns {Promise<Object>} updated invoice
+ */
+async function transitionInvoice(pool, id, status, options = {}) {
+  if (!INVOICE_STATUSES.includes(status)) {
+    throw httpError(`Invalid status ${status}`, 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      throw httpError('Invoice not found', 404);
+    }
+    const invoice = rows[0];
+    if (!TRANSITIONS[invoice.status].includes(status)) {
+      throw httpError(`Cannot move invoice from ${invoice.status} to ${status}`, 409);
+    }
+
+    const { rows: lineRows } = await client.query(
+      'SELECT payment_diamond_id FROM invoice_lines WHERE invoice_id = $1',
+      [id]
+    );
+    const lineIds = lineRows.map((r) => r.payment_diamond_id);
+    const lineContext = {
+      reason: options.reason,
+      source: 'invoice',
+      details: { invoice_id: id, invoice_number: invoice.invoice_number }
+    };
+
+    if (status === 'issued') {
+      await applyTransition(client, lineIds, 'claimed', lineContext);
+      const terms = parseInt(invoice.org_snapshot?.invoice_payment_terms_days, 10);
+      await client.query(`
+        UPDATE invoices
+           SET status = 'issued', issued_at = now(),
+               due_date = CURRENT_DATE + $2::int, updated_at = now()
+         WHERE id = $1
+      `, [id, Number.isFinite(terms) && terms >= 0 ? terms : 14]);
+    } else if (status === 'paid') {
+      await applyTransition(client, lineIds, 'paid', lineContext);
+      await client.query(`
+        UPDATE invoices
+           SET status = 'paid', paid_at = COALESCE($2::timestamptz, now()), updated_at = now()
+         WHERE id = $1
+      `, [id, options.paidAt || null]);
+    } else if (status === 'void') {
+      await client.query(`
+        UPDATE invoices
+           SET status = 'void', voided_at = now(), void_reason = $2, updated_at = now()
+         WHERE id = $1
+      `, [id, options.reason || null]);
+      if (invoice.status === 'issued') {
+        // The claim was sent – its lines are locked and become rejected
+        await applyTransition(client, lineIds, 'rejected', lineContext);
+      } else {
+        // Release the lines so they can go on a fresh invoice
+        await client.query(`
+          UPDATE payment_diamonds
+             SET invoice_number = NULL
+           WHERE invoice_number = $1
+             AND id = ANY($2::uuid[])
+        `, [invoice.invoice_number, lineIds]);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getInvoice(pool, id);
+}
+
+/* ------------------------------------------------------------------------ */
+/*  Rendering                                                               */
+/* ------------------------------------------------------------------------ */
+
+const escapeHtml = (v) => String(v ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const invoiceTitle = (invoice) => (toNumber(invoice.gst_total) > 0 ? 'Tax Invoice' : 'Invoice');
+
+/**
+ * Render an invoice as a standalone HTML document
+ * @returns {string}
+ */
+function renderInvoiceHtml(invoice) {
+  const org = invoice.org_snapshot || {};
+  const to = invoice.bill_to || {};
+  const participant = invoice.participant_snapshot || {};
+  const rows = invoice.lines.map((l) => `
+        <tr>
+          <td>${auDate(l.service_date)}</td>
+          <td>${escapeHtml(l.support_item_number)}</td>
+          <td>${escapeHtml(l.description)}</td>
+          <td class="num">${toNumber(l.quantity).toFixed(2)}</td>
+          <td class="num">${money(l.unit_price)}</td>
+          <td class="num">${money(l.gst_amount)}</td>
+          <td class="num">${money(l.line_total)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(invoiceTitle(invoice))} ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; font-size: 13px; }
+    header { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f4f4f4; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .status { text-transform: uppercase; font-weight: bold; color: ${invoice.status === 'void' ? '#b00' : '#555'}; }
+    .muted { color: #666; }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(org.org_name || 'Invoice')}</h1>
+      ${org.abn ? `<div>ABN ${escapeHtml(org.abn)}</div>` : ''}
+      ${org.ndis_registration_number ? `<div>NDIS Provider ${escapeHtml(org.ndis_registration_number)}</div>` : ''}
+      ${org.org_address ? `<div>${escapeHtml(org.org_address)}</div>` : ''}
+      ${org.org_email ? `<div>${escapeHtml(org.org_email)}</div>` : ''}
+      ${org.org_phone ? `<div>${escapeHtml(org.org_phone)}</div>` : ''}
+    </div>
+    <div style="text-align:right">
+      <h1>${escapeHtml(invoiceTitle(invoice))}</h1>
+      <div><strong>${escapeHtml(invoice.invoice_number)}</strong></div>
+      <div>Period ${auDate(invoice.period_start)} – ${auDate(invoice.period_end)}</div>
+      ${invoice.issued_at ? `<div>Issued ${auDate(invoice.issued_at)}</div>` : ''}
+      ${invoice.due_date ? `<div>Due ${auDate(invoice.due_date)}</div>` : ''}
+      <div class="status">${escapeHtml(invoice.status)}</div>
+    </div>
+  </header>
+
+  <section>
+    <strong>Bill to</strong>
+    <div>${escapeHtml(to.name)}</div>
+    ${to.on_behalf_of ? `<div class="muted">On behalf of ${escapeHtml(to.on_behalf_of)}</div>` : ''}
+    ${to.email ? `<div>${escapeHtml(to.email)}</div>` : ''}
+    <div class="muted">Participant: ${escapeHtml(participant.name)}${participant.ndis_number ? ` (NDIS ${escapeHtml(participant.ndis_number)})` : ''}</div>
+  </section>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Date</th><th>Support item</th><th>Description</th>
+        <th class="num">Qty</th><th class="num">Unit price</th><th class="num">GST</th><th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot class="totals">
+      <tr><td colspan="6" class="num">Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+      <tr><td colspan="6" class="num">GST</td><td class="num">${money(invoice.gst_total)}</td></tr>
+      <tr><td colspan="6" class="num"><strong>Total</strong></td><td class="num"><strong>${money(invoice.total)}</strong></td></tr>
+    </tfoot>
+  </table>
+
+  ${org.org_bank_name || org.org_bsb ? `
+  <section style="margin-top:24px">
+    <strong>Payment details</strong>
+    <div>${escapeHtml(org.org_bank_name)} BSB ${escapeHtml(org.org_bsb)} Account ${escapeHtml(org.org_account_number)}</div>
+    <div class="muted">Reference ${escapeHtml(invoice.invoice_number)}</div>
+  </section>` : ''}
+</body>
+</html>
+`;
+}
+
+// PDF text must be plain WinAnsi; escape delimiters
+const pdfText = (v) => String(v ?? '')
+  .replace(/[^\x20-\x7e]/g, '-')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Assemble a minimal PDF (A4, Helvetica) from positioned text runs
+ * @param {Array<Array<Object>>} pages - [[{ x, y, text, size, bold }]]
+ * @returns {Buffer}
+ */
+function buildPdf(pages) {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((runs) => {
+    const stream = runs.map((r) =>
+      `BT /${r.bold ? 'F2' : 'F1'} ${r.size || 10} Tf ${r.x} ${r.y} Td (${pdfText(r.text)}) Tj ET`
+    ).join('\n');
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 595 842] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(out));
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefAt = Buffer.byteLength(out);
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((o) => { out += `${String(o).padStart(10, '0')} 00000 n \n`; });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+/**
+ * Render an invoice as a PDF document
+ * @returns {Buffer}
+ */
+function renderInvoicePdf(invoice) {
+  const org = invoice.org_snapshot || {};
+  const to = invoice.bill_to || {};
+  const participant = invoice.participant_snapshot || {};
+  const pages = [[]];
+  let y = 800;
+  const text = (x, t, opts = {}) => pages[pages.length - 1].push({ x, y, text: t, ...opts });
+  const right = (xRight, t, opts = {}) => {
+    // Helvetica averages ~0.5em per glyph – close enough for right-aligned figures
+    const width = String(t).length * (opts.size || 9) * 0.5;
+    text(Math.round(xRight - width), t, opts);
+  };
+  const newline = (dy = 14) => {
+    y -= dy;
+    if (y < 60) {
+      pages.push([]);
+      y = 800;
+    }
+  };
+
+  text(40, org.org_name || 'Invoice', { size: 16, bold: true });
+  right(555, invoiceTitle(invoice), { size: 16, bold: true });
+  newline(20);
+  const left = [
+    org.abn && `ABN ${org.abn}`,
+    org.ndis_registration_number && `NDIS Provider ${org.ndis_registration_number}`,
+    org.org_address,
+    [org.org_email, org.org_phone].filter(Boolean).join('  ')
+  ].filter(Boolean);
+  const rightCol = [
+    { t: invoice.invoice_number, bold: true },
+    { t: `Period ${auDate(invoice.period_start)} - ${auDate(invoice.period_end)}` },
+    invoice.issued_at && { t: `Issued ${auDate(invoice.issued_at)}` },
+    invoice.due_date && { t: `Due ${auDate(invoice.due_date)}` },
+    { t: String(invoice.status).toUpperCase(), bold: true }
+  ].filter(Boolean);
+  for (let i = 0; i < Math.max(left.length, rightCol.length); i++) {
+    if (left[i]) text(40, left[i], { size: 9 });
+    if (rightCol[i]) right(555, rightCol[i].t, { size: 9, bold: rightCol[i].bold });
+    newline(12);
+  }
+  newline(12);
+
+  text(40, 'Bill to', { size: 10, bold: true });
+  newline(13);
+  [
+    to.name,
+    to.on_behalf_of && `On behalf of ${to.on_behalf_of}`,
+    to.email,
+    `Participant: ${participant.name || ''}${participant.ndis_number ? ` (NDIS ${participant.ndis_number})` : ''}`
+  ].filter(Boolean).forEach((line) => { text(40, line, { size: 9 }); newline(12); });
+  newline(12);
+
+  const header = () => {
+    text(40, 'Date', { size: 9, bold: true });
+    text(100, 'Support item', { size: 9, bold: true });
+    text(200, 'Description', { size: 9, bold: true });
+    right(395, 'Qty', { size: 9, bold: true });
+    right(455, 'Unit', { size: 9, bold: true });
+    right(500, 'GST', { size: 9, bold: true });
+    right(555, 'Amount', { size: 9, bold: true });
+    newline(14);
+  };
+  header();
+  invoice.lines.forEach((l) => {
+    const pageBefore = pages.length;
+    text(40, auDate(l.service_date), { size: 9 });
+    text(100, l.support_item_number, { size: 9 });
+    text(200, String(l.description || '').slice(0, 32), { size: 9 });
+    right(395, toNumber(l.quantity).toFixed(2), { size: 9 });
+    right(455, money(l.unit_price), { size: 9 });
+    right(500, money(l.gst_amount), { size: 9 });
+    right(555, money(l.line_total), { size: 9 });
+    newline(13);
+    if (pages.length > pageBefore) header();
+  });
+
+  newline(8);
+  [['Subtotal', invoice.subtotal], ['GST', invoice.gst_total], ['Total', invoice.total]].forEach(([label, value], i) => {
+    const bold = i === 2;
+    right(500, label, { size: 10, bold });
+    right(555, money(value), { size: 10, bold });
+    newline(14);
+  });
+
+  if (org.org_bank_name || org.org_bsb) {
+    newline(10);
+    text(40, 'Payment details', { size: 10, bold: true });
+    newline(13);
+    text(40, `${org.org_bank_name || ''} BSB ${org.org_bsb || ''} Account ${org.org_account_number || ''}`, { size: 9 });
+    newline(12);
+    text(40, `Reference ${invoice.invoice_number}`, { size: 9 });
+  }
+
+  return buildPdf(pages);
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  generateInvoices,
+  getInvoice,
+  transitionInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,389 @@
+/**
+ * NDIS Support Catalogue Importer
+ *
+ * Reads the NDIA's Support Catalogue (the spreadsheet published with the
+ * Pricing Arrangements and Price Limits, as rows from the xlsx or its CSV
+ * export) and maps each support item onto billing_rates:
+ *
+ *   Support Item Number / Name   → code / description
+ *   ACT … WA, Remote, Very Remote → price_caps; the organisation's state
+ *                                  (setting ndis_price_state, default NSW)
+ *                                  becomes base_rate
+ *   Unit, Quote, Type            → unit, quote_required, support_type
+ *   Short Notice Cancellations,
+ *   TTP, Non-Face-to-Face, …     → claim flags
+ *   Start date / End Date        → effective_from / effective_to
+ *
+ * Group items carry their ratio in the name ("… 1:3"); their cap is priced
+ * in that ratio column. Every import is diffed against the catalogue in
+ * force first: new codes are created, a later start date adds a rate
+ * version (see util_rateVersions), the same start date updates that
+ * version in place, and codes missing from the file are reported only.
+ */
+
+const { RATIO_COLUMNS } = require('./util_ratioPricing');
+const { CATALOGUE_FIELDS, inForceSql, createRateVersion } = require('./util_rateVersions');
+const { formatDateInTZ, round2, httpError } = require('./util_helpers');
+
+const PRICE_STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA', 'REMOTE', 'VERY_REMOTE'];
+const DEFAULT_PRICE_STATE = 'NSW';
+const CATALOGUE_ACTIONS = ['create', 'version', 'update', 'unchanged', 'skip'];
+
+const PRICE_FIELDS = ['base_rate', ...Object.values(RATIO_COLUMNS)];
+
+// Normalised header → field; the first variant present wins
+const HEADER_VARIANTS = {
+  code: ['supportitemnumber', 'supportitem', 'itemnumber'],
+  description: ['supportitemname', 'itemname'],
+  registration_group: ['registrationgroupnumber', 'registrationgroup'],
+  support_category: ['supportcategoryname', 'supportcategorynamepace', 'supportcategorynumber', 'supportcategorynumberpace'],
+  unit: ['unit', 'unitofmeasure', 'uom'],
+  quote_required: ['quote', 'quoterequired'],
+  effective_from: ['startdate', 'effectivefrom'],
+  effective_to: ['enddate', 'effectiveto'],
+  non_face_to_face: ['nonfacetofacesupportprovision', 'nonfacetoface'],
+  provider_travel: ['providertravel'],
+  short_notice_cancellation: ['shortnoticecancellations', 'shortnoticecancellation'],
+  ndia_reports: ['ndiarequestedreports'],
+  irregular_sil: ['irregularsilsupports'],
+  ttp_eligible: ['ttp', 'ttpeligible', 'temporarytransformationpayment'],
+  support_type: ['type', 'supporttype']
+};
+
+const normaliseHeader = (h) => String(h ?? '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas/newlines)
+ * @param {string} text
+ * @returns {Array<string[]>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cur = '';
+  let inQ = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQ) {
+      if (ch === '"' && src[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') inQ = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      inQ = true;
+    } else if (ch === ',') {
+      row.push(cur); cur = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cur); rows.push(row);
+      row = []; cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur !== '' || row.length) { row.push(cur); rows.push(row); }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ''));
+}
+
+// '$1,234.56' → 1234.56 (null when blank – no cap / quotable)
+function parsePrice(v) {
+  const s = String(v ?? '').replace(/[$,\s]/g, '');
+  if (s === '') return null;
+  const n = parseFloat(s);
+  return Number.isFinite(n) ? round2(n) : null;
+}
+
+// Y / N (null when blank)
+function parseFlag(v) {
+  const s = String(v ?? '').trim();
+  if (/^(y|yes|true|1)$/i.test(s)) return true;
+  if (/^(n|no|false|0)$/i.test(s)) return false;
+  return null;
+}
+
+/**
+ * Catalogue date → 'YYYY-MM-DD'. Accepts ISO, YYYYMMDD, D/M/YYYY and Excel
+ * serial numbers; far-future end dates (31/12/9999) mean open-ended → null.
+ */
+function parseCatalogueDate(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  let ymd = null;
+  let m;
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})/.exec(s))) {
+    ymd = `${m[1]}-${m[2]}-${m[3]}`;
+  } else if ((m = /^(\d{4})(\d{2})(\d{2})$/.exec(s))) {
+    ymd = `${m[1]}-${m[2]}-${m[3]}`;
+  } else if ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s))) {
+    ymd = `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  } else if (/^\d{5}(\.\d+)?$/.test(s)) {
+    // Excel serial (days since 1899-12-30)
+    ymd = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(s)) * 86400000).toISOString().slice(0, 10);
+  }
+  if (!ymd || Number(ymd.slice(0, 4)) >= 9000) return null;
+  return ymd;
+}
+
+// Ratio named in a group item ("… - 1:3") → '1:3'
+function ratioFromName(name) {
+  const m = /\b1\s*:\s*([1-5])\b/.exec(String(name || ''));
+  return m ? `1:${m[1]}` : null;
+}
+
+/**
+ * Map catalogue rows to support items
+ * @param {Array<Array>} rows - header row first (leading title rows are skipped)
+ * @returns {Object} { headers, items: [{ line, code, description, effective_from, effective_to, price_caps, … }] }
+ */
+function parseCatalogueRows(rows) {
+  const headerIdx = rows.findIndex((r) => r.map(normaliseHeader).includes('supportitemnumber'));
+  if (headerIdx === -1) {
+    throw httpError('Not an NDIS Support Catalogue: no "Support Item Number" column found', 400);
+  }
+  const headers = rows[headerIdx].map(normaliseHeader);
+  const col = {};
+  Object.entries(HEADER_VARIANTS).forEach(([field, variants]) => {
+    col[field] = variants.map((v) => headers.indexOf(v)).find((ix) => ix !== -1) ?? -1;
+  });
+  const stateCol = {};
+  PRICE_STATES.forEach((s) => { stateCol[s] = headers.indexOf(normaliseHeader(s)); });
+
+  const cell = (r, field) => (col[field] === -1 ? '' : String(r[col[field]] ?? '').trim());
+  const items = rows.slice(headerIdx + 1).map((r, i) => {
+    const priceCaps = {};
+    PRICE_STATES.forEach((s) => {
+      if (stateCol[s] !== -1) {
+        const cap = parsePrice(r[stateCol[s]]);
+        if (cap !== null) priceCaps[s] = cap;
+      }
+    });
+    return {
+      line: headerIdx + i + 2,
+      code: cell(r, 'code'),
+      description: cell(r, 'description'),
+      effective_from: parseCatalogueDate(cell(r, 'effective_from')),
+      effective_to: parseCatalogueDate(cell(r, 'effective_to')),
+      unit: cell(r, 'unit') || null,
+      price_caps: priceCaps,
+      registration_group: cell(r, 'registration_group') || null,
+      support_category: cell(r, 'support_category') || null,
+      support_type: cell(r, 'support_type') || null,
+      quote_required: parseFlag(cell(r, 'quote_required')),
+      short_notice_cancellation: parseFlag(cell(r, 'short_notice_cancellation')),
+      ttp_eligible: parseFlag(cell(r, 'ttp_eligible')),
+      non_face_to_face: parseFlag(cell(r, 'non_face_to_face')),
+      provider_travel: parseFlag(cell(r, 'provider_travel')),
+      ndia_reports: parseFlag(cell(r, 'ndia_reports')),
+      irregular_sil: parseFlag(cell(r, 'irregular_sil'))
+    };
+  });
+  return { headers, items };
+}
+
+/**
+ * billing_rates fields for an item priced for a state. Without a cap for
+ * the state (quotable items) the current prices are left alone.
+ * @param {Object} item - from parseCatalogueRows
+ * @param {string} state - one of PRICE_STATES
+ * @returns {Object} payload for createRateVersion / UPDATE
+ */
+function itemPayload(item, state) {
+  const payload = { description: item.description };
+  CATALOGUE_FIELDS.forEach((f) => { payload[f] = item[f]; });
+  const cap = item.price_caps[state];
+  if (cap !== undefined) {
+    const ratio = ratioFromName(item.description);
+    payload.base_rate = cap;
+    Object.entries(RATIO_COLUMNS).forEach(([label, column]) => {
+      payload[column] = label === ratio ? cap : 0;
+    });
+  }
+  return payload;
+}
+
+// Stable comparison form of a billing_rates value
+function comparable(field, v) {
+  if (PRICE_FIELDS.includes(field)) return round2(parseFloat(v) || 0);
+  if (field === 'price_caps') {
+    const caps = v || {};
+    return JSON.stringify(Object.keys(caps).sort().map((k) => [k, round2(parseFloat(caps[k]) || 0)]));
+  }
+  if (v === undefined || v === '') return null;
+  return typeof v === 'string' ? v.trim() : v;
+}
+
+// Fields of payload that differ from the current version
+function diffFields(current, payload) {
+  return Object.keys(payload)
+    .filter((f) => comparable(f, current ? current[f] : undefined) !== comparable(f, payload[f]))
+    .map((f) => ({ field: f, from: current ? current[f] ?? null : null, to: payload[f] }));
+}
+
+/**
+ * Organisation's price-cap state (setting ndis_price_state)
+ * @param {Pool|Client} db
+ * @returns {Promise<string>}
+ */
+async function loadPriceState(db) {
+  try {
+    const { rows } = await db.query("SELECT value FROM settings WHERE key = 'ndis_price_state'");
+    const state = String(rows[0]?.value || '').toUpperCase().replace(/\s+/g, '_');
+    return PRICE_STATES.includes(state) ? state : DEFAULT_PRICE_STATE;
+  } catch (e) {
+    return DEFAULT_PRICE_STATE;
+  }
+}
+
+/**
+ * Diff a catalogue against billing_rates and, unless dryRun, apply it in one
+ * transaction
+ * @param {Object} options
+ * @param {Array<Array>} [options.rows] - sheet rows (header row first)
+ * @param {string} [options.csvText] - CSV export of the catalogue
+ * @param {string} [options.state] - price-cap state (default setting / NSW)
+ * @param {string} [options.effectiveFrom] - start date for items without one (default today)
+ * @param {boolean} [options.dryRun=true]
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { dryRun, state, detectedHeaders, summary, rows, missing }
+ */
+async function importCatalogue(options = {}, pool) {
+  if (!pool) {
+    throw new Error('importCatalogue requires a database pool');
+  }
+  const dryRun = options.dryRun !== false;
+  const rows = Array.isArray(options.rows) ? options.rows : parseCsv(options.csvText);
+  if (rows.length === 0) {
+    throw httpError('rows or csvText required', 400);
+  }
+  const state = options.state
+    ? String(options.state).toUpperCase().replace(/\s+/g, '_')
+    : await loadPriceState(pool);
+  if (!PRICE_STATES.includes(state)) {
+    throw httpError(`state must be one of ${PRICE_STATES.join(', ')}`, 400);
+  }
+  const today = formatDateInTZ(new Date());
+  const defaultFrom = options.effectiveFrom || today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(defaultFrom)) {
+    throw httpError('effective_from must be YYYY-MM-DD', 400);
+  }
+
+  const { headers, items } = parseCatalogueRows(rows);
+  // Oldest start first so a code's versions chain in order
+  items.sort((a, b) => a.code.localeCompare(b.code)
+    || (a.effective_from || defaultFrom).localeCompare(b.effective_from || defaultFrom));
+
+  const summary = {};
+  CATALOGUE_ACTIONS.forEach((a) => { summary[a] = 0; });
+  const preview = [];
+  const skip = (item, reason) => {
+    summary.skip++;
+    preview.push({ line: item.line, code: item.code || null, action: 'skip', reason });
+  };
+
+  const client = dryRun ? null : await pool.connect();
+  const db = client || pool;
+  try {
+    if (client) await client.query('BEGIN');
+
+    for (const item of items) {
+      if (!item.code || !item.description) { skip(item, 'missing support item number/name'); continue; }
+      if (item.effective_to && item.effective_to < today) { skip(item, `ended ${item.effective_to}`); continue; }
+      const from = item.effective_from || defaultFrom;
+      if (item.effective_to && item.effective_to < from) { skip(item, 'end date before start date'); continue; }
+
+      const payload = itemPayload(item, state);
+      const { rows: currentRows } = await db.query(`
+        SELECT br.*,
+               to_char(br.effective_from, 'YYYY-MM-DD') AS from_ymd,
+               (SELECT COUNT(*)::int FROM billing_rates WHERE code = $1) AS versions
+          FROM billing_rates br
+         WHERE br.code = $1
+           AND ${inForceSql('br', '$2::date')}
+         ORDER BY br.effective_from DESC NULLS LAST
+         LIMIT 1
+      `, [item.code, from]);
+      const current = currentRows[0] || null;
+      let exists = !!current;
+      if (!exists) {
+        const { rowCount } = await db.query('SELECT 1 FROM billing_rates WHERE code = $1 LIMIT 1', [item.code]);
+        exists = rowCount > 0;
+      }
+
+      const changes = diffFields(current, payload);
+      let action;
+      if (!exists) action = 'create';
+      else if (current && (current.from_ymd === from || changes.length === 0)) action = changes.length ? 'update' : 'unchanged';
+      else action = 'version';
+
+      summary[action]++;
+      preview.push({
+        line: item.line,
+        code: item.code,
+        description: item.description,
+        action,
+        effective_from: from,
+        effective_to: item.effective_to,
+        price: item.price_caps[state] ?? null,
+        unit: item.unit,
+        changes: action === 'create' ? [] : changes
+      });
+      if (dryRun || action === 'unchanged') continue;
+
+      let rateId;
+      if (action === 'update') {
+        const sets = changes.map((c, i) => `${c.field} = $${i + 2}`);
+        await db.query(
+          `UPDATE billing_rates SET ${sets.join(', ')}, updated_at = now() WHERE id = $1`,
+          [current.id, ...changes.map((c) => c.to)]
+        );
+        rateId = current.id;
+      } else {
+        const { version } = await createRateVersion(db, item.code, payload, from);
+        rateId = version.id;
+      }
+      // The catalogue's own end date, when earlier than the next version
+      if (item.effective_to) {
+        await db.query(`
+          UPDATE billing_rates
+             SET effective_to = LEAST(COALESCE(effective_to, $2::date), $2::date)
+           WHERE id = $1
+        `, [rateId, item.effective_to]);
+      }
+    }
+
+    // Codes in force today that the catalogue no longer lists
+    const codes = [...new Set(items.map((i) => i.code).filter(Boolean))];
+    const { rows: missing } = await db.query(`
+      SELECT br.id, br.code, br.description
+        FROM billing_rates br
+       WHERE br.active = true
+         AND ${inForceSql('br', 'CURRENT_DATE')}
+         AND NOT (br.code = ANY($1::text[]))
+       ORDER BY br.code
+    `, [codes]);
+
+    if (client) await client.query('COMMIT');
+
+    return {
+      dryRun,
+      state,
+      detectedHeaders: headers,
+      summary: { ...summary, missing: missing.length },
+      rows: preview,
+      missing
+    };
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+module.exports = {
+  PRICE_STATES,
+  CATALOGUE_ACTIONS,
+  parseCsv,
+  parseCatalogueRows,
+  importCatalogue
+};
@@ -0,0 +1,107 @@
+/**
+ * Notifier Utility
+ *
+ * Pluggable delivery for messages to staff (open shift offers and the like).
+ * Every transport exposes the same shape:
+ *
+ *   { name, send(message) → Promise<{ delivered: boolean, transport, detail? }> }
+ *
+ * where message is { to: { staff_id, name, email, phone }, subject, body, data }.
+ *
+ *   - 'console' (default) – prints the message; for development
+ *   - 'file'              – appends one JSON line per message to a local file
+ *                           (notifier_file_path setting), so offers can be
+ *                           tested offline
+ *
+ * The transport is chosen by the `notifier_transport` setting. SMS / email
+ * transports plug in through registerNotifierTransport.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'logs', 'notifications.jsonl');
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[NOTIFY] → ${message.to.name || message.to.staff_id}: ${message.subject}\n${message.body}`);
+      return { delivered: true, transport: 'console' };
+    }
+  };
+}
+
+function createFileTransport({ filePath = DEFAULT_FILE_PATH } = {}) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const line = JSON.stringify({ sent_at: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(filePath, `${line}\n`);
+      return { delivered: true, transport: 'file', detail: filePath };
+    }
+  };
+}
+
+// name → (settings) => transport
+const TRANSPORTS = {
+  console: () => createConsoleTransport(),
+  file: (settings) => createFileTransport({ filePath: settings.notifier_file_path || DEFAULT_FILE_PATH })
+};
+
+/**
+ * Add (or replace) a notifier transport
+ * @param {string} name
+ * @param {Function} factory - (settings) => { name, send(message) }
+ */
+function registerNotifierTransport(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error('A notifier transport needs a factory function');
+  }
+  TRANSPORTS[name] = factory;
+}
+
+/**
+ * Resolve the configured notifier
+ * @param {Pool|Client} db - pg Pool or client (reads settings)
+ * @param {string} [override] - transport name (skips the setting)
+ * @returns {Promise<Object>} transport
+ */
+async function getNotifier(db, override) {
+  const { rows } = await db.query(`
+    SELECT key, value FROM settings
+     WHERE key IN ('notifier_transport', 'notifier_file_path')
+  `);
+  const settings = {};
+  rows.forEach((r) => { settings[r.key] = r.value; });
+
+  const name = (override || settings.notifier_transport || 'console').toLowerCase();
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    console.warn(`[NOTIFY] Unknown transport '${name}', using console`);
+    return createConsoleTransport();
+  }
+  return factory(settings);
+}
+
+/**
+ * Send through a transport without throwing (failures are reported)
+ * @returns {Promise<Object>} { delivered, transport, error? }
+ */
+async function deliver(notifier, message) {
+  try {
+    return await notifier.send(message);
+  } catch (err) {
+    console.warn(`[NOTIFY] ${notifier.name} delivery failed:`, err.message);
+    return { delivered: false, transport: notifier.name, error: err.message };
+  }
+}
+
+module.exports = {
+  getNotifier,
+  registerNotifierTransport,
+  deliver,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,332 @@
+/**
+ * Open Shifts Utility
+ *
+ * Staff placeholders nobody holds (mode 'open', or 'auto' the solver could
+ * not fill) become offers in open_shift_offers – one per eligible staff
+ * member – delivered through the configured notifier (util_notifier).
+ *
+ * Eligibility is the solver's: active, SCHADS level, no unavailability, no
+ * overlapping shift, within contracted hours. The first staff member to
+ * accept while still eligible is assigned (util_rosterChanges, placeholder
+ * must still be empty); the slot's other offers are closed as 'filled'.
+ * Every offer, acceptance and decline is written to system_logs.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+const eventBus = require('../eventBus');
+const { loadRoster } = require('./util_roster');
+const { loadCandidateContext, evaluateCandidate } = require('./util_assignStaff');
+const { assignShift } = require('./util_rosterChanges');
+const { getNotifier, deliver } = require('./util_notifier');
+const { TZ, fullName, httpError } = require('./util_helpers');
+
+const OFFER_STATUSES = ['offered', 'accepted', 'declined', 'filled'];
+
+const hhmm = (t) => String(t || '').slice(0, 5);
+
+const logOffer = (message, offer, severity = 'INFO') => logger.logEvent({
+  severity,
+  category: 'OPERATIONAL',
+  message,
+  details: offer,
+  entity: 'open_shift',
+  entity_id: offer.id,
+  actor: offer.staff_id
+});
+
+function offerMessage(offer, staff, slot) {
+  return {
+    to: { staff_id: staff.id, name: fullName(staff), email: staff.email || null, phone: staff.phone || null },
+    subject: `Open shift: ${slot.program_name} on ${slot.date}`,
+    body: [
+      `Hi ${staff.first_name || fullName(staff)},`,
+      `${slot.program_name}${slot.venue_name ? ` at ${slot.venue_name}` : ''} on ${slot.date}, ` +
+        `${hhmm(slot.start_time)}–${hhmm(slot.end_time)} needs a staff member.`,
+      'The first eligible person to accept gets the shift.'
+    ].join('\n'),
+    data: {
+      offer_id: offer.id,
+      loom_instance_id: slot.instance_id,
+      placeholder_id: slot.placeholder_id,
+      accept_url: `/api/v1/open-shifts/${offer.id}/accept`,
+      decline_url: `/api/v1/open-shifts/${offer.id}/decline`
+    }
+  };
+}
+
+/**
+ * Offer unfilled placeholders in a date range to eligible staff
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {string} [options.instanceId] - one instance
+ * @param {string} [options.ruleId] - one program
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { slotsScanned, offersSent, deliveryFailures, transport, slots[] }
+ */
+async function broadcastOpenShifts(options = {}, pool) {
+  if (!pool) {
+    throw new Error('broadcastOpenShifts requires a database pool');
+  }
+  const { dateFrom, dateTo, instanceId, ruleId } = options;
+  const roster = await loadRoster({ dateFrom, dateTo }, pool);
+
+  const openSlots = roster.shifts.filter((s) =>
+    (s.status === 'open' || s.status === 'auto') && s.placeholder_id &&
+    (!instanceId || s.instance_id === instanceId) &&
+    (!ruleId || s.rule_id === ruleId)
+  );
+  const summary = { slotsScanned: openSlots.length, offersSent: 0, deliveryFailures: 0, transport: null, slots: [] };
+  if (openSlots.length === 0) return summary;
+
+  const instanceIds = [...new Set(openSlots.map((s) => s.instance_id))];
+  const { rows: epochs } = await pool.query(`
+    SELECT id,
+           EXTRACT(EPOCH FROM ((instance_date + start_time) AT TIME ZONE '${TZ}')) AS starts_epoch,
+           EXTRACT(EPOCH FROM ((instance_date + end_time) AT TIME ZONE '${TZ}')) AS ends_epoch
+      FROM loom_instances
+     WHERE id = ANY($1::uuid[])
+  `, [instanceIds]);
+  const epochMap = new Map(epochs.map((e) => [e.id, e]));
+
+  const { rows: existing } = await pool.query(`
+    SELECT loom_instance_id, placeholder_id, staff_id
+      FROM open_shift_offers
+     WHERE loom_instance_id = ANY($1::uuid[])
+  `, [instanceIds]);
+  const alreadyOffered = new Set(existing.map((o) => `${o.loom_instance_id}|${o.placeholder_id}|${o.staff_id}`));
+
+  const ctx = await loadCandidateContext(pool, { dateFrom, dateTo });
+  const { rows: contacts } = await pool.query('SELECT id, email, phone FROM staff WHERE id = ANY($1::uuid[])', [ctx.staff.map((s) => s.id)]);
+  const contactMap = new Map(contacts.map((c) => [c.id, c]));
+
+  const notifier = await getNotifier(pool);
+  summary.transport = notifier.name;
+
+  for (const slot of openSlots) {
+    const epoch = epochMap.get(slot.instance_id) || {};
+    const inst = {
+      id: slot.instance_id,
+      date: slot.date,
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      starts_epoch: Number(epoch.starts_epoch),
+      ends_epoch: Number(epoch.ends_epoch)
+    };
+    const placeholder = { id: slot.placeholder_id, min_schads_level: slot.min_schads_level };
+    const rejected = { level: 0, unavailable: 0, double_booked: 0, over_hours: 0 };
+    const slotSummary = {
+      instance_id: slot.instance_id,
+      placeholder_id: slot.placeholder_id,
+      date: slot.date,
+      program_name: slot.program_name,
+      eligible: 0,
+      offered: [],
+      rejected
+    };
+
+    for (const staff of ctx.staff) {
+      const ev = evaluateCandidate(staff, inst, placeholder, ctx);
+      if (!ev.ok) {
+        rejected[ev.reason]++;
+        continue;
+      }
+      slotSummary.eligible++;
+      if (alreadyOffered.has(`${slot.instance_id}|${slot.placeholder_id}|${staff.id}`)) continue;
+
+      const { rows } = await pool.query(`
+        INSERT INTO open_shift_offers (id, loom_instance_id, placeholder_id, staff_id)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (loom_instance_id, placeholder_id, staff_id) DO NOTHING
+        RETURNING *
+      `, [uuidv4(), slot.instance_id, slot.placeholder_id, staff.id]);
+      if (!rows[0]) continue;
+      const offer = rows[0];
+
+      const contact = { ...staff, ...(contactMap.get(staff.id) || {}) };
+      const delivery = await deliver(notifier, offerMessage(offer, contact, slot));
+      await pool.query(
+        'UPDATE open_shift_offers SET delivery_transport = $2, delivery_error = $3 WHERE id = $1',
+        [offer.id, delivery.transport, delivery.error || null]
+      );
+      if (!delivery.delivered) summary.deliveryFailures++;
+
+      await logOffer(`Open shift offered: ${slot.program_name} on ${slot.date} to ${fullName(staff)}`, {
+        ...offer,
+        delivery_transport: delivery.transport,
+        delivery_error: delivery.error || null
+      }, delivery.delivered ? 'INFO' : 'WARN');
+      summary.offersSent++;
+      slotSummary.offered.push({ offer_id: offer.id, staff_id: staff.id, name: fullName(staff), delivered: delivery.delivered });
+    }
+    summary.slots.push(slotSummary);
+  }
+
+  return summary;
+}
+
+async function loadOffer(db, offerId) {
+  const { rows } = await db.query(`
+    SELECT o.*,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time,
+           li.cancelled_at,
+           rp.name AS program_name,
+           s.first_name,
+           s.last_name
+      FROM open_shift_offers o
+      JOIN loom_instances li ON li.id = o.loom_instance_id
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+      JOIN staff s ON s.id = o.staff_id
+     WHERE o.id = $1
+  `, [offerId]);
+  if (!rows[0]) throw httpError('Offer not found', 404);
+  return rows[0];
+}
+
+async function closeOffer(db, offerId, status, note) {
+  const { rows } = await db.query(`
+    UPDATE open_shift_offers
+       SET status = $2, responded_at = now(), response_note = $3
+     WHERE id = $1
+     RETURNING *
+  `, [offerId, status, note || null]);
+  return rows[0];
+}
+
+/**
+ * Accept or decline an open shift offer
+ * @param {string} offerId
+ * @param {Object} options
+ * @param {string} options.action - 'accept' | 'decline'
+ * @param {string} [options.staffId] - responding staff member (must own the offer)
+ * @param {string} [options.note]
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { offer, assigned, warnings[] }
+ */
+async function respondToOffer(offerId, options = {}, pool) {
+  if (!pool) {
+    throw new Error('respondToOffer requires a database pool');
+  }
+  const { action, staffId, note } = options;
+  if (!['accept', 'decline'].includes(action)) {
+    throw httpError('action must be accept or decline', 400);
+  }
+  const offer = await loadOffer(pool, offerId);
+  if (staffId && staffId !== offer.staff_id) {
+    throw httpError('This offer was made to another staff member', 403);
+  }
+  if (offer.status !== 'offered') {
+    throw httpError(`Offer is already ${offer.status}`, 409);
+  }
+  if (offer.cancelled_at) {
+    throw httpError('This shift has been cancelled', 409);
+  }
+  const name = fullName(offer);
+  const where = `${offer.program_name} on ${offer.date}`;
+
+  if (action === 'decline') {
+    const declined = await closeOffer(pool, offerId, 'declined', note);
+    await logOffer(`Open shift declined: ${where} by ${name}`, declined);
+    return { offer: declined, assigned: false, warnings: [] };
+  }
+
+  let result;
+  try {
+    result = await assignShift({
+      instanceId: offer.loom_instance_id,
+      placeholderId: offer.placeholder_id,
+      staffId: offer.staff_id,
+      onlyIfEmpty: true,
+      reason: 'Accepted an open shift offer',
+      changedBy: name
+    }, pool);
+  } catch (err) {
+    // Someone else got there first – close this offer too
+    const taken = err.status === 409 && (await pool.query(
+      'SELECT 1 FROM loom_staff_assignments WHERE loom_instance_id = $1 AND placeholder_id = $2',
+      [offer.loom_instance_id, offer.placeholder_id]
+    )).rowCount > 0;
+    if (taken) {
+      const filled = await closeOffer(pool, offerId, 'filled', note);
+      await logOffer(`Open shift acceptance too late: ${where} by ${name}`, filled, 'WARN');
+    }
+    throw err;
+  }
+
+  // No longer eligible (new shift, leave, hours) – the offer stays open
+  if (!result.saved) {
+    await logOffer(`Open shift acceptance blocked: ${where} by ${name}`, { ...offer, warnings: result.warnings }, 'WARN');
+    return { offer, assigned: false, warnings: result.warnings };
+  }
+
+  const accepted = await closeOffer(pool, offerId, 'accepted', note);
+  await pool.query(`
+    UPDATE open_shift_offers
+       SET status = 'filled', responded_at = now()
+     WHERE loom_instance_id = $1 AND placeholder_id = $2 AND status = 'offered'
+  `, [offer.loom_instance_id, offer.placeholder_id]);
+  await logOffer(`Open shift accepted: ${where} by ${name}`, accepted);
+  eventBus.publish('staff.assigned', {
+    action: 'open_shift_accepted',
+    instance_id: offer.loom_instance_id,
+    placeholder_id: offer.placeholder_id,
+    date: offer.date,
+    staff_id: offer.staff_id,
+    offer_id: offer.id
+  });
+  return { offer: accepted, assigned: true, warnings: [] };
+}
+
+/**
+ * List offers
+ * @param {Object} options - { staffId, instanceId, status, dateFrom, dateTo }
+ * @param {Pool} pool
+ * @returns {Promise<Array>}
+ */
+async function listOffers(options = {}, pool) {
+  if (!pool) {
+    throw new Error('listOffers requires a database pool');
+  }
+  const { staffId, instanceId, status, dateFrom, dateTo } = options;
+  if (status && !OFFER_STATUSES.includes(status)) {
+    throw httpError(`status must be one of ${OFFER_STATUSES.join(', ')}`, 400);
+  }
+  // Offers on cancelled instances are moot
+  const where = ['li.cancelled_at IS NULL'];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+  if (staffId) add('o.staff_id = ?', staffId);
+  if (instanceId) add('o.loom_instance_id = ?', instanceId);
+  if (status) add('o.status = ?', status);
+  if (dateFrom) add('li.instance_date >= ?', dateFrom);
+  if (dateTo) add('li.instance_date <= ?', dateTo);
+
+  const { rows } = await pool.query(`
+    SELECT o.*,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time,
+           rp.name AS program_name,
+           s.first_name || ' ' || s.last_name AS staff_name
+      FROM open_shift_offers o
+      JOIN loom_instances li ON li.id = o.loom_instance_id
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+      JOIN staff s ON s.id = o.staff_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY li.instance_date, li.start_time, o.offered_at
+  `, params);
+  return rows;
+}
+
+module.exports = {
+  OFFER_STATUSES,
+  broadcastOpenShifts,
+  respondToOffer,
+  listOffers
+};
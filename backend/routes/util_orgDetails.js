@@ -0,0 +1,45 @@
+/**
+ * Organisation Details Utility
+ *
+ * Text settings describing the provider itself – shown on invoices and
+ * used for NDIA claims. Served alongside the numeric defaults at
+ * /settings/org and read by the invoicing subsystem.
+ */
+
+// Key → default (all stored as text in settings)
+const ORG_DETAIL_DEFAULTS = {
+  org_name: '',
+  abn: '',
+  ndis_registration_number: '',
+  org_address: '',
+  org_email: '',
+  org_phone: '',
+  org_bank_name: '',
+  org_bsb: '',
+  org_account_number: '',
+  invoice_prefix: 'INV-',
+  invoice_payment_terms_days: '14'
+};
+
+/**
+ * Load organisation details merged over defaults
+ * @param {Pool|Client} db - pg Pool or client
+ * @returns {Promise<Object>}
+ */
+async function loadOrgDetails(db) {
+  const keys = Object.keys(ORG_DETAIL_DEFAULTS);
+  const { rows } = await db.query(
+    'SELECT key, value FROM settings WHERE key = ANY($1)',
+    [keys]
+  );
+  const details = { ...ORG_DETAIL_DEFAULTS };
+  rows.forEach((r) => {
+    if (r.value !== null && r.value !== undefined) details[r.key] = String(r.value);
+  });
+  return details;
+}
+
+module.exports = {
+  ORG_DETAIL_DEFAULTS,
+  loadOrgDetails
+};
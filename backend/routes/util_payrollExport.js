@@ -0,0 +1,322 @@
+/**
+ * Payroll Export Utility
+ *
+ * Builds a pay-period import file for the payroll system from SCHADS-costed
+ * shifts (calculatePay – legacy tgl_loom_staff_shifts and loom assignments,
+ * actual times from approved timesheets). Each employee gets one line per
+ * day per pay category (ordinary, penalty, overtime) plus allowance lines.
+ *
+ * Column layouts are pluggable: PAYROLL_LAYOUTS holds Xero, MYOB and
+ * KeyPay-style timesheet imports and registerPayrollLayout adds others.
+ * Pay item names follow PAY_CATEGORIES unless the payroll_pay_items setting
+ * (JSON { category: name }) renames them to match the payroll file.
+ *
+ * By default only shifts with an approved timesheet are exported. Each
+ * approved timesheet is stamped with its batch, and every shift and
+ * allowance day paid is recorded in payroll_export_items, so nothing is
+ * paid twice across batches – even when approvedOnly is off.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { calculatePay } = require('./util_schadsPay');
+const { round2, httpError, csvCell } = require('./util_helpers');
+
+// SCHADS segment / allowance type → default pay item name
+const PAY_CATEGORIES = {
+  ordinary: 'Ordinary Hours',
+  evening: 'Ordinary Hours - Afternoon Shift',
+  night: 'Ordinary Hours - Night Shift',
+  saturday: 'Saturday',
+  sunday: 'Sunday',
+  public_holiday: 'Public Holiday',
+  minimum_engagement: 'Minimum Engagement',
+  broken_shift_span: 'Broken Shift - Outside Span',
+  overtime: 'Overtime x1.5',
+  overtime_double: 'Overtime x2.0',
+  overtime_sunday: 'Overtime - Sunday',
+  overtime_public_holiday: 'Overtime - Public Holiday',
+  broken_shift: 'Broken Shift Allowance'
+};
+
+// 'YYYY-MM-DD' → 'DD/MM/YYYY' (Australian payroll imports)
+const auDate = (ymd) => ymd.split('-').reverse().join('/');
+
+/**
+ * Column layouts: header → value from an export line
+ * { staff_id, employee_name, first_name, last_name, date, category, pay_item, units, rate, amount, kind }
+ */
+const PAYROLL_LAYOUTS = {
+  xero: {
+    label: 'Xero Payroll (timesheet import)',
+    columns: {
+      'Employee': (l) => l.employee_name,
+      'Earnings Rate': (l) => l.pay_item,
+      'Date': (l) => auDate(l.date),
+      'Units': (l) => l.units.toFixed(2)
+    }
+  },
+  myob: {
+    label: 'MYOB AccountRight (timesheets)',
+    columns: {
+      'Emp. Co./Last Name': (l) => l.last_name,
+      'Emp. First Name': (l) => l.first_name,
+      'Payroll Category': (l) => l.pay_item,
+      'Date': (l) => auDate(l.date),
+      'Units': (l) => l.units.toFixed(2),
+      'Notes': (l) => (l.kind === 'allowance' ? 'Allowance' : '')
+    }
+  },
+  keypay: {
+    label: 'KeyPay / Employment Hero (pay run import)',
+    columns: {
+      'Employee Id': (l) => l.staff_id,
+      'First Name': (l) => l.first_name,
+      'Surname': (l) => l.last_name,
+      'Pay Category': (l) => l.pay_item,
+      'Date': (l) => l.date,
+      'Units': (l) => l.units.toFixed(2),
+      'Rate': (l) => l.rate.toFixed(4),
+      'Amount': (l) => l.amount.toFixed(2)
+    }
+  }
+};
+
+/**
+ * Add (or replace) a payroll column layout
+ * @param {string} key
+ * @param {Object} layout - { label, columns: { header: (line) => value } }
+ */
+function registerPayrollLayout(key, layout) {
+  if (!layout || !layout.columns || Object.keys(layout.columns).length === 0) {
+    throw new Error('A payroll layout needs at least one column');
+  }
+  PAYROLL_LAYOUTS[key] = { label: layout.label || key, columns: layout.columns };
+}
+
+/**
+ * Render export lines in a layout
+ * @returns {string} CSV text
+ */
+function toPayrollCsv(lines, layoutKey) {
+  const layout = PAYROLL_LAYOUTS[layoutKey];
+  const headers = Object.keys(layout.columns);
+  const rows = [headers.map(csvCell).join(',')];
+  lines.forEach((line) => {
+    rows.push(headers.map((h) => csvCell(layout.columns[h](line))).join(','));
+  });
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+async function loadPayItems(db) {
+  const items = { ...PAY_CATEGORIES };
+  try {
+    const { rows } = await db.query("SELECT value FROM settings WHERE key = 'payroll_pay_items'");
+    if (rows[0]) {
+      Object.entries(JSON.parse(rows[0].value) || {}).forEach(([category, name]) => {
+        if (name) items[category] = String(name);
+      });
+    }
+  } catch (err) {
+    console.warn('[PAYROLL] Ignoring payroll_pay_items setting:', err.message);
+  }
+  return items;
+}
+
+/**
+ * Build (and unless dryRun, record) a payroll export for a pay period
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {string} [options.layout='xero'] - PAYROLL_LAYOUTS key
+ * @param {boolean} [options.approvedOnly=true] - only shifts with an approved timesheet
+ * @param {string} [options.staffId] - one employee
+ * @param {boolean} [options.dryRun=false] - preview without recording a batch
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { batchId, fileName, csv, lines, employees[], lineCount, totalAmount, heldBack[], dryRun }
+ */
+async function exportPayroll(options = {}, pool) {
+  if (!pool) {
+    throw new Error('exportPayroll requires a database pool');
+  }
+  const { dateFrom, dateTo, staffId, dryRun = false } = options;
+  const layout = options.layout || 'xero';
+  const approvedOnly = options.approvedOnly !== false;
+  if (!PAYROLL_LAYOUTS[layout]) {
+    throw httpError(`layout must be one of ${Object.keys(PAYROLL_LAYOUTS).join(', ')}`, 400);
+  }
+
+  const pay = await calculatePay({ dateFrom, dateTo, staffId }, pool);
+  const payItems = await loadPayItems(pool);
+
+  // Approved timesheets already sent to payroll
+  const timesheetIds = pay.staff.flatMap((st) => st.shifts.map((s) => s.timesheet_id).filter(Boolean));
+  const exported = new Set();
+  if (timesheetIds.length > 0) {
+    const { rows } = await pool.query(
+      'SELECT id FROM staff_timesheets WHERE id = ANY($1::uuid[]) AND payroll_exported_at IS NOT NULL',
+      [timesheetIds]
+    );
+    rows.forEach((r) => exported.add(r.id));
+  }
+
+  // Shifts and allowance days paid by earlier batches (staff_id|item_key)
+  const { rows: paidRows } = await pool.query(`
+    SELECT staff_id, item_key
+      FROM payroll_export_items
+     WHERE work_date BETWEEN $1 AND $2
+       AND ($3::uuid IS NULL OR staff_id = $3)
+  `, [dateFrom, dateTo, staffId || null]);
+  const paidItems = new Set(paidRows.map((r) => `${r.staff_id}|${r.item_key}`));
+
+  const lines = [];
+  const heldBack = [];
+  const stamped = [];
+  const items = [];
+  const employees = [];
+  pay.staff.forEach((st) => {
+    const byKey = new Map();
+    const addLine = (date, category, kind, units, rate, amount) => {
+      const key = `${date}|${category}|${rate}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          staff_id: st.staff_id,
+          employee_name: st.name,
+          first_name: st.first_name || '',
+          last_name: st.last_name || '',
+          date,
+          category,
+          pay_item: payItems[category] || category,
+          kind,
+          units: 0,
+          rate,
+          amount: 0
+        });
+      }
+      const line = byKey.get(key);
+      line.units = round2(line.units + units);
+      line.amount = round2(line.amount + amount);
+    };
+
+    const paidDates = new Set();
+    st.shifts.forEach((shift) => {
+      const itemKey = `shift:${shift.loom_instance_id}`;
+      const alreadyPaid = exported.has(shift.timesheet_id) || paidItems.has(`${st.staff_id}|${itemKey}`);
+      const reason = !shift.timesheet_id && approvedOnly
+        ? 'No approved timesheet'
+        : alreadyPaid ? 'Already exported to payroll' : null;
+      if (reason) {
+        heldBack.push({
+          staff_id: st.staff_id,
+          employee_name: st.name,
+          date: shift.date,
+          start_time: shift.start_time,
+          end_time: shift.end_time,
+          loom_instance_id: shift.loom_instance_id,
+          reason
+        });
+        return;
+      }
+      if (shift.timesheet_id) stamped.push(shift.timesheet_id);
+      items.push({ staff_id: st.staff_id, item_key: itemKey, work_date: shift.date });
+      paidDates.add(shift.date);
+      shift.segments.forEach((seg) => {
+        addLine(shift.date, seg.type, 'hours', seg.hours, round2(shift.base_rate * seg.multiplier * 10000) / 10000, seg.amount);
+      });
+    });
+    // Allowances follow the day's shifts into the file, once per day
+    st.allowances
+      .filter((a) => paidDates.has(a.date))
+      .forEach((a) => {
+        const itemKey = `allowance:${a.date}:${a.type}`;
+        if (paidItems.has(`${st.staff_id}|${itemKey}`)) return;
+        items.push({ staff_id: st.staff_id, item_key: itemKey, work_date: a.date });
+        addLine(a.date, a.type, 'allowance', 1, a.amount, a.amount);
+      });
+
+    const employeeLines = [...byKey.values()].sort((a, b) =>
+      a.date.localeCompare(b.date) || a.kind.localeCompare(b.kind) || a.pay_item.localeCompare(b.pay_item)
+    );
+    if (employeeLines.length === 0) return;
+    lines.push(...employeeLines);
+    employees.push({
+      staff_id: st.staff_id,
+      name: st.name,
+      line_count: employeeLines.length,
+      hours: round2(employeeLines.filter((l) => l.kind === 'hours').reduce((sum, l) => sum + l.units, 0)),
+      amount: round2(employeeLines.reduce((sum, l) => sum + l.amount, 0))
+    });
+  });
+
+  const totalAmount = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const batchId = uuidv4();
+  const fileName = `payroll-${layout}-${dateFrom.replace(/-/g, '')}-${dateTo.replace(/-/g, '')}-${batchId.slice(0, 8)}.csv`;
+  const csv = toPayrollCsv(lines, layout);
+  const result = {
+    batchId: dryRun ? null : batchId,
+    layout,
+    fileName,
+    csv,
+    lines,
+    employees,
+    lineCount: lines.length,
+    totalAmount,
+    heldBack,
+    dryRun
+  };
+  if (dryRun || lines.length === 0) return result;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO payroll_export_batches (
+        id, date_from, date_to, layout, employee_count, line_count, total_amount, file_name, csv, held_back
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      batchId, dateFrom, dateTo, layout, employees.length, lines.length,
+      totalAmount, fileName, csv, JSON.stringify(heldBack)
+    ]);
+
+    // Guard on payroll_exported_at so a concurrent export cannot pay the same timesheet
+    if (stamped.length > 0) {
+      const marked = await client.query(`
+        UPDATE staff_timesheets
+           SET payroll_batch_id = $1,
+               payroll_exported_at = now()
+         WHERE id = ANY($2::uuid[])
+           AND payroll_exported_at IS NULL
+      `, [batchId, stamped]);
+      if (marked.rowCount !== stamped.length) {
+        throw httpError('Some timesheets were exported by another payroll batch; please retry', 409);
+      }
+    }
+
+    // The primary key stops a concurrent batch paying the same shift or allowance
+    const recorded = await client.query(`
+      INSERT INTO payroll_export_items (batch_id, staff_id, item_key, work_date)
+      SELECT $1, i.staff_id, i.item_key, i.work_date
+        FROM jsonb_to_recordset($2::jsonb) AS i(staff_id uuid, item_key text, work_date date)
+      ON CONFLICT (staff_id, item_key) DO NOTHING
+    `, [batchId, JSON.stringify(items)]);
+    if (recorded.rowCount !== items.length) {
+      throw httpError('Some shifts were exported by another payroll batch; please retry', 409);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return result;
+}
+
+module.exports = {
+  PAY_CATEGORIES,
+  PAYROLL_LAYOUTS,
+  registerPayrollLayout,
+  toPayrollCsv,
+  exportPayroll
+};
@@ -0,0 +1,215 @@
+/**
+ * NDIS Plan Budget Utility
+ *
+ * Compares each participant's plan budget (participants.ndis_plan_budget over
+ * ndis_plan_start → ndis_plan_end) with what has been billed and what the
+ * loom says is coming:
+ *   - spent      – payment_diamonds inside the plan period (rejected lines
+ *                  excluded, reversals net off)
+ *   - projected  – unbilled future loom instances the participant is booked
+ *                  on, priced from their rule billing lines
+ *   - beyond the loom window the window's daily rate is extrapolated to the
+ *     plan end
+ * A plan is 'at_risk' when the forecast runs out before ndis_plan_end.
+ */
+
+const { loadWindowDays } = require('./util_syncRethread');
+const { CANCELLED_STATUSES } = require('./util_attendanceBilling');
+const { formatDateInTZ, addDaysYmdTZ, daysBetween, round2, toNumber } = require('./util_helpers');
+
+const BUDGET_STATUSES = ['ok', 'at_risk', 'overspent', 'no_plan'];
+
+/**
+ * Forecast one participant's plan
+ * @param {Object} participant - row with plan_start/plan_end ymd and budget
+ * @param {Object} spend - { claimed, pending }
+ * @param {Array<Object>} upcoming - [{ ymd, cost }] sorted by date
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {string} windowEnd - 'YYYY-MM-DD'
+ * @returns {Object} budget summary
+ */
+function forecastPlan(participant, spend, upcoming, today, windowEnd) {
+  const base = {
+    participant_id: participant.id,
+    participant_name: participant.participant_name,
+    plan_management_type: participant.plan_management_type,
+    plan_start: participant.plan_start,
+    plan_end: participant.plan_end
+  };
+  const budget = participant.budget === null ? null : toNumber(participant.budget);
+  if (!participant.plan_start || !participant.plan_end || !budget) {
+    return { ...base, budget, status: 'no_plan' };
+  }
+
+  const claimed = round2(spend.claimed);
+  const pending = round2(spend.pending);
+  const spent = round2(claimed + pending);
+  const planDays = daysBetween(participant.plan_start, participant.plan_end) + 1;
+  const elapsedDays = Math.min(planDays, Math.max(0, daysBetween(participant.plan_start, today) + 1));
+
+  // Booked, unbilled services in the loom window (and inside the plan)
+  const from = today > participant.plan_start ? today : participant.plan_start;
+  const horizon = windowEnd < participant.plan_end ? windowEnd : participant.plan_end;
+  const inWindow = upcoming.filter((u) => u.ymd >= from && u.ymd <= horizon);
+  const windowProjection = round2(inWindow.reduce((sum, u) => sum + u.cost, 0));
+  const windowDays = Math.max(0, daysBetween(from, horizon) + 1);
+  const dailyRate = windowDays > 0 ? windowProjection / windowDays : 0;
+  const extrapolatedDays = Math.max(0, daysBetween(horizon, participant.plan_end));
+  const extrapolated = round2(dailyRate * extrapolatedDays);
+  const projectedTotal = round2(spent + windowProjection + extrapolated);
+
+  // Date the money runs out, if it does before the plan ends
+  let runOutDate = null;
+  if (spent >= budget) {
+    runOutDate = today < participant.plan_end ? today : participant.plan_end;
+  } else {
+    let running = spent;
+    for (const u of inWindow) {
+      running += u.cost;
+      if (running > budget) {
+        runOutDate = u.ymd;
+        break;
+      }
+    }
+    if (!runOutDate && dailyRate > 0 && projectedTotal > budget) {
+      const daysLeft = Math.ceil((budget - spent - windowProjection) / dailyRate);
+      runOutDate = addDaysYmdTZ(horizon, daysLeft);
+    }
+  }
+
+  let status = 'ok';
+  if (spent > budget) status = 'overspent';
+  else if (runOutDate && runOutDate < participant.plan_end) status = 'at_risk';
+
+  return {
+    ...base,
+    budget: round2(budget),
+    spent,
+    claimed,
+    pending,
+    remaining: round2(budget - spent),
+    utilisation_percent: round2((spent / budget) * 100),
+    elapsed_percent: round2((elapsedDays / planDays) * 100),
+    weekly_burn: elapsedDays > 0 ? round2((spent / elapsedDays) * 7) : 0,
+    forecast_weekly_burn: round2(dailyRate * 7),
+    window_projection: windowProjection,
+    extrapolated,
+    projected_total: projectedTotal,
+    projected_shortfall: round2(Math.max(0, projectedTotal - budget)),
+    run_out_date: runOutDate,
+    status
+  };
+}
+
+/**
+ * Budget position for participants with an NDIS plan
+ * @param {Object} [options]
+ * @param {string} [options.participantId] - only this participant
+ * @param {string} [options.asOf] - 'YYYY-MM-DD' (default today, Sydney)
+ * @param {Pool|Client} pool
+ * @returns {Promise<Object[]>} one summary per participant
+ */
+async function getPlanBudgets(options = {}, pool) {
+  if (!pool) {
+    throw new Error('getPlanBudgets requires a database pool');
+  }
+  const today = options.asOf || formatDateInTZ(new Date());
+  const windowEnd = addDaysYmdTZ(today, (await loadWindowDays(pool)) - 1);
+
+  const params = [];
+  let filter = 'WHERE p.ndis_plan_budget IS NOT NULL';
+  if (options.participantId) {
+    params.push(options.participantId);
+    filter = 'WHERE p.id = $1';
+  }
+  const { rows: participants } = await pool.query(`
+    SELECT p.id,
+           p.first_name || ' ' || p.last_name AS participant_name,
+           p.plan_management_type,
+           to_char(p.ndis_plan_start, 'YYYY-MM-DD') AS plan_start,
+           to_char(p.ndis_plan_end, 'YYYY-MM-DD') AS plan_end,
+           p.ndis_plan_budget AS budget
+      FROM participants p
+     ${filter}
+     ORDER BY p.last_name, p.first_name
+  `, params);
+  if (participants.length === 0) return [];
+  const ids = participants.map((p) => p.id);
+
+  // Billed inside the plan period
+  const { rows: spendRows } = await pool.query(`
+    SELECT pd.participant_id,
+           COALESCE(SUM(pd.total_amount) FILTER (WHERE pd.status IN ('exported', 'claimed', 'paid')), 0) AS claimed,
+           COALESCE(SUM(pd.total_amount) FILTER (WHERE pd.status IN ('draft', 'ready')), 0) AS pending
+      FROM payment_diamonds pd
+      JOIN participants p ON p.id = pd.participant_id
+     WHERE pd.participant_id = ANY($1::uuid[])
+       AND pd.status <> 'rejected'
+       AND pd.invoice_date BETWEEN p.ndis_plan_start AND p.ndis_plan_end
+     GROUP BY pd.participant_id
+  `, [ids]);
+  const spendById = new Map(spendRows.map((r) => [
+    r.participant_id,
+    { claimed: toNumber(r.claimed), pending: toNumber(r.pending) }
+  ]));
+
+  // Booked loom instances not billed yet, priced from the rule's billing lines
+  const { rows: upcomingRows } = await pool.query(`
+    WITH rule_cost AS (
+      SELECT rpp.rule_id, rpp.participant_id,
+             SUM(COALESCE(NULLIF(rppb.unit_price, 0), br.base_rate, 0) * COALESCE(rppb.hours, 0)) AS cost
+        FROM rules_program_participants rpp
+        JOIN rules_program_participant_billing rppb ON rppb.rule_participant_id = rpp.id
+        LEFT JOIN billing_rates br ON br.id = rppb.billing_code_id
+       WHERE rpp.participant_id = ANY($1::uuid[])
+       GROUP BY rpp.rule_id, rpp.participant_id
+    )
+    SELECT rc.participant_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS ymd,
+           rc.cost
+      FROM rule_cost rc
+      JOIN loom_instances li ON li.source_rule_id = rc.rule_id
+      LEFT JOIN loom_participant_attendance a
+             ON a.loom_instance_id = li.id AND a.participant_id = rc.participant_id
+     WHERE li.instance_date BETWEEN $2 AND $3
+       AND li.cancelled_at IS NULL
+       AND (a.status IS NULL OR a.status <> ALL($4::text[]))
+       AND NOT EXISTS (
+         SELECT 1 FROM payment_diamonds pd
+          WHERE pd.loom_instance_id = li.id AND pd.participant_id = rc.participant_id
+       )
+     ORDER BY li.instance_date
+  `, [ids, today, windowEnd, CANCELLED_STATUSES]);
+  const upcomingById = new Map();
+  upcomingRows.forEach((r) => {
+    if (!upcomingById.has(r.participant_id)) upcomingById.set(r.participant_id, []);
+    upcomingById.get(r.participant_id).push({ ymd: r.ymd, cost: toNumber(r.cost) });
+  });
+
+  return participants.map((p) => forecastPlan(
+    p,
+    spendById.get(p.id) || { claimed: 0, pending: 0 },
+    upcomingById.get(p.id) || [],
+    today,
+    windowEnd
+  ));
+}
+
+/**
+ * Plans that are overspent or forecast to run out before they end
+ * @param {Object} [options] - { asOf }
+ * @param {Pool|Client} pool
+ * @returns {Promise<Object[]>} most urgent first
+ */
+async function getBudgetAlerts(options = {}, pool) {
+  const budgets = await getPlanBudgets({ asOf: options.asOf }, pool);
+  return budgets
+    .filter((b) => b.status === 'overspent' || b.status === 'at_risk')
+    .sort((a, b) => (a.run_out_date || '').localeCompare(b.run_out_date || ''));
+}
+
+module.exports = {
+  BUDGET_STATUSES,
+  getPlanBudgets,
+  getBudgetAlerts
+};
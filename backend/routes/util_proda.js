@@ -0,0 +1,268 @@
+/**
+ * PRODA Bulk Payment Request Utility
+ *
+ * Builds the NDIA bulk payment request CSV (the file uploaded through the
+ * myplace provider portal) from payment_diamonds for agency-managed
+ * participants. Only lines marked ready are considered; rows that NDIA
+ * would reject are held back with a reason, and exported lines are stamped
+ * with their batch and moved to 'exported' so they are never claimed twice.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { applyTransition } = require('./util_billingLifecycle');
+const { csvCell, toYmd, httpError } = require('./util_helpers');
+
+// Exact header row NDIA expects, in order
+const PRODA_COLUMNS = [
+  'RegistrationNumber',
+  'NDISNumber',
+  'SupportsDeliveredFrom',
+  'SupportsDeliveredTo',
+  'SupportNumber',
+  'ClaimReference',
+  'Quantity',
+  'Hours',
+  'UnitPrice',
+  'GSTCode',
+  'AuthorisedBy',
+  'ParticipantApproved',
+  'InKindFundingProgram',
+  'ClaimType',
+  'CancellationReason',
+  'ABN of Support Provider'
+];
+
+// NDIS numbers are 9 digits beginning with 43
+const NDIS_NUMBER_RE = /^43\d{7}$/;
+// Support catalogue item, e.g. 04_104_0125_6_1 or 01_011_0107_1_1_T
+const SUPPORT_ITEM_RE = /^\d{2}_\d{3}_\d{4}_\d_\d(_T)?$/;
+const REGISTRATION_RE = /^\d{9,10}$/;
+const ABN_RE = /^\d{11}$/;
+const CLAIM_REFERENCE_MAX = 50;
+// Claim types NDIA accepts in the bulk file ('' = standard service)
+const CLAIM_TYPES = ['', 'CANC', 'REPW', 'TRAN', 'NF2F', 'THLT', 'IRSS'];
+const CANCELLATION_REASONS = ['NSDH', 'NSDF', 'NSDT', 'NSDO'];
+
+// Internal gst_code values → NDIA codes (P1 taxable, P2 GST-free, P5 out of scope)
+const GST_CODES = {
+  FRE: 'P2',
+  FREE: 'P2',
+  P2: 'P2',
+  GST: 'P1',
+  P1: 'P1',
+  NTS: 'P5',
+  P5: 'P5'
+};
+
+const digitsOnly = (v) => String(v || '').replace(/\D/g, '');
+
+/**
+ * Render rows (objects keyed by PRODA_COLUMNS) as CSV text
+ * @returns {string}
+ */
+function toProdaCsv(rows) {
+  const lines = [PRODA_COLUMNS.join(',')];
+  rows.forEach((row) => {
+    lines.push(PRODA_COLUMNS.map((c) => csvCell(row[c])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Validate one billing line and map it to a PRODA row
+ * @returns {Object} { row } or { reasons[] }
+ */
+function mapLine(line, provider) {
+  const reasons = [];
+  const ndis = digitsOnly(line.ndis_number);
+  const item = String(line.support_item_number || '').trim();
+  const date = toYmd(line.service_date);
+  const hours = Number(line.hours);
+  const quantity = Number.isFinite(hours) && hours > 0 ? hours : Number(line.quantity);
+  const unitPrice = Number(line.unit_price);
+  const gst = GST_CODES[String(line.gst_code || '').toUpperCase()];
+  const claimReference = line.id;
+  const claimType = String(line.claim_type || '').toUpperCase();
+  const cancellationReason = claimType === 'CANC' ? String(line.cancellation_reason || 'NSDO').toUpperCase() : '';
+
+  // NDIA has no negative claim – reversals are cancelled in the portal
+  if (line.reverses_id) reasons.push('Reversal line: cancel the original payment request in the myplace portal');
+  if (!ndis) reasons.push('Missing NDIS number');
+  else if (!NDIS_NUMBER_RE.test(ndis)) reasons.push(`Invalid NDIS number "${line.ndis_number}"`);
+  if (!item) reasons.push('Missing support item number');
+  else if (!SUPPORT_ITEM_RE.test(item)) reasons.push(`Invalid support item number "${item}"`);
+  if (!date) reasons.push('Missing service date');
+  if (!Number.isFinite(quantity) || quantity <= 0) reasons.push('Quantity must be greater than zero');
+  if (!Number.isFinite(unitPrice) || unitPrice <= 0) reasons.push('Unit price must be greater than zero');
+  if (!gst) reasons.push(`Unknown GST code "${line.gst_code}"`);
+  if (claimReference.length > CLAIM_REFERENCE_MAX) reasons.push('Claim reference too long');
+  if (!CLAIM_TYPES.includes(claimType)) reasons.push(`Unknown claim type "${line.claim_type}"`);
+  if (cancellationReason && !CANCELLATION_REASONS.includes(cancellationReason)) {
+    reasons.push(`Unknown cancellation reason "${line.cancellation_reason}"`);
+  }
+
+  if (reasons.length > 0) return { reasons };
+
+  return {
+    row: {
+      RegistrationNumber: provider.registrationNumber,
+      NDISNumber: ndis,
+      SupportsDeliveredFrom: date,
+      SupportsDeliveredTo: date,
+      SupportNumber: item,
+      ClaimReference: claimReference,
+      Quantity: quantity.toFixed(2),
+      Hours: '',
+      UnitPrice: unitPrice.toFixed(2),
+      GSTCode: gst,
+      AuthorisedBy: '',
+      ParticipantApproved: '',
+      InKindFundingProgram: '',
+      ClaimType: claimType,
+      CancellationReason: cancellationReason,
+      'ABN of Support Provider': provider.abn
+    },
+    amount: Math.round(quantity * unitPrice * 100) / 100
+  };
+}
+
+/**
+ * Load provider details from settings
+ * @returns {Promise<Object>} { registrationNumber, abn }
+ */
+async function loadProvider(db) {
+  const { rows } = await db.query(
+    "SELECT key, value FROM settings WHERE key IN ('ndis_registration_number', 'abn')"
+  );
+  const kv = {};
+  rows.forEach((r) => { kv[r.key] = r.value; });
+  return {
+    registrationNumber: digitsOnly(kv.ndis_registration_number),
+    abn: digitsOnly(kv.abn)
+  };
+}
+
+/**
+ * Build (and unless dryRun, record) a PRODA bulk payment request
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {boolean} [options.dryRun=false] - validate and build without marking lines
+ * @param {Pool} pool - pg Pool instance
+ * @returns {Promise<Object>} { batchId, fileName, csv, exportedCount, totalAmount, rejected[] }
+ */
+async function exportProdaBatch(options = {}, pool) {
+  if (!pool) {
+    throw new Error('exportProdaBatch requires a database pool');
+  }
+  const { dateFrom, dateTo, dryRun = false } = options;
+  if (!dateFrom || !dateTo) {
+    throw httpError('dateFrom and dateTo are required', 400);
+  }
+
+  const provider = await loadProvider(pool);
+  if (!REGISTRATION_RE.test(provider.registrationNumber)) {
+    throw httpError('Setting ndis_registration_number is missing or invalid', 400);
+  }
+  if (provider.abn && !ABN_RE.test(provider.abn)) {
+    throw httpError('Setting abn must be 11 digits', 400);
+  }
+
+  const { rows: lines } = await pool.query(`
+    SELECT pd.id,
+           pd.support_item_number,
+           pd.unit_price,
+           pd.quantity,
+           pd.hours,
+           pd.gst_code,
+           pd.reverses_id,
+           pd.claim_type,
+           pd.cancellation_reason,
+           COALESCE(pd.invoice_date, pd.created_at::date) AS service_date,
+           p.ndis_number,
+           p.first_name || ' ' || p.last_name AS participant_name
+      FROM payment_diamonds pd
+      JOIN participants p ON p.id = pd.participant_id
+     WHERE p.plan_management_type = 'agency_managed'
+       AND COALESCE(pd.invoice_date, pd.created_at::date) BETWEEN $1 AND $2
+       AND pd.status = 'ready'
+       AND pd.proda_exported_at IS NULL
+     ORDER BY service_date ASC, participant_name ASC
+  `, [dateFrom, dateTo]);
+
+  const accepted = [];
+  const rejected = [];
+  let totalAmount = 0;
+  lines.forEach((line) => {
+    const mapped = mapLine(line, provider);
+    if (mapped.reasons) {
+      rejected.push({
+        id: line.id,
+        participant_name: line.participant_name,
+        service_date: toYmd(line.service_date),
+        support_item_number: line.support_item_number,
+        reasons: mapped.reasons
+      });
+      return;
+    }
+    accepted.push({ id: line.id, row: mapped.row });
+    totalAmount += mapped.amount;
+  });
+  totalAmount = Math.round(totalAmount * 100) / 100;
+
+  const batchId = uuidv4();
+  const fileName = `proda-bulk-${dateFrom.replace(/-/g, '')}-${dateTo.replace(/-/g, '')}-${batchId.slice(0, 8)}.csv`;
+  const csv = toProdaCsv(accepted.map((a) => a.row));
+  const result = {
+    batchId: dryRun ? null : batchId,
+    fileName,
+    csv,
+    exportedCount: accepted.length,
+    totalAmount,
+    rejected,
+    dryRun
+  };
+  if (dryRun || accepted.length === 0) return result;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO proda_export_batches (
+        id, date_from, date_to, line_count, total_amount, file_name, csv, rejected
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [batchId, dateFrom, dateTo, accepted.length, totalAmount, fileName, csv, JSON.stringify(rejected)]);
+
+    // Guard on proda_exported_at so a concurrent export cannot claim the same line
+    const marked = await client.query(`
+      UPDATE payment_diamonds
+         SET proda_batch_id = $1,
+             proda_exported_at = now(),
+             claim_reference = id::text
+       WHERE id = ANY($2::uuid[])
+         AND proda_exported_at IS NULL
+    `, [batchId, accepted.map((a) => a.id)]);
+    if (marked.rowCount !== accepted.length) {
+      throw httpError('Some billing lines were exported by another batch; please retry', 409);
+    }
+    await applyTransition(client, accepted.map((a) => a.id), 'exported', {
+      source: 'proda',
+      details: { batch_id: batchId, file_name: fileName }
+    });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return result;
+}
+
+module.exports = {
+  PRODA_COLUMNS,
+  exportProdaBatch,
+  toProdaCsv
+};
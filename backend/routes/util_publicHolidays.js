@@ -0,0 +1,300 @@
+/**
+ * Public Holidays Utility
+ *
+ * Per-state Australian public holidays (public_holidays), entered by hand or
+ * imported from an ICS calendar. A row's state is one of HOLIDAY_STATES or
+ * 'NATIONAL' (every state). The organisation observes the holidays of one
+ * state (setting public_holiday_state, default NSW).
+ *
+ * Holidays feed three places:
+ *   - syncRethread skips rules whose holiday_behaviour is 'skip'
+ *   - generateBilling bills the item's public-holiday variant instead
+ *     (resolveHolidayRate in util_rateVersions)
+ *   - loadStaffShifts flags shifts falling on a holiday for SCHADS penalty pay
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { addDaysYmdTZ, isYmd, httpError } = require('./util_helpers');
+
+const HOLIDAY_STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'];
+const NATIONAL = 'NATIONAL';
+const DEFAULT_HOLIDAY_STATE = 'NSW';
+const HOLIDAY_BEHAVIOURS = ['run', 'skip'];
+
+// ICS/free-text state names → abbreviation
+const STATE_NAMES = {
+  'australian capital territory': 'ACT',
+  'new south wales': 'NSW',
+  'northern territory': 'NT',
+  queensland: 'QLD',
+  'south australia': 'SA',
+  tasmania: 'TAS',
+  victoria: 'VIC',
+  'western australia': 'WA'
+};
+
+function normaliseState(state) {
+  const s = String(state || '').trim().toUpperCase();
+  if (s === NATIONAL || HOLIDAY_STATES.includes(s)) return s;
+  return STATE_NAMES[s.toLowerCase()] || null;
+}
+
+/**
+ * State whose holidays the organisation observes
+ * @param {Pool|Client} db
+ * @returns {Promise<string>}
+ */
+async function loadHolidayState(db) {
+  try {
+    const { rows } = await db.query("SELECT value FROM settings WHERE key = 'public_holiday_state'");
+    const state = normaliseState(rows[0]?.value);
+    return state && state !== NATIONAL ? state : DEFAULT_HOLIDAY_STATE;
+  } catch (e) {
+    return DEFAULT_HOLIDAY_STATE;
+  }
+}
+
+/**
+ * Holidays observed between two dates, keyed by date
+ * @param {Pool|Client} db
+ * @param {string} dateFrom - 'YYYY-MM-DD'
+ * @param {string} dateTo - 'YYYY-MM-DD'
+ * @param {string} [state] - default the organisation's state
+ * @returns {Promise<Map<string, Object>>} ymd → { id, date, name, state }
+ */
+async function getHolidayMap(db, dateFrom, dateTo, state) {
+  const observed = state || await loadHolidayState(db);
+  const { rows } = await db.query(`
+    SELECT id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, state
+      FROM public_holidays
+     WHERE holiday_date BETWEEN $1 AND $2
+       AND state IN ($3, '${NATIONAL}')
+     ORDER BY holiday_date, (state = '${NATIONAL}')
+  `, [dateFrom, dateTo, observed]);
+  const byDate = new Map();
+  // The state's own entry wins over a national one on the same day
+  rows.forEach((r) => { if (!byDate.has(r.date)) byDate.set(r.date, r); });
+  return byDate;
+}
+
+/**
+ * Holiday observed on a date
+ * @param {Pool|Client} db
+ * @param {string} ymd
+ * @param {string} [state]
+ * @returns {Promise<Object|null>}
+ */
+async function getHoliday(db, ymd, state) {
+  const map = await getHolidayMap(db, ymd, ymd, state);
+  return map.get(ymd) || null;
+}
+
+/**
+ * List holidays
+ * @param {Object} [filters] - { dateFrom, dateTo, year, state }
+ * @param {Pool|Client} db
+ * @returns {Promise<Object[]>}
+ */
+async function listHolidays(filters = {}, db) {
+  if (!db) {
+    throw new Error('listHolidays requires a database pool');
+  }
+  const clauses = [];
+  const params = [];
+  if (filters.year) {
+    params.push(Number(filters.year));
+    clauses.push(`EXTRACT(YEAR FROM holiday_date) = $${params.length}`);
+  }
+  if (filters.dateFrom) {
+    params.push(filters.dateFrom);
+    clauses.push(`holiday_date >= $${params.length}`);
+  }
+  if (filters.dateTo) {
+    params.push(filters.dateTo);
+    clauses.push(`holiday_date <= $${params.length}`);
+  }
+  if (filters.state) {
+    const state = normaliseState(filters.state);
+    if (!state) throw httpError(`state must be one of ${HOLIDAY_STATES.join(', ')} or ${NATIONAL}`, 400);
+    params.push(state);
+    clauses.push(`state IN ($${params.length}, '${NATIONAL}')`);
+  }
+  const { rows } = await db.query(`
+    SELECT id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, state, source, external_uid, created_at
+      FROM public_holidays
+     ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY holiday_date, state
+  `, params);
+  return rows;
+}
+
+/**
+ * Add a holiday by hand
+ * @param {Object} input - { date, name, state }
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>} public_holidays row
+ */
+async function createHoliday(input = {}, db) {
+  if (!db) {
+    throw new Error('createHoliday requires a database pool');
+  }
+  const { date, name } = input;
+  const state = normaliseState(input.state || NATIONAL);
+  if (!isYmd(date)) throw httpError('date (YYYY-MM-DD) is required', 400);
+  if (!name || !String(name).trim()) throw httpError('name is required', 400);
+  if (!state) throw httpError(`state must be one of ${HOLIDAY_STATES.join(', ')} or ${NATIONAL}`, 400);
+
+  const { rows } = await db.query(`
+    INSERT INTO public_holidays (id, holiday_date, state, name, source)
+    VALUES ($1, $2, $3, $4, 'manual')
+    ON CONFLICT (holiday_date, state) DO NOTHING
+    RETURNING id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, state, source
+  `, [uuidv4(), date, state, String(name).trim()]);
+  if (rows.length === 0) {
+    throw httpError(`A ${state} holiday on ${date} already exists`, 409);
+  }
+  return rows[0];
+}
+
+/**
+ * Remove a holiday
+ * @param {string} id
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>} the deleted row
+ */
+async function deleteHoliday(id, db) {
+  const { rows } = await db.query(`
+    DELETE FROM public_holidays WHERE id = $1
+    RETURNING id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, state
+  `, [id]);
+  if (rows.length === 0) throw httpError('Holiday not found', 404);
+  return rows[0];
+}
+
+// ICS text escapes (\, \; \n)
+const unescapeIcs = (v) => v.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// States named in free text ("Labour Day (VIC)", LOCATION:New South Wales)
+function statesIn(text) {
+  const found = new Set();
+  const upper = ` ${String(text || '').toUpperCase()} `;
+  HOLIDAY_STATES.forEach((s) => {
+    if (new RegExp(`[^A-Z]${s}[^A-Z]`).test(upper)) found.add(s);
+  });
+  Object.entries(STATE_NAMES).forEach(([name, s]) => {
+    if (upper.includes(name.toUpperCase())) found.add(s);
+  });
+  return [...found];
+}
+
+/**
+ * Holidays in an ICS calendar (all-day VEVENTs; multi-day events expand)
+ * @param {string} icsText
+ * @param {string} [defaultState] - for events that name no state (default NATIONAL)
+ * @returns {Object[]} [{ date, name, state, uid }]
+ */
+function parseIcs(icsText, defaultState = NATIONAL) {
+  const lines = String(icsText || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let cur = null;
+  for (const line of lines) {
+    if (/^BEGIN:VEVENT$/i.test(line.trim())) { cur = {}; continue; }
+    if (/^END:VEVENT$/i.test(line.trim())) { if (cur) events.push(cur); cur = null; continue; }
+    if (!cur) continue;
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).split(';')[0].toUpperCase();
+    cur[key] = line.slice(colon + 1);
+  }
+
+  const holidays = [];
+  events.forEach((ev) => {
+    const start = /^(\d{4})(\d{2})(\d{2})/.exec(ev.DTSTART || '');
+    if (!start || !ev.SUMMARY) return;
+    const name = unescapeIcs(ev.SUMMARY);
+    const from = `${start[1]}-${start[2]}-${start[3]}`;
+    const end = /^(\d{4})(\d{2})(\d{2})/.exec(ev.DTEND || '');
+    // DTEND is exclusive for all-day events; cap runaway ranges at a week
+    const days = end
+      ? Math.min(7, Math.max(1, Math.round((Date.parse(`${end[1]}-${end[2]}-${end[3]}`) - Date.parse(from)) / 86400000)))
+      : 1;
+    const named = statesIn(`${name} ${ev.LOCATION || ''} ${ev.CATEGORIES || ''} ${ev.DESCRIPTION || ''}`);
+    const states = named.length ? named : [defaultState];
+    for (let i = 0; i < days; i++) {
+      states.forEach((state) => {
+        holidays.push({ date: addDaysYmdTZ(from, i), name, state, uid: ev.UID ? ev.UID.trim() : null });
+      });
+    }
+  });
+  return holidays;
+}
+
+/**
+ * Import an ICS calendar (upsert on date + state)
+ * @param {Object} options - { icsText, state, dryRun = true }
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { dryRun, summary, rows }
+ */
+async function importIcs(options = {}, pool) {
+  if (!pool) {
+    throw new Error('importIcs requires a database pool');
+  }
+  const dryRun = options.dryRun !== false;
+  const defaultState = normaliseState(options.state || NATIONAL);
+  if (!defaultState) {
+    throw httpError(`state must be one of ${HOLIDAY_STATES.join(', ')} or ${NATIONAL}`, 400);
+  }
+  const parsed = parseIcs(options.icsText, defaultState);
+  if (parsed.length === 0) {
+    throw httpError('No all-day events found in the ICS calendar', 400);
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0 };
+  const preview = [];
+  const client = dryRun ? null : await pool.connect();
+  const db = client || pool;
+  try {
+    if (client) await client.query('BEGIN');
+    for (const h of parsed) {
+      const { rows } = await db.query(
+        'SELECT id, name FROM public_holidays WHERE holiday_date = $1 AND state = $2',
+        [h.date, h.state]
+      );
+      const existing = rows[0];
+      const action = !existing ? 'create' : existing.name === h.name ? 'unchanged' : 'update';
+      summary[action]++;
+      preview.push({ ...h, action, previous_name: action === 'update' ? existing.name : undefined });
+      if (dryRun || action === 'unchanged') continue;
+
+      await db.query(`
+        INSERT INTO public_holidays (id, holiday_date, state, name, source, external_uid)
+        VALUES ($1, $2, $3, $4, 'ics', $5)
+        ON CONFLICT (holiday_date, state)
+        DO UPDATE SET name = EXCLUDED.name, source = 'ics',
+                      external_uid = EXCLUDED.external_uid, updated_at = now()
+      `, [uuidv4(), h.date, h.state, h.name, h.uid]);
+    }
+    if (client) await client.query('COMMIT');
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    if (client) client.release();
+  }
+
+  return { dryRun, summary, rows: preview };
+}
+
+module.exports = {
+  HOLIDAY_STATES,
+  HOLIDAY_BEHAVIOURS,
+  NATIONAL,
+  loadHolidayState,
+  getHolidayMap,
+  getHoliday,
+  listHolidays,
+  createHoliday,
+  deleteHoliday,
+  parseIcs,
+  importIcs
+};
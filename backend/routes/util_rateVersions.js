@@ -0,0 +1,199 @@
+/**
+ * Billing Rate Versions Utility
+ *
+ * billing_rates keeps one row per price-guide version of a support item
+ * code. Each row is in force from effective_from to effective_to (inclusive;
+ * NULL means open-ended), so when the NDIS Pricing Arrangements change on
+ * 1 July a new version is added and older instances keep their old price.
+ *
+ * Rule billing lines point at one billing_rates row; billing generation
+ * follows that row's code to the version in force on the instance date.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { addDaysYmdTZ, httpError } = require('./util_helpers');
+
+// Support Catalogue attributes (see util_ndisCatalogue)
+const CATALOGUE_FIELDS = [
+  'unit', 'price_caps', 'registration_group', 'support_category', 'support_type',
+  'quote_required', 'short_notice_cancellation', 'ttp_eligible',
+  'non_face_to_face', 'provider_travel', 'ndia_reports', 'irregular_sil'
+];
+const PRICE_FIELDS = ['base_rate', 'ratio_1_1', 'ratio_1_2', 'ratio_1_3', 'ratio_1_4', 'ratio_1_5'];
+const RATE_FIELDS = [
+  'description', 'active', ...PRICE_FIELDS, 'single_rate',
+  // Item billed instead on a public holiday (see util_publicHolidays)
+  'public_holiday_code',
+  ...CATALOGUE_FIELDS
+];
+
+// NDIS time bands replaced by "Public Holiday" in the holiday variant's name
+const TIME_BAND_PATTERN = /\b(Weekday Daytime|Weekday Evening|Weekday Night|Weekday|Saturday|Sunday)\b/i;
+
+/**
+ * SQL condition: billing_rates row `alias` is in force on date `param`
+ * @param {string} alias - table alias
+ * @param {string} param - placeholder or expression yielding a date
+ * @returns {string}
+ */
+function inForceSql(alias, param) {
+  return `(${alias}.effective_from IS NULL OR ${alias}.effective_from <= ${param})
+          AND (${alias}.effective_to IS NULL OR ${alias}.effective_to >= ${param})`;
+}
+
+/**
+ * Version of a code in force on a date
+ * @param {Pool|Client} db
+ * @param {string} code - support item number
+ * @param {string} ymd - 'YYYY-MM-DD'
+ * @returns {Promise<Object|null>} billing_rates row (+ effective_from_ymd)
+ */
+async function getRateInForce(db, code, ymd) {
+  const { rows } = await db.query(`
+    SELECT br.*, to_char(br.effective_from, 'YYYY-MM-DD') AS effective_from_ymd
+      FROM billing_rates br
+     WHERE br.code = $1
+       AND ${inForceSql('br', '$2::date')}
+     ORDER BY br.effective_from DESC NULLS LAST
+     LIMIT 1
+  `, [code, ymd]);
+  return rows[0] || null;
+}
+
+/**
+ * All versions of a code, newest first
+ * @param {Pool|Client} db
+ * @param {string} code
+ * @returns {Promise<Object[]>}
+ */
+async function listRateVersions(db, code) {
+  const { rows } = await db.query(`
+    SELECT br.*,
+           to_char(br.effective_from, 'YYYY-MM-DD') AS effective_from,
+           to_char(br.effective_to, 'YYYY-MM-DD') AS effective_to
+      FROM billing_rates br
+     WHERE br.code = $1
+     ORDER BY br.effective_from DESC NULLS LAST
+  `, [code]);
+  return rows;
+}
+
+/**
+ * Public-holiday variant of a billing rate on a date: the rate's
+ * public_holiday_code, else the item named the same with "Public Holiday"
+ * in place of its weekday/weekend time band
+ * @param {Pool|Client} db
+ * @param {Object} rate - billing_rates row (code, description, public_holiday_code)
+ * @param {string} ymd - service date
+ * @returns {Promise<Object|null>} billing_rates row to bill instead (null = no variant)
+ */
+async function resolveHolidayRate(db, rate, ymd) {
+  if (!rate) return null;
+  if (rate.public_holiday_code) {
+    return getRateInForce(db, rate.public_holiday_code, ymd);
+  }
+  const description = String(rate.description || '');
+  if (/public holiday/i.test(description) || !TIME_BAND_PATTERN.test(description)) {
+    return null;
+  }
+  const { rows } = await db.query(`
+    SELECT br.*, to_char(br.effective_from, 'YYYY-MM-DD') AS effective_from_ymd
+      FROM billing_rates br
+     WHERE LOWER(br.description) = LOWER($1)
+       AND br.code <> $2
+       AND br.active = true
+       AND ${inForceSql('br', '$3::date')}
+     ORDER BY br.effective_from DESC NULLS LAST
+     LIMIT 1
+  `, [description.replace(TIME_BAND_PATTERN, 'Public Holiday'), rate.code, ymd]);
+  return rows[0] || null;
+}
+
+/**
+ * Add a version of a code starting on effectiveFrom. The version in force
+ * the day before is closed off; an existing later version caps the new one.
+ * @param {Client} db - client with an open transaction
+ * @param {string} code
+ * @param {Object} payload - any of RATE_FIELDS
+ * @param {string} effectiveFrom - 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { version, closed } – closed is the prior version (or null)
+ */
+async function createRateVersion(db, code, payload, effectiveFrom) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(effectiveFrom || ''))) {
+    throw httpError('effective_from (YYYY-MM-DD) is required for a new rate version', 400);
+  }
+
+  const { rows: clash } = await db.query(
+    'SELECT id FROM billing_rates WHERE code = $1 AND effective_from = $2::date FOR UPDATE',
+    [code, effectiveFrom]
+  );
+  if (clash.length > 0) {
+    throw httpError(`${code} already has a version effective from ${effectiveFrom}`, 409);
+  }
+
+  // Version to copy unspecified fields from and to close off
+  const { rows: priorRows } = await db.query(`
+    SELECT br.*
+      FROM billing_rates br
+     WHERE br.code = $1
+       AND ${inForceSql('br', '$2::date')}
+     ORDER BY br.effective_from DESC NULLS LAST
+     LIMIT 1
+     FOR UPDATE
+  `, [code, effectiveFrom]);
+  const prior = priorRows[0] || null;
+
+  const { rows: nextRows } = await db.query(`
+    SELECT to_char(MIN(effective_from), 'YYYY-MM-DD') AS next_from
+      FROM billing_rates
+     WHERE code = $1 AND effective_from > $2::date
+  `, [code, effectiveFrom]);
+  const nextFrom = nextRows[0]?.next_from || null;
+
+  let closed = null;
+  if (prior) {
+    const { rows } = await db.query(
+      'UPDATE billing_rates SET effective_to = $2::date WHERE id = $1 RETURNING *',
+      [prior.id, addDaysYmdTZ(effectiveFrom, -1)]
+    );
+    closed = rows[0];
+  }
+
+  const merged = {};
+  RATE_FIELDS.forEach((f) => {
+    merged[f] = payload[f] !== undefined ? payload[f] : prior ? prior[f] : null;
+  });
+  if (!merged.description) {
+    throw httpError('description is required for a new rate code', 400);
+  }
+
+  const fieldValue = (f) => {
+    if (PRICE_FIELDS.includes(f)) return merged[f] || 0;
+    if (f === 'active') return merged.active ?? true;
+    if (f === 'single_rate') return merged.single_rate ?? false;
+    return merged[f] ?? null;
+  };
+  const values = [
+    uuidv4(), code,
+    effectiveFrom, nextFrom ? addDaysYmdTZ(nextFrom, -1) : null,
+    ...RATE_FIELDS.map(fieldValue)
+  ];
+  const { rows } = await db.query(`
+    INSERT INTO billing_rates
+        (id, code, effective_from, effective_to, ${RATE_FIELDS.join(', ')})
+    VALUES (${values.map((v, i) => `$${i + 1}`).join(',')})
+    RETURNING *
+  `, values);
+
+  return { version: rows[0], closed };
+}
+
+module.exports = {
+  RATE_FIELDS,
+  CATALOGUE_FIELDS,
+  inForceSql,
+  getRateInForce,
+  listRateVersions,
+  resolveHolidayRate,
+  createRateVersion
+};
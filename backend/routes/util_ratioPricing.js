@@ -0,0 +1,82 @@
+/**
+ * Ratio-Aware Pricing Utility
+ *
+ * NDIS group supports are priced by the participant-to-staff ratio actually
+ * delivered. For a loom instance that is:
+ *
+ *   participants attending (not absent / cancelled)
+ *   ─────────────────────────────────────────────── rounded up, clamped 1:1 … 1:5
+ *   staff rostered (loom_staff_assignments)
+ *
+ * The ratio picks the matching billing_rates.ratio_1_N column. Single-rate
+ * items always use ratio_1_1. When the matching column is empty base_rate is
+ * used and the line is flagged for review – a smaller-group ratio is never
+ * substituted, as that would claim more than was delivered. With nobody
+ * rostered the ratio planned on the rule billing line is used instead.
+ */
+
+const { toNumber } = require('./util_helpers');
+
+const RATIO_COLUMNS = {
+  '1:1': 'ratio_1_1',
+  '1:2': 'ratio_1_2',
+  '1:3': 'ratio_1_3',
+  '1:4': 'ratio_1_4',
+  '1:5': 'ratio_1_5'
+};
+const MAX_GROUP_RATIO = 5;
+
+// '1:3' → 3 (null when unrecognised)
+function ratioSize(label) {
+  const m = /^\s*1\s*:\s*(\d+)\s*$/.exec(String(label || ''));
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Delivered ratio for an instance
+ * @param {Pool|Client} db
+ * @param {string} instanceId
+ * @param {number} participantCount - participants attending
+ * @returns {Promise<Object>} { label, participants, staff } (label null when no staff rostered)
+ */
+async function resolveDeliveredRatio(db, instanceId, participantCount) {
+  const { rows } = await db.query(
+    'SELECT COUNT(DISTINCT staff_id)::int AS staff FROM loom_staff_assignments WHERE loom_instance_id = $1',
+    [instanceId]
+  );
+  const staff = rows[0]?.staff || 0;
+  if (staff === 0 || participantCount === 0) {
+    return { label: null, participants: participantCount, staff };
+  }
+  const size = Math.min(MAX_GROUP_RATIO, Math.max(1, Math.ceil(participantCount / staff)));
+  return { label: `1:${size}`, participants: participantCount, staff };
+}
+
+/**
+ * Unit price for a billing rate at a ratio
+ * @param {Object} rate - billing_rates row (base_rate, ratio_1_1 … ratio_1_5, single_rate)
+ * @param {string} ratioLabel - '1:1' … '1:5'
+ * @returns {Object} { unitPrice, ratioLabel, rateColumn, needsReview } – the ratio/column actually
+ *   priced; needsReview when the ratio had no price and base_rate stood in
+ */
+function priceAtRatio(rate, ratioLabel) {
+  if (rate.single_rate) {
+    const single = toNumber(rate.ratio_1_1);
+    return single > 0
+      ? { unitPrice: single, ratioLabel: '1:1', rateColumn: 'ratio_1_1', needsReview: false }
+      : { unitPrice: toNumber(rate.base_rate), ratioLabel: '1:1', rateColumn: 'base_rate', needsReview: false };
+  }
+  const label = `1:${Math.min(ratioSize(ratioLabel) || 1, MAX_GROUP_RATIO)}`;
+  const price = toNumber(rate[RATIO_COLUMNS[label]]);
+  if (price > 0) {
+    return { unitPrice: price, ratioLabel: label, rateColumn: RATIO_COLUMNS[label], needsReview: false };
+  }
+  return { unitPrice: toNumber(rate.base_rate), ratioLabel: label, rateColumn: 'base_rate', needsReview: true };
+}
+
+module.exports = {
+  RATIO_COLUMNS,
+  ratioSize,
+  resolveDeliveredRatio,
+  priceAtRatio
+};
@@ -0,0 +1,363 @@
+/**
+ * Roster Utility
+ *
+ * Builds the roster for a date range in a fixed number of queries: loom
+ * instances, their staff placeholders / assignments as shifts, and the staff
+ * directory. On top of that it pivots shifts per staff member per date
+ * (hours, conflicts) and lists each date's gaps (open / auto placeholders,
+ * instances short of staff), so the Roster page renders without joins.
+ *
+ * Shift status: 'assigned' (a staff member is on it), 'open' (offered to
+ * staff, or an auto slot cleared by hand) or 'auto' (waiting for the solver).
+ */
+
+const { getHolidayMap } = require('./util_publicHolidays');
+const { shiftHours, timesOverlap } = require('./util_staffShifts');
+const {
+  TZ,
+  generateDateRange,
+  mondayOfYmd,
+  isYmd,
+  round2,
+  fullName,
+  httpError
+} = require('./util_helpers');
+
+const MAX_RANGE_DAYS = 62;
+
+// Staff needed per instance from participant count (settings-driven)
+async function loadRequirementSettings(db) {
+  const { rows } = await db.query(`
+    SELECT key, value FROM settings
+    WHERE key IN ('staff_threshold_per_wpu', 'default_bus_capacity')
+  `);
+  const settings = {};
+  rows.forEach((row) => { settings[row.key] = row.value; });
+  return {
+    staffThreshold: Number(settings.staff_threshold_per_wpu) || 5,
+    busCapacity: Number(settings.default_bus_capacity) || 10
+  };
+}
+
+/**
+ * Instances and shifts for a date range
+ * @param {Object} options - { dateFrom, dateTo }
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>} { dates, public_holidays, instances, shifts, placeholders, staff_directory }
+ */
+async function loadRoster(options = {}, db) {
+  if (!db) {
+    throw new Error('loadRoster requires a database pool');
+  }
+  const { dateFrom, dateTo } = options;
+  if (!isYmd(dateFrom) || !isYmd(dateTo)) {
+    throw httpError('start and end dates (YYYY-MM-DD) are required', 400);
+  }
+  const span = Math.round((Date.parse(dateTo) - Date.parse(dateFrom)) / 86400000) + 1;
+  if (!(span >= 1)) {
+    throw httpError('start must be on or before end', 400);
+  }
+  if (span > MAX_RANGE_DAYS) {
+    throw httpError(`A roster range can cover at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+  const dates = generateDateRange(dateFrom, dateTo);
+
+  const { staffThreshold, busCapacity } = await loadRequirementSettings(db);
+
+  // Public holiday shifts are flagged for SCHADS penalty pay
+  const holidayMap = await getHolidayMap(db, dateFrom, dateTo);
+  const publicHolidays = {};
+  holidayMap.forEach((h, date) => { publicHolidays[date] = { name: h.name, state: h.state }; });
+
+  const { rows: staffDirectory } = await db.query(`
+    SELECT id, first_name, last_name, active, contracted_hours, schads_level
+      FROM staff
+     ORDER BY last_name, first_name
+  `);
+  const staffNameMap = new Map(staffDirectory.map((s) => [s.id, fullName(s)]));
+
+  const { rows: instancesRaw } = await db.query(`
+    SELECT li.id AS instance_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.source_rule_id,
+           li.start_time,
+           li.end_time,
+           rp.name AS program_name,
+           v.name AS venue_name
+      FROM loom_instances li
+      JOIN rules_programs rp ON li.source_rule_id = rp.id
+      LEFT JOIN venues v ON rp.venue_id = v.id
+     WHERE li.instance_date BETWEEN $1 AND $2
+       AND li.cancelled_at IS NULL
+     ORDER BY li.instance_date, li.start_time
+  `, [dateFrom, dateTo]);
+
+  if (instancesRaw.length === 0) {
+    return {
+      dates,
+      public_holidays: publicHolidays,
+      instances: [],
+      shifts: [],
+      placeholders: [],
+      staff_directory: staffDirectory
+    };
+  }
+
+  const ruleIds = [...new Set(instancesRaw.map((r) => r.source_rule_id))];
+  const instanceIds = instancesRaw.map((r) => r.instance_id);
+
+  const { rows: placeholders } = await db.query(`
+    SELECT id, rule_id, slot_index, mode, staff_id, min_schads_level
+      FROM rules_program_staff_placeholders
+     WHERE rule_id = ANY($1::uuid[])
+     ORDER BY slot_index ASC
+  `, [ruleIds]);
+
+  // Staff actually assigned to each instance placeholder (solver / manual)
+  const { rows: assignments } = await db.query(`
+    SELECT loom_instance_id, placeholder_id, staff_id, assignment_reason
+      FROM loom_staff_assignments
+     WHERE loom_instance_id = ANY($1::uuid[])
+       AND placeholder_id IS NOT NULL
+  `, [instanceIds]);
+  const assignmentMap = new Map(assignments.map((a) => [`${a.loom_instance_id}|${a.placeholder_id}`, a]));
+
+  // Placeholders cleared by hand – the solver won't refill them
+  const { rows: holds } = await db.query(`
+    SELECT loom_instance_id, placeholder_id
+      FROM loom_staff_slot_holds
+     WHERE loom_instance_id = ANY($1::uuid[])
+  `, [instanceIds]);
+  const heldSlots = new Set(holds.map((h) => `${h.loom_instance_id}|${h.placeholder_id}`));
+
+  const { rows: counts } = await db.query(`
+    SELECT rule_id, COUNT(*)::int AS cnt
+      FROM rules_program_participants
+     WHERE rule_id = ANY($1::uuid[])
+     GROUP BY rule_id
+  `, [ruleIds]);
+  const participantCounts = new Map(counts.map((c) => [c.rule_id, c.cnt]));
+
+  const placeholdersByRule = new Map();
+  placeholders.forEach((p) => {
+    if (!placeholdersByRule.has(p.rule_id)) placeholdersByRule.set(p.rule_id, []);
+    placeholdersByRule.get(p.rule_id).push(p);
+  });
+
+  const instances = [];
+  const shifts = [];
+  instancesRaw.forEach((inst) => {
+    const participantCount = participantCounts.get(inst.source_rule_id) || 0;
+    const staffRequired = Math.ceil(participantCount / staffThreshold);
+    const holiday = publicHolidays[inst.date];
+    const base = {
+      instance_id: inst.instance_id,
+      date: inst.date,
+      rule_id: inst.source_rule_id,
+      program_name: inst.program_name,
+      venue_name: inst.venue_name,
+      start_time: inst.start_time,
+      end_time: inst.end_time,
+      public_holiday: holiday ? holiday.name : null
+    };
+
+    instances.push({
+      instance_id: inst.instance_id,
+      date: inst.date,
+      rule_id: inst.source_rule_id,
+      program_name: inst.program_name,
+      staff_required: staffRequired,
+      vehicles_required: Math.ceil(participantCount / busCapacity),
+      start_time: inst.start_time,
+      end_time: inst.end_time,
+      venue_name: inst.venue_name
+    });
+
+    const phForRule = placeholdersByRule.get(inst.source_rule_id) || [];
+    if (phForRule.length > 0) {
+      phForRule.forEach((p) => {
+        const assigned = assignmentMap.get(`${inst.instance_id}|${p.id}`);
+        const staffId = assigned ? assigned.staff_id : p.staff_id;
+        const held = heldSlots.has(`${inst.instance_id}|${p.id}`);
+        const status = assigned || (p.mode === 'manual' && p.staff_id)
+          ? 'assigned'
+          : p.mode === 'open' || (p.mode === 'manual' && !p.staff_id) || held
+            ? 'open'
+            : 'auto';
+        shifts.push({
+          ...base,
+          shift_id: `${inst.instance_id}-${p.id}`,
+          placeholder_id: p.id,
+          status,
+          mode: p.mode,
+          min_schads_level: p.min_schads_level,
+          staff_id: staffId || null,
+          staff_name: staffId ? staffNameMap.get(staffId) || null : null,
+          assignment_reason: assigned ? assigned.assignment_reason : null
+        });
+      });
+    } else {
+      // No placeholders – synthesise auto shifts
+      for (let i = 0; i < staffRequired; i++) {
+        shifts.push({
+          ...base,
+          shift_id: `${inst.instance_id}-auto-${i}`,
+          placeholder_id: null,
+          status: 'auto',
+          mode: 'auto',
+          staff_id: null,
+          staff_name: null
+        });
+      }
+    }
+  });
+
+  return {
+    dates,
+    public_holidays: publicHolidays,
+    instances,
+    shifts,
+    placeholders,
+    staff_directory: staffDirectory
+  };
+}
+
+/**
+ * Staff × date pivot with hours and conflicts
+ * @returns {Object[]} [{ staff_id, name, contracted_hours, total_hours, weeks, days: { date: { shifts, hours, conflicts } } }]
+ */
+function pivotByStaff(roster, unavailability) {
+  const { dates, shifts, staff_directory: staffDirectory } = roster;
+  const assigned = shifts.filter((s) => s.status === 'assigned' && s.staff_id);
+
+  return staffDirectory.map((staff) => {
+    const contracted = Number(staff.contracted_hours) > 0 ? Number(staff.contracted_hours) : null;
+    const days = {};
+    const weeks = {};
+    let total = 0;
+    dates.forEach((date) => {
+      const dayShifts = assigned
+        .filter((s) => s.staff_id === staff.id && s.date === date)
+        .sort((a, b) => (a.start_time < b.start_time ? -1 : a.start_time > b.start_time ? 1 : 0));
+      const hours = dayShifts.reduce((sum, s) => sum + shiftHours(s.start_time, s.end_time), 0);
+      const conflicts = [];
+
+      for (let i = 0; i < dayShifts.length; i++) {
+        for (let j = i + 1; j < dayShifts.length; j++) {
+          if (timesOverlap(dayShifts[i].start_time, dayShifts[i].end_time, dayShifts[j].start_time, dayShifts[j].end_time)) {
+            conflicts.push({
+              type: 'double_booked',
+              shift_ids: [dayShifts[i].shift_id, dayShifts[j].shift_id],
+              message: `${dayShifts[i].program_name} overlaps ${dayShifts[j].program_name}`
+            });
+          }
+        }
+      }
+      (unavailability.get(staff.id) || []).forEach((u) => {
+        dayShifts
+          .filter((s) => u.start < `${date}T${String(s.end_time).slice(0, 5)}` &&
+            `${date}T${String(s.start_time).slice(0, 5)}` < u.end)
+          .forEach((s) => {
+            conflicts.push({
+              type: 'unavailable',
+              shift_ids: [s.shift_id],
+              message: `Unavailable${u.reason ? ` (${u.reason})` : ''} during ${s.program_name}`
+            });
+          });
+      });
+
+      const week = mondayOfYmd(date);
+      weeks[week] = (weeks[week] || 0) + hours;
+      total += hours;
+      days[date] = { shifts: dayShifts, hours: round2(hours), conflicts };
+    });
+
+    // Contracted hours are weekly
+    Object.keys(weeks).forEach((week) => {
+      weeks[week] = round2(weeks[week]);
+      if (contracted != null && weeks[week] > contracted) {
+        const lastDay = dates.filter((d) => mondayOfYmd(d) === week && days[d].shifts.length > 0).pop();
+        if (lastDay) {
+          days[lastDay].conflicts.push({
+            type: 'over_hours',
+            shift_ids: days[lastDay].shifts.map((s) => s.shift_id),
+            message: `${weeks[week]}h rostered in the week of ${week} (contracted ${contracted}h)`
+          });
+        }
+      }
+    });
+
+    return {
+      staff_id: staff.id,
+      name: fullName(staff),
+      active: staff.active,
+      contracted_hours: contracted,
+      total_hours: round2(total),
+      weeks,
+      conflict_count: Object.values(days).reduce((sum, d) => sum + d.conflicts.length, 0),
+      days
+    };
+  });
+}
+
+/**
+ * Open / auto placeholders and understaffed instances per date
+ * @returns {Object} date → { open, auto, understaffed }
+ */
+function gapsByDate(roster) {
+  const gaps = {};
+  roster.dates.forEach((date) => { gaps[date] = { open: [], auto: [], understaffed: [] }; });
+  roster.shifts.forEach((s) => {
+    if (s.status === 'open') gaps[s.date].open.push(s);
+    if (s.status === 'auto') gaps[s.date].auto.push(s);
+  });
+  roster.instances.forEach((inst) => {
+    const assigned = roster.shifts.filter((s) => s.instance_id === inst.instance_id && s.status === 'assigned').length;
+    if (assigned < inst.staff_required) {
+      gaps[inst.date].understaffed.push({
+        instance_id: inst.instance_id,
+        program_name: inst.program_name,
+        staff_required: inst.staff_required,
+        staff_assigned: assigned
+      });
+    }
+  });
+  return gaps;
+}
+
+/**
+ * Roster for a date range with the staff pivot and gaps
+ * @param {Object} options - { dateFrom, dateTo }
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>} loadRoster() plus { staff_view, gaps }
+ */
+async function buildRosterRange(options = {}, db) {
+  const roster = await loadRoster(options, db);
+
+  // Unavailability as local 'YYYY-MM-DDTHH:MI' so it compares with shift times
+  const { rows: unavail } = await db.query(`
+    SELECT staff_id, reason,
+           to_char(start_time AT TIME ZONE '${TZ}', 'YYYY-MM-DD"T"HH24:MI') AS start,
+           to_char(end_time AT TIME ZONE '${TZ}', 'YYYY-MM-DD"T"HH24:MI') AS "end"
+      FROM staff_unavailabilities
+     WHERE end_time >= $1::date
+       AND start_time < ($2::date + 1)
+  `, [options.dateFrom, options.dateTo]);
+  const unavailability = new Map();
+  unavail.forEach((u) => {
+    if (!unavailability.has(u.staff_id)) unavailability.set(u.staff_id, []);
+    unavailability.get(u.staff_id).push(u);
+  });
+
+  return {
+    ...roster,
+    staff_view: pivotByStaff(roster, unavailability),
+    gaps: gapsByDate(roster)
+  };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  loadRoster,
+  buildRosterRange
+};
@@ -0,0 +1,374 @@
+/**
+ * Roster Changes Utility
+ *
+ * Manual edits to one instance's staff placeholders (one date only – the
+ * program template is untouched): assign a staff member, swap the staff on
+ * two placeholders, or clear a placeholder. Writes go to
+ * loom_staff_assignments, the same table the solver fills. A placeholder
+ * left empty by hand is held (loom_staff_slot_holds) so the solver does not
+ * refill it on the next rethread; assigning someone to it lifts the hold.
+ *
+ * Before saving, each staff member is checked against the slot they are
+ * moving into:
+ *   - unavailable    – staff_unavailabilities overlaps the instance
+ *   - double_booked  – another shift that day overlaps (either roster)
+ *   - qualification  – SCHADS level below the placeholder's minimum
+ *   - over_hours     – the Mon–Sun week would exceed contracted_hours
+ *   - inactive       – staff member is not active
+ * Conflicts come back as structured warnings; nothing is saved unless the
+ * caller passes force.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { loadStaffShifts, shiftHours, timesOverlap } = require('./util_staffShifts');
+const { TZ, addDaysYmdTZ, mondayOfYmd, round2, fullName, httpError } = require('./util_helpers');
+
+/**
+ * Instance + placeholder + current occupant for one slot
+ * @returns {Promise<Object>} { instance, placeholder, role, current: { staff_id, assignment_id, from_template } | null }
+ */
+async function loadSlot(db, { instanceId, placeholderId }) {
+  if (!instanceId || !placeholderId) {
+    throw httpError('instance_id and placeholder_id are required', 400);
+  }
+  const { rows: instRows } = await db.query(`
+    SELECT li.id,
+           li.source_rule_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time,
+           rp.name AS program_name
+      FROM loom_instances li
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+     WHERE li.id = $1 AND li.cancelled_at IS NULL
+  `, [instanceId]);
+  const instance = instRows[0];
+  if (!instance) throw httpError('Instance not found', 404);
+
+  const { rows: placeholders } = await db.query(`
+    SELECT id, slot_index, mode, staff_id, min_schads_level
+      FROM rules_program_staff_placeholders
+     WHERE rule_id = $1
+     ORDER BY slot_index ASC, created_at ASC
+  `, [instance.source_rule_id]);
+  const placeholder = placeholders.find((p) => p.id === placeholderId);
+  if (!placeholder) throw httpError('Placeholder does not belong to this instance', 404);
+
+  const { rows: assigned } = await db.query(`
+    SELECT id, staff_id
+      FROM loom_staff_assignments
+     WHERE loom_instance_id = $1 AND placeholder_id = $2
+  `, [instanceId, placeholderId]);
+
+  let current = null;
+  if (assigned[0]) {
+    current = { staff_id: assigned[0].staff_id, assignment_id: assigned[0].id, from_template: false };
+  } else if (placeholder.mode === 'manual' && placeholder.staff_id) {
+    current = { staff_id: placeholder.staff_id, assignment_id: null, from_template: true };
+  }
+
+  return {
+    instance,
+    placeholder,
+    role: placeholders[0].id === placeholder.id ? 'lead' : 'support',
+    current
+  };
+}
+
+/**
+ * Conflicts for one staff member taking one slot
+ * @param {Pool|Client} db
+ * @param {string} staffId
+ * @param {Object} slot - loadSlot result
+ * @param {Object} [options]
+ * @param {Array} [options.vacating] - [{ instanceId }] shifts this staff member is leaving in the same change
+ * @returns {Promise<Array>} [{ type, staff_id, instance_id, placeholder_id, message, ... }]
+ */
+async function checkAssignment(db, staffId, slot, { vacating = [] } = {}) {
+  const { instance, placeholder } = slot;
+  const { rows: staffRows } = await db.query(`
+    SELECT id, first_name, last_name, active, status, contracted_hours, schads_level
+      FROM staff
+     WHERE id = $1
+  `, [staffId]);
+  const staff = staffRows[0];
+  if (!staff) throw httpError('Staff member not found', 404);
+
+  const name = fullName(staff);
+  const base = { staff_id: staffId, instance_id: instance.id, placeholder_id: placeholder.id };
+  const warnings = [];
+
+  if (staff.active === false || (staff.status && staff.status !== 'active')) {
+    warnings.push({ ...base, type: 'inactive', message: `${name} is not an active staff member` });
+  }
+
+  const minLevel = placeholder.min_schads_level != null ? Number(placeholder.min_schads_level) : null;
+  const level = staff.schads_level != null ? Number(staff.schads_level) : null;
+  if (minLevel != null && (level == null || level < minLevel)) {
+    warnings.push({
+      ...base,
+      type: 'qualification',
+      required_level: minLevel,
+      schads_level: level,
+      message: `${name} is SCHADS level ${level ?? 'unknown'}; this slot needs level ${minLevel} or above`
+    });
+  }
+
+  const { rows: unavailable } = await db.query(`
+    SELECT reason, start_time, end_time
+      FROM staff_unavailabilities
+     WHERE staff_id = $1
+       AND start_time < (($2::date + $4::time) AT TIME ZONE '${TZ}')
+       AND end_time > (($2::date + $3::time) AT TIME ZONE '${TZ}')
+  `, [staffId, instance.date, instance.start_time, instance.end_time]);
+  unavailable.forEach((u) => {
+    warnings.push({
+      ...base,
+      type: 'unavailable',
+      reason: u.reason,
+      unavailable_from: u.start_time,
+      unavailable_to: u.end_time,
+      message: `${name} is unavailable${u.reason ? ` (${u.reason})` : ''} during ${instance.program_name}`
+    });
+  });
+
+  // Whole week for the contracted-hours cap
+  const weekStart = mondayOfYmd(instance.date);
+  const vacated = new Set(vacating.map((v) => v.instanceId));
+  const shifts = (await loadStaffShifts(db, {
+    dateFrom: weekStart,
+    dateTo: addDaysYmdTZ(weekStart, 6),
+    staffId
+  })).filter((s) => !(s.source === 'loom' && vacated.has(s.loom_instance_id)));
+
+  if (shifts.some((s) => s.source === 'loom' && s.loom_instance_id === instance.id)) {
+    throw httpError(`${name} is already on this instance`, 409);
+  }
+
+  shifts
+    .filter((s) => s.date === instance.date &&
+      timesOverlap(s.start_time, s.end_time, instance.start_time, instance.end_time))
+    .forEach((s) => {
+      warnings.push({
+        ...base,
+        type: 'double_booked',
+        clashing_instance_id: s.loom_instance_id,
+        clashing_source: s.source,
+        message: `${name} already works ${String(s.start_time).slice(0, 5)}–${String(s.end_time).slice(0, 5)} on ${instance.date}`
+      });
+    });
+
+  const contracted = Number(staff.contracted_hours) > 0 ? Number(staff.contracted_hours) : null;
+  const weekHours = round2(shifts.reduce((sum, s) => sum + s.hours, 0) +
+    shiftHours(instance.start_time, instance.end_time));
+  if (contracted != null && weekHours > contracted) {
+    warnings.push({
+      ...base,
+      type: 'over_hours',
+      week_start: weekStart,
+      week_hours: weekHours,
+      contracted_hours: contracted,
+      message: `${name} would work ${weekHours}h in the week of ${weekStart} (contracted ${contracted}h)`
+    });
+  }
+
+  return warnings;
+}
+
+// Replace whoever holds a slot with staffId (null clears it)
+async function writeSlot(client, slot, staffId, reason) {
+  await client.query(
+    'DELETE FROM loom_staff_assignments WHERE loom_instance_id = $1 AND placeholder_id = $2',
+    [slot.instance.id, slot.placeholder.id]
+  );
+  await client.query(
+    'DELETE FROM loom_staff_slot_holds WHERE loom_instance_id = $1 AND placeholder_id = $2',
+    [slot.instance.id, slot.placeholder.id]
+  );
+  if (!staffId) {
+    // Cleared on purpose (not the clear-first step of a swap) → hold it empty
+    if (reason) {
+      await client.query(`
+        INSERT INTO loom_staff_slot_holds (loom_instance_id, placeholder_id, reason)
+        VALUES ($1, $2, $3)
+      `, [slot.instance.id, slot.placeholder.id, JSON.stringify(reason)]);
+    }
+    return;
+  }
+  await client.query(`
+    INSERT INTO loom_staff_assignments (
+      id, loom_instance_id, staff_id, role, placeholder_id, assignment_reason
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+  `, [uuidv4(), slot.instance.id, staffId, slot.role, slot.placeholder.id, JSON.stringify(reason)]);
+}
+
+const manualReason = (reasons, warnings, changedBy) => ({
+  mode: 'manual',
+  reasons,
+  overridden_warnings: warnings.map((w) => w.type),
+  changed_by: changedBy || null,
+  decided_at: new Date().toISOString()
+});
+
+// Run a change in a transaction with the instances locked
+async function inTransaction(pool, instanceIds, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM loom_instances WHERE id = ANY($1::uuid[]) FOR UPDATE', [instanceIds]);
+    const result = await fn(client);
+    if (result.saved) {
+      await client.query('COMMIT');
+    } else {
+      await client.query('ROLLBACK');
+    }
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put a staff member on a placeholder for one instance
+ * @param {Object} options - { instanceId, placeholderId, staffId, force, changedBy }
+ * @param {boolean} [options.onlyIfEmpty] - 409 if someone already holds the placeholder
+ * @param {string} [options.reason] - explanation stored with the assignment
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { saved, warnings[], instance_id, placeholder_id, date, staff_id, previous_staff_id }
+ */
+async function assignShift(options = {}, pool) {
+  if (!pool) {
+    throw new Error('assignShift requires a database pool');
+  }
+  const { instanceId, placeholderId, staffId, force = false, changedBy, onlyIfEmpty = false } = options;
+  if (!staffId) throw httpError('staff_id is required', 400);
+
+  return inTransaction(pool, [instanceId], async (client) => {
+    const slot = await loadSlot(client, { instanceId, placeholderId });
+    const previous = slot.current ? slot.current.staff_id : null;
+    if (onlyIfEmpty && previous) {
+      throw httpError('This shift has already been filled', 409);
+    }
+    const warnings = previous === staffId ? [] : await checkAssignment(client, staffId, slot);
+    const result = {
+      saved: false,
+      warnings,
+      instance_id: instanceId,
+      placeholder_id: placeholderId,
+      date: slot.instance.date,
+      program_name: slot.instance.program_name,
+      staff_id: staffId,
+      previous_staff_id: previous
+    };
+    if (warnings.length > 0 && !force) return result;
+
+    await writeSlot(client, slot, staffId, manualReason([options.reason || 'Assigned on the roster'], warnings, changedBy));
+    return { ...result, saved: true };
+  });
+}
+
+/**
+ * Exchange the staff on two placeholders (same date). An empty slot on
+ * either side makes it a move.
+ * @param {Object} options - { from: { instanceId, placeholderId }, to: { instanceId, placeholderId }, force, changedBy }
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { saved, warnings[], date, from: { ..., staff_id }, to: { ..., staff_id } }
+ */
+async function swapShifts(options = {}, pool) {
+  if (!pool) {
+    throw new Error('swapShifts requires a database pool');
+  }
+  const { from = {}, to = {}, force = false, changedBy } = options;
+  if (from.instanceId === to.instanceId && from.placeholderId === to.placeholderId) {
+    throw httpError('Cannot swap a placeholder with itself', 400);
+  }
+
+  return inTransaction(pool, [from.instanceId, to.instanceId], async (client) => {
+    const a = await loadSlot(client, from);
+    const b = await loadSlot(client, to);
+    if (a.instance.date !== b.instance.date) {
+      throw httpError('Swaps must be between shifts on the same date', 400);
+    }
+    const staffA = a.current ? a.current.staff_id : null;
+    const staffB = b.current ? b.current.staff_id : null;
+    if (!staffA && !staffB) {
+      throw httpError('Neither placeholder has a staff member to swap', 409);
+    }
+    if ((a.current?.from_template && !staffB) || (b.current?.from_template && !staffA)) {
+      throw httpError('This staff member is named on the program template; change the template instead', 409);
+    }
+
+    // Each person leaves their own slot in the same change
+    const warnings = [];
+    if (staffA && staffA !== staffB) {
+      warnings.push(...await checkAssignment(client, staffA, b, { vacating: [{ instanceId: a.instance.id }] }));
+    }
+    if (staffB && staffA !== staffB) {
+      warnings.push(...await checkAssignment(client, staffB, a, { vacating: [{ instanceId: b.instance.id }] }));
+    }
+    const slotSummary = (slot, staffId) => ({
+      instance_id: slot.instance.id,
+      placeholder_id: slot.placeholder.id,
+      program_name: slot.instance.program_name,
+      staff_id: staffId
+    });
+    const result = {
+      saved: false,
+      warnings,
+      date: a.instance.date,
+      from: slotSummary(a, staffB),
+      to: slotSummary(b, staffA)
+    };
+    if (warnings.length > 0 && !force) return result;
+
+    const reason = manualReason(['Swapped on the roster'], warnings, changedBy);
+    // Clear both first – (instance, staff) is unique
+    await writeSlot(client, a, null);
+    await writeSlot(client, b, null);
+    await writeSlot(client, a, staffB, reason);
+    await writeSlot(client, b, staffA, reason);
+    return { ...result, saved: true };
+  });
+}
+
+/**
+ * Clear the staff member from a placeholder for one instance. The slot is
+ * held empty until someone is assigned to it by hand.
+ * @param {Object} options - { instanceId, placeholderId, changedBy }
+ * @param {Pool} pool
+ * @returns {Promise<Object>} { saved, instance_id, placeholder_id, date, previous_staff_id }
+ */
+async function unassignShift(options = {}, pool) {
+  if (!pool) {
+    throw new Error('unassignShift requires a database pool');
+  }
+  const { instanceId, placeholderId, changedBy } = options;
+
+  return inTransaction(pool, [instanceId], async (client) => {
+    const slot = await loadSlot(client, { instanceId, placeholderId });
+    if (!slot.current) {
+      throw httpError('No staff member is assigned to this placeholder', 404);
+    }
+    if (slot.current.from_template) {
+      throw httpError('This staff member is named on the program template; change the template instead', 409);
+    }
+    await writeSlot(client, slot, null, manualReason(['Cleared on the roster'], [], changedBy));
+    return {
+      saved: true,
+      instance_id: instanceId,
+      placeholder_id: placeholderId,
+      date: slot.instance.date,
+      program_name: slot.instance.program_name,
+      previous_staff_id: slot.current.staff_id
+    };
+  });
+}
+
+module.exports = {
+  assignShift,
+  swapShifts,
+  unassignShift
+};
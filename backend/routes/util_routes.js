@@ -0,0 +1,468 @@
+/**
+ * Vehicle Route Utility
+ *
+ * Turns the pickup/dropoff time boxes on an instance (event_card_map cards
+ * woven from rules_program_slots) into ordered stop lists per vehicle run:
+ *
+ *   pickup  : vehicle base → participant homes → venue
+ *   dropoff : venue → participant homes → vehicle base
+ *
+ * The venue is only a stop when it is flagged include_in_transport; otherwise
+ * runs start and finish at the vehicle base. Riders are split across the
+ * instance's vehicles by a bearing sweep around the venue (up to each
+ * vehicle's participant seats), ordered nearest-neighbour then 2-opt, and
+ * timed so pickups reach the venue by the end of the pickup box and dropoffs
+ * leave at its start. Results are stored in loom_vehicle_routes.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDistanceProvider } = require('./util_distance');
+const { timeToMinutes } = require('./util_staffShifts');
+const { TZ, round2 } = require('./util_helpers');
+
+const DEFAULT_DWELL_MINUTES = 2;
+const RUN_TYPES = ['pickup', 'dropoff'];
+
+// minutes since midnight → 'HH:MM' (clamped to the same day)
+function minutesToTime(mins) {
+  const clamped = Math.min(Math.max(Math.round(mins), 0), 24 * 60 - 1);
+  const h = String(Math.floor(clamped / 60)).padStart(2, '0');
+  const m = String(clamped % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+const hasCoords = (p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lng);
+
+function toPoint(lat, lng) {
+  const point = { lat: lat != null ? Number(lat) : NaN, lng: lng != null ? Number(lng) : NaN };
+  return hasCoords(point) ? point : null;
+}
+
+/**
+ * Split riders across vehicles by bearing around a hub, filling each
+ * vehicle up to its participant seats in turn
+ * @returns {Object} { loads: Map(vehicleId → riders[]), overflow: riders[] }
+ */
+function sweepAllocate(riders, vehicles, hub) {
+  const loads = new Map(vehicles.map((v) => [v.vehicle_id, []]));
+  const bearing = (p) => Math.atan2(p.point.lat - hub.lat, p.point.lng - hub.lng);
+  const sorted = [...riders].sort((a, b) => bearing(a) - bearing(b));
+  const queue = [...vehicles].sort((a, b) => b.seats - a.seats);
+  const overflow = [];
+
+  let v = 0;
+  for (const rider of sorted) {
+    while (v < queue.length && loads.get(queue[v].vehicle_id).length >= queue[v].seats) v++;
+    if (v >= queue.length) {
+      overflow.push(rider);
+      continue;
+    }
+    loads.get(queue[v].vehicle_id).push(rider);
+  }
+  return { loads, overflow };
+}
+
+/**
+ * Order the middle stops of a path with fixed first/last points
+ * @param {number[][]} cost - [from][to] minutes
+ * @param {number} n - total points (0 = start, n-1 = end)
+ * @returns {number[]} visiting order of indices, including both ends
+ */
+function orderStops(cost, n) {
+  const middle = [];
+  for (let i = 1; i < n - 1; i++) middle.push(i);
+
+  // Nearest neighbour from the start
+  const order = [0];
+  const remaining = new Set(middle);
+  while (remaining.size > 0) {
+    const last = order[order.length - 1];
+    let best = null;
+    remaining.forEach((i) => {
+      if (best === null || cost[last][i] < cost[last][best]) best = i;
+    });
+    order.push(best);
+    remaining.delete(best);
+  }
+  order.push(n - 1);
+
+  // 2-opt on the middle section
+  const pathCost = (o) => o.slice(1).reduce((sum, to, k) => sum + cost[o[k]][to], 0);
+  let improved = true;
+  let bestCost = pathCost(order);
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < order.length - 2; i++) {
+      for (let j = i + 1; j < order.length - 1; j++) {
+        const candidate = [
+          ...order.slice(0, i),
+          ...order.slice(i, j + 1).reverse(),
+          ...order.slice(j + 1)
+        ];
+        const c = pathCost(candidate);
+        if (c + 1e-9 < bestCost) {
+          order.splice(0, order.length, ...candidate);
+          bestCost = c;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+/**
+ * Build one run: order the stops and attach ETAs
+ * @returns {Promise<Object>} { stops[], totalKm, totalMinutes, departsAt, arrivesAt }
+ */
+async function buildRun({ runType, start, end, riders, anchorMinutes, dwell, provider }) {
+  const points = [start, ...riders, end];
+  const { km, minutes } = await provider.matrix(points.map((p) => p.point));
+  const order = orderStops(minutes, points.length);
+  const ordered = order.map((i) => points[i]);
+
+  // Travel legs between consecutive stops
+  const legs = ordered.slice(1).map((to, k) => ({
+    km: km[order[k]][order[k + 1]],
+    minutes: minutes[order[k]][order[k + 1]]
+  }));
+  const dwellAt = (stop) => (stop.stop_type === 'participant' ? dwell : 0);
+
+  // Pickups are timed backwards from arrival; dropoffs forwards from departure
+  const etas = new Array(ordered.length);
+  if (runType === 'pickup') {
+    etas[ordered.length - 1] = anchorMinutes;
+    for (let k = ordered.length - 2; k >= 0; k--) {
+      etas[k] = etas[k + 1] - legs[k].minutes - dwellAt(ordered[k]);
+    }
+  } else {
+    etas[0] = anchorMinutes;
+    for (let k = 1; k < ordered.length; k++) {
+      etas[k] = etas[k - 1] + dwellAt(ordered[k - 1]) + legs[k - 1].minutes;
+    }
+  }
+
+  const stops = ordered.map((stop, k) => ({
+    seq: k + 1,
+    stop_type: stop.stop_type,
+    ref_id: stop.ref_id,
+    name: stop.name,
+    address: stop.address,
+    lat: stop.point.lat,
+    lng: stop.point.lng,
+    eta: minutesToTime(etas[k]),
+    km_from_previous: k === 0 ? 0 : round2(legs[k - 1].km),
+    minutes_from_previous: k === 0 ? 0 : Math.round(legs[k - 1].minutes)
+  }));
+
+  return {
+    stops,
+    totalKm: round2(legs.reduce((sum, l) => sum + l.km, 0)),
+    totalMinutes: Math.round(etas[etas.length - 1] - etas[0]),
+    departsAt: minutesToTime(etas[0]),
+    arrivesAt: minutesToTime(etas[etas.length - 1])
+  };
+}
+
+const joinAddress = (...parts) => parts.filter(Boolean).join(', ') || null;
+
+/**
+ * Build and store vehicle routes for loom instances
+ * @param {Object} options
+ * @param {string} [options.instanceId] - one instance (dates ignored)
+ * @param {string} [options.dateFrom] - 'YYYY-MM-DD'
+ * @param {string} [options.dateTo] - 'YYYY-MM-DD'
+ * @param {string} [options.ruleId] - limit to one rule
+ * @param {string} [options.provider] - override the configured distance provider
+ * @param {Pool} pool - pg Pool instance
+ * @returns {Promise<Object>} summary with routes[] and skipped[]
+ */
+async function buildRoutes(options = {}, pool) {
+  if (!pool) {
+    throw new Error('buildRoutes requires a database pool');
+  }
+  const { instanceId, dateFrom, dateTo, ruleId } = options;
+  if (!instanceId && (!dateFrom || !dateTo)) {
+    throw new Error('instanceId or dateFrom and dateTo are required');
+  }
+
+  const summary = {
+    instancesScanned: 0,
+    instancesRouted: 0,
+    routesWritten: 0,
+    provider: null,
+    routes: [],
+    skipped: []
+  };
+
+  const params = [];
+  const where = ['li.cancelled_at IS NULL'];
+  if (instanceId) {
+    params.push(instanceId);
+    where.push(`li.id = $${params.length}`);
+  } else {
+    params.push(dateFrom, dateTo);
+    where.push(`li.instance_date BETWEEN $${params.length - 1} AND $${params.length}`);
+    if (ruleId) {
+      params.push(ruleId);
+      where.push(`li.source_rule_id = $${params.length}`);
+    }
+  }
+  const { rows: instances } = await pool.query(`
+    SELECT li.id,
+           li.source_rule_id,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time,
+           COALESCE(li.transport_required, true) AS transport_required,
+           ve.id AS venue_id,
+           ve.name AS venue_name,
+           ve.address AS venue_address,
+           ve.suburb AS venue_suburb,
+           ve.location_lat AS venue_lat,
+           ve.location_lng AS venue_lng,
+           COALESCE(ve.include_in_transport, false) AS venue_in_transport
+      FROM loom_instances li
+      LEFT JOIN venues ve ON ve.id = li.venue_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY li.instance_date, li.start_time
+  `, params);
+  if (instances.length === 0) return summary;
+
+  const instanceIds = instances.map((i) => i.id);
+  const ruleIds = [...new Set(instances.map((i) => i.source_rule_id))];
+
+  const { rows: cards } = await pool.query(`
+    SELECT loom_instance_id, card_type, card_order,
+           to_char(display_time_start AT TIME ZONE '${TZ}', 'HH24:MI') AS start_time,
+           to_char(display_time_end AT TIME ZONE '${TZ}', 'HH24:MI') AS end_time
+      FROM event_card_map
+     WHERE loom_instance_id = ANY($1::uuid[])
+       AND card_type = ANY($2)
+     ORDER BY card_order
+  `, [instanceIds, RUN_TYPES]);
+
+  const { rows: vehicleRows } = await pool.query(`
+    SELECT lva.loom_instance_id, lva.vehicle_id,
+           v.name, v.base_address, v.base_suburb,
+           v.location_lat, v.location_lng,
+           COALESCE(NULLIF(v.capacity_participants, 0), v.capacity, 0) AS seats
+      FROM loom_vehicle_assignments lva
+      JOIN vehicles v ON v.id = lva.vehicle_id
+     WHERE lva.loom_instance_id = ANY($1::uuid[])
+  `, [instanceIds]);
+
+  const { rows: participantRows } = await pool.query(`
+    SELECT rpp.rule_id, p.id, p.first_name, p.last_name,
+           p.address, p.suburb, p.location_lat, p.location_lng
+      FROM rules_program_participants rpp
+      JOIN participants p ON p.id = rpp.participant_id
+     WHERE rpp.rule_id = ANY($1::uuid[])
+       AND COALESCE(p.requires_transport, true) = true
+  `, [ruleIds]);
+
+  // Own-car participants and anyone cancelled for the day don't ride
+  const { rows: ownCarRows } = await pool.query(`
+    SELECT rule_id, unnest(COALESCE(pc_participant_ids, '{}'::uuid[])) AS participant_id
+      FROM rules_program_vehicle_placeholders
+     WHERE rule_id = ANY($1::uuid[]) AND mode = 'pc'
+  `, [ruleIds]);
+  const { rows: cancelledRows } = await pool.query(`
+    SELECT loom_instance_id, participant_id
+      FROM loom_participant_attendance
+     WHERE loom_instance_id = ANY($1::uuid[])
+       AND status = 'cancelled'
+  `, [instanceIds]);
+
+  const { rows: dwellRows } = await pool.query(
+    "SELECT value FROM settings WHERE key = 'route_stop_dwell_minutes'"
+  );
+  const dwellSetting = Number(dwellRows[0]?.value);
+  const dwell = Number.isFinite(dwellSetting) && dwellSetting >= 0 ? dwellSetting : DEFAULT_DWELL_MINUTES;
+
+  const provider = await getDistanceProvider(pool, options.provider);
+  summary.provider = provider.name;
+
+  const group = (rows, key) => {
+    const map = new Map();
+    rows.forEach((r) => {
+      if (!map.has(r[key])) map.set(r[key], []);
+      map.get(r[key]).push(r);
+    });
+    return map;
+  };
+  const cardsByInstance = group(cards, 'loom_instance_id');
+  const vehiclesByInstance = group(vehicleRows, 'loom_instance_id');
+  const participantsByRule = group(participantRows, 'rule_id');
+  const ownCar = new Set(ownCarRows.map((r) => `${r.rule_id}|${r.participant_id}`));
+  const cancelled = new Set(cancelledRows.map((r) => `${r.loom_instance_id}|${r.participant_id}`));
+
+  const planned = []; // { inst, rows[] }
+  for (const inst of instances) {
+    summary.instancesScanned++;
+    // Skipped instances still lose any stale routes
+    const skip = (reason) => {
+      summary.skipped.push({ instance_id: inst.id, date: inst.date, reason });
+      planned.push({ inst, rows: [], unroutable: [] });
+    };
+
+    const runCards = cardsByInstance.get(inst.id) || [];
+    const vehicles = vehiclesByInstance.get(inst.id) || [];
+    if (!inst.transport_required) { skip('transport_not_required'); continue; }
+    if (runCards.length === 0) { skip('no_pickup_or_dropoff_slots'); continue; }
+    if (vehicles.length === 0) { skip('no_vehicles_assigned'); continue; }
+
+    const venuePoint = inst.venue_in_transport ? toPoint(inst.venue_lat, inst.venue_lng) : null;
+    const venueStop = venuePoint && {
+      stop_type: 'venue',
+      ref_id: inst.venue_id,
+      name: inst.venue_name,
+      address: joinAddress(inst.venue_address, inst.venue_suburb),
+      point: venuePoint
+    };
+
+    const riders = [];
+    const unroutable = [];
+    (participantsByRule.get(inst.source_rule_id) || []).forEach((p) => {
+      if (ownCar.has(`${inst.source_rule_id}|${p.id}`)) return;
+      if (cancelled.has(`${inst.id}|${p.id}`)) return;
+      const stop = {
+        stop_type: 'participant',
+        ref_id: p.id,
+        name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+        address: joinAddress(p.address, p.suburb),
+        point: toPoint(p.location_lat, p.location_lng)
+      };
+      if (stop.point) riders.push(stop);
+      else unroutable.push({ participant_id: p.id, name: stop.name, reason: 'no_coordinates' });
+    });
+
+    const fleet = vehicles.map((v) => ({
+      vehicle_id: v.vehicle_id,
+      name: v.name,
+      seats: Number(v.seats) || 0,
+      base: toPoint(v.location_lat, v.location_lng) && {
+        stop_type: 'base',
+        ref_id: v.vehicle_id,
+        name: `${v.name} base`,
+        address: joinAddress(v.base_address, v.base_suburb),
+        point: toPoint(v.location_lat, v.location_lng)
+      }
+    }));
+
+    const hub = venuePoint || fleet.find((v) => v.base)?.base.point || riders[0]?.point;
+    if (!hub) { skip('no_coordinates'); continue; }
+    const { loads, overflow } = sweepAllocate(riders, fleet, hub);
+    overflow.forEach((r) => unroutable.push({ participant_id: r.ref_id, name: r.name, reason: 'no_seat' }));
+
+    const rows = [];
+    for (const card of runCards) {
+      for (const vehicle of fleet) {
+        const load = loads.get(vehicle.vehicle_id) || [];
+        if (load.length === 0) continue;
+        // Each end needs coordinates: the vehicle base, or a transport venue
+        const depot = vehicle.base || venueStop;
+        const start = card.card_type === 'pickup' ? depot : (venueStop || depot);
+        const end = card.card_type === 'pickup' ? (venueStop || depot) : depot;
+        if (!start || !end) {
+          unroutable.push({ vehicle_id: vehicle.vehicle_id, reason: 'no_base_or_venue_coordinates' });
+          continue;
+        }
+        const run = await buildRun({
+          runType: card.card_type,
+          start,
+          end,
+          riders: load,
+          anchorMinutes: timeToMinutes(card.card_type === 'pickup' ? card.end_time : card.start_time),
+          dwell,
+          provider
+        });
+        rows.push({ card, vehicle, run });
+      }
+    }
+
+    planned.push({ inst, rows, unroutable });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { inst, rows, unroutable } of planned) {
+      await client.query('DELETE FROM loom_vehicle_routes WHERE loom_instance_id = $1', [inst.id]);
+      for (const { card, vehicle, run } of rows) {
+        const id = uuidv4();
+        await client.query(`
+          INSERT INTO loom_vehicle_routes (
+            id, loom_instance_id, vehicle_id, run_type, card_order, provider,
+            stops, total_distance_km, total_minutes, departs_at, arrives_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          id,
+          inst.id,
+          vehicle.vehicle_id,
+          card.card_type,
+          card.card_order,
+          provider.name,
+          JSON.stringify(run.stops),
+          run.totalKm,
+          run.totalMinutes,
+          run.departsAt,
+          run.arrivesAt
+        ]);
+        summary.routesWritten++;
+        summary.routes.push({
+          id,
+          instance_id: inst.id,
+          date: inst.date,
+          vehicle_id: vehicle.vehicle_id,
+          vehicle_name: vehicle.name,
+          run_type: card.card_type,
+          stops: run.stops.length,
+          total_distance_km: run.totalKm,
+          total_minutes: run.totalMinutes,
+          departs_at: run.departsAt,
+          arrives_at: run.arrivesAt
+        });
+      }
+      if (rows.length > 0) summary.instancesRouted++;
+      if (unroutable.length > 0) {
+        summary.skipped.push({ instance_id: inst.id, date: inst.date, reason: 'partially_routed', unroutable });
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return summary;
+}
+
+/**
+ * Stored routes for one instance, in run order
+ * @param {Pool|Client} db
+ * @param {string} instanceId
+ * @returns {Promise<Array>}
+ */
+async function getRoutes(db, instanceId) {
+  const { rows } = await db.query(`
+    SELECT r.id, r.loom_instance_id, r.vehicle_id, v.name AS vehicle_name,
+           r.run_type, r.card_order, r.provider, r.stops,
+           r.total_distance_km, r.total_minutes,
+           to_char(r.departs_at, 'HH24:MI') AS departs_at,
+           to_char(r.arrives_at, 'HH24:MI') AS arrives_at,
+           r.created_at
+      FROM loom_vehicle_routes r
+      LEFT JOIN vehicles v ON v.id = r.vehicle_id
+     WHERE r.loom_instance_id = $1
+     ORDER BY r.card_order, v.name
+  `, [instanceId]);
+  return rows;
+}
+
+module.exports = {
+  buildRoutes,
+  getRoutes
+};
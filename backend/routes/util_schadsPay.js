@@ -0,0 +1,394 @@
+/**
+ * SCHADS Pay Utility
+ *
+ * Costs rostered shifts (loadStaffShifts – actual times once a timesheet is
+ * approved) under the Social, Community, Home Care and Disability Services
+ * Industry Award:
+ *   - base rate: the staff member's SCHADS level minimum, or base_pay_rate
+ *     when that is higher
+ *   - penalties: evening / night shift loadings, Saturday, Sunday and
+ *     public holiday rates (the highest one applies, they do not stack)
+ *   - minimum engagement: every shift is paid for at least 2 hours
+ *   - broken shifts: an allowance per day worked in more than one period,
+ *     and double time for work past a 12-hour span
+ *   - overtime: hours beyond contracted_hours in a Mon–Sun week (or beyond
+ *     10 ordinary hours in a day) at time and a half for the first 2 hours
+ *     of the day, double time after; Sunday / public holiday overtime keeps
+ *     its own rate
+ *
+ * Rates and thresholds are settings (SCHADS_DEFAULTS keys) so they can follow
+ * the Fair Work pay guide each July without a deploy.
+ */
+
+const { loadStaffShifts, timeToMinutes } = require('./util_staffShifts');
+const { addDaysYmdTZ, mondayOfYmd, isYmd, round2, httpError } = require('./util_helpers');
+
+const SCHADS_DEFAULTS = {
+  // Level → minimum hourly rate (pay point 1)
+  schads_level_rates: {
+    1: 28.93, 2: 36.73, 3: 39.38, 4: 42.32,
+    5: 45.31, 6: 48.66, 7: 51.69, 8: 54.83
+  },
+  schads_evening_loading: 1.125,
+  schads_night_loading: 1.15,
+  schads_saturday_rate: 1.5,
+  schads_sunday_rate: 2.0,
+  schads_public_holiday_rate: 2.5,
+  schads_overtime_rate: 1.5,
+  schads_overtime_double_rate: 2.0,
+  schads_overtime_double_after_hours: 2,
+  schads_min_engagement_hours: 2,
+  schads_max_ordinary_daily_hours: 10,
+  schads_default_contracted_hours: 38,
+  schads_broken_shift_allowance_one: 20.82,
+  schads_broken_shift_allowance_two: 27.56,
+  schads_broken_shift_max_span_hours: 12,
+  schads_broken_shift_span_rate: 2.0
+};
+
+// Shift loadings by start/finish time (minutes since midnight)
+const EVENING_FINISH_AFTER = 20 * 60;
+const NIGHT_START_BEFORE = 6 * 60;
+// Finishing at or past midnight ('24:00' or later on the shift date) makes a night shift
+const NIGHT_FINISH_FROM = 24 * 60;
+
+// 0 = Sunday … 6 = Saturday
+const dayOfWeek = (ymd) => new Date(`${ymd}T00:00:00Z`).getUTCDay();
+
+/**
+ * Pay settings merged over SCHADS_DEFAULTS
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>}
+ */
+async function loadPayConfig(db) {
+  const config = { ...SCHADS_DEFAULTS, schads_level_rates: { ...SCHADS_DEFAULTS.schads_level_rates } };
+  try {
+    const { rows } = await db.query(
+      'SELECT key, value FROM settings WHERE key = ANY($1)',
+      [Object.keys(SCHADS_DEFAULTS)]
+    );
+    rows.forEach(({ key, value }) => {
+      if (key === 'schads_level_rates') {
+        try {
+          const parsed = JSON.parse(value);
+          Object.entries(parsed || {}).forEach(([level, rate]) => {
+            if (Number.isFinite(Number(rate))) config.schads_level_rates[level] = Number(rate);
+          });
+        } catch (e) {
+          console.warn('[PAY] Ignoring malformed schads_level_rates setting');
+        }
+        return;
+      }
+      const n = Number(value);
+      if (Number.isFinite(n)) config[key] = n;
+    });
+  } catch (err) {
+    console.warn('[PAY] Pay settings unavailable, using defaults:', err.message);
+  }
+  return config;
+}
+
+/**
+ * Hourly base rate for a staff member
+ * @returns {number}
+ */
+function baseRateFor(staff, config) {
+  const levelRate = Number(config.schads_level_rates[staff.schads_level]) || 0;
+  const ownRate = Number(staff.base_pay_rate) || 0;
+  return Math.max(levelRate, ownRate);
+}
+
+/**
+ * Penalty applying to a whole shift (highest wins)
+ * @returns {{ penalty: string, multiplier: number }}
+ */
+function shiftPenalty(shift, config) {
+  const dow = dayOfWeek(shift.date);
+  if (shift.public_holiday) return { penalty: 'public_holiday', multiplier: config.schads_public_holiday_rate };
+  if (dow === 0) return { penalty: 'sunday', multiplier: config.schads_sunday_rate };
+  if (dow === 6) return { penalty: 'saturday', multiplier: config.schads_saturday_rate };
+  if (timeToMinutes(shift.start_time) < NIGHT_START_BEFORE || timeToMinutes(shift.end_time) >= NIGHT_FINISH_FROM) {
+    return { penalty: 'night', multiplier: config.schads_night_loading };
+  }
+  if (timeToMinutes(shift.end_time) > EVENING_FINISH_AFTER) {
+    return { penalty: 'evening', multiplier: config.schads_evening_loading };
+  }
+  return { penalty: 'ordinary', multiplier: 1 };
+}
+
+/**
+ * Cost one staff member's shifts. Shifts must cover whole Mon–Sun weeks so
+ * overtime is counted from the start of each week.
+ * @param {Object} staff - { id, schads_level, base_pay_rate, contracted_hours }
+ * @param {Object[]} shifts - loadStaffShifts rows for this staff member
+ * @param {Object} config - loadPayConfig()
+ * @returns {{ shifts: Object[], allowances: Object[] }}
+ */
+function costStaffShifts(staff, shifts, config) {
+  const baseRate = baseRateFor(staff, config);
+  const contracted = Number(staff.contracted_hours) > 0
+    ? Number(staff.contracted_hours)
+    : config.schads_default_contracted_hours;
+
+  const ordered = [...shifts].sort((a, b) =>
+    a.date.localeCompare(b.date) || timeToMinutes(a.start_time) - timeToMinutes(b.start_time)
+  );
+
+  const byDay = new Map();
+  ordered.forEach((s) => {
+    if (!byDay.has(s.date)) byDay.set(s.date, []);
+    byDay.get(s.date).push(s);
+  });
+
+  // Broken shifts: periods separated by an unpaid gap
+  const allowances = [];
+  const spanLimit = new Map(); // date → minute after which the span rate applies
+  byDay.forEach((dayShifts, date) => {
+    let breaks = 0;
+    let lastEnd = null;
+    dayShifts.forEach((s) => {
+      if (lastEnd !== null && timeToMinutes(s.start_time) > lastEnd) breaks++;
+      lastEnd = Math.max(lastEnd ?? 0, timeToMinutes(s.end_time));
+    });
+    if (breaks === 0) return;
+    allowances.push({
+      date,
+      type: 'broken_shift',
+      breaks,
+      amount: breaks === 1 ? config.schads_broken_shift_allowance_one : config.schads_broken_shift_allowance_two
+    });
+    spanLimit.set(date, timeToMinutes(dayShifts[0].start_time) + config.schads_broken_shift_max_span_hours * 60);
+  });
+
+  const weekOrdinary = new Map();
+  const dayOrdinary = new Map();
+  const dayOvertime = new Map();
+
+  const costed = ordered.map((s) => {
+    const { penalty, multiplier } = shiftPenalty(s, config);
+    const worked = s.hours;
+    const week = mondayOfYmd(s.date);
+
+    // Ordinary hours first, the tail of the shift spills into overtime
+    const available = Math.max(0, Math.min(
+      contracted - (weekOrdinary.get(week) || 0),
+      config.schads_max_ordinary_daily_hours - (dayOrdinary.get(s.date) || 0)
+    ));
+    const ordinary = Math.min(worked, available);
+    const overtime = worked - ordinary;
+    weekOrdinary.set(week, (weekOrdinary.get(week) || 0) + ordinary);
+    dayOrdinary.set(s.date, (dayOrdinary.get(s.date) || 0) + ordinary);
+
+    const segments = [];
+    const push = (type, hours, rate) => {
+      if (hours <= 0) return;
+      segments.push({ type, hours: round2(hours), multiplier: rate, amount: round2(hours * baseRate * rate) });
+    };
+
+    // Ordinary time past the broken-shift span is paid at the span rate
+    const limit = spanLimit.get(s.date);
+    const ordinaryEnd = timeToMinutes(s.start_time) + ordinary * 60;
+    const spanHours = limit !== undefined
+      ? Math.max(0, ordinaryEnd - Math.max(limit, timeToMinutes(s.start_time))) / 60
+      : 0;
+    push(penalty, ordinary - spanHours, multiplier);
+    push('broken_shift_span', spanHours, Math.max(multiplier, config.schads_broken_shift_span_rate));
+
+    if (overtime > 0) {
+      if (penalty === 'public_holiday' || penalty === 'sunday') {
+        push(`overtime_${penalty}`, overtime, multiplier);
+      } else {
+        const used = dayOvertime.get(s.date) || 0;
+        const atFirst = Math.max(0, Math.min(overtime, config.schads_overtime_double_after_hours - used));
+        push('overtime', atFirst, config.schads_overtime_rate);
+        push('overtime_double', overtime - atFirst, config.schads_overtime_double_rate);
+      }
+      dayOvertime.set(s.date, (dayOvertime.get(s.date) || 0) + overtime);
+    }
+
+    const topUp = Math.max(0, config.schads_min_engagement_hours - worked);
+    push('minimum_engagement', topUp, multiplier);
+
+    return {
+      staff_id: s.staff_id,
+      date: s.date,
+      start_time: s.start_time,
+      end_time: s.end_time,
+      source: s.source,
+      loom_instance_id: s.loom_instance_id,
+      role: s.role,
+      public_holiday: s.public_holiday,
+      timesheet_id: s.timesheet_id || null,
+      rostered_hours: round2(s.rostered_hours ?? s.hours),
+      penalty,
+      base_rate: baseRate,
+      worked_hours: round2(worked),
+      paid_hours: round2(worked + topUp),
+      ordinary_hours: round2(ordinary),
+      overtime_hours: round2(overtime),
+      segments,
+      cost: round2(segments.reduce((sum, seg) => sum + seg.amount, 0))
+    };
+  });
+
+  return { shifts: costed, allowances };
+}
+
+function summarise(shifts, allowances) {
+  const totals = {
+    shifts: shifts.length,
+    worked_hours: 0,
+    paid_hours: 0,
+    ordinary_hours: 0,
+    overtime_hours: 0,
+    shift_cost: 0,
+    allowances: 0,
+    total_cost: 0
+  };
+  shifts.forEach((s) => {
+    totals.worked_hours += s.worked_hours;
+    totals.paid_hours += s.paid_hours;
+    totals.ordinary_hours += s.ordinary_hours;
+    totals.overtime_hours += s.overtime_hours;
+    totals.shift_cost += s.cost;
+  });
+  allowances.forEach((a) => { totals.allowances += a.amount; });
+  totals.total_cost = totals.shift_cost + totals.allowances;
+  Object.keys(totals).forEach((k) => { totals[k] = round2(totals[k]); });
+  return totals;
+}
+
+/**
+ * Pay-period cost per staff member
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {string} [options.staffId] - limit to one staff member
+ * @param {Pool|Client} pool
+ * @returns {Promise<Object>} { period, staff: [{ ..., shifts, allowances, totals }], totals }
+ */
+async function calculatePay(options = {}, pool) {
+  if (!pool) {
+    throw new Error('calculatePay requires a database pool');
+  }
+  const { dateFrom, dateTo, staffId } = options;
+  if (!isYmd(dateFrom) || !isYmd(dateTo)) {
+    throw httpError('start and end dates (YYYY-MM-DD) are required', 400);
+  }
+  if (dateFrom > dateTo) {
+    throw httpError('start must be on or before end', 400);
+  }
+
+  const staffParams = staffId ? [staffId] : [];
+  const { rows: staffRows } = await pool.query(`
+    SELECT id, first_name, last_name, schads_level, base_pay_rate, contracted_hours
+      FROM staff
+     ${staffId ? 'WHERE id = $1' : ''}
+     ORDER BY last_name, first_name
+  `, staffParams);
+  if (staffId && staffRows.length === 0) {
+    throw httpError('Staff member not found', 404);
+  }
+
+  // Whole weeks so overtime counts hours worked earlier in the week
+  const config = await loadPayConfig(pool);
+  const shifts = await loadStaffShifts(pool, {
+    dateFrom: mondayOfYmd(dateFrom),
+    dateTo: addDaysYmdTZ(mondayOfYmd(dateTo), 6),
+    staffId,
+    useTimesheets: true
+  });
+  const shiftsByStaff = new Map();
+  shifts.forEach((s) => {
+    if (!shiftsByStaff.has(s.staff_id)) shiftsByStaff.set(s.staff_id, []);
+    shiftsByStaff.get(s.staff_id).push(s);
+  });
+
+  const inPeriod = (r) => r.date >= dateFrom && r.date <= dateTo;
+  const staff = staffRows
+    .filter((st) => staffId || shiftsByStaff.has(st.id))
+    .map((st) => {
+      const costed = costStaffShifts(st, shiftsByStaff.get(st.id) || [], config);
+      const periodShifts = costed.shifts.filter(inPeriod);
+      const periodAllowances = costed.allowances.filter(inPeriod);
+      return {
+        staff_id: st.id,
+        name: `${st.first_name || ''} ${st.last_name || ''}`.trim(),
+        first_name: st.first_name,
+        last_name: st.last_name,
+        schads_level: st.schads_level,
+        base_rate: baseRateFor(st, config),
+        contracted_hours: st.contracted_hours != null ? Number(st.contracted_hours) : null,
+        shifts: periodShifts,
+        allowances: periodAllowances,
+        totals: summarise(periodShifts, periodAllowances)
+      };
+    })
+    .filter((st) => staffId || st.shifts.length > 0);
+
+  const totals = { staff: staff.length, worked_hours: 0, overtime_hours: 0, allowances: 0, total_cost: 0 };
+  staff.forEach((st) => {
+    totals.worked_hours += st.totals.worked_hours;
+    totals.overtime_hours += st.totals.overtime_hours;
+    totals.allowances += st.totals.allowances;
+    totals.total_cost += st.totals.total_cost;
+  });
+  ['worked_hours', 'overtime_hours', 'allowances', 'total_cost'].forEach((k) => { totals[k] = round2(totals[k]); });
+
+  return { period: { start: dateFrom, end: dateTo }, staff, totals };
+}
+
+/**
+ * Cost of one staff member's shift on a loom instance (modern or legacy),
+ * costed in the context of its week and day
+ * @param {Object} options - { staffId, loomInstanceId }
+ * @param {Pool|Client} pool
+ * @returns {Promise<Object>} costed shift plus the day's broken-shift allowance
+ */
+async function costShift(options = {}, pool) {
+  if (!pool) {
+    throw new Error('costShift requires a database pool');
+  }
+  const { staffId, loomInstanceId } = options;
+
+  let date = null;
+  const { rows } = await pool.query(
+    "SELECT to_char(instance_date, 'YYYY-MM-DD') AS date FROM loom_instances WHERE id = $1",
+    [loomInstanceId]
+  );
+  date = rows[0]?.date || null;
+  if (!date) {
+    try {
+      const { rows: legacy } = await pool.query(
+        "SELECT to_char(instance_date, 'YYYY-MM-DD') AS date FROM tgl_loom_instances WHERE id = $1",
+        [loomInstanceId]
+      );
+      date = legacy[0]?.date || null;
+    } catch (err) {
+      // Legacy roster may not exist on newer databases
+    }
+  }
+  if (!date) {
+    throw httpError('Shift not found', 404);
+  }
+
+  const pay = await calculatePay({ dateFrom: date, dateTo: date, staffId }, pool);
+  const staff = pay.staff[0];
+  const shift = staff.shifts.find((s) => s.loom_instance_id === loomInstanceId);
+  if (!shift) {
+    throw httpError('Staff member is not rostered on this shift', 404);
+  }
+  return {
+    ...shift,
+    schads_level: staff.schads_level,
+    day_allowances: staff.allowances
+  };
+}
+
+module.exports = {
+  SCHADS_DEFAULTS,
+  loadPayConfig,
+  costStaffShifts,
+  calculatePay,
+  costShift
+};
@@ -0,0 +1,189 @@
+/**
+ * Staff Shifts Utility
+ *
+ * Single view of "who is working when" across both generations of the
+ * roster:
+ *   - loom_staff_assignments   (modern loom_instances, written by the
+ *                               auto-assigner, roster and calendar swaps)
+ *   - tgl_loom_staff_shifts    (legacy tgl_loom_instances)
+ *
+ * Everything that needs to reason about staff time – double-booking
+ * checks, contracted-hours caps, utilisation – should read through here.
+ * Shifts on a public holiday carry its name for SCHADS penalty pay.
+ * With useTimesheets, an approved timesheet replaces the rostered times
+ * (pay and utilisation); rostering checks keep reading the roster. A
+ * timesheet ending after midnight reads as e.g. '26:00' so hours and
+ * loadings stay on the shift date.
+ */
+
+const { getHolidayMap } = require('./util_publicHolidays');
+
+// Legacy shift statuses that still count as committed time
+const LEGACY_ACTIVE_STATUSES = ['planned', 'confirmed', 'completed'];
+
+// 'HH:MM[:SS]' → minutes since midnight
+function timeToMinutes(t) {
+  if (!t) return 0;
+  const [h, m] = String(t).split(':').map((n) => parseInt(n, 10));
+  return (h || 0) * 60 + (m || 0);
+}
+
+/**
+ * Hours between two 'HH:MM[:SS]' times on the same day
+ * @returns {number}
+ */
+function shiftHours(start, end) {
+  return Math.max(0, timeToMinutes(end) - timeToMinutes(start)) / 60;
+}
+
+/**
+ * Whether two same-day time ranges overlap (touching ends do not overlap)
+ * @returns {boolean}
+ */
+function timesOverlap(aStart, aEnd, bStart, bEnd) {
+  return timeToMinutes(aStart) < timeToMinutes(bEnd) &&
+    timeToMinutes(bStart) < timeToMinutes(aEnd);
+}
+
+// Whether optional tables exist. Checked up front rather than catching the
+// error, which would abort the transaction a caller's client may be in.
+async function existingTables(db, names) {
+  const { rows } = await db.query(
+    'SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NOT NULL',
+    [names]
+  );
+  return new Set(rows.map((r) => r.name));
+}
+
+/**
+ * Replace rostered times with approved timesheet actuals (breaks unpaid)
+ * @param {Pool|Client} db
+ * @param {Array} shifts - loadStaffShifts rows, updated in place
+ */
+async function applyApprovedTimesheets(db, shifts, { dateFrom, dateTo, staffId }, tables) {
+  let approved = [];
+  if (tables.has('staff_timesheets')) {
+    const params = staffId ? [dateFrom, dateTo, staffId] : [dateFrom, dateTo];
+    ({ rows: approved } = await db.query(`
+      SELECT id, staff_id, loom_instance_id, actual_start, actual_end, actual_end_next_day, break_minutes
+        FROM staff_timesheets
+       WHERE status = 'approved'
+         AND shift_date BETWEEN $1 AND $2
+         ${staffId ? 'AND staff_id = $3' : ''}
+    `, params));
+  }
+  const byShift = new Map(approved.map((t) => [`${t.staff_id}|${t.loom_instance_id}`, t]));
+
+  shifts.forEach((shift) => {
+    shift.rostered_start = shift.start_time;
+    shift.rostered_end = shift.end_time;
+    shift.rostered_hours = shift.hours;
+    const ts = byShift.get(`${shift.staff_id}|${shift.loom_instance_id}`);
+    shift.timesheet_id = ts ? ts.id : null;
+    if (!ts) return;
+    shift.start_time = ts.actual_start;
+    shift.end_time = ts.actual_end_next_day
+      ? ts.actual_end.replace(/^\d+/, (h) => String(Number(h) + 24))
+      : ts.actual_end;
+    shift.hours = Math.max(0, shiftHours(ts.actual_start, shift.end_time) - (ts.break_minutes || 0) / 60);
+  });
+}
+
+/**
+ * Load committed staff shifts in a date range from both roster tables
+ * @param {Pool|Client} db - pg Pool or client
+ * @param {Object} options
+ * @param {string} options.dateFrom - 'YYYY-MM-DD'
+ * @param {string} options.dateTo - 'YYYY-MM-DD'
+ * @param {string} [options.staffId] - limit to one staff member
+ * @param {boolean} [options.useTimesheets] - actual times from approved timesheets
+ * @returns {Promise<Array>} [{ staff_id, date, start_time, end_time, hours, source, loom_instance_id, placeholder_id, role, public_holiday }]
+ *   plus, with useTimesheets, { timesheet_id, rostered_start, rostered_end, rostered_hours } on every shift
+ */
+async function loadStaffShifts(db, { dateFrom, dateTo, staffId, useTimesheets = false } = {}) {
+  if (!dateFrom || !dateTo) {
+    throw new Error('loadStaffShifts requires dateFrom and dateTo');
+  }
+
+  const shifts = [];
+  const tables = await existingTables(db, [
+    'tgl_loom_staff_shifts',
+    'tgl_loom_instances',
+    'staff_timesheets',
+    'public_holidays'
+  ]);
+  const staffFilter = staffId ? 'AND lsa.staff_id = $3' : '';
+  const params = staffId ? [dateFrom, dateTo, staffId] : [dateFrom, dateTo];
+
+  const { rows: modern } = await db.query(`
+    SELECT lsa.staff_id,
+           lsa.loom_instance_id,
+           lsa.placeholder_id,
+           lsa.role,
+           to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+           li.start_time,
+           li.end_time
+      FROM loom_staff_assignments lsa
+      JOIN loom_instances li ON li.id = lsa.loom_instance_id
+     WHERE li.instance_date BETWEEN $1 AND $2
+       AND li.cancelled_at IS NULL
+       ${staffFilter}
+  `, params);
+  modern.forEach((r) => {
+    shifts.push({
+      ...r,
+      hours: shiftHours(r.start_time, r.end_time),
+      source: 'loom'
+    });
+  });
+
+  // Legacy roster may not exist on newer databases
+  if (tables.has('tgl_loom_staff_shifts') && tables.has('tgl_loom_instances')) {
+    const legacyFilter = staffId ? 'AND ls.staff_id = $4' : '';
+    const legacyParams = staffId
+      ? [dateFrom, dateTo, LEGACY_ACTIVE_STATUSES, staffId]
+      : [dateFrom, dateTo, LEGACY_ACTIVE_STATUSES];
+    const { rows: legacy } = await db.query(`
+      SELECT ls.staff_id,
+             ls.loom_instance_id,
+             ls.role::text AS role,
+             to_char(li.instance_date, 'YYYY-MM-DD') AS date,
+             ls.start_time,
+             ls.end_time
+        FROM tgl_loom_staff_shifts ls
+        JOIN tgl_loom_instances li ON li.id = ls.loom_instance_id
+       WHERE li.instance_date BETWEEN $1 AND $2
+         AND ls.status::text = ANY($3)
+         ${legacyFilter}
+    `, legacyParams);
+    legacy.forEach((r) => {
+      shifts.push({
+        ...r,
+        placeholder_id: null,
+        hours: shiftHours(r.start_time, r.end_time),
+        source: 'legacy'
+      });
+    });
+  }
+
+  if (useTimesheets) {
+    await applyApprovedTimesheets(db, shifts, { dateFrom, dateTo, staffId }, tables);
+  }
+
+  // Public holiday shifts attract SCHADS penalty rates
+  const holidays = tables.has('public_holidays')
+    ? await getHolidayMap(db, dateFrom, dateTo)
+    : new Map();
+  shifts.forEach((shift) => {
+    shift.public_holiday = holidays.get(shift.date)?.name || null;
+  });
+
+  return shifts;
+}
+
+module.exports = {
+  loadStaffShifts,
+  shiftHours,
+  timesOverlap,
+  timeToMinutes
+};
@@ -4,60 +4,28 @@
  * Implements the synchronous rethread operation for the RABS system.
  * This utility is responsible for generating loom_instances and event_card_map
  * entries based on rules_programs and rules_program_slots.
+ * Rules whose holiday_behaviour is 'skip' are not woven on public holidays.
+ * Dates that stop weaving (cancelled, skipped or off the rule's recurrence)
+ * keep their instance flagged cancelled_at rather than deleted, so the
+ * attendance, timesheets and billing pointing at it survive; their billing
+ * is reconciled once the date commits.
  */
 
 const { v4: uuidv4 } = require('uuid');
-
-/* ------------------------------------------------------------------------ */
-/*  Time-zone helpers – Australia/Sydney                                    */
-/* ------------------------------------------------------------------------ */
-const TZ = 'Australia/Sydney';
-
-// Format Date → 'YYYY-MM-DD' in target TZ using ISO-like en-CA
-function formatDateInTZ(date) {
-  return new Intl.DateTimeFormat('en-CA', {
-    timeZone: TZ,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  }).format(date);
-}
-
-// Parse 'YYYY-MM-DD' → { y,m,d }
-function parseYmd(ymd) {
-  const [y, m, d] = ymd.split('-').map((n) => parseInt(n, 10));
-  return { y, m, d };
-}
-
-// Add days to a ymd string, return ymd string in TZ
-function addDaysYmdTZ(ymd, days) {
-  const { y, m, d } = parseYmd(ymd);
-  // Use Date.UTC noon to avoid DST edge
-  const dt = new Date(Date.UTC(y, m - 1, d, 12));
-  dt.setUTCDate(dt.getUTCDate() + days);
-  return formatDateInTZ(dt);
-}
-
-// Day of week in TZ (1=Mon … 7=Sun)
-const DOW_MAP = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
-function dayOfWeekInTZ(ymd) {
-  const { y, m, d } = parseYmd(ymd);
-  const dt = new Date(Date.UTC(y, m - 1, d, 12));
-  const short = new Intl.DateTimeFormat('en-US', {
-    timeZone: TZ,
-    weekday: 'short',
-  }).format(dt);
-  return DOW_MAP[short];
-}
-
-/**
- * Helper function to get tomorrow's date in YYYY-MM-DD format
- * @returns {string} Tomorrow's date in YYYY-MM-DD format
- */
-function getTomorrow() {
-  const todayYmd = formatDateInTZ(new Date());
-  return addDaysYmdTZ(todayYmd, 1);
-}
+const { autoAssignStaff } = require('./util_assignStaff');
+const { autoAssignVehicles } = require('./util_assignVehicles');
+const { buildRoutes } = require('./util_routes');
+const { getHolidayMap } = require('./util_publicHolidays');
+const { reconcileInstances } = require('./util_generateBilling');
+const eventBus = require('../eventBus');
+const {
+  formatDateInTZ,
+  parseYmd,
+  addDaysYmdTZ,
+  dayOfWeekInTZ,
+  getTomorrow,
+  generateDateRange
+} = require('./util_helpers');
 
 /**
  * Helper function to check if a rule is active on a specific date
@@ -139,19 +107,384 @@ function isRuleActiveOnDate(rule, dateStr) {
 }
 
 /**
- * Generate date range array from start to end dates
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {string[]} - Array of dates in YYYY-MM-DD format
+ * Resolve the loom window length (days) from settings.
+ * loom_window_fortnights takes precedence over loom_window_days; default 56.
+ * @param {Pool|Client} db - pg Pool or checked-out client
+ * @returns {Promise<number>} window length in days
+ */
+async function loadWindowDays(db) {
+  try {
+    const { rows } = await db.query(
+      `SELECT key, value FROM settings
+        WHERE key IN ('loom_window_fortnights', 'loom_window_days')`
+    );
+    const map = {};
+    rows.forEach((r) => { map[r.key] = Number(r.value); });
+    if (Number.isFinite(map.loom_window_fortnights) && map.loom_window_fortnights > 0) {
+      return map.loom_window_fortnights * 14;
+    }
+    if (Number.isFinite(map.loom_window_days) && map.loom_window_days > 0) {
+      return map.loom_window_days;
+    }
+  } catch (err) {
+    console.warn('Error loading loom window settings:', err.message);
+  }
+  return 56;
+}
+
+/* ------------------------------------------------------------------------ */
+/*  Program exceptions – Calendar layer (single-date changes)               */
+/* ------------------------------------------------------------------------ */
+const EXCEPTION_SOURCE = 'calendar_exception';
+
+// Accepted exception_type spellings → canonical kind
+const EXCEPTION_KINDS = {
+  cancel: 'cancel',
+  cancelled: 'cancel',
+  cancellation: 'cancel',
+  program_cancellation: 'cancel',
+  time_shift: 'time_shift',
+  time_change: 'time_shift',
+  reschedule: 'time_shift',
+  venue_change: 'venue_change',
+  staff_swap: 'staff_swap',
+  vehicle_swap: 'vehicle_swap',
+  modified: 'modified',
+  one_off_change: 'modified',
+};
+
+function normaliseExceptionType(type) {
+  if (!type) return null;
+  return EXCEPTION_KINDS[String(type).trim().toLowerCase()] || null;
+}
+
+// 'HH:MM[:SS]' → minutes since midnight (null when unparsable)
+function timeToMinutes(t) {
+  if (!t) return null;
+  const [h, m] = String(t).split(':').map((n) => parseInt(n, 10));
+  if (isNaN(h) || isNaN(m)) return null;
+  return h * 60 + m;
+}
+
+// minutes since midnight → 'HH:MM:00' (clamped to the same day)
+function minutesToTime(mins) {
+  const clamped = Math.max(0, Math.min(24 * 60 - 1, mins));
+  const h = String(Math.floor(clamped / 60)).padStart(2, '0');
+  const m = String(clamped % 60).padStart(2, '0');
+  return `${h}:${m}:00`;
+}
+
+// metadata may arrive as jsonb object, JSON text, or be missing entirely
+function parseMetadata(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Resolve how a rule should be woven on a date once its exception is applied
+ * @param {Object} rule - rules_programs row
+ * @param {Object|null} exception - rules_program_exceptions row for the date
+ * @returns {Object} { cancelled, startTime, endTime, venueId, offsetMinutes, kind, metadata }
+ */
+function resolveException(rule, exception) {
+  const base = {
+    cancelled: false,
+    startTime: rule.start_time,
+    endTime: rule.end_time,
+    venueId: rule.venue_id,
+    offsetMinutes: 0,
+    kind: null,
+    metadata: {},
+  };
+  if (!exception) return base;
+
+  const kind = normaliseExceptionType(exception.exception_type);
+  const metadata = parseMetadata(exception.metadata);
+  const resolved = { ...base, kind, metadata };
+
+  if (kind === 'cancel') {
+    resolved.cancelled = true;
+    return resolved;
+  }
+
+  // Time / venue overrides apply whenever the exception carries them
+  if (kind === 'time_shift' || kind === 'modified') {
+    if (exception.start_time) resolved.startTime = exception.start_time;
+    if (exception.end_time) resolved.endTime = exception.end_time;
+    const from = timeToMinutes(rule.start_time);
+    const to = timeToMinutes(resolved.startTime);
+    if (from !== null && to !== null) resolved.offsetMinutes = to - from;
+  }
+  if ((kind === 'venue_change' || kind === 'modified') && exception.venue_id) {
+    resolved.venueId = exception.venue_id;
+  }
+
+  return resolved;
+}
+
+/**
+ * Apply staff / vehicle swaps carried in exception metadata to an instance.
+ *   staff_swap   → metadata { from_staff_id?, to_staff_id | staff_id, role? }
+ *   vehicle_swap → metadata { from_vehicle_id?, to_vehicle_id | vehicle_id, driver_staff_id? }
+ * @returns {number} rows written
+ */
+async function applyResourceSwap(client, instanceId, resolved, reason) {
+  const md = resolved.metadata || {};
+  let written = 0;
+
+  if (resolved.kind === 'staff_swap' || (resolved.kind === 'modified' && (md.to_staff_id || md.staff_id))) {
+    const toStaff = md.to_staff_id || md.staff_id;
+    // The replacement inherits the placeholder the outgoing staff member filled
+    let placeholderId = null;
+    if (md.from_staff_id) {
+      const removed = await client.query(
+        `DELETE FROM loom_staff_assignments
+          WHERE loom_instance_id = $1 AND staff_id = $2
+          RETURNING placeholder_id`,
+        [instanceId, md.from_staff_id]
+      );
+      placeholderId = removed.rows[0]?.placeholder_id || null;
+    }
+    if (toStaff) {
+      await client.query(`
+        INSERT INTO loom_staff_assignments (
+          id, loom_instance_id, staff_id, role, placeholder_id,
+          is_overridden, override_source, override_reason
+        ) VALUES ($1, $2, $3, $4, $5, true, $6, $7)
+        ON CONFLICT (loom_instance_id, staff_id)
+        DO UPDATE SET
+          role = EXCLUDED.role,
+          placeholder_id = COALESCE(EXCLUDED.placeholder_id, loom_staff_assignments.placeholder_id),
+          is_overridden = true,
+          override_source = EXCLUDED.override_source,
+          override_reason = EXCLUDED.override_reason,
+          updated_at = CURRENT_TIMESTAMP
+      `, [uuidv4(), instanceId, toStaff, md.role || 'support', placeholderId, EXCEPTION_SOURCE, reason]);
+      written++;
+    }
+  }
+
+  if (resolved.kind === 'vehicle_swap' || (resolved.kind === 'modified' && (md.to_vehicle_id || md.vehicle_id))) {
+    const toVehicle = md.to_vehicle_id || md.vehicle_id;
+    if (md.from_vehicle_id) {
+      await client.query(
+        'DELETE FROM loom_vehicle_assignments WHERE loom_instance_id = $1 AND vehicle_id = $2',
+        [instanceId, md.from_vehicle_id]
+      );
+    }
+    if (toVehicle) {
+      await client.query(`
+        INSERT INTO loom_vehicle_assignments (
+          id, loom_instance_id, vehicle_id, driver_staff_id,
+          is_overridden, override_source, override_reason
+        ) VALUES ($1, $2, $3, $4, true, $5, $6)
+        ON CONFLICT (loom_instance_id, vehicle_id)
+        DO UPDATE SET
+          driver_staff_id = COALESCE(EXCLUDED.driver_staff_id, loom_vehicle_assignments.driver_staff_id),
+          is_overridden = true,
+          override_source = EXCLUDED.override_source,
+          override_reason = EXCLUDED.override_reason,
+          updated_at = CURRENT_TIMESTAMP
+      `, [uuidv4(), instanceId, toVehicle, md.driver_staff_id || null, EXCEPTION_SOURCE, reason]);
+      written++;
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Flag a rule's instances cancelled over a date range (dateTo null = open
+ * ended). Rows stay for the attendance, timesheets and billing that point at
+ * them; their dashboard cards go. A later rethread that weaves the date again
+ * clears the flag.
+ * @param {Pool|Client} db
+ * @param {Object} options - { ruleId, dateFrom, dateTo, reason }
+ * @returns {Promise<string[]>} ids newly cancelled (reconcile their billing after commit)
+ */
+async function cancelInstances(db, { ruleId, dateFrom, dateTo = null, reason = null }) {
+  const { rows } = await db.query(`
+    UPDATE loom_instances
+       SET cancelled_at = now(),
+           cancel_reason = $4,
+           updated_at = CURRENT_TIMESTAMP
+     WHERE source_rule_id = $1
+       AND instance_date >= $2
+       AND ($3::date IS NULL OR instance_date <= $3::date)
+       AND cancelled_at IS NULL
+     RETURNING id
+  `, [ruleId, dateFrom, dateTo, reason]);
+  const ids = rows.map((r) => r.id);
+  if (ids.length > 0) {
+    await db.query('DELETE FROM event_card_map WHERE loom_instance_id = ANY($1::uuid[])', [ids]);
+  }
+  return ids;
+}
+
+/* ------------------------------------------------------------------------ */
+/*  Dry-run helpers – snapshot a date before/after and diff the two         */
+/* ------------------------------------------------------------------------ */
+
+// Rule fields a dry run may stage before previewing (rolled back afterwards)
+const PREVIEW_RULE_FIELDS = [
+  'name',
+  'anchor_date',
+  'recurrence_pattern',
+  'day_of_week',
+  'week_in_cycle',
+  'start_time',
+  'end_time',
+  'venue_id',
+  'holiday_behaviour',
+  'active'
+];
+
+const INSTANCE_DIFF_FIELDS = ['start_time', 'end_time', 'venue_id', 'is_overridden'];
+
+// Stage proposed rule changes inside the dry-run transaction
+async function stageRuleChanges(client, ruleId, changes) {
+  const fields = Object.keys(changes || {}).filter((f) => PREVIEW_RULE_FIELDS.includes(f));
+  if (!ruleId || fields.length === 0) return;
+  const setClauses = fields.map((f, i) => `${f} = $${i + 2}`);
+  await client.query(
+    `UPDATE rules_programs SET ${setClauses.join(', ')} WHERE id = $1`,
+    [ruleId, ...fields.map((f) => changes[f])]
+  );
+}
+
+// Instances (+ cards) for a date keyed by source_rule_id
+async function snapshotDate(client, date, ruleId) {
+  const params = [date];
+  let filter = '';
+  if (ruleId) {
+    filter = 'AND li.source_rule_id = $2';
+    params.push(ruleId);
+  }
+  const { rows } = await client.query(`
+    SELECT li.id, li.source_rule_id, rp.name AS program_name,
+           li.start_time, li.end_time, li.venue_id, li.is_overridden,
+           COALESCE(
+             json_agg(json_build_object(
+               'card_type', c.card_type,
+               'card_order', c.card_order,
+               'start', c.display_time_start,
+               'end', c.display_time_end
+             ) ORDER BY c.card_order) FILTER (WHERE c.id IS NOT NULL),
+             '[]'
+           ) AS cards
+      FROM loom_instances li
+      JOIN rules_programs rp ON rp.id = li.source_rule_id
+      LEFT JOIN event_card_map c ON c.loom_instance_id = li.id
+     WHERE li.instance_date = $1 AND li.cancelled_at IS NULL ${filter}
+     GROUP BY li.id, rp.name
+  `, params);
+  return new Map(rows.map((r) => [r.source_rule_id, r]));
+}
+
+/**
+ * Diff two date snapshots
+ * @returns {Object} { added[], removed[], changed[], cardsRetimed[] }
  */
-function generateDateRange(startDate, endDate) {
-  const dates = [];
-  let currentYmd = startDate;
-  while (currentYmd <= endDate) {
-    dates.push(currentYmd);
-    currentYmd = addDaysYmdTZ(currentYmd, 1);
+function diffSnapshots(before, after) {
+  const diff = { added: [], removed: [], changed: [], cardsRetimed: [] };
+  const brief = (i) => ({
+    rule_id: i.source_rule_id,
+    program_name: i.program_name,
+    start_time: i.start_time,
+    end_time: i.end_time,
+    venue_id: i.venue_id,
+    cards: i.cards.length
+  });
+
+  for (const [ruleId, next] of after) {
+    const prev = before.get(ruleId);
+    if (!prev) {
+      diff.added.push(brief(next));
+      continue;
+    }
+
+    const changes = {};
+    INSTANCE_DIFF_FIELDS.forEach((f) => {
+      if (String(prev[f]) !== String(next[f])) changes[f] = { from: prev[f], to: next[f] };
+    });
+
+    const key = (c) => `${c.card_order}:${c.card_type}`;
+    const prevCards = new Map(prev.cards.map((c) => [key(c), c]));
+    const nextCards = new Map(next.cards.map((c) => [key(c), c]));
+    let cardsAdded = 0;
+    let cardsRemoved = 0;
+    for (const [k, c] of nextCards) {
+      const old = prevCards.get(k);
+      if (!old) {
+        cardsAdded++;
+      } else if (old.start !== c.start || old.end !== c.end) {
+        diff.cardsRetimed.push({
+          rule_id: ruleId,
+          program_name: next.program_name,
+          card_type: c.card_type,
+          card_order: c.card_order,
+          from: { start: old.start, end: old.end },
+          to: { start: c.start, end: c.end }
+        });
+      }
+    }
+    for (const k of prevCards.keys()) {
+      if (!nextCards.has(k)) cardsRemoved++;
+    }
+    if (cardsAdded || cardsRemoved) changes.cards = { added: cardsAdded, removed: cardsRemoved };
+
+    if (Object.keys(changes).length) {
+      diff.changed.push({ rule_id: ruleId, program_name: next.program_name, changes });
+    }
+  }
+
+  for (const [ruleId, prev] of before) {
+    if (!after.has(ruleId)) diff.removed.push(brief(prev));
   }
-  return dates;
+
+  return diff;
+}
+
+// Billing lines touched by a date diff (existing payment_diamonds + projected new lines)
+async function billingImpact(client, date, diff) {
+  const actions = new Map();
+  diff.added.forEach((i) => actions.set(i.rule_id, 'create'));
+  diff.removed.forEach((i) => actions.set(i.rule_id, 'orphan'));
+  diff.changed.forEach((i) => actions.set(i.rule_id, 'review'));
+  diff.cardsRetimed.forEach((c) => { if (!actions.has(c.rule_id)) actions.set(c.rule_id, 'review'); });
+  if (actions.size === 0) return [];
+
+  const ruleIds = [...actions.keys()];
+  const { rows: existing } = await client.query(`
+    SELECT program_id, COUNT(*)::int AS lines, COALESCE(SUM(total_amount), 0) AS amount
+      FROM payment_diamonds
+     WHERE program_id = ANY($1) AND invoice_date = $2
+     GROUP BY program_id
+  `, [ruleIds, date]);
+  const { rows: projected } = await client.query(`
+    SELECT rpp.rule_id, COUNT(rppb.id)::int AS lines
+      FROM rules_program_participants rpp
+      JOIN rules_program_participant_billing rppb ON rppb.rule_participant_id = rpp.id
+     WHERE rpp.rule_id = ANY($1)
+     GROUP BY rpp.rule_id
+  `, [ruleIds]);
+  const existingBy = new Map(existing.map((r) => [r.program_id, r]));
+  const projectedBy = new Map(projected.map((r) => [r.rule_id, r.lines]));
+
+  return ruleIds
+    .map((id) => ({
+      rule_id: id,
+      action: actions.get(id),
+      existing_lines: existingBy.get(id)?.lines || 0,
+      existing_amount: Number(existingBy.get(id)?.amount || 0),
+      projected_lines: actions.get(id) === 'orphan' ? 0 : projectedBy.get(id) || 0
+    }))
+    .filter((b) => b.existing_lines > 0 || b.projected_lines > 0);
 }
 
 /**
@@ -162,8 +495,11 @@ function generateDateRange(startDate, endDate) {
  * @param {string} [options.dateTo] - End date in YYYY-MM-DD format (defaults to dateFrom + 14 days)
  * @param {number} [options.windowDays=14] - Number of days in the window if dateTo not provided
  * @param {boolean} [options.futureOnly=true] - Whether to clamp dateFrom to tomorrow if it's earlier
+ * @param {boolean} [options.dryRun=false] - Roll every date back and return per-date diffs instead
+ * @param {Object} [options.ruleChanges] - Dry run only: proposed rule fields to preview (needs ruleId)
+ * @param {boolean} [options.autoAssign=true] - Fill staff and vehicle placeholders (and route the runs) for the woven range afterwards
  * @param {Pool} pool - pg Pool instance provided by the caller
- * @returns {Object} - Summary of the rethread operation
+ * @returns {Object} - Summary of the rethread operation (plus `diffs` / `totals` when dryRun)
  */
 async function syncRethread(options = {}, pool) {
   if (!pool) {
@@ -172,7 +508,10 @@ async function syncRethread(options = {}, pool) {
   const {
     ruleId,
     windowDays = 14,
-    futureOnly = true
+    futureOnly = true,
+    dryRun = false,
+    ruleChanges = null,
+    autoAssign = true
   } = options;
   
   // Set up date range
@@ -195,8 +534,35 @@ async function syncRethread(options = {}, pool) {
     datesProcessed: 0,
     rulesTouched: 0,
     instancesUpserted: 0,
-    cardsWritten: 0
+    cardsWritten: 0,
+    exceptionsApplied: 0,
+    instancesCancelled: 0,
+    instancesRemoved: 0,
+    holidaysSkipped: 0,
+    billingReconciled: 0
   };
+  if (dryRun) {
+    summary.dryRun = true;
+    summary.diffs = [];
+    summary.totals = {
+      instancesAdded: 0,
+      instancesRemoved: 0,
+      instancesChanged: 0,
+      cardsRetimed: 0,
+      billingLinesAffected: 0
+    };
+  }
+  
+  // Public holidays observed in the range (rules may skip them)
+  let holidays = new Map();
+  try {
+    holidays = await getHolidayMap(pool, dateFrom, dateTo);
+  } catch (err) {
+    console.warn('Public holidays unavailable for rethread:', err.message);
+  }
+  
+  // Dates actually rewoven (announced to live screens at the end)
+  const wovenDates = [];
   
   // Process each date in the range
   for (const date of dateRange) {
@@ -205,6 +571,13 @@ async function syncRethread(options = {}, pool) {
       try {
         await client.query('BEGIN');
         
+        // Dry run: stage proposed rule edits and capture the current state
+        let before = null;
+        if (dryRun) {
+          await stageRuleChanges(client, ruleId, ruleChanges);
+          before = await snapshotDate(client, date, ruleId);
+        }
+        
         // Get rules active on this date
         let rules;
         if (ruleId) {
@@ -228,41 +601,111 @@ async function syncRethread(options = {}, pool) {
           rules = rulesResult.rows.filter(rule => isRuleActiveOnDate(rule, date));
         }
         
-        // Skip this date if no active rules
-        if (rules.length === 0) {
-          continue;
+        // Instances cancelled / reinstated on this date (billing reconciled after commit)
+        const touched = [];
+        
+        // A single rule no longer weaving on this date → cancel its stale instance
+        if (ruleId && rules.length === 0) {
+          const stale = await cancelInstances(client, {
+            ruleId,
+            dateFrom: date,
+            dateTo: date,
+            reason: 'No longer on the program schedule'
+          });
+          summary.instancesRemoved += stale.length;
+          touched.push(...stale);
         }
         
         summary.rulesTouched += rules.length;
         
+        // Load Calendar exceptions for this date (one per program/date)
+        const exceptionsResult = await client.query(`
+          SELECT * FROM rules_program_exceptions
+          WHERE exception_date = $1
+        `, [date]);
+        const exceptionsByRule = new Map(
+          exceptionsResult.rows.map((ex) => [ex.program_id, ex])
+        );
+        
         // Process each rule
         for (const rule of rules) {
-          // Upsert loom_instance
+          const exception = exceptionsByRule.get(rule.id) || null;
+          const resolved = resolveException(rule, exception);
+          const overrideReason = exception
+            ? exception.reason || exception.exception_type
+            : null;
+          
+          // Rule skips public holidays (a Calendar exception for the date wins)
+          const holidaySkip = !exception && holidays.has(date) && rule.holiday_behaviour === 'skip';
+          
+          // Cancelled for this date → flag the instance and drop its cards
+          if (resolved.cancelled || holidaySkip) {
+            const cancelled = await cancelInstances(client, {
+              ruleId: rule.id,
+              dateFrom: date,
+              dateTo: date,
+              reason: holidaySkip ? `Public holiday: ${holidays.get(date).name}` : overrideReason
+            });
+            summary.instancesCancelled += cancelled.length;
+            touched.push(...cancelled);
+            if (holidaySkip) summary.holidaysSkipped++;
+            else summary.exceptionsApplied++;
+            continue;
+          }
+          
+          // Upsert loom_instance (overrides cleared once the exception is gone,
+          // a cancelled instance reinstated)
           const instanceResult = await client.query(`
+            WITH prior AS (
+              SELECT cancelled_at FROM loom_instances
+              WHERE source_rule_id = $2 AND instance_date = $3
+            )
             INSERT INTO loom_instances (
-              id, source_rule_id, instance_date, start_time, end_time, venue_id
+              id, source_rule_id, instance_date, start_time, end_time, venue_id,
+              is_overridden, override_source, override_reason
             ) VALUES (
-              $1, $2, $3, $4, $5, $6
+              $1, $2, $3, $4, $5, $6, $7, $8, $9
             )
             ON CONFLICT (source_rule_id, instance_date)
             DO UPDATE SET
               start_time = EXCLUDED.start_time,
               end_time = EXCLUDED.end_time,
               venue_id = EXCLUDED.venue_id,
+              is_overridden = CASE
+                WHEN EXCLUDED.is_overridden THEN true
+                WHEN loom_instances.override_source = '${EXCEPTION_SOURCE}' THEN false
+                ELSE loom_instances.is_overridden
+              END,
+              override_source = CASE
+                WHEN EXCLUDED.is_overridden THEN EXCLUDED.override_source
+                WHEN loom_instances.override_source = '${EXCEPTION_SOURCE}' THEN NULL
+                ELSE loom_instances.override_source
+              END,
+              override_reason = CASE
+                WHEN EXCLUDED.is_overridden THEN EXCLUDED.override_reason
+                WHEN loom_instances.override_source = '${EXCEPTION_SOURCE}' THEN NULL
+                ELSE loom_instances.override_reason
+              END,
+              cancelled_at = NULL,
+              cancel_reason = NULL,
               updated_at = CURRENT_TIMESTAMP
-            RETURNING id
+            RETURNING id, (SELECT cancelled_at IS NOT NULL FROM prior) AS reinstated
           `, [
             uuidv4(),
             rule.id,
             date,
-            rule.start_time,
-            rule.end_time,
-            rule.venue_id
+            resolved.startTime,
+            resolved.endTime,
+            resolved.venueId,
+            !!resolved.kind,
+            resolved.kind ? EXCEPTION_SOURCE : null,
+            overrideReason
           ]);
           
           summary.instancesUpserted++;
           
           const instanceId = instanceResult.rows[0].id;
+          if (instanceResult.rows[0].reinstated) touched.push(instanceId);
           
           // Delete existing event_card_map entries for this instance
           await client.query(`
@@ -279,8 +722,17 @@ async function syncRethread(options = {}, pool) {
           
           const slots = slotsResult.rows;
           
-          // Insert new event_card_map entries
+          // Insert new event_card_map entries (re-timed by any exception offset)
           for (const slot of slots) {
+            let slotStart = slot.start_time;
+            let slotEnd = slot.end_time;
+            const slotStartMins = timeToMinutes(slot.start_time);
+            const slotEndMins = timeToMinutes(slot.end_time);
+            if (resolved.offsetMinutes && slotStartMins !== null && slotEndMins !== null) {
+              slotStart = minutesToTime(slotStartMins + resolved.offsetMinutes);
+              slotEnd = minutesToTime(slotEndMins + resolved.offsetMinutes);
+            }
+
             await client.query(`
               INSERT INTO event_card_map (
                 id, loom_instance_id, card_type, card_order, 
@@ -298,20 +750,46 @@ async function syncRethread(options = {}, pool) {
               slot.label || slot.slot_type.toUpperCase(),
               rule.name,
               date,
-              slot.start_time,
-              slot.end_time
+              slotStart,
+              slotEnd
             ]);
             
             summary.cardsWritten++;
           }
           
-          // Apply temporary exceptions (stubbed for MVP)
-          // This would involve checking rules_program_exceptions and applying them
-          // For now, we just leave this as a stub
+          // Apply temporary exceptions – staff / vehicle swaps for this date only
+          if (resolved.kind) {
+            await applyResourceSwap(client, instanceId, resolved, overrideReason);
+            summary.exceptionsApplied++;
+          }
         }
         
-        await client.query('COMMIT');
-        summary.datesProcessed++;
+        if (dryRun) {
+          const after = await snapshotDate(client, date, ruleId);
+          const diff = diffSnapshots(before, after);
+          const billing = await billingImpact(client, date, diff);
+          await client.query('ROLLBACK');
+          
+          if (diff.added.length || diff.removed.length || diff.changed.length ||
+              diff.cardsRetimed.length || billing.length) {
+            summary.diffs.push({ date, ...diff, billingLinesAffected: billing });
+            summary.totals.instancesAdded += diff.added.length;
+            summary.totals.instancesRemoved += diff.removed.length;
+            summary.totals.instancesChanged += diff.changed.length;
+            summary.totals.cardsRetimed += diff.cardsRetimed.length;
+            summary.totals.billingLinesAffected += billing.reduce(
+              (n, b) => n + Math.max(b.existing_lines, b.projected_lines), 0
+            );
+          }
+        } else {
+          await client.query('COMMIT');
+          if (rules.length > 0 || touched.length > 0) wovenDates.push(date);
+          if (touched.length > 0) {
+            const billing = await reconcileInstances(touched, pool);
+            summary.billingReconciled += billing.instances;
+          }
+        }
+        if (rules.length > 0) summary.datesProcessed++;
       } catch (err) {
         await client.query('ROLLBACK');
         console.error(`Error processing date ${date}:`, err);
@@ -325,10 +803,46 @@ async function syncRethread(options = {}, pool) {
     }
   }
   
+  // Fill staff and vehicle placeholders on the freshly woven instances
+  if (!dryRun && autoAssign && summary.datesProcessed > 0) {
+    try {
+      const staffing = await autoAssignStaff({ ruleId, dateFrom, dateTo }, pool);
+      summary.staffAutoAssigned = staffing.autoAssigned;
+      summary.staffUnfilled = staffing.unfilledCount;
+    } catch (err) {
+      console.error('Staff auto-assignment after rethread failed:', err);
+    }
+    // Vehicles after staff – seat requirements count the assigned staff
+    try {
+      const fleet = await autoAssignVehicles({ ruleId, dateFrom, dateTo }, pool);
+      summary.vehiclesAutoAssigned = fleet.autoAssigned;
+      summary.vehicleShortfalls = fleet.shortfallCount;
+    } catch (err) {
+      console.error('Vehicle auto-assignment after rethread failed:', err);
+    }
+    // Routes last – they need the vehicles and riders settled
+    try {
+      const routing = await buildRoutes({ ruleId, dateFrom, dateTo }, pool);
+      summary.routesWritten = routing.routesWritten;
+    } catch (err) {
+      console.error('Route building after rethread failed:', err);
+    }
+  }
+  
+  // Once, after staffing / routes settle, so screens refetch a finished day
+  if (wovenDates.length > 0) {
+    eventBus.publish('instance.changed', { action: 'rethreaded', rule_id: ruleId || null, dates: wovenDates });
+    if (summary.cardsWritten > 0) {
+      eventBus.publish('card.retimed', { rule_id: ruleId || null, dates: wovenDates, cards: summary.cardsWritten });
+    }
+  }
+  
   return summary;
 }
 
 module.exports = {
   syncRethread,
-  isRuleActiveOnDate
+  isRuleActiveOnDate,
+  cancelInstances,
+  loadWindowDays
 };
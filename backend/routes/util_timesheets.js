@@ -0,0 +1,411 @@
+/**
+ * Timesheets Utility
+ *
+ * What staff actually worked against a rostered shift (staff_timesheets, one
+ * row per staff member per loom instance, modern or legacy roster):
+ *
+ *   open (clocked in / being entered) → submitted → approved | rejected
+ *                                                   rejected → (edit) → submitted
+ *
+ * Breaks are unpaid and recorded as periods ({ start, end }); break_minutes
+ * is their total. A shift that finishes after midnight sets
+ * actual_end_next_day; break times earlier than clock-in fall on that next
+ * day too. Approved timesheets replace the rostered times in
+ * loadStaffShifts({ useTimesheets: true }), which SCHADS pay and staff
+ * utilisation read through. Approved timesheets are locked.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const eventBus = require('../eventBus');
+const { loadStaffShifts, timeToMinutes } = require('./util_staffShifts');
+const { TZ, httpError } = require('./util_helpers');
+
+const TIMESHEET_STATUSES = ['open', 'submitted', 'approved', 'rejected'];
+const EDITABLE_STATUSES = ['open', 'submitted', 'rejected'];
+
+const TIMESHEET_COLUMNS = `
+  id, staff_id, loom_instance_id, source,
+  to_char(shift_date, 'YYYY-MM-DD') AS shift_date,
+  to_char(rostered_start, 'HH24:MI') AS rostered_start,
+  to_char(rostered_end, 'HH24:MI') AS rostered_end,
+  to_char(actual_start, 'HH24:MI') AS actual_start,
+  to_char(actual_end, 'HH24:MI') AS actual_end,
+  actual_end_next_day, breaks, break_minutes, status, notes,
+  reviewed_by, reviewed_at, rejection_reason, created_at, updated_at
+`;
+
+const DAY_MINUTES = 24 * 60;
+
+const isTime = (v) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(String(v || ''));
+
+// Current 'HH:MM' in Sydney
+function nowTime() {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: TZ,
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).format(new Date());
+}
+
+function requireTime(value, field) {
+  const time = value || nowTime();
+  if (!isTime(time)) throw httpError(`${field} must be HH:MM`, 400);
+  return time.slice(0, 5);
+}
+
+// Minutes from midnight on the shift date – times before clock-in are after midnight
+const clockMinutes = (time, start) =>
+  timeToMinutes(time) + (timeToMinutes(time) < timeToMinutes(start) ? DAY_MINUTES : 0);
+
+// Clock-out in minutes from midnight on the shift date
+const endMinutes = (end, nextDay) => timeToMinutes(end) + (nextDay ? DAY_MINUTES : 0);
+
+// Validate break periods against clock-in (and clock-out, once known); returns { breaks, minutes }
+function normaliseBreaks(breaks, start, endAt = null) {
+  if (!Array.isArray(breaks)) throw httpError('breaks must be an array of { start, end }', 400);
+  let minutes = 0;
+  const clean = breaks.map((b) => {
+    if (!isTime(b?.start) || (b.end != null && !isTime(b.end))) {
+      throw httpError('Each break needs start (and end) as HH:MM', 400);
+    }
+    const period = { start: b.start.slice(0, 5), end: b.end ? b.end.slice(0, 5) : null };
+    if (period.end) {
+      const from = clockMinutes(period.start, start);
+      const to = clockMinutes(period.end, start);
+      if (to <= from) throw httpError('A break must end after it starts', 400);
+      if (endAt !== null && to > endAt) throw httpError('A break must end by clock-out', 400);
+      minutes += to - from;
+    }
+    return period;
+  });
+  return { breaks: clean, minutes };
+}
+
+/**
+ * Worked time and variance against the roster (minutes)
+ * @param {Object} ts - staff_timesheets row
+ * @returns {Object} row plus rostered_minutes, worked_minutes, variance_minutes,
+ *   start_variance_minutes, end_variance_minutes (null until clocked out)
+ */
+function withVariance(ts) {
+  const rosteredEnd = clockMinutes(ts.rostered_end, ts.rostered_start);
+  const rostered = Math.max(0, rosteredEnd - timeToMinutes(ts.rostered_start));
+  const complete = ts.actual_start && ts.actual_end;
+  const actualEnd = ts.actual_end ? endMinutes(ts.actual_end, ts.actual_end_next_day) : null;
+  const worked = complete
+    ? Math.max(0, actualEnd - timeToMinutes(ts.actual_start) - (ts.break_minutes || 0))
+    : null;
+  return {
+    ...ts,
+    rostered_minutes: rostered,
+    worked_minutes: worked,
+    variance_minutes: complete ? worked - rostered : null,
+    start_variance_minutes: ts.actual_start
+      ? timeToMinutes(ts.actual_start) - timeToMinutes(ts.rostered_start)
+      : null,
+    end_variance_minutes: ts.actual_end ? actualEnd - rosteredEnd : null
+  };
+}
+
+// Tell open screens a timesheet changed
+function publishTimesheet(ts) {
+  eventBus.publish('timesheet.recorded', {
+    timesheet_id: ts.id,
+    staff_id: ts.staff_id,
+    loom_instance_id: ts.loom_instance_id,
+    status: ts.status,
+    date: ts.shift_date
+  });
+  return ts;
+}
+
+async function loadTimesheet(db, id) {
+  const { rows } = await db.query(`SELECT ${TIMESHEET_COLUMNS} FROM staff_timesheets WHERE id = $1`, [id]);
+  if (rows.length === 0) throw httpError('Timesheet not found', 404);
+  return rows[0];
+}
+
+async function saveTimesheet(db, id, fields) {
+  const keys = Object.keys(fields);
+  const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+  const { rows } = await db.query(`
+    UPDATE staff_timesheets
+       SET ${sets.join(', ')}, updated_at = now()
+     WHERE id = $1
+     RETURNING ${TIMESHEET_COLUMNS}
+  `, [id, ...keys.map((k) => (k === 'breaks' ? JSON.stringify(fields[k]) : fields[k]))]);
+  return publishTimesheet(withVariance(rows[0]));
+}
+
+function assertEditable(ts) {
+  if (!EDITABLE_STATUSES.includes(ts.status)) {
+    throw httpError(`Timesheet is ${ts.status} and can no longer be changed`, 409);
+  }
+}
+
+function assertOrder(start, end, nextDay) {
+  if (!start || !end) return;
+  const span = endMinutes(end, nextDay) - timeToMinutes(start);
+  if (span <= 0) {
+    throw httpError('actual_end must be after actual_start (set actual_end_next_day for a shift ending after midnight)', 400);
+  }
+  if (span > DAY_MINUTES) throw httpError('A shift cannot run longer than 24 hours', 400);
+}
+
+/**
+ * Rostered shift for a staff member on a loom instance (modern or legacy)
+ * @returns {Promise<Object>} loadStaffShifts row
+ */
+async function findRosteredShift(db, staffId, loomInstanceId) {
+  let date = null;
+  const { rows } = await db.query(
+    "SELECT to_char(instance_date, 'YYYY-MM-DD') AS date FROM loom_instances WHERE id = $1",
+    [loomInstanceId]
+  );
+  date = rows[0]?.date || null;
+  if (!date) {
+    try {
+      const { rows: legacy } = await db.query(
+        "SELECT to_char(instance_date, 'YYYY-MM-DD') AS date FROM tgl_loom_instances WHERE id = $1",
+        [loomInstanceId]
+      );
+      date = legacy[0]?.date || null;
+    } catch (err) {
+      // Legacy roster may not exist on newer databases
+    }
+  }
+  if (!date) throw httpError('Shift not found', 404);
+
+  const shifts = await loadStaffShifts(db, { dateFrom: date, dateTo: date, staffId });
+  const shift = shifts.find((s) => s.loom_instance_id === loomInstanceId);
+  if (!shift) throw httpError('Staff member is not rostered on this shift', 404);
+  return shift;
+}
+
+/**
+ * Start a timesheet for a rostered shift
+ * @param {Object} input - { staffId, loomInstanceId, actualStart, actualEnd, actualEndNextDay, breaks, breakMinutes, notes }
+ *   (clock-in passes only actualStart, defaulting to now; a manual entry passes the lot)
+ * @param {Pool|Client} db
+ * @returns {Promise<Object>}
+ */
+async function createTimesheet(input = {}, db) {
+  if (!db) {
+    throw new Error('createTimesheet requires a database pool');
+  }
+  const { staffId, loomInstanceId } = input;
+  if (!staffId || !loomInstanceId) {
+    throw httpError('staff_id and loom_instance_id are required', 400);
+  }
+  const shift = await findRosteredShift(db, staffId, loomInstanceId);
+
+  const actualStart = requireTime(input.actualStart, 'actual_start');
+  const actualEnd = input.actualEnd ? requireTime(input.actualEnd, 'actual_end') : null;
+  const nextDay = !!actualEnd && input.actualEndNextDay === true;
+  assertOrder(actualStart, actualEnd, nextDay);
+  const { breaks, minutes } = normaliseBreaks(
+    input.breaks || [],
+    actualStart,
+    actualEnd ? endMinutes(actualEnd, nextDay) : null
+  );
+  const breakMinutes = input.breaks ? minutes : Math.max(0, parseInt(input.breakMinutes, 10) || 0);
+
+  const { rows } = await db.query(`
+    INSERT INTO staff_timesheets (
+      id, staff_id, loom_instance_id, source, shift_date, rostered_start, rostered_end,
+      actual_start, actual_end, actual_end_next_day, breaks, break_minutes, notes
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (staff_id, loom_instance_id) DO NOTHING
+    RETURNING ${TIMESHEET_COLUMNS}
+  `, [
+    uuidv4(), staffId, loomInstanceId, shift.source, shift.date,
+    shift.start_time, shift.end_time, actualStart, actualEnd, nextDay,
+    JSON.stringify(breaks), breakMinutes, input.notes || null
+  ]);
+  if (rows.length === 0) {
+    throw httpError('A timesheet for this shift already exists', 409);
+  }
+  return publishTimesheet(withVariance(rows[0]));
+}
+
+/**
+ * Clock out of an open timesheet (closes a break still running). A time
+ * before clock-in is taken as after midnight unless nextDay says otherwise.
+ * @param {string} id
+ * @param {Object} [input] - { time, nextDay } time default now
+ * @param {Pool|Client} db
+ */
+async function clockOut(id, input = {}, db) {
+  const ts = await loadTimesheet(db, id);
+  if (ts.status !== 'open') throw httpError(`Timesheet is ${ts.status}`, 409);
+  if (ts.actual_end) throw httpError('Already clocked out', 409);
+  const time = requireTime(input.time, 'time');
+  const nextDay = typeof input.nextDay === 'boolean'
+    ? input.nextDay
+    : timeToMinutes(time) < timeToMinutes(ts.actual_start);
+  assertOrder(ts.actual_start, time, nextDay);
+
+  const open = (ts.breaks || []).map((b) => (b.end ? b : { ...b, end: time }));
+  const { breaks, minutes } = normaliseBreaks(open, ts.actual_start, endMinutes(time, nextDay));
+  return saveTimesheet(db, id, { actual_end: time, actual_end_next_day: nextDay, breaks, break_minutes: minutes });
+}
+
+/**
+ * Start or end a break on an open timesheet
+ * @param {string} id
+ * @param {'start'|'end'} action
+ * @param {Object} [input] - { time } default now
+ * @param {Pool|Client} db
+ */
+async function recordBreak(id, action, input = {}, db) {
+  const ts = await loadTimesheet(db, id);
+  if (ts.status !== 'open' || ts.actual_end) throw httpError('Breaks can only be recorded while clocked in', 409);
+  const time = requireTime(input.time, 'time');
+  const current = ts.breaks || [];
+  const running = current.find((b) => !b.end);
+
+  let next;
+  if (action === 'start') {
+    if (running) throw httpError('A break is already running', 409);
+    next = [...current, { start: time, end: null }];
+  } else {
+    if (!running) throw httpError('No break is running', 409);
+    next = current.map((b) => (b === running ? { ...b, end: time } : b));
+  }
+  const { breaks, minutes } = normaliseBreaks(next, ts.actual_start);
+  return saveTimesheet(db, id, { breaks, break_minutes: minutes });
+}
+
+/**
+ * Correct a timesheet before approval (actual times, breaks, notes)
+ * @param {string} id
+ * @param {Object} changes - { actual_start, actual_end, actual_end_next_day, breaks, break_minutes, notes }
+ * @param {Pool|Client} db
+ */
+async function updateTimesheet(id, changes = {}, db) {
+  const ts = await loadTimesheet(db, id);
+  assertEditable(ts);
+
+  const fields = {};
+  ['actual_start', 'actual_end'].forEach((k) => {
+    if (changes[k] === undefined) return;
+    if (changes[k] !== null && !isTime(changes[k])) throw httpError(`${k} must be HH:MM`, 400);
+    fields[k] = changes[k] ? changes[k].slice(0, 5) : null;
+  });
+  if (fields.actual_start === null) throw httpError('actual_start cannot be cleared', 400);
+  if (changes.actual_end_next_day !== undefined) {
+    if (typeof changes.actual_end_next_day !== 'boolean') throw httpError('actual_end_next_day must be true or false', 400);
+    fields.actual_end_next_day = changes.actual_end_next_day;
+  }
+  if (fields.actual_end === null) fields.actual_end_next_day = false;
+  const start = fields.actual_start ?? ts.actual_start;
+  const end = fields.actual_end !== undefined ? fields.actual_end : ts.actual_end;
+  const nextDay = fields.actual_end_next_day ?? ts.actual_end_next_day;
+  assertOrder(start, end, nextDay);
+
+  if (changes.breaks !== undefined) {
+    const { breaks, minutes } = normaliseBreaks(changes.breaks || [], start, end ? endMinutes(end, nextDay) : null);
+    fields.breaks = breaks;
+    fields.break_minutes = minutes;
+  } else if (changes.break_minutes !== undefined) {
+    const minutes = parseInt(changes.break_minutes, 10);
+    if (!Number.isFinite(minutes) || minutes < 0) throw httpError('break_minutes must be 0 or more', 400);
+    fields.breaks = [];
+    fields.break_minutes = minutes;
+  }
+  if (changes.notes !== undefined) fields.notes = changes.notes || null;
+  if (Object.keys(fields).length === 0) throw httpError('No changes supplied', 400);
+
+  return saveTimesheet(db, id, fields);
+}
+
+/**
+ * Submit a completed timesheet for supervisor approval
+ * @param {string} id
+ * @param {Pool|Client} db
+ */
+async function submitTimesheet(id, db) {
+  const ts = await loadTimesheet(db, id);
+  assertEditable(ts);
+  if (ts.status === 'submitted') throw httpError('Timesheet is already submitted', 409);
+  if (!ts.actual_start || !ts.actual_end) throw httpError('Clock out before submitting', 400);
+  if ((ts.breaks || []).some((b) => !b.end)) throw httpError('End the running break before submitting', 400);
+  return saveTimesheet(db, id, { status: 'submitted', rejection_reason: null });
+}
+
+/**
+ * Approve or reject a submitted timesheet
+ * @param {string} id
+ * @param {Object} decision - { action: 'approve'|'reject', reviewedBy, reason }
+ * @param {Pool|Client} db
+ */
+async function reviewTimesheet(id, decision = {}, db) {
+  const { action, reviewedBy, reason } = decision;
+  if (!['approve', 'reject'].includes(action)) throw httpError("action must be 'approve' or 'reject'", 400);
+  if (!reviewedBy) throw httpError('reviewed_by is required', 400);
+  if (action === 'reject' && !reason) throw httpError('A reason is required to reject a timesheet', 400);
+
+  const ts = await loadTimesheet(db, id);
+  if (ts.status !== 'submitted') throw httpError(`Only submitted timesheets can be reviewed (this one is ${ts.status})`, 409);
+
+  return saveTimesheet(db, id, {
+    status: action === 'approve' ? 'approved' : 'rejected',
+    reviewed_by: reviewedBy,
+    reviewed_at: new Date(),
+    rejection_reason: action === 'reject' ? reason : null
+  });
+}
+
+/**
+ * List timesheets with variance against the roster
+ * @param {Object} [filters] - { staffId, dateFrom, dateTo, status, loomInstanceId }
+ * @param {Pool|Client} db
+ * @returns {Promise<Object[]>}
+ */
+async function listTimesheets(filters = {}, db) {
+  if (!db) {
+    throw new Error('listTimesheets requires a database pool');
+  }
+  const clauses = [];
+  const params = [];
+  const add = (sql, value) => { params.push(value); clauses.push(sql.replace('?', `$${params.length}`)); };
+  if (filters.staffId) add('staff_id = ?', filters.staffId);
+  if (filters.loomInstanceId) add('loom_instance_id = ?', filters.loomInstanceId);
+  if (filters.dateFrom) add('shift_date >= ?', filters.dateFrom);
+  if (filters.dateTo) add('shift_date <= ?', filters.dateTo);
+  if (filters.status) {
+    if (!TIMESHEET_STATUSES.includes(filters.status)) {
+      throw httpError(`status must be one of ${TIMESHEET_STATUSES.join(', ')}`, 400);
+    }
+    add('status = ?', filters.status);
+  }
+  const { rows } = await db.query(`
+    SELECT ${TIMESHEET_COLUMNS}
+      FROM staff_timesheets
+     ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY shift_date DESC, rostered_start
+  `, params);
+  return rows.map(withVariance);
+}
+
+/**
+ * One timesheet with variance
+ * @param {string} id
+ * @param {Pool|Client} db
+ */
+async function getTimesheet(id, db) {
+  return withVariance(await loadTimesheet(db, id));
+}
+
+module.exports = {
+  TIMESHEET_STATUSES,
+  createTimesheet,
+  clockOut,
+  recordBreak,
+  updateTimesheet,
+  submitTimesheet,
+  reviewTimesheet,
+  listTimesheets,
+  getTimesheet
+};
@@ -15,6 +15,8 @@ const cors = require('cors');
 const { Pool } = require('pg');
 const uuid = require('uuid');
 const logger = require('./logger');
+const cron = require('node-cron');
+const loomRoller = require('./loomRoller');
 
 // Initialize express app
 const app = express();
@@ -59,6 +61,34 @@ app.locals.pool = pool;
 // Initialize logger with pool
 logger.init({ pool });
 
+// ---------------------------------------------------------------------------
+// Nightly loom window roller (weave new dates, bill them, archive past days)
+//  • LOOM_ROLLER_CRON overrides the schedule (default 00:15 Sydney time)
+//  • LOOM_ROLLER_ENABLED=false disables the schedule; manual runs still work
+// ---------------------------------------------------------------------------
+loomRoller.init({ pool });
+const rollerSchedule = process.env.LOOM_ROLLER_CRON || '15 0 * * *';
+const rollerTimezone = 'Australia/Sydney';
+if (process.env.LOOM_ROLLER_ENABLED !== 'false') {
+  if (cron.validate(rollerSchedule)) {
+    const rollerTask = cron.schedule(
+      rollerSchedule,
+      async () => {
+        try {
+          await loomRoller.runRoller({ trigger: 'schedule' });
+        } catch (err) {
+          console.error('❌ Loom roller run failed:', err.message);
+        }
+      },
+      { timezone: rollerTimezone, name: 'loom-roller', noOverlap: true }
+    );
+    loomRoller.attachTask(rollerTask, { schedule: rollerSchedule, timezone: rollerTimezone });
+    console.log(`✅ Loom roller scheduled (${rollerSchedule} ${rollerTimezone})`);
+  } else {
+    console.warn(`⚠️  Invalid LOOM_ROLLER_CRON "${rollerSchedule}" – loom roller not scheduled`);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Ensure Wizard V2 supporting schema exists (runs once at start-up)
 // ---------------------------------------------------------------------------
@@ -201,6 +231,545 @@ logger.init({ pool });
     await pool.query(placeholdersDDL);
     console.log('✅ Wizard V2 schema verified/updated');
 
+    // ---------------------------------------------------------------------
+    // Staff assignment solver – placeholder link + explanation per pick
+    // ---------------------------------------------------------------------
+    const staffAssignmentDDL = `
+      ALTER TABLE rules_program_staff_placeholders
+        ADD COLUMN IF NOT EXISTS min_schads_level integer NULL;
+      ALTER TABLE loom_staff_assignments
+        ADD COLUMN IF NOT EXISTS placeholder_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS assignment_reason jsonb NULL;
+      -- Placeholders cleared by hand on one instance – the solver leaves them empty
+      CREATE TABLE IF NOT EXISTS loom_staff_slot_holds (
+        loom_instance_id uuid NOT NULL REFERENCES loom_instances(id) ON DELETE CASCADE,
+        placeholder_id uuid NOT NULL,
+        reason jsonb NULL,
+        created_at timestamptz DEFAULT now(),
+        PRIMARY KEY (loom_instance_id, placeholder_id)
+      );
+    `;
+
+    await pool.query(staffAssignmentDDL);
+    console.log('✅ Staff assignment columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // Vehicle allocator – placeholder link + explanation per pick
+    // ---------------------------------------------------------------------
+    const vehicleAssignmentDDL = `
+      ALTER TABLE rules_program_vehicle_placeholders
+        ADD COLUMN IF NOT EXISTS pc_participant_ids uuid[] DEFAULT '{}'::uuid[];
+      ALTER TABLE loom_vehicle_assignments
+        ADD COLUMN IF NOT EXISTS placeholder_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS assignment_reason jsonb NULL;
+    `;
+
+    await pool.query(vehicleAssignmentDDL);
+    console.log('✅ Vehicle assignment columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // Vehicle routes – ordered stops + ETAs per pickup/dropoff run
+    // ---------------------------------------------------------------------
+    const vehicleRoutesDDL = `
+      ALTER TABLE vehicles
+        ADD COLUMN IF NOT EXISTS base_address text,
+        ADD COLUMN IF NOT EXISTS base_suburb varchar(100);
+      ALTER TABLE venues
+        ADD COLUMN IF NOT EXISTS include_in_transport boolean DEFAULT false;
+
+      CREATE TABLE IF NOT EXISTS loom_vehicle_routes (
+        id uuid PRIMARY KEY,
+        loom_instance_id uuid NOT NULL REFERENCES loom_instances(id) ON DELETE CASCADE,
+        vehicle_id uuid NOT NULL,
+        run_type text NOT NULL CHECK (run_type IN ('pickup','dropoff')),
+        card_order integer,
+        provider text NOT NULL,
+        stops jsonb NOT NULL DEFAULT '[]'::jsonb,
+        total_distance_km numeric(8,2),
+        total_minutes integer,
+        departs_at time,
+        arrives_at time,
+        created_at timestamptz DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_loom_vehicle_routes_instance
+        ON loom_vehicle_routes (loom_instance_id);
+    `;
+
+    await pool.query(vehicleRoutesDDL);
+    console.log('✅ Vehicle routes table verified/created');
+
+    // ---------------------------------------------------------------------
+    // PRODA bulk payment requests – batches + per-line export stamp
+    // ---------------------------------------------------------------------
+    const prodaExportDDL = `
+      CREATE TABLE IF NOT EXISTS proda_export_batches (
+        id uuid PRIMARY KEY,
+        date_from date NOT NULL,
+        date_to date NOT NULL,
+        line_count integer NOT NULL DEFAULT 0,
+        total_amount numeric(12,2) NOT NULL DEFAULT 0,
+        file_name text NOT NULL,
+        csv text NOT NULL,
+        rejected jsonb NOT NULL DEFAULT '[]'::jsonb,
+        created_at timestamptz DEFAULT now()
+      );
+      ALTER TABLE payment_diamonds
+        ADD COLUMN IF NOT EXISTS proda_batch_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS proda_exported_at timestamptz NULL,
+        ADD COLUMN IF NOT EXISTS claim_reference text NULL;
+    `;
+
+    await pool.query(prodaExportDDL);
+    console.log('✅ PRODA export columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // Invoices – plan/self-managed billing grouped per participant per period
+    // ---------------------------------------------------------------------
+    const invoicesDDL = `
+      CREATE SEQUENCE IF NOT EXISTS invoice_number_seq;
+      ALTER TABLE participants
+        ADD COLUMN IF NOT EXISTS invoices_email text NULL;
+
+      CREATE TABLE IF NOT EXISTS invoices (
+        id uuid PRIMARY KEY,
+        invoice_number text NOT NULL UNIQUE,
+        participant_id uuid NOT NULL REFERENCES participants(id),
+        period_start date NOT NULL,
+        period_end date NOT NULL,
+        status text NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft','issued','paid','void')),
+        subtotal numeric(12,2) NOT NULL DEFAULT 0,
+        gst_total numeric(12,2) NOT NULL DEFAULT 0,
+        total numeric(12,2) NOT NULL DEFAULT 0,
+        bill_to jsonb NOT NULL DEFAULT '{}'::jsonb,
+        participant_snapshot jsonb NOT NULL DEFAULT '{}'::jsonb,
+        org_snapshot jsonb NOT NULL DEFAULT '{}'::jsonb,
+        issued_at timestamptz NULL,
+        due_date date NULL,
+        paid_at timestamptz NULL,
+        voided_at timestamptz NULL,
+        void_reason text NULL,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_invoices_participant ON invoices (participant_id);
+      CREATE INDEX IF NOT EXISTS idx_invoices_period ON invoices (period_start, period_end);
+
+      CREATE TABLE IF NOT EXISTS invoice_lines (
+        id uuid PRIMARY KEY,
+        invoice_id uuid NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        payment_diamond_id uuid NOT NULL,
+        service_date date NOT NULL,
+        support_item_number text NOT NULL,
+        description text NULL,
+        quantity numeric(8,2) NOT NULL DEFAULT 0,
+        unit_price numeric(10,2) NOT NULL DEFAULT 0,
+        gst_code text NULL,
+        gst_amount numeric(10,2) NOT NULL DEFAULT 0,
+        line_total numeric(10,2) NOT NULL DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_lines (invoice_id);
+      CREATE INDEX IF NOT EXISTS idx_invoice_lines_diamond ON invoice_lines (payment_diamond_id);
+    `;
+
+    await pool.query(invoicesDDL);
+    console.log('✅ Invoices tables verified/created');
+
+    // ---------------------------------------------------------------------
+    // Billing line lifecycle – draft → ready → exported/claimed → paid/rejected
+    // Lines past ready are locked; corrections add reversal/replacement lines
+    // ---------------------------------------------------------------------
+    const billingLifecycleDDL = `
+      -- The lock trigger below compares program_id and hours, so they must exist first
+      ALTER TABLE payment_diamonds
+        ADD COLUMN IF NOT EXISTS program_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS hours numeric(6,2) NULL,
+        ADD COLUMN IF NOT EXISTS reverses_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS replaces_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS corrected_by_id uuid NULL;
+
+      CREATE TABLE IF NOT EXISTS payment_diamond_audit (
+        id uuid PRIMARY KEY,
+        payment_diamond_id uuid NOT NULL,
+        action text NOT NULL,
+        from_status text NULL,
+        to_status text NULL,
+        reason text NULL,
+        source text NULL,
+        details jsonb NOT NULL DEFAULT '{}'::jsonb,
+        created_at timestamptz DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_payment_diamond_audit_line
+        ON payment_diamond_audit (payment_diamond_id, created_at);
+
+      -- Map legacy statuses (pending/completed/...) onto the lifecycle
+      UPDATE payment_diamonds pd
+         SET status = CASE
+               WHEN pd.proda_exported_at IS NOT NULL THEN 'exported'
+               WHEN inv.status = 'paid' THEN 'paid'
+               WHEN inv.status = 'issued' THEN 'claimed'
+               WHEN pd.status = 'completed' THEN 'ready'
+               WHEN pd.status IN ('invoiced', 'billed') THEN 'claimed'
+               WHEN pd.status = 'cancelled' THEN 'rejected'
+               ELSE 'draft'
+             END
+        FROM payment_diamonds src
+        LEFT JOIN LATERAL (
+          SELECT i.status FROM invoice_lines il
+            JOIN invoices i ON i.id = il.invoice_id
+           WHERE il.payment_diamond_id = src.id AND i.status IN ('issued', 'paid')
+           ORDER BY i.created_at DESC
+           LIMIT 1
+        ) inv ON true
+       WHERE src.id = pd.id
+         AND (pd.status IS NULL
+              OR pd.status NOT IN ('draft','ready','exported','claimed','paid','rejected'));
+
+      ALTER TABLE payment_diamonds ALTER COLUMN status SET DEFAULT 'draft';
+
+      CREATE OR REPLACE FUNCTION guard_locked_payment_diamonds()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          IF OLD.status IN ('exported','claimed','paid','rejected') THEN
+            RAISE EXCEPTION 'Billing line % is % and cannot be deleted', OLD.id, OLD.status
+              USING ERRCODE = 'check_violation';
+          END IF;
+          RETURN OLD;
+        END IF;
+        IF OLD.status IN ('exported','claimed','paid','rejected') THEN
+          IF NEW.status IN ('draft','ready') THEN
+            RAISE EXCEPTION 'Billing line % is % and cannot return to %', OLD.id, OLD.status, NEW.status
+              USING ERRCODE = 'check_violation';
+          END IF;
+          IF (NEW.participant_id, NEW.program_id, NEW.support_item_number, NEW.unit_price,
+              NEW.quantity, NEW.hours, NEW.total_amount, NEW.gst_code, NEW.invoice_date)
+             IS DISTINCT FROM
+             (OLD.participant_id, OLD.program_id, OLD.support_item_number, OLD.unit_price,
+              OLD.quantity, OLD.hours, OLD.total_amount, OLD.gst_code, OLD.invoice_date) THEN
+            RAISE EXCEPTION 'Billing line % is % and locked; correct it instead', OLD.id, OLD.status
+              USING ERRCODE = 'check_violation';
+          END IF;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS guard_locked_payment_diamonds ON payment_diamonds;
+      CREATE TRIGGER guard_locked_payment_diamonds
+      BEFORE UPDATE OR DELETE ON payment_diamonds
+      FOR EACH ROW EXECUTE FUNCTION guard_locked_payment_diamonds();
+    `;
+
+    await pool.query(billingLifecycleDDL);
+    console.log('✅ Billing lifecycle columns, audit table and lock trigger verified/created');
+
+    // ---------------------------------------------------------------------
+    // Attendance-driven billing – lines remember their loom instance and
+    // short-notice cancellations carry NDIA claim type / reason
+    // ---------------------------------------------------------------------
+    const attendanceBillingDDL = `
+      ALTER TABLE payment_diamonds
+        ADD COLUMN IF NOT EXISTS loom_instance_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS claim_type text NULL,
+        ADD COLUMN IF NOT EXISTS cancellation_reason text NULL;
+      CREATE INDEX IF NOT EXISTS idx_payment_diamonds_instance
+        ON payment_diamonds (loom_instance_id);
+
+      -- Link previously generated lines to the instance they were billed from
+      UPDATE payment_diamonds pd
+         SET loom_instance_id = li.id
+        FROM loom_instances li
+       WHERE pd.loom_instance_id IS NULL
+         AND pd.history_shift_id IS NULL
+         AND li.source_rule_id = pd.program_id
+         AND li.instance_date = pd.invoice_date;
+    `;
+
+    await pool.query(attendanceBillingDDL);
+    console.log('✅ Attendance billing columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // Ratio-aware pricing – the ratio a line was priced at and why
+    // (participants attending / staff rostered / rate column used)
+    // ---------------------------------------------------------------------
+    await pool.query(`
+      ALTER TABLE payment_diamonds
+        ADD COLUMN IF NOT EXISTS ratio_label text NULL,
+        ADD COLUMN IF NOT EXISTS pricing_basis jsonb NULL;
+    `);
+    console.log('✅ Billing ratio columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // Billing rate versions – one row per price-guide version of a code,
+    // in force effective_from → effective_to (NULL = open-ended)
+    // ---------------------------------------------------------------------
+    await pool.query(`
+      DO $$ BEGIN
+        -- billing_rates may not exist until the finance routes create it
+        IF to_regclass('public.billing_rates') IS NOT NULL THEN
+          ALTER TABLE billing_rates
+            ADD COLUMN IF NOT EXISTS effective_from date NULL,
+            ADD COLUMN IF NOT EXISTS effective_to date NULL;
+          CREATE INDEX IF NOT EXISTS idx_billing_rates_code_effective
+            ON billing_rates (code, effective_from);
+        END IF;
+      END $$;
+    `);
+    console.log('✅ Billing rate version columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // NDIS Support Catalogue attributes on billing_rates – unit, per-state
+    // price caps and claim flags (see routes/util_ndisCatalogue.js)
+    // ---------------------------------------------------------------------
+    await pool.query(`
+      DO $$ BEGIN
+        IF to_regclass('public.billing_rates') IS NOT NULL THEN
+          ALTER TABLE billing_rates
+            ADD COLUMN IF NOT EXISTS unit text NULL,
+            ADD COLUMN IF NOT EXISTS price_caps jsonb NULL,
+            ADD COLUMN IF NOT EXISTS registration_group text NULL,
+            ADD COLUMN IF NOT EXISTS support_category text NULL,
+            ADD COLUMN IF NOT EXISTS support_type text NULL,
+            ADD COLUMN IF NOT EXISTS quote_required boolean NULL,
+            ADD COLUMN IF NOT EXISTS short_notice_cancellation boolean NULL,
+            ADD COLUMN IF NOT EXISTS ttp_eligible boolean NULL,
+            ADD COLUMN IF NOT EXISTS non_face_to_face boolean NULL,
+            ADD COLUMN IF NOT EXISTS provider_travel boolean NULL,
+            ADD COLUMN IF NOT EXISTS ndia_reports boolean NULL,
+            ADD COLUMN IF NOT EXISTS irregular_sil boolean NULL;
+        END IF;
+      END $$;
+    `);
+    console.log('✅ Billing rate catalogue columns verified/created');
+
+    // ---------------------------------------------------------------------
+    // Participant cancellations – notice, reason, who cancelled and the
+    // short-notice billing decision (see routes/util_cancellations.js)
+    // ---------------------------------------------------------------------
+    const cancellationsDDL = `
+      CREATE TABLE IF NOT EXISTS participant_cancellations (
+        id uuid PRIMARY KEY,
+        loom_instance_id uuid NOT NULL,
+        participant_id uuid NOT NULL,
+        program_id uuid NULL,
+        service_date date NOT NULL,
+        notified_at timestamptz NOT NULL,
+        notice_clear_days integer NOT NULL,
+        notice_hours numeric(8,2) NULL,
+        reason_code text NOT NULL DEFAULT 'NSDO',
+        reason text NULL,
+        cancelled_by text NOT NULL,
+        cancelled_by_type text NOT NULL DEFAULT 'participant',
+        billable boolean NOT NULL DEFAULT false,
+        charge_percent numeric(5,2) NOT NULL DEFAULT 0,
+        policy jsonb NOT NULL DEFAULT '{}'::jsonb,
+        status text NOT NULL DEFAULT 'active'
+          CHECK (status IN ('active', 'withdrawn')),
+        change_log_id uuid NULL,
+        intention_id uuid NULL,
+        withdrawn_at timestamptz NULL,
+        withdrawn_reason text NULL,
+        created_at timestamptz DEFAULT now()
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_participant_cancellations_active
+        ON participant_cancellations (loom_instance_id, participant_id)
+        WHERE status = 'active';
+      CREATE INDEX IF NOT EXISTS idx_participant_cancellations_participant
+        ON participant_cancellations (participant_id, service_date);
+    `;
+
+    await pool.query(cancellationsDDL);
+    console.log('✅ Participant cancellations table verified/created');
+
+    // ---------------------------------------------------------------------
+    // Public holidays – per state (or NATIONAL), manual or ICS-imported;
+    // templates choose to run or skip on them (routes/util_publicHolidays.js)
+    // ---------------------------------------------------------------------
+    const holidaysDDL = `
+      CREATE TABLE IF NOT EXISTS public_holidays (
+        id uuid PRIMARY KEY,
+        holiday_date date NOT NULL,
+        state text NOT NULL DEFAULT 'NATIONAL',
+        name text NOT NULL,
+        source text NOT NULL DEFAULT 'manual'
+          CHECK (source IN ('manual', 'ics')),
+        external_uid text NULL,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        UNIQUE (holiday_date, state)
+      );
+      ALTER TABLE rules_programs
+        ADD COLUMN IF NOT EXISTS holiday_behaviour text NOT NULL DEFAULT 'run';
+      DO $$ BEGIN
+        IF to_regclass('public.billing_rates') IS NOT NULL THEN
+          ALTER TABLE billing_rates
+            ADD COLUMN IF NOT EXISTS public_holiday_code text NULL;
+        END IF;
+      END $$;
+    `;
+
+    await pool.query(holidaysDDL);
+    console.log('✅ Public holidays table verified/created');
+
+    // ---------------------------------------------------------------------
+    // Timesheets – actual times worked against a rostered shift
+    // ---------------------------------------------------------------------
+    const timesheetsDDL = `
+      CREATE TABLE IF NOT EXISTS staff_timesheets (
+        id uuid PRIMARY KEY,
+        staff_id uuid NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+        loom_instance_id uuid NOT NULL,
+        source text NOT NULL DEFAULT 'loom'
+          CHECK (source IN ('loom', 'legacy')),
+        shift_date date NOT NULL,
+        rostered_start time NOT NULL,
+        rostered_end time NOT NULL,
+        actual_start time NOT NULL,
+        actual_end time NULL,
+        breaks jsonb NOT NULL DEFAULT '[]'::jsonb,
+        break_minutes integer NOT NULL DEFAULT 0,
+        status text NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'submitted', 'approved', 'rejected')),
+        notes text NULL,
+        reviewed_by text NULL,
+        reviewed_at timestamptz NULL,
+        rejection_reason text NULL,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        UNIQUE (staff_id, loom_instance_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_staff_timesheets_date
+        ON staff_timesheets (shift_date, status);
+      ALTER TABLE staff_timesheets
+        ADD COLUMN IF NOT EXISTS actual_end_next_day boolean NOT NULL DEFAULT false;
+    `;
+
+    await pool.query(timesheetsDDL);
+    console.log('✅ Staff timesheets table verified/created');
+
+    // ---------------------------------------------------------------------
+    // Payroll export batches – one row per file sent to payroll
+    // ---------------------------------------------------------------------
+    const payrollExportDDL = `
+      CREATE TABLE IF NOT EXISTS payroll_export_batches (
+        id uuid PRIMARY KEY,
+        date_from date NOT NULL,
+        date_to date NOT NULL,
+        layout text NOT NULL,
+        employee_count integer NOT NULL DEFAULT 0,
+        line_count integer NOT NULL DEFAULT 0,
+        total_amount numeric(12,2) NOT NULL DEFAULT 0,
+        file_name text NOT NULL,
+        csv text NOT NULL,
+        held_back jsonb NOT NULL DEFAULT '[]'::jsonb,
+        created_at timestamptz DEFAULT now()
+      );
+      ALTER TABLE staff_timesheets
+        ADD COLUMN IF NOT EXISTS payroll_batch_id uuid NULL,
+        ADD COLUMN IF NOT EXISTS payroll_exported_at timestamptz NULL;
+      -- What each batch paid: 'shift:<loom_instance_id>' / 'allowance:<date>:<type>'
+      CREATE TABLE IF NOT EXISTS payroll_export_items (
+        batch_id uuid NOT NULL REFERENCES payroll_export_batches(id) ON DELETE CASCADE,
+        staff_id uuid NOT NULL,
+        item_key text NOT NULL,
+        work_date date NOT NULL,
+        PRIMARY KEY (staff_id, item_key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_payroll_export_items_date
+        ON payroll_export_items (work_date);
+    `;
+
+    await pool.query(payrollExportDDL);
+    console.log('✅ Payroll export batches verified/created');
+
+    // ---------------------------------------------------------------------
+    // Open shift offers – unfilled placeholders offered to eligible staff
+    // ---------------------------------------------------------------------
+    const openShiftsDDL = `
+      CREATE TABLE IF NOT EXISTS open_shift_offers (
+        id uuid PRIMARY KEY,
+        loom_instance_id uuid NOT NULL REFERENCES loom_instances(id) ON DELETE CASCADE,
+        placeholder_id uuid NOT NULL,
+        staff_id uuid NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+        status text NOT NULL DEFAULT 'offered'
+          CHECK (status IN ('offered', 'accepted', 'declined', 'filled')),
+        delivery_transport text NULL,
+        delivery_error text NULL,
+        offered_at timestamptz DEFAULT now(),
+        responded_at timestamptz NULL,
+        response_note text NULL,
+        UNIQUE (loom_instance_id, placeholder_id, staff_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_open_shift_offers_staff
+        ON open_shift_offers (staff_id, status);
+    `;
+
+    await pool.query(openShiftsDDL);
+    console.log('✅ Open shift offers table verified/created');
+
+    // ---------------------------------------------------------------------
+    // Card attendance – per-participant check-in / check-out on dashboard
+    // cards (keyed by card type + order: rethreads rewrite card ids)
+    // ---------------------------------------------------------------------
+    const cardAttendanceDDL = `
+      CREATE TABLE IF NOT EXISTS loom_card_attendance (
+        id uuid PRIMARY KEY,
+        loom_instance_id uuid NOT NULL REFERENCES loom_instances(id) ON DELETE CASCADE,
+        card_type text NOT NULL,
+        card_order integer NOT NULL DEFAULT 0,
+        participant_id uuid NOT NULL,
+        status text NOT NULL DEFAULT 'present'
+          CHECK (status IN ('present', 'absent')),
+        checked_in_at timestamptz NULL,
+        checked_out_at timestamptz NULL,
+        recorded_by text NULL,
+        notes text NULL,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now(),
+        UNIQUE (loom_instance_id, card_type, card_order, participant_id)
+      );
+      CREATE TABLE IF NOT EXISTS participant_incidents (
+        id uuid PRIMARY KEY,
+        participant_id uuid NOT NULL,
+        loom_instance_id uuid NULL REFERENCES loom_instances(id) ON DELETE SET NULL,
+        incident_type text NOT NULL,
+        description text NOT NULL,
+        status text NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'resolved')),
+        source text NOT NULL DEFAULT 'attendance',
+        recorded_by text NULL,
+        created_at timestamptz DEFAULT now(),
+        resolved_at timestamptz NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_participant_incidents_instance
+        ON participant_incidents (loom_instance_id, incident_type);
+    `;
+
+    await pool.query(cardAttendanceDDL);
+    console.log('✅ Card attendance and participant incidents verified/created');
+
+    // ---------------------------------------------------------------------
+    // Calendar exceptions – metadata carries staff/vehicle swap details
+    // ---------------------------------------------------------------------
+    await pool.query(
+      'ALTER TABLE rules_program_exceptions ADD COLUMN IF NOT EXISTS metadata jsonb;'
+    );
+    console.log('✅ Program exceptions metadata column verified/created');
+
+    // ---------------------------------------------------------------------
+    // Cancelled instances – kept (attendance, timesheets, billing still point
+    // at them) but flagged so loaders skip them
+    // ---------------------------------------------------------------------
+    const instanceCancellationDDL = `
+      ALTER TABLE loom_instances
+        ADD COLUMN IF NOT EXISTS cancelled_at timestamptz NULL,
+        ADD COLUMN IF NOT EXISTS cancel_reason text NULL;
+    `;
+
+    await pool.query(instanceCancellationDDL);
+    console.log('✅ Loom instance cancellation columns verified/created');
+
     // ---------------------------------------------------------------------
     // Venues – facilities & features columns for rich checkbox UI
     // ---------------------------------------------------------------------
@@ -373,7 +942,8 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-app.use(express.json());
+// Raised limit: the NDIS Support Catalogue import posts the whole sheet
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
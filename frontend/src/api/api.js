@@ -192,17 +192,23 @@ export const generateBillingCsv = (startDate, endDate) => {
  * ------------------------------------------------------------------------ */
 
 /**
- * Creates a cancellation record for a participant for a specific program instance.
- * @param {Object} cancellationData - An object containing
- *   participantId, programInstanceId and the cancellation
- *   type (`'normal'` or `'short_notice'`).
+ * Records a participant cancellation against a loom instance. The backend
+ * decides whether it is a billable short-notice cancellation and raises the
+ * CANC billing line, change_log entry and intention.
+ * @param {Object} cancellationData - loom_instance_id, participant_id,
+ *   cancelled_by and optionally notified_at, cancelled_by_type, reason_code
+ *   (NSDH/NSDF/NSDT/NSDO), reason and dry_run (preview the decision only).
  * @returns {Promise<Object>} The backend response.
  *
  * Example payload:
  * {
- *   participantId: 12,
- *   programInstanceId: 345,
- *   type: 'short_notice' // or 'normal'
+ *   loom_instance_id: 'b1f3…',
+ *   participant_id: '9c2e…',
+ *   notified_at: '2025-08-04T16:30:00+10:00',
+ *   cancelled_by: 'Jane (mother)',
+ *   cancelled_by_type: 'family',
+ *   reason_code: 'NSDH',
+ *   reason: 'Unwell'
  * }
  */
 export const createCancellation = async (cancellationData) => {
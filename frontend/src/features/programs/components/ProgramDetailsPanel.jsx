@@ -19,6 +19,7 @@ const ProgramDetailsPanel = (props) => {
     anchorDate, setAnchorDate,
     recurrencePattern, setRecurrencePattern,
     programType, setProgramType,        // NEW
+    holidayBehaviour, setHolidayBehaviour,
     venueId, setVenueId,
     venues = [],
     showNewVenueForm, setShowNewVenueForm,
@@ -89,6 +90,21 @@ const ProgramDetailsPanel = (props) => {
               </select>
             </div>
 
+            {setHolidayBehaviour && (
+              <div className="form-group">
+                <label htmlFor="holidayBehaviour">Public Holidays</label>
+                <select
+                  id="holidayBehaviour"
+                  value={holidayBehaviour || 'run'}
+                  onChange={(e) => setHolidayBehaviour(e.target.value)}
+                  className="form-control"
+                >
+                  <option value="run">Runs on public holidays</option>
+                  <option value="skip">Skipped on public holidays</option>
+                </select>
+              </div>
+            )}
+
             <div className="form-group">
               <label htmlFor="venueId">Venue</label>
               {!showNewVenueForm ? (
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE || '/api/v1';
+
+/**
+ * Subscribe to backend domain events (GET /events/stream, Server-Sent Events).
+ *
+ * Bursts are batched: `onEvents` receives every event that arrived within
+ * `debounceMs`, so a rethread of fourteen days triggers one refetch rather
+ * than fourteen. Reconnects after 5 seconds if the stream drops, asking the
+ * server to replay anything after the last event seen.
+ *
+ * @param {string[]} topics - e.g. ['instance', 'staff.swapped'] (prefixes match)
+ * @param {Function} onEvents - (events) => void
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=500]
+ * @param {boolean} [options.enabled=true]
+ */
+const useEventStream = (topics, onEvents, { debounceMs = 500, enabled = true } = {}) => {
+  // Latest handler without reopening the stream on every render
+  const handlerRef = useRef(onEvents);
+  handlerRef.current = onEvents;
+  const topicKey = topics.join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let source = null;
+    let retryTimer = null;
+    let flushTimer = null;
+    let pending = [];
+    let lastEventId = null;
+    let closed = false;
+
+    const flush = () => {
+      flushTimer = null;
+      const batch = pending;
+      pending = [];
+      if (batch.length > 0) handlerRef.current(batch);
+    };
+
+    const connect = () => {
+      const params = new URLSearchParams({ topics: topicKey });
+      if (lastEventId) params.set('lastEventId', lastEventId);
+      source = new EventSource(`${API_BASE_URL}/events/stream?${params}`);
+
+      source.onmessage = (message) => {
+        try {
+          if (message.lastEventId) lastEventId = message.lastEventId;
+          pending.push(JSON.parse(message.data));
+          if (!flushTimer) flushTimer = setTimeout(flush, debounceMs);
+        } catch (err) {
+          console.error('Error processing domain event:', err);
+        }
+      };
+
+      source.onerror = () => {
+        source.close();
+        source = null;
+        if (!closed) retryTimer = setTimeout(connect, 5000);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      if (source) source.close();
+      clearTimeout(retryTimer);
+      clearTimeout(flushTimer);
+    };
+  }, [topicKey, debounceMs, enabled]);
+};
+
+export default useEventStream;
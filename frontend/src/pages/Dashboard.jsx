@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import api from '../api/api';
+import useEventStream from '../hooks/useEventStream';
+import CardAttendance from './dashboard/components/CardAttendance';
 import { format, parseISO, isBefore, isAfter } from 'date-fns';
 import { 
   FiCalendar, 
@@ -12,6 +14,7 @@ import {
   FiRefreshCw,
   FiPlusCircle,
   FiChevronRight,
+  FiChevronDown,
   FiMail
 } from 'react-icons/fi';
 
@@ -20,6 +23,9 @@ const Dashboard = () => {
   const [currentDate] = useState(new Date());
   const formattedDate = format(currentDate, 'yyyy-MM-dd');
   const [imageError, setImageError] = useState(false);
+  // Card whose attendance panel is open
+  const [expandedCardId, setExpandedCardId] = useState(null);
+  const queryClient = useQueryClient();
   
   // Fetch today's time slots for the dashboard
   const { 
@@ -36,11 +42,25 @@ const Dashboard = () => {
       return response.data;
     },
     {
-      refetchInterval: 60000, // Refresh every minute
-      staleTime: 30000
+      staleTime: 30000,
+      // Slow poll in case a change reaches the database without an event
+      refetchInterval: 5 * 60 * 1000
     }
   );
   
+  // Live updates: refetch cards when a coordinator changes today's schedule
+  useEventStream(['instance', 'card', 'staff', 'attendance', 'timesheet'], (events) => {
+    const touchesToday = events.some(({ data = {} }) => {
+      if (data.date) return String(data.date).slice(0, 10) === formattedDate;
+      if (data.dates) return data.dates.includes(formattedDate);
+      return true;
+    });
+    if (touchesToday) refetchCards();
+    if (events.some((e) => e.topic === 'attendance.recorded')) {
+      queryClient.invalidateQueries('cardAttendance');
+    }
+  });
+  
   // Fetch organization settings
   const {
     data: orgSettings,
@@ -96,6 +116,23 @@ const Dashboard = () => {
     }
   );
   
+  // Fetch NDIS plans that are overspent or forecast to run out early
+  const {
+    data: budgetAlerts,
+    refetch: refetchBudgetAlerts
+  } = useQuery(
+    ['budgetAlerts', formattedDate],
+    async () => {
+      const response = await api.get('/dashboard/budget-alerts', {
+        params: { date: formattedDate }
+      });
+      return response.data?.data || [];
+    },
+    {
+      staleTime: 300000 // 5 minutes
+    }
+  );
+  
   // Determine if system is online
   const isSystemOnline = !systemHealthError && isHealthy(systemHealth);
   
@@ -160,6 +197,7 @@ const Dashboard = () => {
     refetchCards();
     refetchSystemHealth();
     refetchOrgSettings();
+    refetchBudgetAlerts();
     // Metrics & alerts disabled
   };
   
@@ -168,6 +206,7 @@ const Dashboard = () => {
     if (!slot) return null;
     
     const slotType = (slot.card_type || 'event').toLowerCase();
+    const expanded = expandedCardId === slot.id;
     const iconMap = {
       pickup: <FiTruck className="card-icon pickup" />,
       event: <FiCalendar className="card-icon event" />,
@@ -207,9 +246,13 @@ const Dashboard = () => {
             </div>
           )}
         </div>
+        {expanded && <CardAttendance card={slot} />}
         <div className="card-footer">
-          <button className="btn-link">
-            View Details <FiChevronRight />
+          <button
+            className="btn-link"
+            onClick={() => setExpandedCardId(expanded ? null : slot.id)}
+          >
+            {expanded ? 'Hide Attendance' : 'Attendance'} {expanded ? <FiChevronDown /> : <FiChevronRight />}
           </button>
         </div>
       </div>
@@ -382,7 +425,35 @@ const Dashboard = () => {
         )}
       </section>
       
-      {/* KPI Overview and Alerts sections hidden until endpoints exist */}
+      {/* KPI Overview hidden until endpoints exist */}
+      
+      {/* Plan Budget Alerts */}
+      {budgetAlerts?.length > 0 && (
+        <section className="dashboard-section mb-4">
+          <div className="section-header">
+            <h3>
+              <FiAlertCircle /> Plan Budget Alerts
+            </h3>
+          </div>
+          
+          <div className="budget-alerts-list">
+            {budgetAlerts.map(alert => (
+              <div key={alert.participant_id} className={`glass-card budget-alert ${alert.status}`}>
+                <div className="budget-alert-name">{alert.participant_name}</div>
+                <div className="budget-alert-detail">
+                  ${alert.spent.toFixed(2)} of ${alert.budget.toFixed(2)} used ({alert.utilisation_percent}%)
+                  {' · '}plan {alert.elapsed_percent}% elapsed
+                </div>
+                <div className="budget-alert-detail">
+                  {alert.status === 'overspent'
+                    ? `Overspent by $${(alert.spent - alert.budget).toFixed(2)}`
+                    : `Forecast to run out ${format(parseISO(alert.run_out_date), 'd MMM yyyy')} – plan ends ${format(parseISO(alert.plan_end), 'd MMM yyyy')}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
       
       {/* Quick Actions */}
       <section className="dashboard-section mb-4">
@@ -3,13 +3,15 @@ import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { toast } from 'react-toastify';
 import api from '../api/api';
 import { format, startOfMonth, endOfMonth, addMonths, subMonths, parseISO } from 'date-fns';
-import { FiDollarSign, FiFileText, FiBarChart2, FiPieChart, FiClipboard, FiPlusCircle, FiUpload, FiCheckCircle, FiX, FiPlus, FiCheck } from 'react-icons/fi';
+import { FiDollarSign, FiFileText, FiBarChart2, FiPieChart, FiClipboard, FiPlusCircle, FiX, FiPlus, FiCheck } from 'react-icons/fi';
 import * as XLSX from 'xlsx';
 
 import BillingTab from './finance/tabs/BillingTab';
 import RatesTab from './finance/tabs/RatesTab';
 import ReportsTab from './finance/tabs/ReportsTab';
 import InvoicesTab from './finance/tabs/InvoicesTab';
+import RateImportPanel from './finance/components/RateImportPanel';
+import CatalogueImportPanel from './finance/components/CatalogueImportPanel';
 import BillingModal from './finance/modals/BillingModal';
 import RateModal from './finance/modals/RateModal';
 import ExportModal from './finance/modals/ExportModal';
@@ -233,9 +235,7 @@ const Finance = () => {
 
   // Import state
   const [isImportOpen, setIsImportOpen] = useState(false);
-  const [importCsvText, setImportCsvText] = useState('');
-  const [importDryRun, setImportDryRun] = useState(true);
-  const [importResult, setImportResult] = useState(null);
+  const [isCatalogueOpen, setIsCatalogueOpen] = useState(false);
 
   const [exportOptions, setExportOptions] = useState({
     format: 'csv',
@@ -325,7 +325,13 @@ const Finance = () => {
 
   const deleteBillingMutation = useMutation(
     async (billingId) => (await api.delete(`/finance/billing/${billingId}`)).data,
-    { onSuccess: () => queryClient.invalidateQueries(['billingData']) }
+    { onSuccess: () => queryClient.invalidateQueries(['billingData']), onError: (error) => toast.error(error.response?.data?.error || error.message) }
+  );
+
+  // Locked (exported/claimed) lines are corrected with a reversal + replacement
+  const correctBillingMutation = useMutation(
+    async ({ billingId, billing }) => (await api.post(`/finance/billing/${billingId}/correct`, billing)).data,
+    { onSuccess: () => { queryClient.invalidateQueries(['billingData']); setIsBillingModalOpen(false); toast.success('Correction created'); }, onError: (error) => toast.error(error.response?.data?.error || error.message) }
   );
 
   // Updated rate mutations to use api client
@@ -440,31 +446,6 @@ const Finance = () => {
     }
   );
 
-  // Import mutations
-  const importDryRunMutation = useMutation(
-    async (csvText) => (await api.post('/finance/rates/import?dryRun=true', { csvText })).data,
-    { 
-      onSuccess: (data) => { 
-        setImportResult(data);
-      } 
-    }
-  );
-
-  const importCommitMutation = useMutation(
-    async (csvText) => (await api.post('/finance/rates/import?dryRun=false', { csvText })).data,
-    { 
-      onSuccess: (data) => { 
-        setImportResult(data);
-        queryClient.invalidateQueries(['billingRates']);
-        if (!data.dryRun) {
-          setImportCsvText('');
-          setIsImportOpen(false);
-          toast.success('Rates imported successfully');
-        }
-      } 
-    }
-  );
-
   // Updated export mutation with file download handling
   const exportBillingMutation = useMutation(
     async (payload) => (await api.post('/finance/export', payload)).data,
@@ -496,6 +477,66 @@ const Finance = () => {
     }
   );
 
+  // PRODA bulk payment request – server builds the CSV and marks lines exported
+  const prodaExportMutation = useMutation(
+    async (payload) => (await api.post('/finance/export/proda', payload)).data,
+    {
+      onSuccess: (response) => {
+        const result = response.data || {};
+        setIsExportModalOpen(false);
+        if (result.exportedCount > 0) {
+          downloadFile(result.csv, result.fileName, 'text/csv');
+          queryClient.invalidateQueries(['billingData']);
+        }
+        if (result.rejected && result.rejected.length > 0) {
+          console.warn('PRODA rejected lines:', result.rejected);
+          toast.warn(`${result.rejected.length} line(s) rejected – see system logs for reasons`);
+        }
+        toast.success(response.message || 'PRODA export completed');
+      },
+      onError: (error) => {
+        console.error('PRODA export error:', error);
+        toast.error('Failed to export PRODA file: ' + (error.response?.data?.message || error.message));
+      }
+    }
+  );
+
+  // Payroll file from SCHADS-costed shifts – dry run previews, export downloads
+  const [payrollPreview, setPayrollPreview] = useState(null);
+  const payrollExportMutation = useMutation(
+    async (payload) => (await api.post('/finance/export/payroll', payload)).data,
+    {
+      onSuccess: (response) => {
+        const result = response.data || {};
+        if (result.dryRun) {
+          setPayrollPreview(result);
+          return;
+        }
+        setIsExportModalOpen(false);
+        setPayrollPreview(null);
+        if (result.lineCount > 0) {
+          downloadFile(result.csv, result.fileName, 'text/csv');
+        }
+        if (result.heldBack && result.heldBack.length > 0) {
+          toast.warn(`${result.heldBack.length} shift(s) held back from payroll`);
+        }
+        toast.success(response.message || 'Payroll export completed');
+      },
+      onError: (error) => {
+        console.error('Payroll export error:', error);
+        toast.error('Failed to export payroll: ' + (error.response?.data?.error || error.message));
+      }
+    }
+  );
+
+  const payrollPayload = (dryRun) => ({
+    start_date: exportOptions.start_date,
+    end_date: exportOptions.end_date,
+    layout: exportOptions.layout || 'xero',
+    approved_only: exportOptions.approved_only !== false,
+    dryRun
+  });
+
   // Reset billing form with new schema including selected_rate_option_id
   const resetNewBilling = () => setNewBilling({ 
     participant_id: '', 
@@ -566,7 +607,10 @@ const Finance = () => {
       notes: newBilling.notes
     };
     
-    if (selectedBilling) {
+    if (selectedBilling && !['draft', 'ready'].includes(selectedBilling.status)) {
+      const reason = window.prompt(`This line is ${selectedBilling.status}. Reason for correction:`);
+      if (reason) correctBillingMutation.mutate({ billingId: selectedBilling.id, billing: { ...payload, reason } });
+    } else if (selectedBilling) {
       updateBillingMutation.mutate({ billingId: selectedBilling.id, billing: payload });
     } else {
       createBillingMutation.mutate(payload);
@@ -832,21 +876,6 @@ const Finance = () => {
   // Handler for opening the import panel
   const handleOpenImport = () => {
     setIsImportOpen(true);
-    setImportResult(null);
-    setImportCsvText('');
-    setImportDryRun(true);
-  };
-
-  // Handler for running a dry run import
-  const handleImportDryRun = () => {
-    if (!importCsvText.trim()) return;
-    importDryRunMutation.mutate(importCsvText);
-  };
-
-  // Handler for committing an import
-  const handleImportCommit = () => {
-    if (!importCsvText.trim()) return;
-    importCommitMutation.mutate(importCsvText);
   };
 
   // Updated export handler with error handling
@@ -859,6 +888,19 @@ const Finance = () => {
       return;
     }
     
+    if (exportOptions.type === 'payroll') {
+      payrollExportMutation.mutate(payrollPayload(false));
+      return;
+    }
+
+    if (exportOptions.type === 'proda') {
+      prodaExportMutation.mutate({
+        start_date: exportOptions.start_date,
+        end_date: exportOptions.end_date
+      });
+      return;
+    }
+    
     exportBillingMutation.mutate(exportOptions); 
   };
 
@@ -922,96 +964,13 @@ const Finance = () => {
               onEditRate={handleRateSelect}
               onAddRate={handleAddRate}
               onOpenImport={handleOpenImport}
+              onOpenCatalogue={() => setIsCatalogueOpen(true)}
               onDeleteRate={handleDeleteRate}
             />
             
             {/* Import Panel */}
-            {isImportOpen && (
-              <div className="import-panel glass-card mt-4">
-                <h3><FiUpload /> Import NDIS Rates</h3>
-                <div className="form-group">
-                  <label>CSV Content</label>
-                  <textarea
-                    className="form-control"
-                    rows="6"
-                    value={importCsvText}
-                    onChange={(e) => setImportCsvText(e.target.value)}
-                    placeholder="Paste CSV content here..."
-                  />
-                </div>
-                <div className="form-group checkbox-group">
-                  <label>
-                    <input
-                      type="checkbox"
-                      checked={importDryRun}
-                      onChange={(e) => setImportDryRun(e.target.checked)}
-                    />{' '}
-                    Dry Run (preview only)
-                  </label>
-                </div>
-                
-                {/* Import Preview */}
-                {importResult && (
-                  <div className="import-preview">
-                    <h4>Import Preview</h4>
-                    {importResult.dryRun ? (
-                      <div className="preview-summary">
-                        <p>
-                          <strong>Detected Headers:</strong> {importResult.detectedHeaders?.join(', ')}
-                        </p>
-                        <p>
-                          <strong>Summary:</strong> {importResult.rows?.length || 0} rows processed
-                          {importResult.summary && (
-                            <>
-                              <br />
-                              <strong>Create:</strong> {importResult.summary.create || 0},
-                              <strong> Update:</strong> {importResult.summary.update || 0},
-                              <strong> Skip:</strong> {importResult.summary.skip || 0}
-                            </>
-                          )}
-                        </p>
-                      </div>
-                    ) : (
-                      <div className="preview-summary">
-                        <p className="success-message">
-                          <FiCheckCircle /> Import completed successfully!
-                        </p>
-                        <p>
-                          <strong>Summary:</strong>
-                          <br />
-                          <strong>Created:</strong> {importResult.summary?.create || 0},
-                          <strong> Updated:</strong> {importResult.summary?.update || 0},
-                          <strong> Skipped:</strong> {importResult.summary?.skip || 0}
-                        </p>
-                      </div>
-                    )}
-                  </div>
-                )}
-                
-                <div className="form-actions">
-                  <button
-                    className="btn btn-secondary"
-                    onClick={() => setIsImportOpen(false)}
-                  >
-                    Close
-                  </button>
-                  <button
-                    className="btn btn-primary"
-                    onClick={handleImportDryRun}
-                    disabled={!importCsvText.trim() || importDryRunMutation.isLoading}
-                  >
-                    {importDryRunMutation.isLoading ? 'Processing...' : 'Dry Run'}
-                  </button>
-                  <button
-                    className="btn btn-primary"
-                    onClick={handleImportCommit}
-                    disabled={!importCsvText.trim() || importCommitMutation.isLoading}
-                  >
-                    {importCommitMutation.isLoading ? 'Committing...' : 'Commit Import'}
-                  </button>
-                </div>
-              </div>
-            )}
+            {isImportOpen && <RateImportPanel onClose={() => setIsImportOpen(false)} />}
+            {isCatalogueOpen && <CatalogueImportPanel onClose={() => setIsCatalogueOpen(false)} />}
           </>
         )}
 
@@ -1329,9 +1288,11 @@ const Finance = () => {
         isOpen={isExportModalOpen}
         onClose={() => setIsExportModalOpen(false)}
         exportOptions={exportOptions}
-        setExportOptions={setExportOptions}
+        setExportOptions={(options) => { setExportOptions(options); setPayrollPreview(null); }}
         onSubmit={handleExportSubmit}
-        isExporting={exportBillingMutation.isLoading}
+        isExporting={exportBillingMutation.isLoading || prodaExportMutation.isLoading || payrollExportMutation.isLoading}
+        payrollPreview={payrollPreview}
+        onPreviewPayroll={() => payrollExportMutation.mutate(payrollPayload(true))}
       />
     </div>
   );
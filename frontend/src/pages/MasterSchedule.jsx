@@ -3,6 +3,7 @@ import axios from 'axios';
 import { Link } from 'react-router-dom';
 import '../styles/MasterSchedule.css';
 import { format, startOfWeek, addDays, subDays } from 'date-fns';
+import useEventStream from '../hooks/useEventStream';
 
 // API base URL from environment (matches Dashboard pattern)
 const API_URL = import.meta.env.VITE_API_URL || '';
@@ -80,11 +81,11 @@ const MasterSchedule = () => {
     }
   };
   
-  // Fetch instances for the current date range
-  const fetchInstancesForRange = async () => {
+  // Fetch instances for the current date range (quiet: keep the grid while refetching)
+  const fetchInstancesForRange = async ({ quiet = false } = {}) => {
     if (!dates || dates.length === 0) return;
     
-    setLoading(true);
+    if (!quiet) setLoading(true);
     try {
       const startDate = dates[0];
       const endDate = dates[dates.length - 1];
@@ -121,7 +122,7 @@ const MasterSchedule = () => {
     } catch (error) {
       console.error('Error fetching loom instances:', error);
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
     }
   };
   
@@ -129,6 +130,16 @@ const MasterSchedule = () => {
   useEffect(() => {
     fetchInstancesForRange();
   }, [dates]);
+
+  // Live updates when instances or their cards change elsewhere
+  useEventStream(['instance', 'card'], (events) => {
+    const touchesWindow = events.some(({ data = {} }) => {
+      if (data.date) return dates.includes(String(data.date).slice(0, 10));
+      if (data.dates) return data.dates.some((d) => dates.includes(d));
+      return true;
+    });
+    if (touchesWindow) fetchInstancesForRange({ quiet: true });
+  });
   
   // Format day header
   const formatDayHeader = (dateStr) => {
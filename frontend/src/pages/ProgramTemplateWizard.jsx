@@ -41,6 +41,8 @@ const ProgramTemplateWizard = () => {
   const [venueId, setVenueId] = useState('');
   // NEW: program type (standard | program | user_select_program)
   const [programType, setProgramType] = useState('standard');
+  // Whether the program runs or is skipped on public holidays
+  const [holidayBehaviour, setHolidayBehaviour] = useState('run');
   
   // State for UI
   const [loading, setLoading] = useState(true);
@@ -295,6 +297,11 @@ const ProgramTemplateWizard = () => {
     patchRule(ruleId, { recurrence_pattern: recurrencePattern });
   }, [ruleId, recurrencePattern]);
 
+  useEffect(() => {
+    if (!ruleId) return;
+    patchRule(ruleId, { holiday_behaviour: holidayBehaviour });
+  }, [ruleId, holidayBehaviour]);
+
   useEffect(() => {
     if (!ruleId || !dayOfWeek) return;
     patchRule(ruleId, { day_of_week: dayOfWeek });
@@ -1156,6 +1163,7 @@ const ProgramTemplateWizard = () => {
         description: ruleDescription,
         anchor_date: anchorDate,
         recurrence_pattern: recurrencePattern,
+        holiday_behaviour: holidayBehaviour,
         day_of_week: dayOfWeek,
         venue_id: venueId,
       };
@@ -1443,6 +1451,8 @@ const ProgramTemplateWizard = () => {
           setRecurrencePattern={setRecurrencePattern}
           programType={programType}
           setProgramType={setProgramType}
+          holidayBehaviour={holidayBehaviour}
+          setHolidayBehaviour={setHolidayBehaviour}
           venueId={venueId}
           setVenueId={setVenueId}
           venues={venues}
@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { toast } from 'react-toastify';
 import api from '../api/api';
+import useEventStream from '../hooks/useEventStream';
 import { format, startOfWeek, addDays, subDays } from 'date-fns';
 import { FiSearch } from 'react-icons/fi';
 
@@ -41,11 +43,13 @@ const Roster = () => {
       Array.from({ length: 14 }, (_, i) => fmtYmdTZ(addDays(startMonday, i))),
     [startMonday]
   );
-  const [shiftsByDate, setShiftsByDate] = useState({});           // {date: []}
-  const [staffDirectory, setStaffDirectory] = useState([]);
+  // GET /roster/range payload: shifts, staff × date pivot and gaps
+  const [roster, setRoster] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [search, setSearch] = useState('');
+  // Shift card being dragged (drag-and-drop roster changes)
+  const [dragShift, setDragShift] = useState(null);
 
   /* ---------------------------------------------------------------------- */
   /* Local week toggle (0 = week 1, 1 = week 2) – only affects By Day view   */
@@ -81,17 +85,35 @@ const Roster = () => {
   };
 
   // Render a shift card with consistent styling
+  // Cards on a real placeholder can be dragged; dropping on an assigned card swaps
   const renderShiftCard = (shift) => {
+    const canDrag = Boolean(shift.placeholder_id);
+    const canSwap = canDrag && shift.status === 'assigned';
     return (
       <div 
         key={shift.shift_id} 
         className="shift-card glass-card"
+        draggable={canDrag}
+        onDragStart={canDrag ? (e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', shift.shift_id);
+          setDragShift(shift);
+        } : undefined}
+        onDragEnd={() => setDragShift(null)}
+        onDragOver={canSwap ? (e) => e.preventDefault() : undefined}
+        onDrop={canSwap ? (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          handleDropOnShift(shift);
+        } : undefined}
         style={{
           padding: '4px 6px',
           marginBottom: '4px',
           borderRadius: '6px',
           position: 'relative',
-          width: '100%'
+          width: '100%',
+          cursor: canDrag ? 'grab' : 'default',
+          opacity: dragShift && dragShift.shift_id === shift.shift_id ? 0.5 : 1
         }}
       >
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
@@ -135,69 +157,113 @@ const Roster = () => {
     );
   };
 
-  // fetch 14 days in parallel once
+  // fetch the whole fortnight in one request
+  const fetchRange = useCallback(async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
+    setError('');
+    try {
+      const res = await api.get('/roster/range', {
+        params: { start: dates[0], end: dates[dates.length - 1] },
+      });
+      setRoster(res.data?.data || null);
+    } catch (e) {
+      console.error('GET /roster/range', e?.response?.status);
+      setError('Failed to load roster data.');
+      setRoster(null);
+    } finally {
+      if (!quiet) setLoading(false);
+    }
+  }, [dates]);
+
   useEffect(() => {
-    const fetchAll = async () => {
-      setLoading(true);
-      setError('');
-      try {
-        const promises = dates.map((d) =>
-          api
-            .get('/roster/day', { params: { date: d } })
-            .catch((err) => {
-              // log and return null so other requests continue
-              console.error(`GET /roster/day?date=${d}`, err?.response?.status);
-              return null;
-            })
-        );
-
-        const results = await Promise.all(promises);
-        const shiftsMap = {};
-        let staffSet = false;
-        
-        results.forEach((res, idx) => {
-          const dateKey = dates[idx];
-          if (res && res.data?.success) {
-            shiftsMap[dateKey] = res.data.data.shifts || [];
-            
-            if (!staffSet && Array.isArray(res.data.data.staff_directory)) {
-              setStaffDirectory(res.data.data.staff_directory);
-              staffSet = true;
-            }
-          } else {
-            // HTTP failure captured already; mark error banner
-            setError('Failed to fetch some roster data.');
-            shiftsMap[dateKey] = [];
-          }
-        });
-        setShiftsByDate(shiftsMap);
-        
-        // If we didn't get staff from any day response, fetch staff directly
-        if (!staffSet) {
-          try {
-            const staffRes = await api.get('/staff');
-            if (staffRes.data?.success) {
-              setStaffDirectory(staffRes.data.data || []);
-            }
-          } catch (staffErr) {
-            console.error('Failed GET /staff', staffErr?.response?.status);
-          }
+    fetchRange();
+  }, [fetchRange]);
+
+  // Live updates from other coordinators (staff changes, rethreads)
+  useEventStream(['staff', 'instance'], (events) => {
+    const touchesFortnight = events.some(({ data = {} }) => {
+      if (data.date) return dates.includes(String(data.date).slice(0, 10));
+      if (data.dates) return data.dates.some((d) => dates.includes(d));
+      return true;
+    });
+    if (touchesFortnight) fetchRange({ quiet: true });
+  });
+
+  /* ------------------------------------------------------------------ */
+  /* Roster changes – assign / swap / unassign (POST /roster/shifts/*)  */
+  /* ------------------------------------------------------------------ */
+
+  // Conflicts come back as a 409 with warnings; the user can save anyway
+  const submitChange = async (action, body, successMessage) => {
+    try {
+      const res = await api.post(`/roster/shifts/${action}`, body);
+      const warnings = res.data?.warnings || [];
+      toast.success(warnings.length > 0 ? `${successMessage} (${warnings.length} warning(s) overridden)` : successMessage);
+      fetchRange({ quiet: true });
+    } catch (e) {
+      const warnings = e?.response?.status === 409 ? e.response.data?.warnings : null;
+      if (warnings && warnings.length > 0) {
+        const list = warnings.map((w) => `• ${w.message}`).join('\n');
+        if (window.confirm(`This change has conflicts:\n\n${list}\n\nSave anyway?`)) {
+          await submitChange(action, { ...body, force: true }, successMessage);
         }
-      } catch (e) {
-        console.error('Roster bulk fetch error', e);
-        setError('Failed to load roster data.');
-      } finally {
-        setLoading(false);
+        return;
       }
-    };
+      toast.error(e?.response?.data?.error || 'Roster change failed');
+    }
+  };
 
-    fetchAll();
-  }, [dates]);
+  const slotOf = (shift) => ({ instance_id: shift.instance_id, placeholder_id: shift.placeholder_id });
+
+  // Dropped on a staff member's day cell → they take the placeholder
+  const handleDropOnStaff = (row, date) => {
+    const shift = dragShift;
+    setDragShift(null);
+    if (!shift || shift.staff_id === row.staff_id) return;
+    if (shift.date !== date) {
+      toast.warn('Shifts can only be moved within the same date');
+      return;
+    }
+    submitChange('assign', { ...slotOf(shift), staff_id: row.staff_id }, `${row.name} assigned to ${shift.program_name}`);
+  };
 
-  const staffFiltered = staffDirectory.filter((s) =>
-    `${s.first_name || ''} ${s.last_name || ''}`
-      .toLowerCase()
-      .includes(search.toLowerCase())
+  // Dropped on another assigned card → swap the two staff members
+  const handleDropOnShift = (target) => {
+    const shift = dragShift;
+    setDragShift(null);
+    if (!shift || shift.shift_id === target.shift_id) return;
+    if (shift.date !== target.date) {
+      toast.warn('Shifts can only be swapped within the same date');
+      return;
+    }
+    submitChange('swap', { from: slotOf(shift), to: slotOf(target) }, `Swapped ${shift.program_name} and ${target.program_name}`);
+  };
+
+  // Dropped on the Open Shifts row → clear the placeholder
+  const handleDropOnOpen = () => {
+    const shift = dragShift;
+    setDragShift(null);
+    if (!shift || shift.status !== 'assigned') return;
+    submitChange('unassign', slotOf(shift), `${shift.staff_name} removed from ${shift.program_name}`);
+  };
+
+  const allowDrop = (e) => {
+    if (dragShift) e.preventDefault();
+  };
+
+  // Schedule view columns: shifts grouped by date
+  const shiftsByDate = useMemo(() => {
+    const byDate = {};
+    (roster?.shifts || []).forEach((shift) => {
+      (byDate[shift.date] = byDate[shift.date] || []).push(shift);
+    });
+    return byDate;
+  }, [roster]);
+
+  const staffRows = roster?.staff_view || [];
+  const gaps = roster?.gaps || {};
+  const staffFiltered = staffRows.filter((row) =>
+    (row.name || '').toLowerCase().includes(search.toLowerCase())
   );
 
   /* ------------------------------------------------------------------ */
@@ -451,12 +517,16 @@ const Roster = () => {
           
           {/* Open shifts for each day */}
           {visibleDates.map((date) => {
-            const dayShifts = shiftsByDate[date] || [];
-            const openShifts = dayShifts.filter(s => s.status === 'open');
+            const openShifts = gaps[date]?.open || [];
             return (
               <div
                 key={`open-${date}`}
                 className="dayCell"
+                onDragOver={allowDrop}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDropOnOpen();
+                }}
                 style={{
                   padding: '8px',
                   borderBottom: '1px solid var(--ui-border, rgba(255,255,255,0.08))',
@@ -493,8 +563,8 @@ const Roster = () => {
           
           {/* Auto shifts for each day */}
           {visibleDates.map((date) => {
-            const dayShifts = shiftsByDate[date] || [];
-            const autoShifts = dayShifts.filter(s => s.status === 'auto');
+            const autoShifts = gaps[date]?.auto || [];
+            const understaffed = gaps[date]?.understaffed || [];
             return (
               <div
                 key={`auto-${date}`}
@@ -512,14 +582,19 @@ const Roster = () => {
                     No auto shifts
                   </div>
                 )}
+                {understaffed.map((gap) => (
+                  <div key={gap.instance_id} style={{ color: '#f59e0b', fontSize: '0.75rem' }}>
+                    {gap.program_name}: {gap.staff_assigned}/{gap.staff_required} staff
+                  </div>
+                ))}
               </div>
             );
           })}
           
           {/* Staff rows with day cells */}
           {staffFiltered.length > 0 ? (
-            staffFiltered.map((staff) => (
-              <React.Fragment key={`row-${staff.id}`}>
+            staffFiltered.map((row) => (
+              <React.Fragment key={`row-${row.staff_id}`}>
                 {/* Staff name cell (sticky) */}
                 <div 
                   className="staffCell"
@@ -550,39 +625,54 @@ const Roster = () => {
                       fontWeight: 'bold'
                     }}
                   >
-                    {`${(staff.first_name || '').charAt(0)}${(staff.last_name || '').charAt(0)}`}
+                    {row.name.split(' ').map((part) => part.charAt(0)).slice(0, 2).join('')}
                   </div>
                   <div>
-                    {staff.first_name} {staff.last_name}
+                    <div>{row.name}</div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--ui-text-muted)' }}>
+                      {row.total_hours}h rostered
+                      {row.contracted_hours ? ` · ${row.contracted_hours}h/wk contracted` : ''}
+                      {row.conflict_count > 0 && (
+                        <span style={{ color: '#ef4444' }}> · {row.conflict_count} conflict(s)</span>
+                      )}
+                    </div>
                   </div>
                 </div>
                 
                 {/* Day cells for this staff member */}
                 {visibleDates.map((date) => {
-                  const dayShifts = shiftsByDate[date] || [];
-                  const staffShifts = dayShifts.filter(
-                    s => s.status === 'assigned' && s.staff_id === staff.id
-                  ).sort((a, b) => 
-                    a.start_time < b.start_time ? -1 : a.start_time > b.start_time ? 1 : 0
-                  );
+                  const cell = row.days[date] || { shifts: [], hours: 0, conflicts: [] };
                   
                   return (
                     <div
-                      key={`${staff.id}-${date}`}
+                      key={`${row.staff_id}-${date}`}
                       className="dayCell"
+                      onDragOver={allowDrop}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        handleDropOnStaff(row, date);
+                      }}
                       style={{
                         padding: '8px',
                         borderBottom: '1px solid var(--ui-border, rgba(255,255,255,0.08))',
-                        background: 'rgba(255,255,255,0.02)'
+                        background: cell.conflicts.length > 0 ? 'rgba(239,68,68,0.08)' : 'rgba(255,255,255,0.02)'
                       }}
                     >
-                      {staffShifts.length > 0 ? (
-                        staffShifts.map(shift => renderShiftCard(shift))
+                      {cell.shifts.length > 0 ? (
+                        <>
+                          {cell.shifts.map(shift => renderShiftCard(shift))}
+                          <div style={{ fontSize: '0.75rem', textAlign: 'right' }}>{cell.hours}h</div>
+                        </>
                       ) : (
                         <div style={{ color: 'var(--ui-text-muted)', fontSize: '0.85rem', textAlign: 'center' }}>
                           No shifts assigned
                         </div>
                       )}
+                      {cell.conflicts.map((c, idx) => (
+                        <div key={`${c.type}-${idx}`} style={{ color: '#ef4444', fontSize: '0.75rem' }} title={c.type}>
+                          ⚠ {c.message}
+                        </div>
+                      ))}
                     </div>
                   );
                 })}
@@ -16,6 +16,7 @@ import {
   FiTrash2
 } from 'react-icons/fi';
 import { toast } from 'react-toastify';
+import PublicHolidaysSection from './settings/components/PublicHolidaysSection';
 
 // API base URL from environment (fallback to relative path)
 const API_URL = import.meta.env.VITE_API_URL || '';
@@ -1004,6 +1005,13 @@ const Settings = () => {
               >
                 <FiCalendar /> Loom System
               </button>
+              <button 
+                type="button"
+                className={`tab-btn ${activeSection === 'holidays' ? 'active' : ''}`}
+                onClick={() => setActiveSection('holidays')}
+              >
+                <FiCalendar /> Public Holidays
+              </button>
               <button 
                 type="button"
                 className={`tab-btn ${activeSection === 'security' ? 'active' : ''}`}
@@ -1024,6 +1032,7 @@ const Settings = () => {
             <div className="settings-content">
               {activeSection === 'general' && renderGeneralSettings()}
               {activeSection === 'loom' && renderLoomSettings()}
+              {activeSection === 'holidays' && <PublicHolidaysSection />}
               {activeSection === 'security' && renderSecuritySettings()}
               {activeSection === 'backup' && renderBackupSettings()}
             </div>
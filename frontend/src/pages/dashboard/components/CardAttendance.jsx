@@ -0,0 +1,94 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { FiCheckCircle, FiAlertCircle, FiXCircle } from 'react-icons/fi';
+import { format, parseISO } from 'date-fns';
+import api from '../../../api/api';
+
+// Buttons per card type (the server validates the same mapping)
+const CARD_ACTIONS = {
+  pickup: [{ action: 'picked_up', label: 'Picked up' }, { action: 'absent', label: 'Absent' }],
+  activity: [{ action: 'arrived', label: 'Arrived' }, { action: 'absent', label: 'Absent' }],
+  event: [{ action: 'arrived', label: 'Arrived' }, { action: 'absent', label: 'Absent' }],
+  dropoff: [{ action: 'dropped_off', label: 'Dropped off' }],
+};
+const DEFAULT_ACTIONS = [{ action: 'check_in', label: 'Check in' }, { action: 'check_out', label: 'Check out' }];
+
+const formatStamp = (value) => (value ? format(parseISO(value), 'h:mm a') : null);
+
+// Participant check-in / check-out for one dashboard time-slot card. Each
+// press also updates day attendance and billing on the server.
+export default function CardAttendance({ card }) {
+  const queryClient = useQueryClient();
+  const queryKey = ['cardAttendance', card.id];
+
+  const { data, isLoading, error } = useQuery(
+    queryKey,
+    async () => (await api.get(`/attendance/cards/${card.id}`)).data.data,
+    // Live updates arrive as attendance.recorded (Dashboard); this is the fallback
+    { refetchInterval: 5 * 60 * 1000 }
+  );
+  const participants = data?.participants || [];
+  const actions = CARD_ACTIONS[(card.card_type || 'event').toLowerCase()] || DEFAULT_ACTIONS;
+
+  const recordMutation = useMutation(
+    async ({ participantId, action }) =>
+      (await api.post(`/attendance/cards/${card.id}`, { participant_id: participantId, action })).data.data,
+    {
+      onSuccess: (result, { name, label }) => {
+        queryClient.invalidateQueries(queryKey);
+        if (result.attendance_status === 'absent' && result.incident?.status === 'open') {
+          toast.warning(`${name} marked absent – incident recorded`);
+        } else if (result.withdrawn_cancellation) {
+          toast.success(`${name}: ${label} – cancellation withdrawn`);
+        } else {
+          toast.success(`${name}: ${label}`);
+        }
+      },
+      onError: (err) => toast.error(err.response?.data?.error || 'Failed to record attendance'),
+    }
+  );
+
+  if (isLoading) return <div className="card-attendance loading">Loading participants...</div>;
+  if (error) return <div className="card-attendance error">Could not load participants</div>;
+  if (participants.length === 0) return <div className="card-attendance empty">No participants on this program</div>;
+
+  return (
+    <ul className="card-attendance">
+      {participants.map((p) => {
+        const checkedIn = formatStamp(p.checked_in_at);
+        const checkedOut = formatStamp(p.checked_out_at);
+        return (
+          <li key={p.participant_id} className="card-attendance-row">
+            <div className="card-attendance-name">
+              {p.card_status === 'absent' ? (
+                <FiXCircle className="status-icon absent" />
+              ) : p.card_status === 'present' ? (
+                <FiCheckCircle className="status-icon present" />
+              ) : null}
+              <span>{p.name}</span>
+              {p.attendance_status === 'cancelled' && <span className="badge">Cancelled</span>}
+              {p.has_open_incident && <FiAlertCircle className="status-icon incident" title="Open incident" />}
+            </div>
+            <div className="card-attendance-times">
+              {checkedIn && <span>In {checkedIn}</span>}
+              {checkedOut && <span>Out {checkedOut}</span>}
+            </div>
+            <div className="card-attendance-actions">
+              {actions.map(({ action, label }) => (
+                <button
+                  key={action}
+                  className={`btn btn-sm ${action === 'absent' ? 'btn-secondary' : 'btn-primary'}`}
+                  disabled={recordMutation.isLoading}
+                  onClick={() => recordMutation.mutate({ participantId: p.participant_id, action, name: p.name, label })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import * as XLSX from 'xlsx';
+import { FiUpload, FiCheckCircle } from 'react-icons/fi';
+import api from '../../../api/api';
+
+const PRICE_STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA', 'REMOTE', 'VERY_REMOTE'];
+const PREVIEW_LIMIT = 200;
+
+// Sheet rows (header row first) from the NDIA Support Catalogue xlsx/csv
+async function readCatalogueFile(file) {
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheets = workbook.SheetNames.map((name) =>
+    XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '' })
+  );
+  // The support items sheet is the one with a "Support Item Number" header
+  const hasItems = (rows) =>
+    rows.slice(0, 10).some((r) => r.some((c) => /support\s*item\s*number/i.test(String(c))));
+  return sheets.find(hasItems) || sheets[0] || [];
+}
+
+const formatChange = (c) =>
+  `${c.field}: ${typeof c.from === 'object' ? JSON.stringify(c.from) : c.from ?? '—'} → ${
+    typeof c.to === 'object' ? JSON.stringify(c.to) : c.to ?? '—'
+  }`;
+
+// Always previews first: the diff must be reviewed before it can be committed
+export default function CatalogueImportPanel({ onClose }) {
+  const queryClient = useQueryClient();
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [state, setState] = useState('NSW');
+  const [effectiveFrom, setEffectiveFrom] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    setResult(null);
+    if (!file) return;
+    try {
+      setRows(await readCatalogueFile(file));
+      setFileName(file.name);
+    } catch (err) {
+      setRows(null);
+      toast.error(`Could not read ${file.name}`);
+    }
+  };
+
+  const importMutation = useMutation(
+    async (dryRun) =>
+      (await api.post(`/finance/rates/catalogue?dryRun=${dryRun}`, {
+        rows,
+        state,
+        effective_from: effectiveFrom || undefined,
+      })).data,
+    {
+      onSuccess: (data) => {
+        setResult(data);
+        if (!data.dryRun) {
+          queryClient.invalidateQueries(['billingRates']);
+          toast.success('NDIS catalogue imported');
+          onClose();
+        }
+      },
+      onError: (error) => toast.error(error.response?.data?.error || 'Catalogue import failed'),
+    }
+  );
+
+  const summary = result?.summary || {};
+  const changed = (result?.rows || []).filter((r) => r.action !== 'unchanged');
+  const canPreview = rows?.length > 0 && !importMutation.isLoading;
+  const canCommit = canPreview && result?.dryRun && result.state === state;
+
+  return (
+    <div className="import-panel glass-card mt-4">
+      <h3><FiUpload /> Import NDIS Support Catalogue</h3>
+      <div className="form-group">
+        <label>Support Catalogue (xlsx or csv)</label>
+        <input type="file" className="form-control" accept=".xlsx,.xls,.csv" onChange={handleFile} />
+        {fileName && <small>{fileName}: {rows?.length || 0} rows</small>}
+      </div>
+      <div className="form-group">
+        <label>Price Limit Region</label>
+        <select
+          className="form-control"
+          value={state}
+          onChange={(e) => { setState(e.target.value); setResult(null); }}
+        >
+          {PRICE_STATES.map((s) => (
+            <option key={s} value={s}>{s.replace('_', ' ')}</option>
+          ))}
+        </select>
+      </div>
+      <div className="form-group">
+        <label>Effective From</label>
+        <input
+          type="date"
+          className="form-control"
+          value={effectiveFrom}
+          onChange={(e) => { setEffectiveFrom(e.target.value); setResult(null); }}
+          title="Used for items without a start date (default today)"
+        />
+      </div>
+
+      {result && (
+        <div className="import-preview">
+          <h4>{result.dryRun ? 'Changes against current catalogue' : 'Import complete'}</h4>
+          <div className="preview-summary">
+            {!result.dryRun && (
+              <p className="success-message">
+                <FiCheckCircle /> Catalogue imported successfully!
+              </p>
+            )}
+            <p>
+              <strong>New:</strong> {summary.create || 0},
+              <strong> New Version:</strong> {summary.version || 0},
+              <strong> Update:</strong> {summary.update || 0},
+              <strong> Unchanged:</strong> {summary.unchanged || 0},
+              <strong> Skip:</strong> {summary.skip || 0}
+              <br />
+              <strong>Not in catalogue (left as is):</strong> {summary.missing || 0}
+            </p>
+          </div>
+          {changed.length > 0 && (
+            <div className="table-scroll">
+              <table className="glass-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Code</th>
+                    <th>Action</th>
+                    <th>From</th>
+                    <th>Price</th>
+                    <th>Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changed.slice(0, PREVIEW_LIMIT).map((r) => (
+                    <tr key={`${r.line}-${r.code}`}>
+                      <td>{r.line}</td>
+                      <td>{r.code || '—'}</td>
+                      <td>{r.action}</td>
+                      <td>{r.effective_from || '—'}</td>
+                      <td>{r.price != null ? `$${Number(r.price).toFixed(2)}` : '—'}</td>
+                      <td>
+                        {r.action === 'skip'
+                          ? r.reason
+                          : (r.changes || []).map((c) => <div key={c.field}>{formatChange(c)}</div>)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {changed.length > PREVIEW_LIMIT && (
+                <small>Showing {PREVIEW_LIMIT} of {changed.length} changed rows</small>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+        <button className="btn btn-primary" onClick={() => importMutation.mutate(true)} disabled={!canPreview}>
+          {importMutation.isLoading ? 'Processing...' : 'Preview Changes'}
+        </button>
+        <button
+          className="btn btn-primary"
+          onClick={() => importMutation.mutate(false)}
+          disabled={!canCommit}
+          title="Run a preview first"
+        >
+          Commit Import
+        </button>
+      </div>
+    </div>
+  );
+}
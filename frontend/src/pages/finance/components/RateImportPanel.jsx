@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { FiUpload, FiCheckCircle } from 'react-icons/fi';
+import api from '../../../api/api';
+
+// Overwrite updates today's prices in place; a new version keeps history
+// (e.g. the 1 July NDIS Pricing Arrangements) and applies from a date
+export default function RateImportPanel({ onClose }) {
+  const queryClient = useQueryClient();
+  const [csvText, setCsvText] = useState('');
+  const [mode, setMode] = useState('overwrite');
+  const [effectiveFrom, setEffectiveFrom] = useState('');
+  const [result, setResult] = useState(null);
+
+  const importMutation = useMutation(
+    async (dryRun) =>
+      (await api.post(`/finance/rates/import?dryRun=${dryRun}`, {
+        csvText,
+        mode,
+        effective_from: mode === 'version' ? effectiveFrom || undefined : undefined,
+      })).data,
+    {
+      onSuccess: (data) => {
+        setResult(data);
+        if (!data.dryRun) {
+          queryClient.invalidateQueries(['billingRates']);
+          setCsvText('');
+          toast.success('Rates imported successfully');
+          onClose();
+        }
+      },
+      onError: (error) => toast.error(error.response?.data?.error || 'Rate import failed'),
+    }
+  );
+
+  const summary = result?.summary || {};
+  const canRun = csvText.trim() && !importMutation.isLoading;
+
+  return (
+    <div className="import-panel glass-card mt-4">
+      <h3><FiUpload /> Import NDIS Rates</h3>
+      <div className="form-group">
+        <label>CSV Content</label>
+        <textarea
+          className="form-control"
+          rows="6"
+          value={csvText}
+          onChange={(e) => setCsvText(e.target.value)}
+          placeholder="Paste CSV content here..."
+        />
+      </div>
+      <div className="form-group">
+        <label>Import Mode</label>
+        <select className="form-control" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="overwrite">Overwrite current prices</option>
+          <option value="version">New price guide version</option>
+        </select>
+      </div>
+      {mode === 'version' && (
+        <div className="form-group">
+          <label>Effective From</label>
+          <input
+            type="date"
+            className="form-control"
+            value={effectiveFrom}
+            onChange={(e) => setEffectiveFrom(e.target.value)}
+            title="Used for rows without an effective_from column"
+          />
+        </div>
+      )}
+
+      {/* Import Preview */}
+      {result && (
+        <div className="import-preview">
+          <h4>Import Preview</h4>
+          <div className="preview-summary">
+            {result.dryRun ? (
+              <p>
+                <strong>Detected Headers:</strong> {result.detectedHeaders?.join(', ')}
+              </p>
+            ) : (
+              <p className="success-message">
+                <FiCheckCircle /> Import completed successfully!
+              </p>
+            )}
+            <p>
+              <strong>Summary:</strong> {result.rows?.length || 0} rows processed
+              <br />
+              <strong>Create:</strong> {summary.create || 0},
+              {result.mode === 'version' ? (
+                <><strong> New Version:</strong> {summary.version || 0},</>
+              ) : (
+                <><strong> Update:</strong> {summary.update || 0},</>
+              )}
+              <strong> Skip:</strong> {summary.skip || 0}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+        <button className="btn btn-primary" onClick={() => importMutation.mutate(true)} disabled={!canRun}>
+          {importMutation.isLoading ? 'Processing...' : 'Dry Run'}
+        </button>
+        <button className="btn btn-primary" onClick={() => importMutation.mutate(false)} disabled={!canRun}>
+          Commit Import
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,8 @@ export default function ExportModal({
   setExportOptions,
   onSubmit,
   isExporting,
+  payrollPreview,
+  onPreviewPayroll,
 }) {
   if (!isOpen) return null;
 
@@ -39,9 +41,26 @@ export default function ExportModal({
                 <option value="bulk">Bulk Upload</option>
                 <option value="invoices">Invoices</option>
                 <option value="both">Both</option>
+                <option value="proda">PRODA Bulk Payment Request</option>
+                <option value="payroll">Payroll (staff hours)</option>
               </select>
             </label>
 
+            {exportOptions.type === 'payroll' && (
+            <label>
+              Payroll System
+              <select
+                value={exportOptions.layout || 'xero'}
+                onChange={(e) => setExportOptions({ ...exportOptions, layout: e.target.value })}
+              >
+                <option value="xero">Xero</option>
+                <option value="myob">MYOB</option>
+                <option value="keypay">KeyPay</option>
+              </select>
+            </label>
+            )}
+
+            {exportOptions.type !== 'proda' && exportOptions.type !== 'payroll' && (
             <label>
               Format
               <select
@@ -53,10 +72,43 @@ export default function ExportModal({
                 <option value="json">JSON</option>
               </select>
             </label>
+            )}
           </div>
+          {exportOptions.type === 'proda' && (
+            <p style={{ margin: '8px 0 0', fontSize: '0.85rem', opacity: 0.8 }}>
+              Agency-managed lines not yet claimed are exported in the NDIA bulk upload layout and marked as exported.
+            </p>
+          )}
+          {exportOptions.type === 'payroll' && (
+            <>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={exportOptions.approved_only !== false}
+                  onChange={(e) => setExportOptions({ ...exportOptions, approved_only: e.target.checked })}
+                />
+                Approved timesheets only
+              </label>
+              {payrollPreview && (
+                <p style={{ margin: '8px 0 0', fontSize: '0.85rem' }}>
+                  <strong>{payrollPreview.employees.length}</strong> employees,
+                  <strong> {payrollPreview.lineCount}</strong> lines,
+                  <strong> ${payrollPreview.totalAmount.toFixed(2)}</strong>
+                  {payrollPreview.heldBack.length > 0 && (
+                    <> – {payrollPreview.heldBack.length} shift(s) held back (no approved timesheet or already paid)</>
+                  )}
+                </p>
+              )}
+            </>
+          )}
 
           <div className="modal-footer">
             <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            {exportOptions.type === 'payroll' && (
+              <button type="button" className="btn btn-secondary" onClick={onPreviewPayroll} disabled={isExporting}>
+                Preview
+              </button>
+            )}
             <button type="submit" className="btn btn-primary" disabled={isExporting}>Export</button>
           </div>
         </form>
@@ -1,6 +1,20 @@
 import React from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
 import { format, parseISO } from 'date-fns';
-import { FiPlusCircle, FiDownload, FiRefreshCw, FiEdit2, FiTrash2, FiSearch } from 'react-icons/fi';
+import { FiPlusCircle, FiDownload, FiRefreshCw, FiEdit2, FiTrash2, FiSearch, FiCheck, FiCheckCircle } from 'react-icons/fi';
+import api from '../../../api/api';
+
+// Lines past 'ready' are locked – edits become corrections (reversal + replacement)
+const EDITABLE_STATUSES = ['draft', 'ready'];
+
+// Explain the ratio a generated line was priced at
+const ratioTitle = ({ pricing_basis: b, ratio_label: ratio }) => {
+  if (!b) return 'Ratio';
+  if (b.needs_review) return `No price set for ${ratio} – billed at base rate, check before claiming`;
+  if (b.ratio_source === 'planned') return `Planned ratio ${b.planned_ratio || ''}`.trim();
+  return `${b.participants_attending} attending / ${b.staff_rostered} staff rostered${b.single_rate ? ' – single rate' : ''}`;
+};
 
 export default function BillingTab({
   billingData,
@@ -22,6 +36,19 @@ export default function BillingTab({
   onEditBilling,
   onDeleteBilling,
 }) {
+  const queryClient = useQueryClient();
+
+  const transitionMutation = useMutation(
+    async ({ ids, status }) => (await api.post('/finance/billing/transition', { ids, status })).data,
+    {
+      onSuccess: (resp, { status }) => {
+        queryClient.invalidateQueries(['billingData']);
+        toast.success(`${resp.count} billing line(s) marked ${status}`);
+      },
+      onError: (error) => toast.error(error.response?.data?.error || error.message),
+    }
+  );
+
   const filteredBillingData = () => {
     if (!billingData || !billingData.data) return [];
     return billingData.data.filter((billing) => {
@@ -125,10 +152,12 @@ export default function BillingTab({
                 }
               >
                 <option value="all">All Statuses</option>
-                <option value="pending">Pending</option>
-                <option value="billed">Billed</option>
+                <option value="draft">Draft</option>
+                <option value="ready">Ready</option>
+                <option value="exported">Exported</option>
+                <option value="claimed">Claimed</option>
                 <option value="paid">Paid</option>
-                <option value="cancelled">Cancelled</option>
+                <option value="rejected">Rejected</option>
               </select>
           </div>
 
@@ -163,6 +192,18 @@ export default function BillingTab({
           <button className="create-btn glass-button" onClick={onOpenBulkNew}>
             <FiPlusCircle /> Bulk&nbsp;New
           </button>
+          <button
+            className="nav-button"
+            onClick={() => {
+              const ids = filteredBillingData().filter((b) => b.status === 'draft').map((b) => b.id);
+              if (ids.length === 0) return toast.info('No draft billing lines to mark ready');
+              transitionMutation.mutate({ ids, status: 'ready' });
+            }}
+            disabled={transitionMutation.isLoading}
+            title="Mark all listed draft lines ready for export/invoicing"
+          >
+            <FiCheckCircle /> Mark&nbsp;Ready
+          </button>
           <button className="nav-button" onClick={onOpenExport}>
             <FiDownload /> Export
           </button>
@@ -196,22 +237,47 @@ export default function BillingTab({
                 <td>{billing.program_name || billing.program_title || ''}</td>
                 <td>{billing.hours}</td>
                 <td>{billing.quantity ?? 1}</td>
-                <td>{billing.rate_code}</td>
+                <td>
+                  {billing.rate_code}
+                  {billing.ratio_label && <span title={ratioTitle(billing)}> ({billing.ratio_label}{billing.pricing_basis?.needs_review ? ' – review' : ''})</span>}
+                </td>
                 <td>${Number.isFinite(parseFloat(billing.unit_price)) ? parseFloat(billing.unit_price).toFixed(2) : '0.00'}</td>
                 <td className="amount">${Number.isFinite(parseFloat(billing.total_amount)) ? parseFloat(billing.total_amount).toFixed(2) : '0.00'}</td>
                 <td>
                   <span className={`status-badge ${billing.status}`}>
                     {billing.status}
                   </span>
+                  {billing.claim_type === 'CANC' && <span title="Short-notice cancellation"> (cancellation)</span>}
+                  {billing.reverses_id && <span title="Reverses an earlier line"> (reversal)</span>}
+                  {billing.corrected_by_id && <span title="Replaced by a correction"> (corrected)</span>}
                 </td>
                 <td>
                   <div className="action-buttons">
-                    <button className="btn btn-icon" onClick={() => onEditBilling(billing)} title="Edit Billing">
-                      <FiEdit2 />
-                    </button>
-                    <button className="btn btn-icon" onClick={() => onDeleteBilling(billing)} title="Delete Billing">
-                      <FiTrash2 />
-                    </button>
+                    {billing.status === 'draft' && (
+                      <button
+                        className="btn btn-icon"
+                        onClick={() => transitionMutation.mutate({ ids: [billing.id], status: 'ready' })}
+                        title="Mark Ready"
+                      >
+                        <FiCheck />
+                      </button>
+                    )}
+                    {EDITABLE_STATUSES.includes(billing.status) ? (
+                      <>
+                        <button className="btn btn-icon" onClick={() => onEditBilling(billing)} title="Edit Billing">
+                          <FiEdit2 />
+                        </button>
+                        <button className="btn btn-icon" onClick={() => onDeleteBilling(billing)} title="Delete Billing">
+                          <FiTrash2 />
+                        </button>
+                      </>
+                    ) : (
+                      !billing.reverses_id && !billing.corrected_by_id && (
+                        <button className="btn btn-icon" onClick={() => onEditBilling(billing)} title="Correct Billing">
+                          <FiEdit2 />
+                        </button>
+                      )
+                    )}
                   </div>
                 </td>
               </tr>
@@ -1,13 +1,177 @@
 import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { format, parseISO, endOfMonth } from 'date-fns';
+import { FiFileText, FiDownload, FiRefreshCw, FiSend, FiCheck, FiSlash, FiPlusCircle } from 'react-icons/fi';
+import api from '../../../api/api';
 import MonthNavigation from '../components/MonthNavigation';
 
+const money = (n) => `$${(parseFloat(n) || 0).toFixed(2)}`;
+const shortDate = (d) => (d ? format(parseISO(String(d).slice(0, 10)), 'MMM d, yyyy') : '');
+
 export default function InvoicesTab({ selectedMonth, onPrevMonth, onCurrentMonth, onNextMonth }) {
+  const queryClient = useQueryClient();
+  const startDate = format(selectedMonth, 'yyyy-MM-dd');
+  const endDate = format(endOfMonth(selectedMonth), 'yyyy-MM-dd');
+
+  const { data: invoices = [], isLoading, refetch } = useQuery(
+    ['invoices', startDate, endDate],
+    async () =>
+      (await api.get('/finance/invoices', { params: { start_date: startDate, end_date: endDate } })).data.data
+  );
+
+  const generateMutation = useMutation(
+    async () => (await api.post('/finance/invoices/generate', { start_date: startDate, end_date: endDate })).data,
+    {
+      onSuccess: (resp) => {
+        queryClient.invalidateQueries(['invoices']);
+        toast.success(resp.message || 'Invoices generated');
+      },
+      onError: (error) => toast.error('Failed to generate invoices: ' + (error.response?.data?.message || error.message)),
+    }
+  );
+
+  const statusMutation = useMutation(
+    async ({ id, status, reason }) => (await api.patch(`/finance/invoices/${id}/status`, { status, reason })).data,
+    {
+      onSuccess: (resp) => {
+        queryClient.invalidateQueries(['invoices']);
+        toast.success(`Invoice ${resp.data.invoice_number} ${resp.data.status}`);
+      },
+      onError: (error) => toast.error(error.response?.data?.error || error.message),
+    }
+  );
+
+  const openDocument = (id, kind) => {
+    window.open(`${api.defaults.baseURL}/finance/invoices/${id}/${kind}`, '_blank', 'noopener');
+  };
+
+  const voidInvoice = (inv) => {
+    const reason = window.prompt(`Void invoice ${inv.invoice_number}? Enter a reason:`);
+    if (reason === null) return;
+    statusMutation.mutate({ id: inv.id, status: 'void', reason });
+  };
+
+  const totals = invoices
+    .filter((i) => i.status !== 'void')
+    .reduce((acc, i) => ({ ...acc, [i.status]: (acc[i.status] || 0) + i.total }), {});
+
   return (
     <div className="tab-content">
       <MonthNavigation selectedMonth={selectedMonth} onPrev={onPrevMonth} onCurrent={onCurrentMonth} onNext={onNextMonth} />
-      <div className="glass-card" style={{ marginTop: 16 }}>
-        <h3>Invoices</h3>
-        <p>Invoice generation and NDIS claiming coming soon.</p>
+
+      <div className="toolbar glass-panel" style={{ marginTop: 16 }}>
+        <div className="actions bottom-right">
+          <button
+            className="create-btn glass-button"
+            onClick={() => generateMutation.mutate()}
+            disabled={generateMutation.isLoading}
+            title="Create draft invoices for un-invoiced plan/self-managed billing in this month"
+          >
+            <FiPlusCircle /> Generate Invoices
+          </button>
+          <button className="nav-button" onClick={() => refetch()} title="Refresh Invoices">
+            <FiRefreshCw />
+          </button>
+        </div>
+      </div>
+
+      <div className="billing-table-container">
+        <table className="billing-table glass-table">
+          <thead>
+            <tr>
+              <th>Invoice</th>
+              <th>Participant</th>
+              <th>Bill To</th>
+              <th>Period</th>
+              <th>Lines</th>
+              <th>GST</th>
+              <th>Total</th>
+              <th>Due</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invoices.map((inv) => (
+              <tr key={inv.id}>
+                <td>{inv.invoice_number}</td>
+                <td>{inv.participant_name}</td>
+                <td>{inv.bill_to?.name}</td>
+                <td>{shortDate(inv.period_start)} – {shortDate(inv.period_end)}</td>
+                <td>{inv.line_count}</td>
+                <td>{money(inv.gst_total)}</td>
+                <td className="amount">{money(inv.total)}</td>
+                <td>{shortDate(inv.due_date)}</td>
+                <td>
+                  <span className={`status-badge ${inv.status}`}>{inv.status}</span>
+                </td>
+                <td>
+                  <div className="action-buttons">
+                    <button className="btn btn-icon" onClick={() => openDocument(inv.id, 'html')} title="View Invoice">
+                      <FiFileText />
+                    </button>
+                    <button className="btn btn-icon" onClick={() => openDocument(inv.id, 'pdf')} title="Download PDF">
+                      <FiDownload />
+                    </button>
+                    {inv.status === 'draft' && (
+                      <button
+                        className="btn btn-icon"
+                        onClick={() => statusMutation.mutate({ id: inv.id, status: 'issued' })}
+                        title="Issue Invoice"
+                      >
+                        <FiSend />
+                      </button>
+                    )}
+                    {inv.status === 'issued' && (
+                      <button
+                        className="btn btn-icon"
+                        onClick={() => statusMutation.mutate({ id: inv.id, status: 'paid' })}
+                        title="Mark Paid"
+                      >
+                        <FiCheck />
+                      </button>
+                    )}
+                    {(inv.status === 'draft' || inv.status === 'issued') && (
+                      <button className="btn btn-icon" onClick={() => voidInvoice(inv)} title="Void Invoice">
+                        <FiSlash />
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {invoices.length === 0 && !isLoading && (
+              <tr>
+                <td colSpan="10" className="no-results">
+                  No invoices for this month – generate them from plan and self-managed billing
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {isLoading && (
+          <div className="loading-overlay">
+            <div className="loading-spinner"></div>
+            <p>Loading invoices...</p>
+          </div>
+        )}
+      </div>
+
+      <div className="billing-summary glass-card">
+        <h3>Invoice Summary</h3>
+        <div className="summary-grid">
+          {['draft', 'issued', 'paid'].map((status) => (
+            <div className="summary-item" key={status}>
+              <div className="summary-label">{status.charAt(0).toUpperCase() + status.slice(1)}</div>
+              <div className="summary-value amount">{money(totals[status])}</div>
+            </div>
+          ))}
+          <div className="summary-item">
+            <div className="summary-label">Invoices</div>
+            <div className="summary-value">{invoices.length}</div>
+          </div>
+        </div>
       </div>
     </div>
   );
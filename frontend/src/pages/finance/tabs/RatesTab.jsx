@@ -10,6 +10,7 @@ export default function RatesTab({
   onEditRate,
   onAddRate,
   onOpenImport,
+  onOpenCatalogue,
   onDeleteRate,
 }) {
   // Return array of truthy rate rows that match current search term
@@ -56,6 +57,13 @@ export default function RatesTab({
           >
             Import CSV
           </button>
+          <button
+            className="btn btn-secondary"
+            onClick={onOpenCatalogue}
+            title="Import the NDIS Support Catalogue"
+          >
+            NDIS Catalogue
+          </button>
         </div>
 
         {/* Refresh */}
@@ -80,7 +88,14 @@ export default function RatesTab({
           <tbody>
             {filteredRates().map((r, idx) => (
               <tr key={r?.id || r?.code || idx}>
-                <td className="code-mono no-wrap ellipsis">{r?.code || '-'}</td>
+                <td className="code-mono no-wrap ellipsis">
+                  {r?.code || '-'}
+                  {r?.effective_from && (
+                    <div className="text-sm muted" title="Price guide version in force">
+                      from {r.effective_from}{r.effective_to ? ` to ${r.effective_to}` : ''}
+                    </div>
+                  )}
+                </td>
                 <td className="desc-wrap-2">{r?.description || '-'}</td>
                 <td>
                   <span className={`pill ${r?.active ? 'pill-yes' : 'pill-no'}`}>
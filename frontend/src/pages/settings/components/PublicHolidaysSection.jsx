@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { FiCalendar, FiTrash2, FiUpload, FiPlus } from 'react-icons/fi';
+import api from '../../../api/api';
+
+const STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'];
+
+// Public holiday calendar: the state the organisation observes, holidays
+// entered by hand and ICS imports (previewed before they are saved)
+export default function PublicHolidaysSection() {
+  const queryClient = useQueryClient();
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '', state: 'NATIONAL' });
+  const [icsText, setIcsText] = useState('');
+  const [icsState, setIcsState] = useState('NATIONAL');
+  const [preview, setPreview] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['publicHolidays', year],
+    async () => (await api.get('/holidays', { params: { year } })).data
+  );
+  const holidays = data?.data || [];
+  const observedState = data?.observed_state || 'NSW';
+
+  const refresh = () => queryClient.invalidateQueries(['publicHolidays']);
+  const onError = (fallback) => (error) => toast.error(error.response?.data?.error || fallback);
+
+  const stateMutation = useMutation(
+    (state) => api.put('/settings/public_holiday_state', {
+      value: state,
+      description: 'State whose public holidays the organisation observes',
+    }),
+    { onSuccess: () => { refresh(); toast.success('Observed state saved'); }, onError: onError('Failed to save state') }
+  );
+
+  const addMutation = useMutation(
+    async () => (await api.post('/holidays', newHoliday)).data,
+    {
+      onSuccess: (res) => {
+        refresh();
+        setNewHoliday({ date: '', name: '', state: newHoliday.state });
+        const skipped = res.loom?.instancesCancelled || 0;
+        toast.success(skipped ? `Holiday added – ${skipped} program(s) skipped` : 'Holiday added');
+      },
+      onError: onError('Failed to add holiday'),
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => api.delete(`/holidays/${id}`),
+    { onSuccess: () => { refresh(); toast.success('Holiday removed'); }, onError: onError('Failed to remove holiday') }
+  );
+
+  const importMutation = useMutation(
+    async (dryRun) =>
+      (await api.post(`/holidays/import?dryRun=${dryRun}`, { icsText, state: icsState })).data,
+    {
+      onSuccess: (res) => {
+        if (res.dryRun) {
+          setPreview(res);
+          return;
+        }
+        refresh();
+        setPreview(null);
+        setIcsText('');
+        toast.success(`Imported ${res.summary.create} new, ${res.summary.update} updated holidays`);
+      },
+      onError: onError('Holiday import failed'),
+    }
+  );
+
+  const handleIcsFile = async (e) => {
+    const file = e.target.files?.[0];
+    setPreview(null);
+    if (file) setIcsText(await file.text());
+  };
+
+  return (
+    <div className="settings-section">
+      <h3 className="section-title">Public Holidays</h3>
+      <div className="settings-form glass-card">
+        <div className="form-group">
+          <label htmlFor="holiday-state" className="form-label">Observed State</label>
+          <select
+            id="holiday-state"
+            className="form-control"
+            value={observedState}
+            onChange={(e) => stateMutation.mutate(e.target.value)}
+          >
+            {STATES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <small>Programs set to skip holidays, holiday billing items and SCHADS penalty flags follow this state.</small>
+        </div>
+
+        <div className="form-group" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <button type="button" className="btn btn-secondary" onClick={() => setYear(year - 1)}>‹</button>
+          <strong><FiCalendar /> {year}</strong>
+          <button type="button" className="btn btn-secondary" onClick={() => setYear(year + 1)}>›</button>
+        </div>
+
+        {isLoading ? (
+          <div className="loading-spinner-small"></div>
+        ) : holidays.length === 0 ? (
+          <p>No public holidays recorded for {year}.</p>
+        ) : (
+          <table className="glass-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Holiday</th>
+                <th>State</th>
+                <th>Source</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {holidays.map((h) => (
+                <tr key={h.id}>
+                  <td>{h.date}</td>
+                  <td>{h.name}</td>
+                  <td>{h.state}</td>
+                  <td>{h.source}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-icon danger"
+                      onClick={() => { if (confirm(`Remove ${h.name} (${h.date})?`)) deleteMutation.mutate(h.id); }}
+                      title="Remove holiday"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <h4 className="mt-4"><FiPlus /> Add Holiday</h4>
+        <div className="form-group" style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          <input
+            type="date"
+            className="form-control"
+            value={newHoliday.date}
+            onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+          />
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Name"
+            value={newHoliday.name}
+            onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+          />
+          <select
+            className="form-control"
+            value={newHoliday.state}
+            onChange={(e) => setNewHoliday({ ...newHoliday, state: e.target.value })}
+          >
+            <option value="NATIONAL">National</option>
+            {STATES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={() => addMutation.mutate()}
+            disabled={!newHoliday.date || !newHoliday.name.trim() || addMutation.isLoading}
+          >
+            Add
+          </button>
+        </div>
+
+        <h4 className="mt-4"><FiUpload /> Import ICS Calendar</h4>
+        <div className="form-group" style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          <input type="file" className="form-control" accept=".ics,text/calendar" onChange={handleIcsFile} />
+          <select
+            className="form-control"
+            value={icsState}
+            onChange={(e) => { setIcsState(e.target.value); setPreview(null); }}
+            title="State for events that don't name one"
+          >
+            <option value="NATIONAL">National</option>
+            {STATES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </div>
+        {preview && (
+          <p>
+            <strong>New:</strong> {preview.summary.create},
+            <strong> Renamed:</strong> {preview.summary.update},
+            <strong> Unchanged:</strong> {preview.summary.unchanged}
+          </p>
+        )}
+        <div className="form-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => importMutation.mutate(true)}
+            disabled={!icsText || importMutation.isLoading}
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={() => importMutation.mutate(false)}
+            disabled={!preview || importMutation.isLoading}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}